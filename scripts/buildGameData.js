@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Build the game data that the app uses to calculate character stats without the remote stat calculator
+ * (see src/utils/statCalculator.js).
+ *
+ * Usage: node scripts/buildGameData.js [game data file or URL]
+ *
+ * The input is game data in the format used by Crinolo's stat calculator (https://github.com/Crinolo/swgoh-stat-calc),
+ * and defaults to the copy that it publishes. Only characters are kept, along with the stats that mods can change, the
+ * primary attributes that those stats are derived from, and the bonuses from relics and mastery. The result is written
+ * to src/constants/gameData.json.
+ */
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+
+const defaultSource = 'https://swgoh-stat-calc.glitch.me/gameData.json';
+const outputPath = path.join(__dirname, '..', 'src', 'constants', 'gameData.json');
+
+// The stat IDs used in the game data, mapped to the names the app uses for them
+const statNames = {
+  1: 'Health',
+  2: 'Strength',
+  3: 'Agility',
+  4: 'Tactics',
+  5: 'Speed',
+  6: 'Physical Damage',
+  7: 'Special Damage',
+  8: 'Armor',
+  9: 'Resistance',
+  14: 'Physical Critical Rating',
+  15: 'Special Critical Rating',
+  17: 'Potency',
+  18: 'Tenacity',
+  28: 'Protection',
+  61: 'Mastery'
+};
+
+/**
+ * Read the game data from a file or a URL
+ *
+ * @param source {string}
+ * @returns {Promise<Object>}
+ */
+function readGameData(source) {
+  if (!/^https?:\/\//.test(source)) {
+    return Promise.resolve(JSON.parse(fs.readFileSync(source, 'utf8')));
+  }
+
+  return new Promise((resolve, reject) => {
+    https.get(source, response => {
+      if (200 !== response.statusCode) {
+        reject(new Error(`Unable to download ${source}: ${response.statusCode} ${response.statusMessage}`));
+        response.resume();
+        return;
+      }
+
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => body += chunk);
+      response.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (e) {
+          reject(e);
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Convert a set of stats keyed by stat ID into stats keyed by name. Stat values in the game data are stored as integers
+ * scaled up by 10^8, so they're scaled back down here. Stats that the app doesn't use are dropped.
+ *
+ * @param stats {Object<string, number>}
+ * @returns {Object<string, number>}
+ */
+function namedStats(stats) {
+  return Object.entries(stats || {})
+    .filter(([statID]) => statNames.hasOwnProperty(statID))
+    .reduce((named, [statID, value]) => Object.assign(named, {[statNames[statID]]: value / 1e8}), {});
+}
+
+/**
+ * Convert a set of multipliers keyed by stat ID into multipliers keyed by name. Unlike stats, these aren't scaled.
+ *
+ * @param modifiers {Object<string, number>}
+ * @returns {Object<string, number>}
+ */
+function namedModifiers(modifiers) {
+  return Object.entries(modifiers || {})
+    .filter(([statID]) => statNames.hasOwnProperty(statID))
+    .reduce((named, [statID, value]) => Object.assign(named, {[statNames[statID]]: value}), {});
+}
+
+/**
+ * Convert game data from the stat calculator's format into the format in src/constants/gameData.json
+ *
+ * @param gameData {Object}
+ * @returns {Object}
+ */
+function convertGameData(gameData) {
+  const units = {};
+  Object.entries(gameData.unitData).forEach(([defId, unit]) => {
+    // Ships don't have gear levels, and can't equip mods anyway
+    if (1 !== unit.combatType) {
+      return;
+    }
+
+    units[defId] = {
+      primaryStat: statNames[unit.primaryStat],
+      growthModifiers: Object.entries(unit.growthModifiers).reduce((modifiers, [stars, growth]) =>
+        Object.assign(modifiers, {[stars]: namedStats(growth)}), {}
+      ),
+      gearLevels: Object.entries(unit.gearLvl).reduce((gearLevels, [gearLevel, {stats}]) =>
+        Object.assign(gearLevels, {[gearLevel]: namedStats(stats)}), {}
+      ),
+      // Relic tiers are numbered the way the game reports them, so the first relic level is tier 3
+      relics: Object.entries(unit.relic || {}).reduce((relics, [tier, relicID]) => {
+        const relic = (gameData.relicData || {})[relicID];
+        return relic ?
+          Object.assign(relics, {[tier]: {stats: namedStats(relic.stats), growthModifiers: namedStats(relic.gms)}}) :
+          relics;
+      }, {}),
+      masteryModifiers: namedModifiers((gameData.crTables || {})[unit.masteryModifierID])
+    };
+  });
+
+  const gear = Object.entries(gameData.gearData).reduce((allGear, [gearID, {stats}]) =>
+    Object.assign(allGear, {[gearID]: namedStats(stats)}), {}
+  );
+
+  return {
+    source: `Built by scripts/buildGameData.js on ${(new Date()).toISOString().slice(0, 10)}`,
+    units: units,
+    gear: gear
+  };
+}
+
+if (require.main === module) {
+  const source = process.argv[2] || defaultSource;
+
+  readGameData(source)
+    .then(gameData => {
+      const converted = convertGameData(gameData);
+      fs.writeFileSync(outputPath, JSON.stringify(converted));
+      console.log(`Wrote game data for ${Object.keys(converted.units).length} characters to ${outputPath}`);
+    })
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {convertGameData};
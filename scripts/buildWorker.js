@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Bundle the optimizer Web Worker (src/workers/optimizer.js) and everything it imports from src into
+ * public/workers/optimizer.js, where the app loads it from. create-react-app only bundles the main app, so the worker
+ * is built separately, using the same babel preset as the rest of the code.
+ *
+ * Usage: node scripts/buildWorker.js [--watch]
+ */
+process.env.BABEL_ENV = process.env.BABEL_ENV || 'production';
+process.env.NODE_ENV = process.env.NODE_ENV || 'production';
+
+const path = require('path');
+const webpack = require('webpack');
+
+const rootPath = path.join(__dirname, '..');
+const watch = process.argv.includes('--watch');
+
+const compiler = webpack({
+  mode: watch ? 'development' : 'production',
+  devtool: false,
+  target: 'webworker',
+  entry: path.join(rootPath, 'src', 'workers', 'optimizer.js'),
+  output: {
+    path: path.join(rootPath, 'public', 'workers'),
+    filename: 'optimizer.js',
+    // Expose the worker's exports as a global so that the bundle can be loaded by scripts/optimize.js
+    library: 'optimizer',
+    libraryTarget: 'var'
+  },
+  module: {
+    rules: [{
+      test: /\.js$/,
+      include: path.join(rootPath, 'src'),
+      loader: require.resolve('babel-loader'),
+      options: {
+        babelrc: false,
+        configFile: false,
+        presets: [require.resolve('babel-preset-react-app')]
+      }
+    }]
+  },
+  performance: {
+    hints: false
+  }
+});
+
+function report(error, stats) {
+  if (error) {
+    console.error(error.stack || error);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (stats.hasErrors() || stats.hasWarnings()) {
+    console.error(stats.toString('errors-warnings'));
+  }
+  if (stats.hasErrors()) {
+    process.exitCode = 1;
+  } else {
+    console.log(`Built the optimizer worker in ${stats.endTime - stats.startTime}ms`);
+  }
+}
+
+if (watch) {
+  compiler.watch({}, report);
+} else {
+  compiler.run(report);
+}
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Run a local stand-in for the player data APIs, so that the app can be used and tested without reaching the real ones.
+ *
+ * Usage: node scripts/mockServer.js [port] [fixture file]
+ *
+ * The port defaults to 3001, and the fixture file to scripts/fixtures/playerData.json. A fixture file is in the same
+ * format as a saved API response for the "Load a saved API response" button: either a player profile on its own, or an
+ * object with the keys "profile", "characters", and "stats". To point the app at the mock server, start it with
+ *
+ *   REACT_APP_API_URL=http://localhost:3001 REACT_APP_STATS_URL=http://localhost:3001/statCalc/api npm start
+ *
+ * Every ally code gets the same profile from the fixture file. Characters that aren't in the fixture's stats come back
+ * with an error, the same way the real stat calculator reports characters it doesn't know about.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const defaultPort = 3001;
+const defaultFixturePath = path.join(__dirname, 'fixtures', 'playerData.json');
+
+/**
+ * Read a fixture file into its profile, character definitions, and stats
+ *
+ * @param fixturePath {string}
+ * @returns {{profile: Object, characters: Array<Object>, stats: Array<Object>}}
+ */
+function loadFixture(fixturePath) {
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const savedResponse = fixture.roster ? {profile: fixture} : fixture;
+
+  return {
+    profile: savedResponse.profile,
+    characters: savedResponse.characters || [],
+    stats: savedResponse.stats || []
+  };
+}
+
+/**
+ * Send a JSON response, with headers that let the app call the server from another origin
+ *
+ * @param response {http.ServerResponse}
+ * @param status {number}
+ * @param body {*}
+ */
+function send(response, status, body) {
+  response.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Accept, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json'
+  });
+  response.end(undefined === body ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read and parse the JSON body of a request
+ *
+ * @param request {http.IncomingMessage}
+ * @returns {Promise<*>}
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.on('data', chunk => body += chunk);
+    request.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : null);
+      } catch (e) {
+        reject(e);
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Create a server that answers the characters, player profile, and stat calculator endpoints from a fixture
+ *
+ * @param fixture {{profile: Object, characters: Array<Object>, stats: Array<Object>}}
+ * @returns {http.Server}
+ */
+function createServer(fixture) {
+  return http.createServer((request, response) => {
+    const route = `${request.method} ${request.url.split('?')[0]}`;
+
+    if ('OPTIONS' === request.method) {
+      send(response, 204);
+      return;
+    }
+
+    if ('GET /characters/' === route) {
+      send(response, 200, fixture.characters);
+      return;
+    }
+
+    if ('POST /playerprofile/' !== route && 'POST /statCalc/api/characters' !== route) {
+      send(response, 404, {error: `No mock response for ${route}`});
+      return;
+    }
+
+    readBody(request).then(body => {
+      if ('POST /playerprofile/' === route) {
+        if (!body || !body['ally-code']) {
+          send(response, 400, {error: 'An ally code is required'});
+          return;
+        }
+        send(response, 200, Object.assign({}, fixture.profile, {allyCode: +body['ally-code']}));
+      } else {
+        send(response, 200, (body || []).map(character =>
+          fixture.stats.find(statObject => statObject.unit.defId === character.defId) ||
+          {unit: {defId: character.defId}, stats: {error: 'Character not found'}}
+        ));
+      }
+    }, error => send(response, 400, {error: error.message}));
+  });
+}
+
+if (require.main === module) {
+  const port = +process.argv[2] || defaultPort;
+  const fixturePath = process.argv[3] ? path.resolve(process.argv[3]) : defaultFixturePath;
+
+  createServer(loadFixture(fixturePath)).listen(port, () => {
+    console.log(`Serving player data from ${fixturePath} at http://localhost:${port}`);
+  });
+}
+
+module.exports = {createServer, loadFixture, defaultFixturePath};
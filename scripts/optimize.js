@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Run the mods optimizer from the command line against a file created by "Save my progress".
+ *
+ * Usage: node scripts/optimize.js <progress file> <ally code> [character order]
+ *
+ * The character order is an optional comma-separated list of character base IDs. If it isn't given, the characters
+ * selected in the saved profile are optimized in their saved order. The result is printed to stdout as JSON, in the
+ * same {assignedSets, messages} format that the optimizer worker sends back to the browser.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const workerPath = path.join(__dirname, '..', 'public', 'workers', 'optimizer.js');
+
+/**
+ * Load the bundled optimizer worker (see scripts/buildWorker.js) into its own context, so that the optimizer can be
+ * called directly. Messages that the worker would post back to the browser (progress updates) are dropped.
+ *
+ * @returns {Object} The optimizer exported by the worker
+ */
+function loadOptimizer() {
+  if (!fs.existsSync(workerPath)) {
+    throw new Error('The optimizer worker has not been built. Run `npm run build:worker` first.');
+  }
+
+  const context = vm.createContext({
+    self: {},
+    postMessage: () => {},
+    console: console
+  });
+
+  vm.runInContext(fs.readFileSync(workerPath, 'utf8'), context, {filename: workerPath});
+
+  return context.optimizer;
+}
+
+/**
+ * Build the list of selected characters to optimize from a comma-separated list of base IDs. Each character keeps the
+ * target it was already selected with, or falls back to the first target saved for it.
+ *
+ * @param profile {Object} A serialized PlayerProfile
+ * @param orderArg {string}
+ * @returns {Array<Object>}
+ */
+function selectedCharactersFromOrder(profile, orderArg) {
+  const selectedTargets = {};
+  profile.selectedCharacters
+    .filter(selectedCharacter => 'string' !== typeof selectedCharacter)
+    .forEach(({id, target}) => selectedTargets[id] = target);
+
+  return orderArg.split(',').map(id => id.trim()).filter(id => id).map(id => {
+    const character = profile.characters[id];
+    if (!character) {
+      throw new Error(`${id} is not a character in profile ${profile.allyCode}`);
+    }
+
+    const target = selectedTargets[id] || character.optimizerSettings.target || character.optimizerSettings.targets[0];
+    if (!target) {
+      throw new Error(`${id} has no saved targets to optimize with`);
+    }
+
+    return {id: id, target: target};
+  });
+}
+
+function main(args) {
+  const [progressFile, allyCodeArg, orderArg] = args;
+
+  if (!progressFile || !allyCodeArg) {
+    console.error('Usage: node scripts/optimize.js <progress file> <ally code> [character order]');
+    return 1;
+  }
+
+  const progressData = JSON.parse(fs.readFileSync(progressFile, 'utf8'));
+  const allyCode = allyCodeArg.replace(/[^\d]/g, '');
+
+  if (!progressData.profiles) {
+    console.error(`${progressFile} is not a progress file from version 1.4 or later`);
+    return 1;
+  }
+
+  const profile = progressData.profiles.find(profile => profile.allyCode === allyCode);
+  if (!profile) {
+    console.error(`No profile was found for ally code ${allyCodeArg}`);
+    return 1;
+  }
+
+  if (orderArg) {
+    profile.selectedCharacters = selectedCharactersFromOrder(profile, orderArg);
+  }
+
+  // Always run a full optimization - the last run is only used by the browser to skip unchanged characters
+  const optimizer = loadOptimizer();
+  const result = optimizer.optimizeProfile(profile, {});
+
+  console.log(JSON.stringify(result, null, 2));
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,43 @@
+// @flow
+
+import React from "react";
+import {connect} from "react-redux";
+import {redoProfileChange, undoProfileChange} from "../../state/actions/app";
+
+import "./HistoryControls.css";
+
+/**
+ * Buttons to undo and redo changes to the current profile
+ */
+class HistoryControls extends React.PureComponent {
+  render() {
+    return <div className={'history-controls'} key={'history-controls'}>
+      <button type={'button'}
+              className={'small'}
+              title={'Undo (Ctrl+Z)'}
+              disabled={!this.props.canUndo}
+              onClick={this.props.undo}>
+        Undo
+      </button>
+      <button type={'button'}
+              className={'small'}
+              title={'Redo (Ctrl+Shift+Z)'}
+              disabled={!this.props.canRedo}
+              onClick={this.props.redo}>
+        Redo
+      </button>
+    </div>;
+  }
+}
+
+const mapStateToProps = (state) => ({
+  canUndo: 0 < state.profileHistory.past.length,
+  canRedo: 0 < state.profileHistory.future.length
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  undo: () => dispatch(undoProfileChange()),
+  redo: () => dispatch(redoProfileChange())
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(HistoryControls);
@@ -8,6 +8,7 @@ import setBonuses from "../../constants/setbonuses";
 import {connect} from "react-redux";
 import {changeModsFilter} from "../../state/actions/explore";
 import Pips from "../Pips/Pips";
+import RangeInput from "../RangeInput/RangeInput";
 
 function cycleState(e) {
   e.target.value = e.target.valueAsNumber + 1;
@@ -427,6 +428,36 @@ class ModFilter extends React.PureComponent {
     </div>;
   }
 
+  /**
+   * Render the inputs to limit mods to a range of roll efficiency
+   * @returns {JSX Element}
+   */
+  rollEfficiencyFilter() {
+    const range = this.props.filter.rollEfficiency;
+
+    return <div id={'roll-efficiency-filters'}>
+      <div className={'toggle-label'}>Roll Efficiency</div>
+      <div className={'range-row'}>
+        <label htmlFor={'rollEfficiency-filter-min'}>At least:</label>
+        <RangeInput
+          id={'rollEfficiency-filter-min'}
+          name={'rollEfficiency-filter-min'}
+          defaultValue={range.min}
+          isPercent={true}
+        />
+      </div>
+      <div className={'range-row'}>
+        <label htmlFor={'rollEfficiency-filter-max'}>At most:</label>
+        <RangeInput
+          id={'rollEfficiency-filter-max'}
+          name={'rollEfficiency-filter-max'}
+          defaultValue={range.max}
+          isPercent={true}
+        />
+      </div>
+    </div>;
+  }
+
   /**
    * Render an input to select what stat to sort by, using the given mods as the source of possible values
    * @param mods [Mod] the list of mods being sorted
@@ -450,6 +481,8 @@ class ModFilter extends React.PureComponent {
           <option value={''}>default</option>
           <option value={'rolls'}># of Stat Upgrades</option>
           <option value={'offenseScore'}>Offense Score</option>
+          <option value={'rollEfficiency'}>Roll Efficiency</option>
+          <option value={'potential'}>Projected Speed at Level 15</option>
           <option value={'character'}>Character</option>
           {sortOptions}
         </select>
@@ -462,7 +495,14 @@ class ModFilter extends React.PureComponent {
    */
   resetFilters() {
     [...document.getElementById('mod-filters').getElementsByTagName('input')]
+      .filter(element => 'range' !== element.type)
       .forEach(element => unselectElement(element));
+    [...document.getElementById('mod-filters').getElementsByTagName('input')]
+      .filter(element => 'range' === element.type)
+      .forEach(element => {
+        element.value = element.name.endsWith('-max') ? element.max : element.min;
+        document.getElementById(`${element.name}-display`).value = `${element.value}%`;
+      });
     [...document.getElementById('mod-filters').getElementsByTagName('select')].forEach(element => {
       element.value = '';
     });
@@ -470,7 +510,8 @@ class ModFilter extends React.PureComponent {
 
   /**
    * @returns Object an object with keys for 'slot', 'set', 'primary', 'secondary', each containing an
-   *                 array of selected values, plus 'sort', containing the value to sort by
+   *                 array of selected values, 'rollEfficiency', containing the 'min' and 'max' allowed, plus 'sort',
+   *                 containing the value to sort by
    */
   collectFilters(form) {
     const filters = {};
@@ -508,6 +549,7 @@ class ModFilter extends React.PureComponent {
       {this.equippedFilter()}
       {this.primaryStatFilter(mods)}
       {this.secondaryStatFilter(mods)}
+      {this.rollEfficiencyFilter()}
       {this.sortOption(mods)}
       <div className={'form-actions'}>
         <button type={'button'} onClick={this.resetFilters}>Reset all filters</button>
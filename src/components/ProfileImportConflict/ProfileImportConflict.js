@@ -0,0 +1,36 @@
+// @flow
+
+import React from "react";
+import formatAllyCode from "../../utils/formatAllyCode";
+
+/**
+ * Modal content that asks what to do when an imported profile has the same ally code as a profile that's already saved
+ */
+class ProfileImportConflict extends React.PureComponent {
+  render() {
+    return <div>
+      <h2>You already have a profile for <strong>{formatAllyCode(this.props.allyCode)}</strong></h2>
+      <p>
+        The file has a profile for {this.props.playerName || 'the same ally code'}. How would you like to combine it with
+        the one you already have?
+      </p>
+      <ul>
+        <li><strong>Keep mine</strong> leaves your profile as it is.</li>
+        <li><strong>Take theirs</strong> replaces your profile, mods, and last optimizer run with the ones in the file.
+        </li>
+        <li>
+          <strong>Merge targets</strong> keeps your profile and mods, but adds the character targets from the file.
+          Targets with the same name as one of yours replace it.
+        </li>
+      </ul>
+      <div className={'actions'}>
+        <button type={'button'} onClick={this.props.onCancel}>Cancel</button>
+        <button type={'button'} onClick={() => this.props.onResolve('mine')}>Keep mine</button>
+        <button type={'button'} className={'red'} onClick={() => this.props.onResolve('theirs')}>Take theirs</button>
+        <button type={'button'} onClick={() => this.props.onResolve('merge')}>Merge targets</button>
+      </div>
+    </div>;
+  }
+}
+
+export default ProfileImportConflict;
@@ -0,0 +1,25 @@
+// @flow
+
+import React from "react";
+import formatAllyCode from "../../utils/formatAllyCode";
+
+/**
+ * Modal content that asks which changes to keep when a profile was changed in this tab and another tab at the same time
+ */
+class ProfileSyncConflict extends React.PureComponent {
+  render() {
+    return <div>
+      <h2>Your profile was changed in another tab</h2>
+      <p>
+        The profile for <strong>{formatAllyCode(this.props.allyCode)}</strong> was changed in another tab that has the
+        optimizer open, while you were also changing it here. Only one set of changes can be kept.
+      </p>
+      <div className={'actions'}>
+        <button type={'button'} onClick={this.props.onKeepMine}>Keep the changes from this tab</button>
+        <button type={'button'} onClick={this.props.onTakeTheirs}>Use the changes from the other tab</button>
+      </div>
+    </div>;
+  }
+}
+
+export default ProfileSyncConflict;
@@ -0,0 +1,110 @@
+// @flow
+
+import React from "react";
+import formatAllyCode from "../../utils/formatAllyCode";
+
+import './ProgressReport.css';
+
+/**
+ * Shows what was and wasn't imported from a progress file, as described by validateProgress. If problemsOnly is set,
+ * then only the parts of the file that were left out are listed.
+ */
+class ProgressReport extends React.PureComponent {
+  render() {
+    const report = this.props.report;
+
+    if (report.errors.length) {
+      return <div className={'progress-report'}>
+        <p>Nothing could be imported from the file:</p>
+        <ul className={'problems'}>
+          {report.errors.map((error, index) => <li key={index}>{error}</li>)}
+        </ul>
+        <ul className={'profiles'}>
+          {report.profiles.map((profileReport, index) => this.profileRow(profileReport, index))}
+        </ul>
+      </div>;
+    }
+
+    const profileReports = this.props.problemsOnly ?
+      report.profiles.filter(profileReport => !profileReport.imported || profileReport.invalidMods.length) :
+      report.profiles;
+
+    return <div className={'progress-report'}>
+      <ul className={'profiles'}>
+        {profileReports.map((profileReport, index) => this.profileRow(profileReport, index))}
+      </ul>
+      {this.entriesRow('character settings', report.gameSettings)}
+      {this.entriesRow('previous optimizer runs', report.lastRuns)}
+      {this.entriesRow('loadouts', report.loadouts)}
+      {this.entriesRow('snapshots', report.snapshots)}
+    </div>;
+  }
+
+  /**
+   * Renders what happened to a single profile and its mods
+   *
+   * @param profileReport {Object}
+   * @param index {number}
+   * @returns JSX Element
+   */
+  profileRow(profileReport, index) {
+    const name = profileReport.playerName ||
+      (/^\d{9}$/.test(profileReport.allyCode) ? formatAllyCode(profileReport.allyCode) : profileReport.allyCode);
+
+    if (!profileReport.imported) {
+      return <li key={index}>
+        <span className={'failed'}>{name} was not restored:</span>
+        <ul className={'problems'}>
+          {profileReport.errors.map((error, errorIndex) => <li key={errorIndex}>{error}</li>)}
+        </ul>
+      </li>;
+    }
+
+    return <li key={index}>
+      <span className={'gold'}>{name}</span>
+      {this.props.problemsOnly ? ':' : ` was restored with ${profileReport.modCount} mods.`}
+      {0 < profileReport.invalidMods.length &&
+      <div>
+        <span className={'failed'}>{profileReport.invalidMods.length} mods were left out:</span>
+        <ul className={'problems'}>
+          {profileReport.invalidMods.map(({index: modIndex, id, errors}) =>
+            <li key={modIndex}>Mod {modIndex + 1}{id && ` (${id})`}: {errors.join('; ')}</li>
+          )}
+        </ul>
+      </div>
+      }
+    </li>;
+  }
+
+  /**
+   * Renders how many entries of one kind were restored, and what was wrong with the rest
+   *
+   * @param description {string}
+   * @param entriesReport {{imported: number, invalid: Array<{index: number, id: string|null, errors: Array<string>}>}}
+   * @returns JSX Element
+   */
+  entriesRow(description, entriesReport) {
+    if (this.props.problemsOnly ? !entriesReport.invalid.length :
+      !entriesReport.imported && !entriesReport.invalid.length) {
+      return null;
+    }
+
+    return <div className={'entries'}>
+      <p>
+        {this.props.problemsOnly ?
+          `${entriesReport.invalid.length} ${description} were left out:` :
+          `Restored ${entriesReport.imported} ${description}.`
+        }
+      </p>
+      {0 < entriesReport.invalid.length &&
+      <ul className={'problems'}>
+        {entriesReport.invalid.map(({index, id, errors}) =>
+          <li key={index}>{id || `Entry ${index + 1}`}: {errors.join('; ')}</li>
+        )}
+      </ul>
+      }
+    </div>;
+  }
+}
+
+export default ProgressReport;
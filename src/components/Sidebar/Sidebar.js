@@ -1,12 +1,14 @@
 import {connect} from "react-redux";
 import React from "react";
 import {toggleSidebar} from "../../state/actions/app";
+import HistoryControls from "../HistoryControls/HistoryControls";
 
 import "./Sidebar.css";
 
 class Sidebar extends React.PureComponent {
   render() {
     return <div className={`sidebar ${this.props.showSidebar ? 'show' : 'hide'}`} key={'sidebar'}>
+      <HistoryControls/>
       {this.props.content}
       <button className={`toggle-sidebar ${this.props.showSidebar ? 'hide' : 'show'}`}
               onClick={() => {this.props.toggleSidebar()}}>
@@ -0,0 +1,121 @@
+// @flow
+
+// A map from number of pips that a mod has to the cost to remove (but not destroy) it
+export const modRemovalCosts = {
+  1: 550,
+  2: 1050,
+  3: 1900,
+  4: 3000,
+  5: 4750,
+  6: 8000
+};
+
+// A map from number of pips to a map from current mod level to the total cost to upgrade the mod to level 15
+export const modUpgradeCosts = {
+  5: {
+    1: 248400,
+    2: 244950,
+    3: 241500,
+    4: 238050,
+    5: 234600,
+    6: 229950,
+    7: 224300,
+    8: 218500,
+    9: 210500,
+    10: 200150,
+    11: 189800,
+    12: 162200,
+    13: 126550,
+    14: 90900,
+    15: 0
+  },
+  4: {
+    1: 128700,
+    2: 126900,
+    3: 124200,
+    4: 121500,
+    5: 118800,
+    6: 116100,
+    7: 113400,
+    8: 110700,
+    9: 106200,
+    10: 100800,
+    11: 95400,
+    12: 81000,
+    13: 64800,
+    14: 46800,
+    15: 0
+  },
+  3: {
+    1: 73200,
+    2: 72000,
+    3: 70800,
+    4: 69600,
+    5: 67800,
+    6: 66000,
+    7: 64200,
+    8: 62400,
+    9: 60000,
+    10: 57000,
+    11: 54000,
+    12: 45600,
+    13: 35400,
+    14: 24000,
+    15: 0
+  },
+  2: {
+    1: 28800,
+    2: 28050,
+    3: 27300,
+    4: 26550,
+    5: 25800,
+    6: 24675,
+    7: 23550,
+    8: 22425,
+    9: 21300,
+    10: 19800,
+    11: 18300,
+    12: 16500,
+    13: 12700,
+    14: 8200,
+    15: 0
+  },
+  1: {
+    1: 13400,
+    2: 13050,
+    3: 12700,
+    4: 12350,
+    5: 12000,
+    6: 11475,
+    7: 10950,
+    8: 10425,
+    9: 9900,
+    10: 9200,
+    11: 8500,
+    12: 7625,
+    13: 5875,
+    14: 3775,
+    15: 0
+  }
+};
+
+// A map from the tier of a level 15, 5-dot mod (1 for gray through 5 for gold) to the credits it costs to slice it
+// once: up to the next tier, or from 5-dot gold to 6-dot gray. The materials that each slice also costs are in
+// modSliceMaterials.
+export const modSliceCosts = {
+  1: 18000,
+  2: 36000,
+  3: 63000,
+  4: 90000,
+  5: 200000
+};
+
+// A map from the tier of a level 15, 5-dot mod to the mod salvage it costs to slice it once, as a map from the name of
+// the salvage to how many are used
+export const modSliceMaterials = {
+  1: {'Gray Mod Salvage': 10},
+  2: {'Gray Mod Salvage': 15, 'Green Mod Salvage': 10},
+  3: {'Green Mod Salvage': 20, 'Blue Mod Salvage': 10},
+  4: {'Blue Mod Salvage': 25, 'Purple Mod Salvage': 10},
+  5: {'Purple Mod Salvage': 50, 'Gold Mod Salvage': 20}
+};
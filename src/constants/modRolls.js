@@ -0,0 +1,39 @@
+// @flow
+
+// The levels at which a mod either reveals a new secondary stat or, if it already has four, upgrades one of them
+export const secondaryUpgradeLevels = [3, 6, 9, 12];
+
+// Every stat type that can show up as a secondary stat
+export const secondaryStatTypes = [
+  'Speed',
+  'Offense',
+  'Offense %',
+  'Defense',
+  'Defense %',
+  'Health',
+  'Health %',
+  'Protection',
+  'Protection %',
+  'Critical Chance %',
+  'Potency %',
+  'Tenacity %'
+];
+
+// A map from number of pips to the smallest and largest amount that a single roll can add to each secondary stat.
+// 6-dot mods get their secondaries by slicing a 5-dot mod, so they're measured against the 5-dot ranges.
+export const secondaryRollRanges = {
+  5: {
+    'Speed': {min: 3, max: 6},
+    'Offense': {min: 22.8, max: 45.6},
+    'Offense %': {min: 0.281, max: 0.563},
+    'Defense': {min: 4, max: 10},
+    'Defense %': {min: 0.85, max: 1.7},
+    'Health': {min: 214.3, max: 428.6},
+    'Health %': {min: 0.563, max: 1.125},
+    'Protection': {min: 415.3, max: 830.6},
+    'Protection %': {min: 1.125, max: 2.33},
+    'Critical Chance %': {min: 1.125, max: 2.25},
+    'Potency %': {min: 1.125, max: 2.25},
+    'Tenacity %': {min: 1.125, max: 2.25}
+  }
+};
@@ -0,0 +1,216 @@
+// @flow
+
+// JSON schemas for the files made by "Save my progress" and "Export this profile". Each file is checked against one of
+// the file schemas first, and then every profile, mod, game setting, optimizer run, loadout, and snapshot in it is
+// checked on its own, so that one bad entry doesn't stop the rest of the file from being imported. Because of that, the
+// file schemas only check that each entry is an object, and the profile schemas don't look inside of the mods.
+
+const statValue = {type: ['string', 'number']};
+
+const optionalStatValue = {type: ['string', 'number', 'null']};
+
+const secondaryStats = [1, 2, 3, 4].reduce((properties, index) => Object.assign(properties, {
+  [`secondaryType_${index}`]: {type: ['string', 'null']},
+  [`secondaryValue_${index}`]: optionalStatValue,
+  [`secondaryRoll_${index}`]: optionalStatValue
+}), {});
+
+/**
+ * A mod, as written by Mod.serialize
+ */
+export const modSchema = {
+  type: 'object',
+  required: ['mod_uid', 'slot', 'set', 'level', 'pips', 'primaryBonusType', 'primaryBonusValue'],
+  properties: Object.assign({
+    mod_uid: {type: 'string', minLength: 1},
+    slot: {enum: ['square', 'arrow', 'diamond', 'triangle', 'circle', 'cross']},
+    set: {type: 'string', minLength: 1},
+    level: {type: 'integer', minimum: 1, maximum: 15},
+    pips: {type: 'integer', minimum: 1, maximum: 6},
+    tier: {type: 'integer', minimum: 1, maximum: 5},
+    characterID: {type: ['string', 'null']},
+    primaryBonusType: {type: 'string', minLength: 1},
+    primaryBonusValue: statValue
+  }, secondaryStats)
+};
+
+/**
+ * A mod saved by an older version of the optimizer. These can have capitalized slots and values stored as strings.
+ */
+export const legacyModSchema = {
+  type: 'object',
+  required: ['mod_uid', 'slot', 'set', 'primaryBonusType', 'primaryBonusValue'],
+  properties: Object.assign({
+    mod_uid: {type: 'string', minLength: 1},
+    slot: {type: 'string', minLength: 1},
+    set: {type: 'string', minLength: 1},
+    level: statValue,
+    pips: statValue,
+    primaryBonusType: {type: 'string', minLength: 1},
+    primaryBonusValue: statValue
+  }, secondaryStats)
+};
+
+const selectedCharacter = {
+  type: 'object',
+  required: ['id', 'target'],
+  properties: {
+    id: {type: 'string', minLength: 1},
+    target: {type: 'object'}
+  }
+};
+
+/**
+ * A player profile, as written by PlayerProfile.serialize
+ */
+export const profileSchema = {
+  type: 'object',
+  required: ['allyCode', 'characters', 'mods', 'selectedCharacters'],
+  properties: {
+    allyCode: {type: 'string', pattern: '^\\d{9}$'},
+    playerName: {type: 'string'},
+    characters: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['baseID'],
+        properties: {
+          baseID: {type: 'string', minLength: 1},
+          playerValues: {type: ['object', 'null']},
+          optimizerSettings: {type: ['object', 'null']}
+        }
+      }
+    },
+    mods: {type: 'array', items: {type: 'object'}},
+    selectedCharacters: {type: 'array', items: selectedCharacter},
+    modAssignments: {type: ['array', 'object', 'null']},
+    globalSettings: {type: ['object', 'null']},
+    previousSettings: {type: ['object', 'null']},
+    activeLoadout: {type: ['object', 'null']}
+  }
+};
+
+/**
+ * A player profile saved by an older version of the optimizer, before profiles were kept in IndexedDB. The ally code
+ * comes from the key that the profile is stored under, and selected characters can be just a list of IDs.
+ */
+export const legacyProfileSchema = {
+  type: 'object',
+  required: ['characters', 'mods', 'selectedCharacters'],
+  properties: {
+    characters: {type: 'object', additionalProperties: {type: 'object'}},
+    mods: {type: 'array', items: {type: 'object'}},
+    selectedCharacters: {
+      type: 'array',
+      items: {anyOf: [{type: 'string', minLength: 1}, selectedCharacter]}
+    }
+  }
+};
+
+/**
+ * The settings for a single character, as stored in the gameSettings table
+ */
+export const gameSettingsSchema = {
+  type: 'object',
+  required: ['baseID', 'name'],
+  properties: {
+    baseID: {type: 'string', minLength: 1},
+    name: {type: 'string'},
+    avatarUrl: {type: 'string'},
+    tags: {type: 'array', items: {type: 'string'}},
+    description: {type: 'string'}
+  }
+};
+
+/**
+ * The inputs to the last optimization run for a profile, as stored in the lastRuns table
+ */
+export const lastRunSchema = {
+  type: 'object',
+  required: ['allyCode'],
+  properties: {
+    allyCode: {type: 'string', pattern: '^\\d{9}$'},
+    characters: {type: 'object'},
+    mods: {type: 'array'},
+    selectedCharacters: {type: 'array'},
+    modChangeThreshold: {type: 'number'},
+    lockUnselectedCharacters: {type: 'boolean'},
+    optimizeGlobally: {type: 'boolean'}
+  }
+};
+
+/**
+ * A named loadout that a player has saved, as stored in the loadouts table
+ */
+export const loadoutSchema = {
+  type: 'object',
+  required: ['key', 'allyCode', 'name', 'selectedCharacters'],
+  properties: {
+    key: {type: 'string'},
+    allyCode: {type: 'string', pattern: '^\\d{9}$'},
+    name: {type: 'string', minLength: 1},
+    selectedCharacters: {type: 'array', items: selectedCharacter},
+    modAssignments: {type: 'object'}
+  }
+};
+
+/**
+ * A snapshot of a player's mods and speeds, as stored in the snapshots table
+ */
+export const snapshotSchema = {
+  type: 'object',
+  required: ['key', 'allyCode', 'timestamp'],
+  properties: {
+    key: {type: 'string'},
+    allyCode: {type: 'string', pattern: '^\\d{9}$'},
+    timestamp: {type: 'number'},
+    mods: {type: 'array', items: {type: 'object'}},
+    speeds: {type: 'object'}
+  }
+};
+
+/**
+ * A file made by Database.export, along with the version and ally code that the app adds to it. Files saved before
+ * loadouts and snapshots were exported don't have them.
+ */
+export const progressFileSchema = {
+  type: 'object',
+  required: ['version', 'profiles', 'gameSettings', 'lastRuns'],
+  properties: {
+    version: {type: 'string'},
+    allyCode: {type: ['string', 'null']},
+    profiles: {type: 'array', items: {type: 'object'}},
+    gameSettings: {type: 'array', items: {type: 'object'}},
+    lastRuns: {type: 'array', items: {type: 'object'}},
+    loadouts: {type: 'array', items: {type: 'object'}},
+    snapshots: {type: 'array', items: {type: 'object'}}
+  }
+};
+
+/**
+ * A file made by "Export this profile", which holds a single profile and only the data that goes along with it
+ */
+export const sharedProfileFileSchema = {
+  type: 'object',
+  required: ['version', 'profile', 'gameSettings'],
+  properties: {
+    version: {type: 'string'},
+    profile: {type: 'object'},
+    lastRun: {type: ['object', 'null']},
+    gameSettings: {type: 'array', items: {type: 'object'}}
+  }
+};
+
+/**
+ * A file saved by an older version of the optimizer, which holds the whole app state with profiles keyed by ally code
+ */
+export const legacyProgressFileSchema = {
+  type: 'object',
+  required: ['profiles'],
+  properties: {
+    version: {type: 'string'},
+    allyCode: {type: ['string', 'null']},
+    profiles: {type: 'object', additionalProperties: {type: 'object'}},
+    characters: {type: 'object'}
+  }
+};
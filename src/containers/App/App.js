@@ -5,25 +5,30 @@ import './boilerplate.css';
 import './App.css';
 import OptimizerView from "../OptimizerView/OptimizerView";
 import ExploreView from "../ExploreView/ExploreView";
+import SellModsView from "../SellModsView/SellModsView";
+import HistoryView from "../HistoryView/HistoryView";
 import FileInput from "../../components/FileInput/FileInput";
 import Modal from "../../components/Modal/Modal";
 import Spinner from "../../components/Spinner/Spinner";
 import {connect} from "react-redux";
 import formatAllyCode from "../../utils/formatAllyCode";
 import ErrorModal from "../ErrorModal/ErrorModal";
+import RefreshStatus from "../RefreshStatus/RefreshStatus";
 import {
   changeSection,
   deleteProfile,
   hideModal,
+  redoProfileChange,
   reset,
   restoreProgress,
   showError,
-  showModal
+  showModal,
+  undoProfileChange
 } from "../../state/actions/app";
-import {refreshPlayerData, toggleKeepOldMods} from "../../state/actions/data";
+import {loadPlayerDataFromFile, refreshPlayerData, toggleKeepOldMods} from "../../state/actions/data";
 import FlashMessage from "../../components/Modal/FlashMessage";
 import {saveAs} from 'file-saver';
-import {exportDatabase, loadProfile} from "../../state/actions/storage";
+import {exportDatabase, exportProfile, importProfile, loadProfile} from "../../state/actions/storage";
 
 class App extends PureComponent {
 
@@ -46,14 +51,32 @@ class App extends PureComponent {
         this.props.hideModal();
       }
     }
+
+    this.historyListener = (e) => {
+      // Leave text fields to handle their own undo and redo
+      if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if ('z' === key && !e.shiftKey) {
+        e.preventDefault();
+        this.props.undo();
+      } else if (('z' === key && e.shiftKey) || 'y' === key) {
+        e.preventDefault();
+        this.props.redo();
+      }
+    }
   }
 
   componentDidMount() {
     document.addEventListener('keyup', this.escapeListener);
+    document.addEventListener('keydown', this.historyListener);
   }
 
   componentWillUnmount() {
     document.removeEventListener('keyup', this.escapeListener);
+    document.removeEventListener('keydown', this.historyListener);
   }
 
   componentDidUpdate(prevProps, prevState, snapshot) {
@@ -96,6 +119,12 @@ class App extends PureComponent {
         {!instructionsScreen && 'optimize' === this.props.section &&
         <OptimizerView/>
         }
+        {!instructionsScreen && 'sell' === this.props.section &&
+        <SellModsView/>
+        }
+        {!instructionsScreen && 'history' === this.props.section &&
+        <HistoryView/>
+        }
         <FlashMessage/>
         <ErrorModal/>
         <Modal show={this.props.displayModal}
@@ -103,6 +132,7 @@ class App extends PureComponent {
                content={this.props.modalContent}
                cancelable={this.props.isModalCancelable} />
         <Spinner show={this.props.isBusy}/>
+        <RefreshStatus/>
       </div>
       {this.footer()}
     </div>;
@@ -110,7 +140,7 @@ class App extends PureComponent {
 
   /**
    * Renders the header for the application, optionally showing navigation buttons and a reset button
-   * @param showActions bool If true, render the "Explore" and "Optimize" buttons and the "Reset Mods Optimizer" button
+   * @param showActions bool If true, render the section buttons and the "Reset Mods Optimizer" button
    * @returns JSX Element
    */
   header(showActions) {
@@ -126,6 +156,12 @@ class App extends PureComponent {
         <button className={'optimize' === this.props.section ? 'active' : ''}
                 onClick={() => this.props.changeSection('optimize')}>Optimize my mods
         </button>
+        <button className={'sell' === this.props.section ? 'active' : ''}
+                onClick={() => this.props.changeSection('sell')}>Find mods to sell
+        </button>
+        <button className={'history' === this.props.section ? 'active' : ''}
+                onClick={() => this.props.changeSection('history')}>See what changed
+        </button>
       </nav>
       }
       <div className={'actions'}>
@@ -195,6 +231,13 @@ class App extends PureComponent {
         <label htmlFor={'keep-old-mods'}>Remember existing mods</label>
         <br/>
         <FileInput label={'Restore my progress'} handler={(file) => this.readFile(file, this.props.restoreProgress)}/>
+        <FileInput label={'Import a shared profile'} handler={(file) => this.readFile(file, this.props.importProfile)}/>
+        <FileInput label={'Load a saved API response'}
+                   handler={(file) => this.readFile(file, fileData => this.props.loadPlayerDataFromFile(
+                     fileData,
+                     this.props.allyCode || allyCodyInput.value,
+                     this.props.keepOldMods
+                   ))}/>
         {showActions &&
         <button type={'button'} onClick={() => {
           this.props.exportDatabase(progressData => {
@@ -209,6 +252,21 @@ class App extends PureComponent {
         </button>
         }
         {showActions &&
+        <button type={'button'} onClick={() => {
+          this.props.exportProfile(this.props.allyCode, profileData => {
+            profileData.version = this.props.version;
+            const profileDataSerialized = JSON.stringify(profileData);
+            const userData = new Blob([profileDataSerialized], {type: 'application/json;charset=utf-8'});
+            saveAs(
+              userData,
+              `modsOptimizer-profile-${this.props.allyCode}-${(new Date()).toISOString().slice(0, 10)}.json`
+            );
+          });
+        }}>
+          Export this profile
+        </button>
+        }
+        {showActions &&
         <button type={'button'} className={'red'}
                 onClick={() => this.props.showModal('reset-modal', this.resetModal())}>
           Reset Mods Optimizer
@@ -412,6 +470,8 @@ const mapStateToProps = (state) => {
 const mapDispatchToProps = dispatch => ({
   changeSection: newSection => dispatch(changeSection(newSection)),
   refreshPlayerData: (allyCode, keepOldMods) => dispatch(refreshPlayerData(allyCode, keepOldMods)),
+  loadPlayerDataFromFile: (fileData, allyCode, keepOldMods) =>
+    dispatch(loadPlayerDataFromFile(fileData, allyCode, keepOldMods)),
   showModal: (clazz, content) => dispatch(showModal(clazz, content)),
   hideModal: () => dispatch(hideModal()),
   showError: (message) => dispatch(showError(message)),
@@ -420,7 +480,11 @@ const mapDispatchToProps = dispatch => ({
   restoreProgress: (progressData) => dispatch(restoreProgress(progressData)),
   switchProfile: (allyCode) => dispatch(loadProfile(allyCode)),
   deleteProfile: (allyCode) => dispatch(deleteProfile(allyCode)),
-  exportDatabase: (callback) => dispatch(exportDatabase(callback))
+  exportDatabase: (callback) => dispatch(exportDatabase(callback)),
+  exportProfile: (allyCode, callback) => dispatch(exportProfile(allyCode, callback)),
+  importProfile: (profileData) => dispatch(importProfile(profileData)),
+  undo: () => dispatch(undoProfileChange()),
+  redo: () => dispatch(redoProfileChange())
 });
 
 export default connect(mapStateToProps, mapDispatchToProps)(App);
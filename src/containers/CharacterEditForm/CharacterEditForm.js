@@ -7,9 +7,11 @@ import OptimizationPlan from "../../domain/OptimizationPlan";
 import {hideModal} from "../../state/actions/app";
 import {
   changeCharacterEditMode,
+  changeFormula,
   changeMinimumModDots,
   changeSetRestrictions,
   changeSliceMods,
+  changeTargetStats,
   deleteTarget,
   finishEditCharacterTarget,
   removeSetBonus,
@@ -21,7 +23,12 @@ import {
 import "./CharacterEditForm.css";
 import setBonuses from "../../constants/setbonuses";
 import TargetStat from "../../domain/TargetStat";
+import StatCap from "../../domain/StatCap";
+import ModSet from "../../domain/ModSet";
+import Stat from "../../domain/Stat";
 import characterSettings from "../../constants/characterSettings";
+import {checkFormula, formulaVariables} from "../../utils/scoringObjectives";
+import {formulaFunctions} from "../../utils/formula";
 
 class CharacterEditForm extends PureComponent {
   constructor(props) {
@@ -29,6 +36,12 @@ class CharacterEditForm extends PureComponent {
     if (!props.setRestrictions) {
       props.populateSetRestrictions(props.target.setRestrictions);
     }
+    if (!props.targetStats) {
+      props.changeTargetStats(props.target.targetStats);
+    }
+    if ('string' !== typeof props.formula) {
+      props.changeFormula(props.target.formula);
+    }
   }
 
   render() {
@@ -141,7 +154,10 @@ class CharacterEditForm extends PureComponent {
             }
           </div>
           <div className={'header-row group'}>
-            {this.targetStatForm(this.props.target.targetStat)}
+            {this.targetStatForm(this.props.targetStats || this.props.target.targetStats)}
+          </div>
+          <div className={'header-row group'}>
+            {this.statCapForm(target)}
           </div>
         </div>
         <div className={'column'}>
@@ -164,6 +180,9 @@ class CharacterEditForm extends PureComponent {
           </div>
           {'basic' === this.props.editMode && this.basicForm(target)}
           {'advanced' === this.props.editMode && this.advancedForm(target)}
+          <div className={'header-row group'}>
+            {this.formulaForm()}
+          </div>
         </div>
       </div>
       <div className={'actions'}>
@@ -228,12 +247,13 @@ class CharacterEditForm extends PureComponent {
   }
 
   /**
-   * Renders a form element for managing a target stat
+   * Renders a form element for managing the target stats. There is always at least one row, so that a target stat
+   * can be chosen without adding a row first.
    *
-   * @param targetStat {TargetStat}
+   * @param targetStats {Array<TargetStat>}
    * @returns {*}
    */
-  targetStatForm(targetStat) {
+  targetStatForm(targetStats) {
     const possibleTargetStats = [
       'Health',
       'Protection',
@@ -250,34 +270,165 @@ class CharacterEditForm extends PureComponent {
       'Accuracy',
       'Critical Avoidance'
     ];
+    const rows = targetStats.length ? targetStats : [new TargetStat('', '', '')];
+    const updateRow = (index, changes) => this.props.changeTargetStats(rows.map((targetStat, rowIndex) => {
+      if (rowIndex !== index) {
+        return targetStat;
+      }
+      const updated = Object.assign({}, targetStat, changes);
+      return new TargetStat(updated.stat, updated.minimum, updated.maximum, updated.relativeCharacterID);
+    }));
+    // A target stat can be relative to any other selected character. Only the ones optimized earlier can be used, but
+    // the order can still change before the optimizer is run, so that's checked then.
+    const otherCharacterIDs = Array.from(new Set(this.props.selectedCharacters.map(({id}) => id)))
+      .filter(characterID => characterID !== this.props.character.baseID);
+    const characterName = characterID =>
+      this.props.gameSettings[characterID] ? this.props.gameSettings[characterID].name : characterID;
 
     return <div>
-      <h4>Set a Target Stat:</h4>
+      <h4>Set Target Stats:</h4>
       <p><em>Note that adding a target stats makes the optimizer take a <strong>LONG</strong> time to complete.</em></p>
       <p>
         Setting a Target Stat will make the optimizer assume that all mods are being leveled to 15 for this character.
+        If you set more than one, every one of them has to be met. If they can't all be met at once, the ones lower in
+        the list are dropped first.
+      </p>
+      <p>
+        A target stat can also be set relative to another selected character, as long as that character comes earlier
+        in your list. For example, speed between -10 and -1 relative to your leader keeps this character just behind
+        them.
       </p>
+      {rows.map((targetStat, index) =>
+        <div className={'form-row center target-stat'} key={index}>
+          <select value={targetStat.stat} onChange={e => updateRow(index, {stat: e.target.value})}>
+            <option value={''}>No Target</option>
+            {possibleTargetStats.map(stat => <option key={stat} value={stat}>{stat}</option>)}
+          </select>
+          &nbsp;must be between&nbsp;
+          <input
+            type={'number'}
+            step={'any'}
+            value={targetStat.minimum}
+            onChange={e => updateRow(index, {minimum: e.target.value})}/>
+          &nbsp;and&nbsp;
+          <input
+            type={'number'}
+            step={'any'}
+            value={targetStat.maximum}
+            onChange={e => updateRow(index, {maximum: e.target.value})}/>
+          &nbsp;
+          <select value={targetStat.relativeCharacterID || ''}
+                  onChange={e => updateRow(index, {relativeCharacterID: e.target.value || null})}>
+            <option value={''}>in total</option>
+            {otherCharacterIDs.map(characterID =>
+              <option key={characterID} value={characterID}>relative to {characterName(characterID)}</option>
+            )}
+          </select>
+          {1 < rows.length &&
+          <button type={'button'}
+                  className={'small red'}
+                  onClick={() => this.props.changeTargetStats(rows.filter((row, rowIndex) => rowIndex !== index))}>
+            Remove
+          </button>
+          }
+        </div>
+      )}
       <div className={'form-row center'}>
-        <select name={'target-stat-name'} defaultValue={targetStat ? targetStat.stat : ''}>
-          <option value={''}>No Target</option>
-          {possibleTargetStats.map(stat => <option key={stat} value={stat}>{stat}</option>)}
-        </select>
-        &nbsp;must be between&nbsp;
-        <input
-          type={'number'}
-          step={'any'}
-          name={'target-stat-min'}
-          defaultValue={targetStat ? targetStat.minimum : ''}/>
-        &nbsp;and&nbsp;
-        <input
-          type={'number'}
-          step={'any'}
-          name={'target-stat-max'}
-          defaultValue={targetStat ? targetStat.maximum : ''}/>
+        <button type={'button'}
+                className={'small'}
+                onClick={() => this.props.changeTargetStats(rows.concat([new TargetStat('', '', '')]))}>
+          Add another target stat
+        </button>
       </div>
     </div>;
   }
 
+  /**
+   * Renders a form element for capping stats, along with where the character's current mods put each stat
+   *
+   * @param target {OptimizationPlan}
+   * @returns {*}
+   */
+  statCapForm(target) {
+    const character = this.props.character;
+    const summary = character.playerValues.baseStats ?
+      new ModSet(this.props.currentMods).getSummary(character, false) :
+      null;
+    const currentTotal = stat => {
+      if (!summary) {
+        return null;
+      }
+      const modStat = summary[Stat.displayNames[StatCap.characterStat(stat)]];
+      return StatCap.startingValue(character, stat) + (modStat ? modStat.value : 0);
+    };
+    const capValue = value => null === value ? '' : value;
+
+    return <div>
+      <h4>Cap Stats:</h4>
+      <p>
+        Above a soft cap, a stat only counts for part of its weight. Above a cap, it doesn't count at all. Both are on
+        the character's total for the stat, including what they have without mods.
+      </p>
+      <table className={'stat-caps'}>
+        <thead>
+        <tr>
+          <th>Stat</th>
+          <th>Current</th>
+          <th>Soft cap</th>
+          <th>Weight above</th>
+          <th>Cap</th>
+        </tr>
+        </thead>
+        <tbody>
+        {CharacterEditForm.cappableStats.map(stat => {
+          const statCap = target.statCaps[stat] || new StatCap();
+          const total = currentTotal(stat);
+
+          return <tr key={stat}>
+            <td>{Stat.displayNames[stat]}</td>
+            <td className={CharacterEditForm.capStatus(statCap, total)}>
+              {null === total ? '-' : Math.round(total * 100) / 100}
+            </td>
+            <td>
+              <input type={'number'} step={'any'} name={`${stat}-soft-cap`} defaultValue={capValue(statCap.softCap)}/>
+            </td>
+            <td>
+              <input type={'number'}
+                     min={0}
+                     max={100}
+                     step={'any'}
+                     name={`${stat}-soft-cap-weight`}
+                     defaultValue={statCap.softCapWeight * 100}/>%
+            </td>
+            <td>
+              <input type={'number'} step={'any'} name={`${stat}-cap`} defaultValue={capValue(statCap.cap)}/>
+            </td>
+          </tr>;
+        })}
+        </tbody>
+      </table>
+    </div>;
+  }
+
+  /**
+   * Describe where a total sits relative to a stat's caps, for use as a class name
+   *
+   * @param statCap {StatCap}
+   * @param total {Number|null}
+   * @returns {string}
+   */
+  static capStatus(statCap, total) {
+    if (null === total) {
+      return '';
+    } else if (null !== statCap.cap && total >= statCap.cap) {
+      return 'over-cap';
+    } else if (null !== statCap.softCap && total > statCap.softCap) {
+      return 'over-soft-cap';
+    } else {
+      return 'under-cap';
+    }
+  }
+
   /**
    * Renders a form for stat weights that uses range inputs between -100 and 100
    *
@@ -417,6 +568,29 @@ class CharacterEditForm extends PureComponent {
           max={100}
         />
       </div>
+      {this.objectivesInstructions()}
+      <div className={'form-row'}>
+        <label htmlFor="expectedDamage-stat">Expected Damage:</label>
+        <RangeInput
+          editable={true}
+          id={'expectedDamage-stat'}
+          name={'expectedDamage-stat'}
+          defaultValue={optimizationPlan.rawExpectedDamage}
+          min={-100}
+          max={100}
+        />
+      </div>
+      <div className={'form-row'}>
+        <label htmlFor="effectiveHealth-stat">Effective Health:</label>
+        <RangeInput
+          editable={true}
+          id={'effectiveHealth-stat'}
+          name={'effectiveHealth-stat'}
+          defaultValue={optimizationPlan.rawEffectiveHealth}
+          min={-100}
+          max={100}
+        />
+      </div>
     </div>;
   }
 
@@ -557,20 +731,108 @@ class CharacterEditForm extends PureComponent {
           defaultValue={optimizationPlan.critAvoid}
         />
       </div>
+      {this.objectivesInstructions()}
+      <div className={'form-row'}>
+        <label htmlFor="expectedDamage-stat-advanced">Expected Damage:</label>
+        <input
+          id={'expectedDamage-stat-advanced'}
+          name={'expectedDamage-stat-advanced'}
+          type={'number'}
+          step={.01}
+          defaultValue={optimizationPlan.expectedDamage}
+        />
+      </div>
+      <div className={'form-row'}>
+        <label htmlFor="effectiveHealth-stat-advanced">Effective Health:</label>
+        <input
+          id={'effectiveHealth-stat-advanced'}
+          name={'effectiveHealth-stat-advanced'}
+          type={'number'}
+          step={.01}
+          defaultValue={optimizationPlan.effectiveHealth}
+        />
+      </div>
+    </div>;
+  }
+
+  /**
+   * Renders an explanation of the composite objectives, shared by the basic and advanced forms
+   */
+  objectivesInstructions() {
+    return <div className={'instructions'}>
+      These values are for the whole character rather than a single stat. Expected damage is the damage of an average
+      hit, counting crit chance and crit damage, for the character's type of damage. Effective health is health plus
+      protection, increased by how much armor and resistance reduce the damage taken.
     </div>;
   }
 
+  /**
+   * Renders a form element for writing a formula to score mods with, and explains anything that's wrong with it as
+   * it's typed
+   *
+   * @returns {JSX Element}
+   */
+  formulaForm() {
+    const formula = this.currentFormula();
+    const error = formula.trim() ? checkFormula(formula) : null;
+
+    return <div className={'formula'}>
+      <h4>Scoring Formula:</h4>
+      <p className={'instructions'}>
+        For full control, write a formula for how good a character's total stats are. If there is a formula, it's used
+        instead of the stat weights, expected damage, effective health, and stat caps. You can use numbers, + - * / ^,
+        parentheses, the functions {formulaFunctions.join(', ')}, and these stats: {formulaVariables.join(', ')}.
+      </p>
+      <textarea
+        id={'formula'}
+        name={'formula'}
+        rows={3}
+        className={error ? 'invalid' : ''}
+        placeholder={'speed * 3 + min(potency, 100) + 0.5 * effectiveHealth'}
+        value={formula}
+        onChange={e => this.props.changeFormula(e.target.value)}
+      />
+      {error && <p className={'formula-error'}>{error}</p>}
+    </div>;
+  }
+
+  /**
+   * Get the formula as it's currently typed into the form
+   *
+   * @returns {String}
+   */
+  currentFormula() {
+    return 'string' === typeof this.props.formula ? this.props.formula : this.props.target.formula;
+  }
+
   saveTarget() {
+    const formula = this.currentFormula().trim();
+    // The problem with the formula is already shown under it, so there's nothing to do but wait for it to be fixed
+    if (formula && checkFormula(formula)) {
+      return;
+    }
+
     const planName = 'lock' !== this.form['plan-name'].value ? this.form['plan-name'].value : 'custom';
     let newTarget;
     let primaryStatRestrictions = {};
-    const targetStat = this.form['target-stat-name'].value ?
-      new TargetStat(
-        this.form['target-stat-name'].value,
-        +this.form['target-stat-min'].value,
-        +this.form['target-stat-max'].value
-      ) :
-      null;
+    const targetStats = (this.props.targetStats || this.props.target.targetStats)
+      .filter(targetStat => targetStat.stat)
+      .map(targetStat =>
+        new TargetStat(targetStat.stat, +targetStat.minimum, +targetStat.maximum, targetStat.relativeCharacterID)
+      );
+    const statCaps = {};
+    CharacterEditForm.cappableStats.forEach(stat => {
+      const softCap = this.form[`${stat}-soft-cap`].value;
+      const cap = this.form[`${stat}-cap`].value;
+
+      if ('' !== softCap || '' !== cap) {
+        statCaps[stat] = new StatCap(
+          '' === softCap ? null : +softCap,
+          (+this.form[`${stat}-soft-cap-weight`].value || 0) / 100,
+          '' === cap ? null : +cap
+        );
+      }
+    });
 
     for (let stat of ['arrow', 'triangle', 'circle', 'cross']) {
       if (this.form[`${stat}-primary`].value) {
@@ -595,11 +857,15 @@ class CharacterEditForm extends PureComponent {
         this.form['resistance-stat-advanced'].valueAsNumber * OptimizationPlan.statWeight.resistance,
         this.form['accuracy-stat-advanced'].valueAsNumber * OptimizationPlan.statWeight.accuracy,
         this.form['critAvoid-stat-advanced'].valueAsNumber * OptimizationPlan.statWeight.critAvoid,
-        this.form['upgrade-mods'].checked || null !== targetStat,
+        this.form['upgrade-mods'].checked || 0 < targetStats.length,
         primaryStatRestrictions,
         this.props.setRestrictions,
-        targetStat,
-        this.form['use-full-sets'].checked
+        targetStats,
+        this.form['use-full-sets'].checked,
+        statCaps,
+        this.form['expectedDamage-stat-advanced'].valueAsNumber * OptimizationPlan.statWeight.expectedDamage,
+        this.form['effectiveHealth-stat-advanced'].valueAsNumber * OptimizationPlan.statWeight.effectiveHealth,
+        formula
       );
     } else {
       // Basic form
@@ -618,11 +884,15 @@ class CharacterEditForm extends PureComponent {
         this.form['defense-stat'].valueAsNumber / 2,
         this.form['accuracy-stat'].valueAsNumber,
         this.form['critAvoid-stat'].valueAsNumber,
-        this.form['upgrade-mods'].checked || null !== targetStat,
+        this.form['upgrade-mods'].checked || 0 < targetStats.length,
         primaryStatRestrictions,
         this.props.setRestrictions,
-        targetStat,
-        this.form['use-full-sets'].checked
+        targetStats,
+        this.form['use-full-sets'].checked,
+        statCaps,
+        this.form['expectedDamage-stat'].valueAsNumber,
+        this.form['effectiveHealth-stat'].valueAsNumber,
+        formula
       );
     }
 
@@ -636,13 +906,22 @@ class CharacterEditForm extends PureComponent {
   }
 }
 
-const mapStateToProps = (state) => {
+const mapStateToProps = (state, ownProps) => {
   const mods = state.profile.mods;
+  // The mods the optimizer last chose for the character, or the ones they have equipped if it hasn't been run yet
+  const characterID = ownProps.character ? ownProps.character.baseID : null;
+  const assignedModIDs = characterID ? state.profile.modAssignments[characterID] : null;
 
   return {
+    currentMods: assignedModIDs ?
+      mods.filter(mod => assignedModIDs.includes(mod.id)) :
+      mods.filter(mod => characterID && mod.characterID === characterID),
     editMode: state.characterEditMode,
+    formula: state.formula,
     gameSettings: state.gameSettings,
+    selectedCharacters: state.profile.selectedCharacters,
     setRestrictions: state.setRestrictions,
+    targetStats: state.targetStats,
     arrowPrimaries: Array.from(new Set(mods.filter(mod => mod.slot === 'arrow').map(mod => mod.primaryStat.type))),
     trianglePrimaries:
       Array.from(new Set(mods.filter(mod => mod.slot === 'triangle').map(mod => mod.primaryStat.type))),
@@ -664,8 +943,27 @@ const mapDispatchToProps = (dispatch) => ({
   deleteTarget: (characterID, targetName) => dispatch(deleteTarget(characterID, targetName)),
   changeCharacterEditMode: (mode) => dispatch(changeCharacterEditMode(mode)),
   populateSetRestrictions: (setRestrictions) => dispatch(changeSetRestrictions(setRestrictions)),
+  changeTargetStats: (targetStats) => dispatch(changeTargetStats(targetStats)),
+  changeFormula: (formula) => dispatch(changeFormula(formula)),
   selectSetBonus: (setBonus) => dispatch(selectSetBonus(setBonus)),
   removeSetBonus: (setBonus) => dispatch(removeSetBonus(setBonus))
 });
 
+// The stats that can be given caps, by the names used for their weights in an OptimizationPlan
+CharacterEditForm.cappableStats = [
+  'health',
+  'protection',
+  'speed',
+  'critDmg',
+  'potency',
+  'tenacity',
+  'physDmg',
+  'specDmg',
+  'critChance',
+  'armor',
+  'resistance',
+  'accuracy',
+  'critAvoid'
+];
+
 export default connect(mapStateToProps, mapDispatchToProps)(CharacterEditForm);
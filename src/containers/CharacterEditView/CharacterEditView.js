@@ -6,6 +6,7 @@ import "./CharacterEditView.css";
 import CharacterList from "../CharacterList/CharacterList";
 import {hideModal, showModal} from "../../state/actions/app";
 import Sidebar from "../../components/Sidebar/Sidebar";
+import LoadoutPanel from "../LoadoutPanel/LoadoutPanel";
 import RangeInput from "../../components/RangeInput/RangeInput";
 import {
   changeCharacterFilter,
@@ -16,7 +17,8 @@ import {
   unselectAllCharacters,
   unselectCharacter,
   updateLockUnselectedCharacters,
-  updateModChangeThreshold
+  updateModChangeThreshold,
+  updateOptimizeGlobally
 } from "../../state/actions/characterEdit";
 import {changeOptimizerView} from "../../state/actions/review";
 import {optimizeMods} from "../../state/actions/optimize";
@@ -62,7 +64,12 @@ class CharacterEditView extends PureComponent {
 
   render() {
     return <div className={'character-edit'}>
-      <Sidebar content={[this.filterForm(), this.globalSettings(), this.sidebarActions()]}/>
+      <Sidebar content={[
+        this.filterForm(),
+        this.globalSettings(),
+        <LoadoutPanel key={'loadout-panel'}/>,
+        this.sidebarActions()
+      ]}/>
       <div className={'selected-characters'}>
         <h4>
           Selected Characters
@@ -134,6 +141,17 @@ class CharacterEditView extends PureComponent {
                defaultChecked={this.props.lockUnselectedCharacters}
                onChange={(event) => this.props.updateLockUnselectedCharacters(event.target.checked)}/>
       </div>
+      <div className={'form-row'}>
+        <label htmlFor={'optimize-globally'}>Optimize all selected characters together:</label>
+        <input type={'checkbox'}
+               id={'optimize-globally'}
+               defaultChecked={this.props.optimizeGlobally}
+               onChange={(event) => this.props.updateOptimizeGlobally(event.target.checked)}/>
+        <p className={'setting-description'}>
+          After giving each character the best mods left in order, trade mods between characters wherever that
+          improves the team as a whole. Characters higher in the list are still given more weight.
+        </p>
+      </div>
     </div>;
   }
 
@@ -149,7 +167,7 @@ class CharacterEditView extends PureComponent {
         type={'button'}
         onClick={() => {
           const selectedTargets = this.props.selectedCharacters.map(({target}) => target);
-          if (selectedTargets.some(target => null !== target.targetStat)) {
+          if (selectedTargets.some(target => 0 < target.targetStats.length)) {
             this.props.showModal('notice', this.optimizeWithTargetsModal());
           } else {
             this.props.optimizeMods();
@@ -349,6 +367,7 @@ const mapStateToProps = (state) => {
     mods: profile.mods,
     modChangeThreshold: profile.globalSettings.modChangeThreshold,
     lockUnselectedCharacters: profile.globalSettings.lockUnselectedCharacters,
+    optimizeGlobally: profile.globalSettings.optimizeGlobally || false,
     characterFilter: state.characterFilter,
     gameSettings: state.gameSettings,
     highlightedCharacters: availableCharacters.filter(characterFilter),
@@ -372,7 +391,8 @@ const mapDispatchToProps = dispatch => ({
   updateLockUnselectedCharacters: (lock) => dispatch(updateLockUnselectedCharacters(lock)),
   resetAllCharacterTargets: () => dispatch(resetAllCharacterTargets()),
   optimizeMods: () => dispatch(optimizeMods()),
-  updateModChangeThreshold: (threshold) => dispatch(updateModChangeThreshold(threshold))
+  updateModChangeThreshold: (threshold) => dispatch(updateModChangeThreshold(threshold)),
+  updateOptimizeGlobally: (optimizeGlobally) => dispatch(updateOptimizeGlobally(optimizeGlobally))
 });
 
 export default connect(mapStateToProps, mapDispatchToProps)(CharacterEditView);
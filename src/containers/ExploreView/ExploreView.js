@@ -8,8 +8,13 @@ import ModFilter from '../../components/ModFilter/ModFilter';
 import './ExploreView.css';
 import {connect} from "react-redux";
 import Sidebar from "../../components/Sidebar/Sidebar";
+import FileInput from "../../components/FileInput/FileInput";
+import {saveAs} from 'file-saver';
+import {importModsFromCsv} from "../../state/actions/explore";
+import {modsToCsv} from "../../utils/modCsv";
 
 import offenseScore from "../../utils/subjectiveScoring";
+import {projectedPotential, rollEfficiency} from "../../utils/modPotential";
 
 class ExploreView extends React.PureComponent {
   render() {
@@ -20,7 +25,7 @@ class ExploreView extends React.PureComponent {
 
     return (
       [
-        <Sidebar key={'sidebar'} content={ExploreView.sidebar()} />,
+        <Sidebar key={'sidebar'} content={[this.sidebarActions(), ExploreView.sidebar()]} />,
         <div className='mods' key={'mods'}>
           <h3>Showing {this.props.displayedMods.length} out of {this.props.modCount} mods.</h3>
           {modElements}
@@ -29,6 +34,29 @@ class ExploreView extends React.PureComponent {
     );
   }
 
+  /**
+   * Render a sidebar box for moving the mod inventory to and from a spreadsheet
+   * @returns JSX Element
+   */
+  sidebarActions() {
+    return <div className={'sidebar-actions'} key={'sidebar-actions'}>
+      <h3>Spreadsheets</h3>
+      <button type={'button'} onClick={() => {
+        const csv = modsToCsv(this.props.mods, this.props.gameSettings);
+        const modsFile = new Blob([csv], {type: 'text/csv;charset=utf-8'});
+        saveAs(modsFile, `modsOptimizer-mods-${(new Date()).toISOString().slice(0, 10)}.csv`);
+      }}>
+        Export mods to CSV
+      </button>
+      <FileInput label={'Import mods from CSV'}
+                 handler={file => {
+                   const reader = new FileReader();
+                   reader.onload = event => this.props.importModsFromCsv(event.target.result);
+                   reader.readAsText(file);
+                 }}/>
+    </div>;
+  }
+
   /**
    * Render the sidebar content
    * @returns {*}
@@ -47,7 +75,7 @@ const getFilteredMods = memoize(
     const selectedOptions = {};
     const unselectedOptions = {};
 
-    Object.entries(filter).filter(([type]) => 'sort' !== type).forEach(([type, values]) => {
+    Object.entries(filter).filter(([type]) => !['sort', 'rollEfficiency'].includes(type)).forEach(([type, values]) => {
       selectedOptions[type] = Object.entries(values).filter(([option, value]) => 1 === value)
         .map(([option]) => isNaN(option) ? option : +option);
       unselectedOptions[type] = Object.entries(values).filter(([option, value]) => -1 === value)
@@ -124,6 +152,14 @@ const getFilteredMods = memoize(
         mod => mod.secondaryStats.every(stat => !unselectedOptions.secondary.includes(stat.type))
       );
     }
+    if (0 < filter.rollEfficiency.min || 100 > filter.rollEfficiency.max) {
+      filteredMods = filteredMods.filter(mod => {
+        const efficiency = rollEfficiency(mod);
+        return null !== efficiency &&
+          filter.rollEfficiency.min <= efficiency &&
+          filter.rollEfficiency.max >= efficiency;
+      });
+    }
 
     switch (filter.sort) {
       case 'rolls':
@@ -142,6 +178,22 @@ const getFilteredMods = memoize(
           return rightValue - leftValue;
         });
         break;
+      case 'rollEfficiency':
+        filteredMods = filteredMods.sort((left, right) => {
+          const leftValue = rollEfficiency(left);
+          const rightValue = rollEfficiency(right);
+
+          return (null === rightValue ? -1 : rightValue) - (null === leftValue ? -1 : leftValue);
+        });
+        break;
+      case 'potential':
+        filteredMods = filteredMods.sort((left, right) => {
+          const leftValue = projectedPotential(left);
+          const rightValue = projectedPotential(right);
+
+          return rightValue - leftValue;
+        });
+        break;
       case 'character':
         filteredMods = filteredMods.sort((left, right) => {
           const leftChar = left.characterID ? characters[left.characterID] : null;
@@ -182,10 +234,14 @@ const mapStateToProps = (state) => {
   return {
     characters: profile.characters,
     displayedMods: mods,
+    gameSettings: state.gameSettings,
+    mods: profile.mods,
     modCount: profile.mods.length
   };
 };
 
-const mapDispatchToProps = () => ({});
+const mapDispatchToProps = (dispatch) => ({
+  importModsFromCsv: csvText => dispatch(importModsFromCsv(csvText))
+});
 
 export default connect(mapStateToProps, mapDispatchToProps)(ExploreView);
@@ -0,0 +1,242 @@
+// @flow
+
+import React from "react";
+import memoize from "memoize-one";
+import {connect} from "react-redux";
+import ModImage from "../../components/ModImage/ModImage";
+import ModStats from "../../components/ModStats/ModStats";
+import Sidebar from "../../components/Sidebar/Sidebar";
+import {changeHistoryBaseline, loadSnapshots} from "../../state/actions/history";
+import ProfileSnapshot from "../../domain/ProfileSnapshot";
+import {compareSnapshots, speedHistory} from "../../utils/snapshotDiff";
+
+import '../ExploreView/ExploreView.css';
+import './HistoryView.css';
+
+/**
+ * Shows how a player's mods and their characters' speeds changed between the times their data was fetched
+ */
+class HistoryView extends React.PureComponent {
+  componentDidMount() {
+    this.props.loadSnapshots(this.props.allyCode);
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.allyCode !== this.props.allyCode) {
+      this.props.loadSnapshots(this.props.allyCode);
+    }
+  }
+
+  render() {
+    if (!this.props.baseline) {
+      return [
+        <Sidebar key={'sidebar'} content={this.sidebar()}/>,
+        <div className={'mods history'} key={'history'}>
+          <h3>
+            Your history starts the first time you fetch your data. Fetch it again later to see what changed in
+            between.
+          </h3>
+        </div>
+      ];
+    }
+
+    const changes = this.props.changes;
+
+    return [
+      <Sidebar key={'sidebar'} content={this.sidebar()}/>,
+      <div className={'mods history'} key={'history'}>
+        <h2>
+          Changes from {HistoryView.formatTime(this.props.baseline.timestamp)} to
+          {' '}{HistoryView.formatTime(this.props.latest.timestamp)}
+        </h2>
+        {this.modSection('New mods', changes.newMods, mod => this.modBlock(mod))}
+        {this.modSection('Sold mods', changes.soldMods, mod => this.modBlock(mod))}
+        {this.modSection('Leveled mods', changes.leveledMods, ({before, after}) =>
+          this.modBlock(after, `Level ${before.level}`, `Level ${after.level}`)
+        )}
+        {this.modSection('Sliced mods', changes.slicedMods, ({before, after}) =>
+          this.modBlock(after, HistoryView.rarity(before), HistoryView.rarity(after))
+        )}
+        {this.modSection('Rolled secondaries', changes.rolledMods, ({after, rolls}) =>
+          <div className={'history-mod'} key={after.id}>
+            <ModImage mod={after}/>
+            <ul className={'rolls'}>
+              {rolls.map(roll =>
+                <li key={roll.type}>
+                  {roll.type}: {null === roll.before ? 'new' : roll.before} → {roll.after}
+                </li>
+              )}
+            </ul>
+          </div>
+        )}
+        {this.speedSection()}
+      </div>
+    ];
+  }
+
+  /**
+   * Render one kind of change, or nothing if there weren't any changes of that kind
+   * @param title {string}
+   * @param entries {Array<*>}
+   * @param renderEntry {function(*): *}
+   * @returns JSX Element
+   */
+  modSection(title, entries, renderEntry) {
+    if (!entries.length) {
+      return null;
+    }
+
+    return <div className={'history-section'}>
+      <h3>{title} ({entries.length})</h3>
+      {entries.map(renderEntry)}
+    </div>;
+  }
+
+  /**
+   * Render a single mod, optionally with how it changed
+   * @param mod {Mod}
+   * @param before {string}
+   * @param after {string}
+   * @returns JSX Element
+   */
+  modBlock(mod, before, after) {
+    return <div className={'history-mod'} key={mod.id}>
+      <ModImage mod={mod}/>
+      {before ?
+        <p className={'change'}>{before} → {after}</p> :
+        <ModStats mod={mod} showAvatar/>
+      }
+    </div>;
+  }
+
+  /**
+   * Render how each character's speed changed over every snapshot
+   * @returns JSX Element
+   */
+  speedSection() {
+    const changedSpeeds = this.props.speeds.filter(({change}) => 0 !== change);
+
+    if (!changedSpeeds.length) {
+      return null;
+    }
+
+    return <div className={'history-section'}>
+      <h3>Speed over time</h3>
+      <table className={'speed-history'}>
+        <tbody>
+        {changedSpeeds.map(({characterID, speeds, change}) =>
+          <tr key={characterID}>
+            <th>{this.characterName(characterID)}</th>
+            <td className={0 < change ? 'increase' : 'decrease'}>{0 < change ? `+${change}` : change}</td>
+            <td className={'speeds'}>{speeds.map(({speed}) => speed).join(' → ')}</td>
+          </tr>
+        )}
+        </tbody>
+      </table>
+    </div>;
+  }
+
+  /**
+   * Get the name to show for a character
+   * @param characterID {string}
+   * @returns {string}
+   */
+  characterName(characterID) {
+    return this.props.gameSettings[characterID] ? this.props.gameSettings[characterID].name : characterID;
+  }
+
+  /**
+   * Render the sidebar content
+   * @returns {*}
+   */
+  sidebar() {
+    const earlierSnapshots = this.props.snapshots.slice(0, -1).reverse();
+
+    return <div className={'history-settings'} key={'history-settings'}>
+      <p>
+        A snapshot of your mods and speeds is saved every time you fetch your data. The last
+        {' '}{ProfileSnapshot.maxPerProfile} are kept.
+      </p>
+      {0 < earlierSnapshots.length &&
+      <div>
+        <label htmlFor={'history-baseline'}>Compare your latest fetch to:</label>
+        <select id={'history-baseline'}
+                value={this.props.baseline ? this.props.baseline.timestamp : ''}
+                onChange={e => this.props.changeBaseline(+e.target.value)}>
+          {earlierSnapshots.map(snapshot =>
+            <option key={snapshot.timestamp} value={snapshot.timestamp}>
+              {HistoryView.formatTime(snapshot.timestamp)}
+            </option>
+          )}
+        </select>
+      </div>
+      }
+      {this.props.keepOldMods &&
+      <p>
+        "Remember existing mods" is on, so mods that you've sold are kept after each fetch and won't show up here as
+        sold.
+      </p>
+      }
+    </div>;
+  }
+
+  /**
+   * @param mod {Object} A mod in the compact form kept in a snapshot
+   * @returns {string}
+   */
+  static rarity(mod) {
+    return `${mod.pips}-dot, tier ${'EDCBA'.charAt(mod.tier - 1)}`;
+  }
+
+  /**
+   * @param timestamp {number}
+   * @returns {string}
+   */
+  static formatTime(timestamp) {
+    return (new Date(timestamp)).toLocaleString();
+  }
+}
+
+/**
+ * Turn every mod in a set of changes back into a full Mod, so that it can be displayed
+ */
+const getChanges = memoize((baseline, latest) => {
+  const changes = compareSnapshots(baseline, latest);
+  const expandPair = ({before, after}) => ({before: before, after: ProfileSnapshot.expandMod(after)});
+
+  return {
+    newMods: changes.newMods.map(ProfileSnapshot.expandMod),
+    soldMods: changes.soldMods.map(ProfileSnapshot.expandMod),
+    leveledMods: changes.leveledMods.map(expandPair),
+    slicedMods: changes.slicedMods.map(expandPair),
+    rolledMods: changes.rolledMods.map(change => Object.assign(expandPair(change), {rolls: change.rolls}))
+  };
+});
+
+const getSpeedHistory = memoize(speedHistory);
+
+const mapStateToProps = (state) => {
+  const snapshots = state.snapshots;
+  const latest = snapshots.length ? snapshots[snapshots.length - 1] : null;
+  const chosenBaseline =
+    snapshots.find(snapshot => snapshot !== latest && snapshot.timestamp === state.historyBaseline);
+  const baseline = chosenBaseline || (1 < snapshots.length ? snapshots[snapshots.length - 2] : null);
+
+  return {
+    allyCode: state.allyCode,
+    baseline: baseline,
+    changes: baseline ? getChanges(baseline, latest) : null,
+    gameSettings: state.gameSettings,
+    keepOldMods: state.keepOldMods,
+    latest: latest,
+    snapshots: snapshots,
+    speeds: getSpeedHistory(snapshots)
+  };
+};
+
+const mapDispatchToProps = (dispatch) => ({
+  changeBaseline: timestamp => dispatch(changeHistoryBaseline(timestamp)),
+  loadSnapshots: allyCode => dispatch(loadSnapshots(allyCode))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(HistoryView);
@@ -0,0 +1,121 @@
+// @flow
+
+import React from "react";
+import {connect} from "react-redux";
+import ModDetail from "../../components/ModDetail/ModDetail";
+import CharacterAvatar from "../../components/CharacterAvatar/CharacterAvatar";
+import Arrow from "../../components/Arrow/Arrow";
+import Sidebar from "../../components/Sidebar/Sidebar";
+import {changeOptimizerView} from "../../state/actions/review";
+import {switchLoadout} from "../../state/actions/loadouts";
+import Loadout from "../../domain/Loadout";
+import getLoadoutMoves from "../../utils/loadoutDiff";
+
+import './LoadoutDiff.css';
+
+class LoadoutDiff extends React.PureComponent {
+  render() {
+    if (!this.props.from || !this.props.to) {
+      return (
+        <div className={'loadout-diff'}>
+          <Sidebar content={this.sidebarActions()}/>
+          <h2>Choose two loadouts to compare from the sidebar.</h2>
+        </div>
+      );
+    }
+
+    const rows = this.props.moves.map(({mod, fromCharacterID, toCharacterID}) =>
+      <div className={'mod-row individual'} key={mod.id}>
+        {this.characterBlock(fromCharacterID)}
+        <Arrow/>
+        <ModDetail mod={mod} character={null}/>
+        <Arrow/>
+        {this.characterBlock(toCharacterID)}
+      </div>
+    );
+
+    return (
+      <div className={'loadout-diff'}>
+        <Sidebar content={this.sidebarActions()}/>
+        <h2>Switching from {this.props.from.name} to {this.props.to.name}</h2>
+        <h3>
+          {0 === rows.length ?
+            'No mods need to move.' :
+            `${rows.length} ${1 === rows.length ? 'mod needs' : 'mods need'} to move.`}
+        </h3>
+        <div className={'mods-list'}>
+          {rows}
+        </div>
+      </div>
+    );
+  }
+
+  /**
+   * Render the character that a mod is on, or a note if it isn't on any character
+   * @param characterID {string|null}
+   * @returns JSX Element
+   */
+  characterBlock(characterID) {
+    const character = characterID ? this.props.characters[characterID] : null;
+
+    if (!character) {
+      return <div className={'unassigned'}>Unequipped</div>;
+    }
+
+    return <div className={'character-id'}>
+      <CharacterAvatar character={character}/>
+      <h3>
+        {this.props.gameSettings[character.baseID] ?
+          this.props.gameSettings[character.baseID].name :
+          character.baseID}
+      </h3>
+    </div>;
+  }
+
+  /**
+   * Renders a sidebar box with action buttons
+   *
+   * @returns JSX Element
+   */
+  sidebarActions() {
+    return <div className={'sidebar-actions'} key={'sidebar-actions'}>
+      <h3>Actions</h3>
+      {this.props.to && this.props.to.name !== this.props.activeLoadout &&
+      <button type={'button'} onClick={() => this.props.switchLoadout(this.props.to.name)}>
+        Switch to {this.props.to.name}
+      </button>
+      }
+      <button type={'button'} onClick={this.props.back}>
+        Edit my selected characters
+      </button>
+    </div>
+  }
+}
+
+const mapStateToProps = (state) => {
+  const profile = state.profile;
+  const comparison = state.loadoutComparison;
+  // The active loadout may have changed since it was last saved, so use what's in the profile for it instead
+  const findLoadout = name => name === profile.activeLoadout ?
+    Loadout.fromProfile(name, profile) :
+    state.loadouts.find(loadout => loadout.name === name);
+
+  const from = comparison ? findLoadout(comparison.from) : null;
+  const to = comparison ? findLoadout(comparison.to) : null;
+
+  return {
+    activeLoadout: profile.activeLoadout,
+    characters: profile.characters,
+    gameSettings: state.gameSettings,
+    from: from,
+    to: to,
+    moves: from && to ? getLoadoutMoves(from, to, profile.mods) : []
+  };
+};
+
+const mapDispatchToProps = (dispatch) => ({
+  back: () => dispatch(changeOptimizerView('edit')),
+  switchLoadout: name => dispatch(switchLoadout(name))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(LoadoutDiff);
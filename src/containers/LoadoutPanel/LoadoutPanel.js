@@ -0,0 +1,102 @@
+// @flow
+
+import React from "react";
+import {connect} from "react-redux";
+import {compareLoadouts, deleteLoadout, loadLoadouts, saveLoadout, switchLoadout} from "../../state/actions/loadouts";
+
+import './LoadoutPanel.css';
+
+/**
+ * A sidebar box that lets the player save the current characters, targets, and assignments as a named loadout, switch
+ * between loadouts, and compare two of them
+ */
+class LoadoutPanel extends React.PureComponent {
+  componentDidMount() {
+    this.props.loadLoadouts(this.props.allyCode);
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.allyCode !== this.props.allyCode) {
+      this.props.loadLoadouts(this.props.allyCode);
+    }
+  }
+
+  render() {
+    let nameInput, fromSelect, toSelect;
+    const loadoutNames = this.props.loadouts.map(loadout => loadout.name);
+
+    const loadoutRows = this.props.loadouts.map(loadout => {
+      const isActive = loadout.name === this.props.activeLoadout;
+
+      return <li key={loadout.name} className={isActive ? 'active' : ''}>
+        <span className={'loadout-name'}>{loadout.name}</span>
+        <button type={'button'}
+                className={'small'}
+                disabled={isActive}
+                onClick={() => this.props.switchLoadout(loadout.name)}>
+          Switch
+        </button>
+        <button type={'button'} className={'small red'} onClick={() => this.props.deleteLoadout(loadout.name)}>
+          Delete
+        </button>
+      </li>;
+    });
+
+    const loadoutOptions = loadoutNames.map(name => <option value={name} key={name}>{name}</option>);
+
+    return <div className={'loadout-panel'} key={'loadout-panel'}>
+      <h3>Loadouts</h3>
+      <div className={'current-loadout'}>
+        {this.props.activeLoadout ?
+          `Using loadout: ${this.props.activeLoadout}` :
+          'The current characters aren\'t saved as a loadout'}
+      </div>
+      {0 < loadoutRows.length && <ul>{loadoutRows}</ul>}
+      <div className={'form-row'}>
+        <input type={'text'}
+               placeholder={'Loadout name'}
+               defaultValue={this.props.activeLoadout || ''}
+               key={this.props.activeLoadout || ''}
+               ref={input => nameInput = input}/>
+        <button type={'button'}
+                className={'small'}
+                onClick={() => nameInput.value.trim() && this.props.saveLoadout(nameInput.value.trim())}>
+          Save
+        </button>
+      </div>
+      {1 < loadoutNames.length &&
+      <div className={'form-row'}>
+        <select defaultValue={this.props.activeLoadout || loadoutNames[0]} ref={select => fromSelect = select}>
+          {loadoutOptions}
+        </select>
+        <span>to</span>
+        <select defaultValue={loadoutNames.find(name => name !== this.props.activeLoadout)}
+                ref={select => toSelect = select}>
+          {loadoutOptions}
+        </select>
+      </div>
+      }
+      {1 < loadoutNames.length &&
+      <button type={'button'} onClick={() => this.props.compareLoadouts(fromSelect.value, toSelect.value)}>
+        Show mods that move
+      </button>
+      }
+    </div>;
+  }
+}
+
+const mapStateToProps = (state) => ({
+  activeLoadout: state.profile.activeLoadout,
+  allyCode: state.profile.allyCode,
+  loadouts: state.loadouts
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  compareLoadouts: (from, to) => dispatch(compareLoadouts(from, to)),
+  deleteLoadout: name => dispatch(deleteLoadout(name)),
+  loadLoadouts: allyCode => dispatch(loadLoadouts(allyCode)),
+  saveLoadout: name => dispatch(saveLoadout(name)),
+  switchLoadout: name => dispatch(switchLoadout(name))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(LoadoutPanel);
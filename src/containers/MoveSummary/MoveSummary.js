@@ -0,0 +1,73 @@
+// @flow
+
+import React from "react";
+import {connect} from "react-redux";
+import {saveAs} from 'file-saver';
+import copyToClipboard from "../../utils/clipboard";
+import movePlanExporters from "../../utils/movePlanExporters";
+import {hideModal} from "../../state/actions/app";
+import {changeMovePlanFormat} from "../../state/actions/review";
+
+import './MoveSummary.css';
+
+/**
+ * Modal content that shows the mods to move in any of the move plan formats, ready to be copied or downloaded
+ */
+class MoveSummary extends React.PureComponent {
+  render() {
+    const exporter = movePlanExporters[this.props.format] || movePlanExporters.text;
+    const chunks = exporter.export(this.props.plan);
+
+    return <div className={'move-summary'}>
+      <h2>Move Summary</h2>
+      <div className={'form-row'}>
+        <label htmlFor={'move-plan-format'}>Format:</label>
+        <select id={'move-plan-format'}
+                value={this.props.format}
+                onChange={e => this.props.changeFormat(e.target.value)}>
+          {Object.entries(movePlanExporters).map(([format, {name}]) =>
+            <option key={format} value={format}>{name}</option>
+          )}
+        </select>
+      </div>
+      <div className={'chunks'}>
+        {chunks.map((chunk, index) =>
+          <div className={'chunk'} key={index}>
+            {1 < chunks.length &&
+            <div className={'chunk-header'}>
+              Message {index + 1} of {chunks.length}
+              <button type={'button'} className={'small'} onClick={() => copyToClipboard(chunk)}>Copy</button>
+            </div>
+            }
+            <pre className={'summary'}>{chunk}</pre>
+          </div>
+        )}
+      </div>
+      <div className={'actions'}>
+        {1 === chunks.length &&
+        <button type={'button'} onClick={() => copyToClipboard(chunks[0])}>
+          Copy to Clipboard
+        </button>
+        }
+        <button type={'button'} onClick={() => {
+          const file = new Blob([chunks.join('\r\n\r\n')], {type: `${exporter.mimeType};charset=utf-8`});
+          saveAs(file, `modsOptimizer-moves-${(new Date()).toISOString().slice(0, 10)}.${exporter.extension}`);
+        }}>
+          Download
+        </button>
+        <button type={'button'} onClick={this.props.hideModal}>OK</button>
+      </div>
+    </div>;
+  }
+}
+
+const mapStateToProps = (state) => ({
+  format: state.movePlanFormat
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  changeFormat: format => dispatch(changeMovePlanFormat(format)),
+  hideModal: () => dispatch(hideModal())
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(MoveSummary);
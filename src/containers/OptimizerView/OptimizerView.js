@@ -3,6 +3,8 @@
 import React, {PureComponent} from "react";
 import ReviewList from "../ReviewList/ReviewList";
 import ReviewSets from "../ReviewSets/ReviewSets";
+import ReviewUpgrades from "../ReviewUpgrades/ReviewUpgrades";
+import LoadoutDiff from "../LoadoutDiff/LoadoutDiff";
 import CharacterEditView from "../CharacterEditView/CharacterEditView";
 
 import "./OptimizerView.css";
@@ -23,6 +25,12 @@ class OptimizerView extends PureComponent {
         {'mods' === this.props.view &&
         <ReviewList/>
         }
+        {'upgrades' === this.props.view &&
+        <ReviewUpgrades/>
+        }
+        {'loadouts' === this.props.view &&
+        <LoadoutDiff/>
+        }
       </div>
     );
   }
@@ -0,0 +1,91 @@
+// @flow
+
+import React from "react";
+import {connect} from "react-redux";
+import {dismissRefreshStatus} from "../../state/actions/data";
+
+import './RefreshStatus.css';
+
+const stepNames = {
+  characters: 'Character definitions',
+  profile: 'Characters and mods',
+  stats: 'Character stats'
+};
+
+const statusNames = {
+  pending: 'Waiting',
+  running: 'Fetching...',
+  retrying: 'Retrying',
+  done: 'Done',
+  failed: 'Failed',
+  skipped: 'Skipped'
+};
+
+/**
+ * A panel that shows how each step of fetching player data is going, and what's missing once it's done
+ */
+class RefreshStatus extends React.PureComponent {
+  render() {
+    if (!this.props.refreshStatus) {
+      return null;
+    }
+
+    const steps = Object.keys(stepNames).filter(step => this.props.refreshStatus[step]);
+    const isFinished = steps.every(step =>
+      ['done', 'failed', 'skipped'].includes(this.props.refreshStatus[step].status)
+    );
+
+    return <div className={'refresh-status'}>
+      <h3>{isFinished ? 'Finished fetching your data' : 'Fetching your data'}</h3>
+      <ul>
+        {steps.map(step => this.stepRow(step, this.props.refreshStatus[step]))}
+      </ul>
+      {isFinished &&
+      <div className={'actions'}>
+        <button type={'button'} className={'small'} onClick={this.props.dismiss}>Dismiss</button>
+      </div>
+      }
+    </div>;
+  }
+
+  /**
+   * Renders the status of a single step
+   *
+   * @param step {string}
+   * @param stepStatus {{status: string, attempt: number, message: string|null, missingCharacters: Array<string>}}
+   * @returns JSX Element
+   */
+  stepRow(step, stepStatus) {
+    const missingCharacters = stepStatus.missingCharacters || [];
+
+    return <li key={step}>
+      <span className={'step-name'}>{stepNames[step]}</span>
+      <span className={`step-status ${stepStatus.status}`}>
+        {statusNames[stepStatus.status]}
+        {'retrying' === stepStatus.status && ` (attempt ${stepStatus.attempt})`}
+      </span>
+      {stepStatus.message && <div className={'message'}>{stepStatus.message}</div>}
+      {0 < missingCharacters.length &&
+      <div className={'missing-stats'}>
+        <span className={'failed'}>
+          No stats could be found for these characters, so any targets for them won't be accurate:
+        </span> {missingCharacters.map(characterID => this.props.gameSettings[characterID] ?
+          this.props.gameSettings[characterID].name :
+          characterID
+        ).join(', ')}
+      </div>
+      }
+    </li>;
+  }
+}
+
+const mapStateToProps = (state) => ({
+  refreshStatus: state.refreshStatus,
+  gameSettings: state.gameSettings
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  dismiss: () => dispatch(dismissRefreshStatus())
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(RefreshStatus);
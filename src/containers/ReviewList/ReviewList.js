@@ -9,7 +9,6 @@ import Arrow from "../../components/Arrow/Arrow";
 import Toggle from "../../components/Toggle/Toggle";
 import ModSet from "../../domain/ModSet";
 import ModSetView from "../../components/ModSetView/ModSetView";
-import copyToClipboard from "../../utils/clipboard"
 import {connect} from "react-redux";
 import {mapObject, mapObjectByKeyAndValue} from "../../utils/mapObject";
 import groupByKey from "../../utils/groupByKey";
@@ -23,8 +22,10 @@ import {
   unequipMod,
   unequipMods
 } from "../../state/actions/review";
-import {hideModal, showModal} from "../../state/actions/app";
+import {showModal} from "../../state/actions/app";
 import Sidebar from "../../components/Sidebar/Sidebar";
+import MoveSummary from "../MoveSummary/MoveSummary";
+import {getMovePlan} from "../../utils/movePlanExporters";
 
 const sortOptions = {
   'currentCharacter': 'currentCharacter',
@@ -70,6 +71,12 @@ class ReviewList extends React.PureComponent {
         <div className={'review-list'}>
           <Sidebar content={this.fullSidebar()}/>
           <h2>Reassigning {this.props.numMovingMods} mods {summaryButton}</h2>
+          {this.props.globalOptimization &&
+          <h3>
+            Optimizing all characters together improved the total value of your selected characters by
+            {' '}{this.props.globalOptimization.gain.toFixed(2)}% over optimizing them in order.
+          </h3>
+          }
           {(0 < this.props.displayedMods.length) &&
           <div className={'mods-list'}>
             {modRows}
@@ -217,6 +224,10 @@ class ReviewList extends React.PureComponent {
       <button type={'button'} onClick={this.props.back}>
         Show me the mod sets
       </button>
+      <h3>What should I spend my credits on?</h3>
+      <button type={'button'} onClick={this.props.showUpgrades}>
+        Show me the best upgrades
+      </button>
     </div>
   }
 
@@ -235,49 +246,11 @@ class ReviewList extends React.PureComponent {
 
   /**
    * Render a modal with a copy-paste-able review of the mods to move
-   * @returns Array[JSX Element]
+   * @returns JSX Element
    */
   reviewModal() {
-    return <div key={'summary_modal_content'}>
-      <h2>Move Summary</h2>
-      <pre id="summary_pre" className={'summary'}>
-        {this.summaryListContent()}
-      </pre>
-      <div className={'actions'}>
-        <button type={'button'} onClick={() => this.copySummaryToClipboard()}>
-          Copy to Clipboard
-        </button>
-        <button type={'button'} onClick={this.props.hideModal}>OK</button>
-      </div>
-    </div>;
-  }
-
-  /**
-   * Copies the summary display text into the clipboard
-   */
-  copySummaryToClipboard() {
-    copyToClipboard(this.summaryListContent());
-  };
-
-  summaryListContent() {
-    const capitalize = function(str) {
-      return str.charAt(0).toUpperCase() + str.slice(1);
-    };
-
-    return Object.values(mapObjectByKeyAndValue(this.props.movingModAssignments, (assignedCharacterID, mods) => {
-      const assignedCharacter = this.props.characters[assignedCharacterID];
-
-      return [
-        this.props.gameSettings[assignedCharacter.baseID] ?
-          this.props.gameSettings[assignedCharacter.baseID].name :
-          assignedCharacter.baseID
-      ].concat(
-        mods.map(mod => {
-          const moveFrom = mod.characterID ? this.props.gameSettings[mod.characterID].name : 'your unassigned mods';
-          return `Move ${capitalize(mod.set.name)}(${mod.primaryStat.type}) ${capitalize(mod.slot)} from ${moveFrom}.`;
-        })
-      ).join('\r\n');
-    })).join('\r\n\r\n');
+    return <MoveSummary key={'summary_modal_content'}
+                        plan={getMovePlan(this.props.movingModAssignments, this.props.gameSettings)}/>;
   }
 }
 
@@ -345,20 +318,23 @@ const mapStateToProps = (state) => {
     movingModAssignments: movingModsByAssignedCharacter,
     numMovingMods: characterModPairs.length,
     filter: state.modListFilter,
-    tags: tags
+    tags: tags,
+    globalOptimization: state.globalOptimization && state.globalOptimization.allyCode === profile.allyCode ?
+      state.globalOptimization :
+      null
   };
 };
 
 const mapDispatchToProps = (dispatch) => ({
   edit: () => dispatch(changeOptimizerView('edit')),
   back: () => dispatch(changeOptimizerView('sets')),
+  showUpgrades: () => dispatch(changeOptimizerView('upgrades')),
   changeFilter: (filter) => dispatch(changeModListFilter(filter)),
   unequipMod: (modID) => dispatch(unequipMod(modID)),
   reassignMod: (modID, characterID) => dispatch(reassignMod(modID, characterID)),
   unequipMods: (modIDs) => dispatch(unequipMods(modIDs)),
   reassignMods: (modIDs, characterID) => dispatch(reassignMods(modIDs, characterID)),
-  showModal: (clazz, content) => dispatch(showModal(clazz, content)),
-  hideModal: () => dispatch(hideModal())
+  showModal: (clazz, content) => dispatch(showModal(clazz, content))
 });
 
 export default connect(mapStateToProps, mapDispatchToProps)(ReviewList);
@@ -16,105 +16,14 @@ import collectByKey from "../../utils/collectByKey";
 import groupByKey from "../../utils/groupByKey";
 import {changeModSetFilter, changeOptimizerView} from "../../state/actions/review";
 import Sidebar from "../../components/Sidebar/Sidebar";
+import {modRemovalCosts, modUpgradeCosts} from "../../constants/modCosts";
 
-// A map from number of pips that a mod has to the cost to remove (but not destroy) it
-const modRemovalCosts = {
-  1: 550,
-  2: 1050,
-  3: 1900,
-  4: 3000,
-  5: 4750,
-  6: 8000
-};
-
-// A map from number of pips to a map from current mod level to the total cost to upgrade the mod to level 15
-const modUpgradeCosts = {
-  5: {
-    1: 248400,
-    2: 244950,
-    3: 241500,
-    4: 238050,
-    5: 234600,
-    6: 229950,
-    7: 224300,
-    8: 218500,
-    9: 210500,
-    10: 200150,
-    11: 189800,
-    12: 162200,
-    13: 126550,
-    14: 90900,
-    15: 0
-  },
-  4: {
-    1: 128700,
-    2: 126900,
-    3: 124200,
-    4: 121500,
-    5: 118800,
-    6: 116100,
-    7: 113400,
-    8: 110700,
-    9: 106200,
-    10: 100800,
-    11: 95400,
-    12: 81000,
-    13: 64800,
-    14: 46800,
-    15: 0
-  },
-  3: {
-    1: 73200,
-    2: 72000,
-    3: 70800,
-    4: 69600,
-    5: 67800,
-    6: 66000,
-    7: 64200,
-    8: 62400,
-    9: 60000,
-    10: 57000,
-    11: 54000,
-    12: 45600,
-    13: 35400,
-    14: 24000,
-    15: 0
-  },
-  2: {
-    1: 28800,
-    2: 28050,
-    3: 27300,
-    4: 26550,
-    5: 25800,
-    6: 24675,
-    7: 23550,
-    8: 22425,
-    9: 21300,
-    10: 19800,
-    11: 18300,
-    12: 16500,
-    13: 12700,
-    14: 8200,
-    15: 0
-  },
-  1: {
-    1: 13400,
-    2: 13050,
-    3: 12700,
-    4: 12350,
-    5: 12000,
-    6: 11475,
-    7: 10950,
-    8: 10425,
-    9: 9900,
-    10: 9200,
-    11: 8500,
-    12: 7625,
-    13: 5875,
-    14: 3775,
-    15: 0
-  }
-};
+/**
+ * Format a percent change with its sign, like "+1.25%"
+ * @param percent {number}
+ * @returns {string}
+ */
+const formatPercent = percent => `${percent >= 0 ? '+' : ''}${percent.toFixed(2)}%`;
 
 class ReviewSets extends React.PureComponent {
   render() {
@@ -169,6 +78,7 @@ class ReviewSets extends React.PureComponent {
                 this.props.gameSettings[character.baseID].name :
                 character.baseID}
             </h3>
+            {this.globalChangeForCharacter(characterID)}
           </div>
           <ModSetDetail
             set={newSet}
@@ -207,6 +117,7 @@ class ReviewSets extends React.PureComponent {
             Showing mod sets for {this.props.numShownCharacters} out of {this.props.numOptimizedCharacters} characters
           </h2>
           {subHeading}
+          {this.globalOptimizationSummary()}
           <div className={'sets-list'}>
             {rows}
           </div>
@@ -215,6 +126,41 @@ class ReviewSets extends React.PureComponent {
     }
   }
 
+  /**
+   * Render how much optimizing all characters together gained over optimizing them in order, if it was used
+   * @returns JSX Element
+   */
+  globalOptimizationSummary() {
+    if (!this.props.globalOptimization) {
+      return null;
+    }
+
+    return <h3 className={'global-optimization'}>
+      Optimizing all characters together improved the total value of your selected characters by
+      {' '}{formatPercent(this.props.globalOptimization.gain)} over optimizing them in order.
+    </h3>;
+  }
+
+  /**
+   * Render how much a character's mods changed in value because of a global optimization
+   * @param characterID {string}
+   * @returns JSX Element
+   */
+  globalChangeForCharacter(characterID) {
+    const characterScores = this.props.globalOptimization ?
+      this.props.globalOptimization.characters[characterID] :
+      null;
+
+    if (!characterScores || characterScores.score === characterScores.greedyScore) {
+      return null;
+    }
+
+    const change = characterScores.greedyScore > 0 ?
+      (characterScores.score / characterScores.greedyScore) * 100 - 100 :
+      0;
+    return <div className={'global-change'}>{formatPercent(change)} vs. in order</div>;
+  }
+
   /**
    * Render a form used to filter the sets displayed on the page
    * @returns JSX Element
@@ -253,6 +199,13 @@ class ReviewSets extends React.PureComponent {
       >
         Show me the mods to move
       </button>
+      <h3>What should I spend my credits on?</h3>
+      <button
+        type={'button'}
+        onClick={this.props.showUpgrades}
+      >
+        Show me the best upgrades
+      </button>
     </div>
   }
 
@@ -295,13 +248,17 @@ const mapStateToProps = (state) => {
     modSetsFilter: state.modSetsFilter,
     modAssignments: displayedModAssignments,
     numShownCharacters: Object.keys(displayedModAssignments).length,
-    numOptimizedCharacters: Object.keys(profile.modAssignments).length
+    numOptimizedCharacters: Object.keys(profile.modAssignments).length,
+    globalOptimization: state.globalOptimization && state.globalOptimization.allyCode === profile.allyCode ?
+      state.globalOptimization :
+      null
   };
 };
 
 const mapDispatchToProps = (dispatch) => ({
   back: () => dispatch(changeOptimizerView('edit')),
   next: () => dispatch(changeOptimizerView('mods')),
+  showUpgrades: () => dispatch(changeOptimizerView('upgrades')),
   updateFilter: (filterValue) => dispatch(changeModSetFilter(filterValue))
 });
 
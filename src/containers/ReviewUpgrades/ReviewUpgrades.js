@@ -0,0 +1,137 @@
+// @flow
+
+import React from "react";
+import {connect} from "react-redux";
+import ModDetail from "../../components/ModDetail/ModDetail";
+import CharacterAvatar from "../../components/CharacterAvatar/CharacterAvatar";
+import Arrow from "../../components/Arrow/Arrow";
+import Credits from "../../components/Credits/Credits";
+import Sidebar from "../../components/Sidebar/Sidebar";
+import {changeOptimizerView} from "../../state/actions/review";
+import {mapObject} from "../../utils/mapObject";
+import groupByKey from "../../utils/groupByKey";
+import getUpgradeRecommendations from "../../utils/upgradeRecommendations";
+
+import './ReviewUpgrades.css';
+
+const upgradeNames = {
+  level: 'Level to 15',
+  slice: 'Slice to 6-dot'
+};
+
+class ReviewUpgrades extends React.PureComponent {
+  render() {
+    const formatNumber = number => number.toLocaleString(navigator.language, {'useGrouping': true});
+    const recommendations = this.props.recommendations.filter(recommendation => 0 < recommendation.valueGain);
+
+    if (0 === recommendations.length) {
+      return (
+        <div className={'review-upgrades'}>
+          <Sidebar content={this.sidebarActions()}/>
+          <h2>None of your assigned mods would get any better by leveling or slicing them.</h2>
+        </div>
+      );
+    }
+
+    const totalCredits = recommendations.reduce((credits, recommendation) => credits + recommendation.credits, 0);
+    const totalSlices = recommendations.reduce((slices, recommendation) => slices + recommendation.slices, 0);
+
+    const rows = recommendations.map(recommendation => {
+      const character = this.props.characters[recommendation.characterID];
+      const modCharacter = recommendation.mod.characterID ?
+        this.props.characters[recommendation.mod.characterID] :
+        null;
+
+      return <div className={'mod-row upgrade'} key={`${recommendation.mod.id}-${recommendation.upgrade}`}>
+        <ModDetail mod={recommendation.mod} character={modCharacter}/>
+        <div className={'character-id'}>
+          <Arrow/>
+          <CharacterAvatar character={character}/>
+          <h3>
+            {this.props.gameSettings[character.baseID] ?
+              this.props.gameSettings[character.baseID].name :
+              character.baseID}
+          </h3>
+        </div>
+        <div className={'upgrade-summary'}>
+          <h4>{upgradeNames[recommendation.upgrade]}</h4>
+          {'slice' === recommendation.upgrade && 15 > recommendation.mod.level &&
+          <div className={'note'}>After leveling to 15</div>
+          }
+          <div className={'value'}>
+            +{recommendation.valueGain.toFixed(2)} value ({recommendation.percentGain.toFixed(2)}%)
+          </div>
+          <div className={'cost'}>
+            <span>{formatNumber(recommendation.credits)} <Credits/></span>
+            {'slice' === recommendation.upgrade &&
+            <span> over {recommendation.slices} {1 === recommendation.slices ? 'slice' : 'slices'}</span>
+            }
+          </div>
+          {0 < Object.keys(recommendation.materials).length &&
+          <div className={'materials'}>
+            {Object.entries(recommendation.materials)
+              .map(([material, count]) => `${formatNumber(count)} ${material}`)
+              .join(', ')}
+          </div>
+          }
+        </div>
+      </div>;
+    });
+
+    return (
+      <div className={'review-upgrades'}>
+        <Sidebar content={this.sidebarActions()}/>
+        <h2>The best upgrades for your assigned mods</h2>
+        <h3>
+          Doing all of them would take {totalSlices} slices and cost {formatNumber(totalCredits)} <Credits/>
+        </h3>
+        <div className={'mods-list'}>
+          {rows}
+        </div>
+      </div>
+    );
+  }
+
+  /**
+   * Renders a sidebar box with action buttons
+   *
+   * @returns JSX Element
+   */
+  sidebarActions() {
+    return <div className={'sidebar-actions'} key={'sidebar-actions'}>
+      <h3>I want to review changes again</h3>
+      <button type={'button'} onClick={this.props.back}>
+        Show me the mod sets
+      </button>
+      <h3>Looks good!</h3>
+      <button type={'button'} onClick={this.props.next}>
+        Show me the mods to move
+      </button>
+    </div>
+  }
+}
+
+const mapStateToProps = (state) => {
+  const profile = state.profile;
+  const modsByID = groupByKey(profile.mods, mod => mod.id);
+
+  const modAssignments = mapObject(
+    profile.modAssignments,
+    modIDs => modIDs ?
+      modIDs.filter(modID => modsByID.hasOwnProperty(modID)).map(modID => modsByID[modID]) :
+      []
+  );
+
+  return {
+    characters: profile.characters,
+    gameSettings: state.gameSettings,
+    recommendations: getUpgradeRecommendations(modAssignments, profile.characters)
+  };
+};
+
+const mapDispatchToProps = (dispatch) => ({
+  back: () => dispatch(changeOptimizerView('sets')),
+  next: () => dispatch(changeOptimizerView('mods'))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(ReviewUpgrades);
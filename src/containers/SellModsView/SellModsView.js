@@ -0,0 +1,97 @@
+// @flow
+
+import React from "react";
+import memoize from "memoize-one";
+import {connect} from "react-redux";
+import ModDetail from "../../components/ModDetail/ModDetail";
+import Sidebar from "../../components/Sidebar/Sidebar";
+import {changeSellCandidatesPerSlot} from "../../state/actions/explore";
+import getSellRecommendations from "../../utils/sellRecommendations";
+
+import '../ExploreView/ExploreView.css';
+import './SellModsView.css';
+
+class SellModsView extends React.PureComponent {
+  render() {
+    const rows = this.props.recommendations.map(recommendation => {
+      const mod = recommendation.mod;
+      const character = mod.characterID ? this.props.characters[mod.characterID] : null;
+      const bestCharacter = recommendation.bestCharacterID ?
+        this.props.characters[recommendation.bestCharacterID] :
+        null;
+
+      return <div className={'sell-recommendation'} key={mod.id}>
+        <ModDetail mod={mod} character={character}/>
+        <p className={'reason'}>
+          {recommendation.reason}
+          {bestCharacter && ` (closest: ${this.characterName(bestCharacter)})`}
+        </p>
+      </div>;
+    });
+
+    return [
+      <Sidebar key={'sidebar'} content={this.sidebar()}/>,
+      <div className={'mods sell-mods'} key={'mods'}>
+        <h3>{this.props.recommendations.length} out of {this.props.modCount} mods are safe to sell.</h3>
+        {rows}
+      </div>
+    ];
+  }
+
+  /**
+   * Get the name to show for a character
+   * @param character {Character}
+   * @returns {string}
+   */
+  characterName(character) {
+    return this.props.gameSettings[character.baseID] ?
+      this.props.gameSettings[character.baseID].name :
+      character.baseID;
+  }
+
+  /**
+   * Render the sidebar content
+   * @returns {*}
+   */
+  sidebar() {
+    return <div className={'sell-mods-settings'} key={'sell-mods-settings'}>
+      <label htmlFor={'sell-candidates-per-slot'}>Mods to keep per slot:</label>
+      <input id={'sell-candidates-per-slot'}
+             type={'number'}
+             min={1}
+             max={100}
+             step={1}
+             defaultValue={this.props.candidatesPerSlot}
+             onChange={e => 0 < e.target.valueAsNumber && this.props.changeCandidatesPerSlot(e.target.valueAsNumber)}/>
+      <p>
+        Every character is scored against all of your mods using the target it would currently be optimized with. A
+        mod is safe to sell if it isn't one of the best mods in its slot for any character.
+      </p>
+    </div>;
+  }
+}
+
+const getRecommendations = memoize(getSellRecommendations);
+
+const mapStateToProps = (state) => {
+  const profile = state.profile;
+
+  return {
+    candidatesPerSlot: state.sellCandidatesPerSlot,
+    characters: profile.characters,
+    gameSettings: state.gameSettings,
+    modCount: profile.mods.length,
+    recommendations: getRecommendations(
+      profile.mods,
+      profile.characters,
+      profile.selectedCharacters,
+      state.sellCandidatesPerSlot
+    )
+  };
+};
+
+const mapDispatchToProps = (dispatch) => ({
+  changeCandidatesPerSlot: candidatesPerSlot => dispatch(changeSellCandidatesPerSlot(candidatesPerSlot))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(SellModsView);
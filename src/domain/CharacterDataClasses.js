@@ -108,6 +108,7 @@ class PlayerValues {
   galacticPower;
   baseStats;
   equippedStats;
+  relicTier;
 
   /**
    * @param level int
@@ -117,8 +118,18 @@ class PlayerValues {
    * @param galacticPower int
    * @param baseStats CharacterStats
    * @param equippedStats CharacterStats
+   * @param relicTier int|null The character's relic tier as the API reports it, where 1 is locked, 2 is unlocked but
+   *                  without any relic levels, and 3 and up are relic levels 1 and up
    */
-  constructor(level, stars, gearLevel, gearPieces, galacticPower, baseStats = null, equippedStats = null) {
+  constructor(level,
+              stars,
+              gearLevel,
+              gearPieces,
+              galacticPower,
+              baseStats = null,
+              equippedStats = null,
+              relicTier = null
+  ) {
     this.level = level;
     this.stars = stars;
     this.gearLevel = gearLevel;
@@ -126,6 +137,7 @@ class PlayerValues {
     this.galacticPower = galacticPower;
     this.baseStats = baseStats;
     this.equippedStats = equippedStats;
+    this.relicTier = relicTier;
     Object.freeze(this);
   }
 
@@ -138,7 +150,8 @@ class PlayerValues {
         this.gearPieces,
         this.galacticPower,
         baseStats,
-        this.equippedStats
+        this.equippedStats,
+        this.relicTier
       );
     } else {
       return this;
@@ -154,7 +167,8 @@ class PlayerValues {
         this.gearPieces,
         this.galacticPower,
         this.baseStats,
-        equippedStats
+        equippedStats,
+        this.relicTier
       );
     } else {
       return this;
@@ -172,7 +186,8 @@ class PlayerValues {
       gearPieces: this.gearPieces,
       galacticPower: this.galacticPower,
       baseStats: baseStats,
-      equippedStats: equippedStats
+      equippedStats: equippedStats,
+      relicTier: this.relicTier
     };
   }
 
@@ -187,7 +202,10 @@ class PlayerValues {
       valuesJson.rarity,
       valuesJson.gear,
       valuesJson.equipped.map(gear => ({equipmentId: gear.equipmentId})),
-      valuesJson.gp
+      valuesJson.gp,
+      null,
+      null,
+      valuesJson.relic ? valuesJson.relic.currentTier : null
     );
   }
 
@@ -200,7 +218,8 @@ class PlayerValues {
         valuesJson.gearPieces,
         valuesJson.galacticPower,
         CharacterStats.deserialize(valuesJson.baseStats),
-        CharacterStats.deserialize(valuesJson.equippedStats)
+        CharacterStats.deserialize(valuesJson.equippedStats),
+        'undefined' !== typeof valuesJson.relicTier ? valuesJson.relicTier : null
       );
     } else {
       return null;
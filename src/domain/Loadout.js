@@ -0,0 +1,72 @@
+// @flow
+
+import OptimizationPlan from "./OptimizationPlan";
+
+/**
+ * A named set of characters to optimize, the targets to optimize them for, and the mods that were assigned to them.
+ * A player can keep several of these for each profile (for example one for Territory Wars and one for raids) and
+ * switch between them.
+ */
+export default class Loadout {
+  name;
+  selectedCharacters;
+  modAssignments;
+
+  /**
+   * @param name {string}
+   * @param selectedCharacters {Array<{id: string, target: OptimizationPlan}>}
+   * @param modAssignments {Object<string, Array<string>>} A map from character ID to the IDs of the mods assigned to it
+   */
+  constructor(name, selectedCharacters = [], modAssignments = {}) {
+    this.name = name;
+    this.selectedCharacters = selectedCharacters;
+    this.modAssignments = modAssignments;
+    Object.freeze(this);
+  }
+
+  /**
+   * Create a loadout from whatever is currently selected and assigned in a profile
+   * @param name {string}
+   * @param profile {PlayerProfile}
+   * @returns {Loadout}
+   */
+  static fromProfile(name, profile) {
+    return new Loadout(name, profile.selectedCharacters, profile.modAssignments);
+  }
+
+  /**
+   * Return a new PlayerProfile that matches the given one, but with this loadout's characters and assignments
+   * @param profile {PlayerProfile}
+   * @returns {PlayerProfile}
+   */
+  applyTo(profile) {
+    return profile
+      .withSelectedCharacters(this.selectedCharacters)
+      .withModAssignments(this.modAssignments)
+      .withActiveLoadout(this.name);
+  }
+
+  /**
+   * @param allyCode {string} The ally code of the profile this loadout belongs to
+   */
+  serialize(allyCode) {
+    return {
+      key: `${allyCode}:${this.name}`,
+      allyCode: allyCode,
+      name: this.name,
+      selectedCharacters: this.selectedCharacters.map(({id, target}) => ({
+        id: id,
+        target: target && 'function' === typeof target.serialize ? target.serialize() : target
+      })),
+      modAssignments: this.modAssignments
+    };
+  }
+
+  static deserialize(loadoutJson) {
+    return new Loadout(
+      loadoutJson.name,
+      loadoutJson.selectedCharacters.map(({id, target}) => ({id: id, target: OptimizationPlan.deserialize(target)})),
+      loadoutJson.modAssignments || {}
+    );
+  }
+}
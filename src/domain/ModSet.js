@@ -4,6 +4,7 @@ import setBonuses from "../constants/setbonuses";
 import Stat from "./Stat";
 import Mod from "./Mod";
 import statTypeMap from "../constants/statTypeMap";
+import {scoreFormula, scoreObjectives} from "../utils/scoringObjectives";
 
 class ModSet {
   constructor(mods) {
@@ -82,7 +83,7 @@ class ModSet {
       (!target.primaryStatRestrictions.cross ||
         (this.cross && this.cross.primaryStat.type === target.primaryStatRestrictions.cross)) &&
       this.fulfillsSetRestriction(target.setRestrictions) &&
-      this.fulfillsTargetStatRestriction(target.targetStat, character);
+      this.fulfillsTargetStatRestriction(target.targetStats, character);
   }
 
   /**
@@ -108,28 +109,29 @@ class ModSet {
   }
 
   /**
-   * Checks to see if this mod set meets the target stat
+   * Checks to see if this mod set meets every one of the target stats. Target stats that are relative to another
+   * character depend on that character's mods too, so they're left for the optimizer to check.
    *
-   * @param targetStat {TargetStat}
+   * @param targetStats {Array<TargetStat>}
    * @param character {Character}
    * @returns {boolean}
    */
-  fulfillsTargetStatRestriction(targetStat, character) {
-    if (!targetStat) {
-      return true;
-    }
-    if (statTypeMap[targetStat.stat].length > 1) {
-      throw new Error(
-        "Trying to set an ambiguous target stat. Offense, Crit Chance, etc. need to be broken into physical or special."
-      );
-    }
-    const statProperty = statTypeMap[targetStat.stat][0];
+  fulfillsTargetStatRestriction(targetStats, character) {
+    return targetStats.filter(targetStat => !targetStat.relativeCharacterID).every(targetStat => {
+      if (statTypeMap[targetStat.stat].length > 1) {
+        throw new Error(
+          "Trying to set an ambiguous target stat. " +
+          "Offense, Crit Chance, etc. need to be broken into physical or special."
+        );
+      }
+      const statProperty = statTypeMap[targetStat.stat][0];
 
-    const setValue = this.getSummary(character)[targetStat.stat];
-    const baseValue = character.playerValues.equippedStats[statProperty];
-    const totalValue = baseValue + setValue;
+      const setValue = this.getSummary(character)[targetStat.stat];
+      const baseValue = character.playerValues.equippedStats[statProperty];
+      const totalValue = baseValue + setValue;
 
-    return totalValue > targetStat.minimum && totalValue < targetStat.maximum;
+      return totalValue > targetStat.minimum && totalValue < targetStat.maximum;
+    });
   }
 
   /**
@@ -290,8 +292,14 @@ class ModSet {
    * @param withUpgrades {Boolean} Whether to upgrade mods while calculating the value of the set
    */
   getOptimizationValue(character, withUpgrades = false) {
-    return Object.values(this.getSummary(character, withUpgrades))
-      .reduce((setValue, stat) => setValue + stat.getOptimizationValue(character), 0);
+    const summary = Object.values(this.getSummary(character, withUpgrades));
+
+    if (character.optimizerSettings.target.formula) {
+      return scoreFormula(summary, character);
+    }
+
+    return summary.reduce((setValue, stat) => setValue + stat.getOptimizationValue(character), 0) +
+      scoreObjectives(summary, character);
   }
 
   serialize() {
@@ -2,6 +2,7 @@
 
 import areObjectsEquivalent from "../utils/areObjectsEquivalent";
 import TargetStat from "./TargetStat";
+import StatCap from "./StatCap";
 
 /**
  * A class to represent the weights that should be applied to each potential stat that a mod can have when
@@ -25,8 +26,12 @@ class OptimizationPlan {
   upgradeMods;
   primaryStatRestrictions;
   setRestrictions;
-  targetStat;
+  targetStats;
   useOnlyFullSets;
+  statCaps;
+  expectedDamage;
+  effectiveHealth;
+  formula;
 
   constructor(name,
               health,
@@ -45,8 +50,12 @@ class OptimizationPlan {
               upgradeMods = true,
               primaryStatRestrictions = {},
               setRestrictions = {},
-              targetStat = null,
-              useOnlyFullSets = false
+              targetStats = [],
+              useOnlyFullSets = false,
+              statCaps = {},
+              expectedDamage = 0,
+              effectiveHealth = 0,
+              formula = ''
   ) {
     this.name = name;
 
@@ -64,6 +73,8 @@ class OptimizationPlan {
     this.rawResistance = resistance || 0;
     this.rawAccuracy = accuracy || 0;
     this.rawCritAvoid = critAvoid || 0;
+    this.rawExpectedDamage = expectedDamage || 0;
+    this.rawEffectiveHealth = effectiveHealth || 0;
 
     this.upgradeMods = upgradeMods;
 
@@ -81,11 +92,20 @@ class OptimizationPlan {
     this.resistance = this.rawResistance / OptimizationPlan.statWeight.resistance;
     this.accuracy = this.rawAccuracy / OptimizationPlan.statWeight.accuracy;
     this.critAvoid = this.rawCritAvoid / OptimizationPlan.statWeight.critAvoid;
+    // Composite objectives, which are scored from the character's total stats rather than one stat at a time
+    this.expectedDamage = this.rawExpectedDamage / OptimizationPlan.statWeight.expectedDamage;
+    this.effectiveHealth = this.rawEffectiveHealth / OptimizationPlan.statWeight.effectiveHealth;
 
     this.primaryStatRestrictions = primaryStatRestrictions;
     this.setRestrictions = setRestrictions;
-    this.targetStat = targetStat;
+    // Every target stat has to be met at once. A single TargetStat is accepted for plans that only have one.
+    this.targetStats = null === targetStats ? [] : [].concat(targetStats);
     this.useOnlyFullSets = useOnlyFullSets;
+    // A map from the name of a stat, as used for its weight, to the StatCap that limits it
+    this.statCaps = statCaps;
+    // A formula over the character's total stats. When there is one, it's used to score mods instead of the weights,
+    // objectives, and caps above.
+    this.formula = formula || '';
   }
 
   /**
@@ -112,8 +132,12 @@ class OptimizationPlan {
       this.upgradeMods,
       this.primaryStatRestrictions,
       this.setRestrictions,
-      this.targetStat,
-      this.useOnlyFullSets
+      this.targetStats,
+      this.useOnlyFullSets,
+      this.statCaps,
+      this.rawExpectedDamage,
+      this.rawEffectiveHealth,
+      this.formula
     );
   }
 
@@ -137,11 +161,15 @@ class OptimizationPlan {
       this.resistance === that.resistance &&
       this.accuracy === that.accuracy &&
       this.critAvoid === that.critAvoid &&
+      this.expectedDamage === that.expectedDamage &&
+      this.effectiveHealth === that.effectiveHealth &&
       this.upgradeMods === that.upgradeMods &&
       areObjectsEquivalent(this.primaryStatRestrictions, that.primaryStatRestrictions) &&
       areObjectsEquivalent(this.setRestrictions, that.setRestrictions) &&
-      areObjectsEquivalent(this.targetStat, that.targetStat) &&
-      this.useOnlyFullSets === that.useOnlyFullSets
+      areObjectsEquivalent(this.targetStats, that.targetStats) &&
+      this.useOnlyFullSets === that.useOnlyFullSets &&
+      areObjectsEquivalent(this.statCaps, that.statCaps) &&
+      this.formula === that.formula
   }
 
   /**
@@ -162,7 +190,9 @@ class OptimizationPlan {
       OptimizationPlan.valueIsBasic(this.rawArmor + this.rawResistance) &&
       this.rawArmor === this.rawResistance &&
       OptimizationPlan.valueIsBasic(this.rawAccuracy) &&
-      OptimizationPlan.valueIsBasic(this.rawCritAvoid);
+      OptimizationPlan.valueIsBasic(this.rawCritAvoid) &&
+      OptimizationPlan.valueIsBasic(this.rawExpectedDamage) &&
+      OptimizationPlan.valueIsBasic(this.rawEffectiveHealth);
   }
 
   /**
@@ -191,11 +221,16 @@ class OptimizationPlan {
     planObject.resistance = this.rawResistance;
     planObject.accuracy = this.rawAccuracy;
     planObject.critAvoid = this.rawCritAvoid;
+    planObject.expectedDamage = this.rawExpectedDamage;
+    planObject.effectiveHealth = this.rawEffectiveHealth;
     planObject.upgradeMods = this.upgradeMods;
     planObject.primaryStatRestrictions = this.primaryStatRestrictions;
     planObject.setRestrictions = this.setRestrictions;
-    planObject.targetStat = this.targetStat;
+    planObject.targetStats = this.targetStats;
     planObject.useOnlyFullSets = this.useOnlyFullSets;
+    planObject.statCaps = {};
+    Object.entries(this.statCaps).forEach(([stat, statCap]) => planObject.statCaps[stat] = statCap.serialize());
+    planObject.formula = this.formula;
 
     return planObject;
   }
@@ -226,15 +261,47 @@ class OptimizationPlan {
         'undefined' !== typeof planJson.upgradeMods ? planJson.upgradeMods : true,
         planJson.primaryStatRestrictions || {},
         planJson.setRestrictions || {},
-        planJson.targetStat ?
-          new TargetStat(planJson.targetStat.stat, planJson.targetStat.minimum, planJson.targetStat.maximum) :
-          null,
-        planJson.useOnlyFullSets || false
+        OptimizationPlan.deserializeTargetStats(planJson),
+        planJson.useOnlyFullSets || false,
+        OptimizationPlan.deserializeStatCaps(planJson.statCaps || {}),
+        planJson.expectedDamage,
+        planJson.effectiveHealth,
+        planJson.formula || ''
       );
     } else {
       return null;
     }
   }
+
+  /**
+   * Read the stat caps from a serialized plan
+   *
+   * @param statCapsJson {Object<String, Object>}
+   * @returns {Object<String, StatCap>}
+   */
+  static deserializeStatCaps(statCapsJson) {
+    const statCaps = {};
+    Object.entries(statCapsJson).forEach(([stat, statCapJson]) => statCaps[stat] = StatCap.deserialize(statCapJson));
+    return statCaps;
+  }
+
+  /**
+   * Read the target stats from a serialized plan. Plans saved before a plan could have more than one target stat
+   * have a single `targetStat` instead.
+   *
+   * @param planJson Object
+   * @returns {Array<TargetStat>}
+   */
+  static deserializeTargetStats(planJson) {
+    const targetStats = planJson.targetStats || (planJson.targetStat ? [planJson.targetStat] : []);
+
+    return targetStats.map(targetStat => new TargetStat(
+      targetStat.stat,
+      targetStat.minimum,
+      targetStat.maximum,
+      targetStat.relativeCharacterID || null
+    ));
+  }
 }
 
 OptimizationPlan.statWeight = {
@@ -251,7 +318,9 @@ OptimizationPlan.statWeight = {
   'armor': 33,
   'resistance': 33,
   'accuracy': 10,
-  'critAvoid': 10
+  'critAvoid': 10,
+  'expectedDamage': 250,
+  'effectiveHealth': 3000
 };
 
 export default OptimizationPlan;
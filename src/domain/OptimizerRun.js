@@ -7,6 +7,7 @@ export default class OptimizerRun {
   selectedCharacters;
   modChangeThreshold;
   lockUnselectedCharacters;
+  optimizeGlobally;
 
   /**
    * Note that all of the parameters for an OptimizerRun are pure Objects - no classes with extra methods built-in
@@ -17,8 +18,16 @@ export default class OptimizerRun {
    * @param selectedCharacters {Array<string>}
    * @param modChangeThreshold {number}
    * @param lockUnselectedCharacters {boolean}
+   * @param optimizeGlobally {boolean}
    */
-  constructor(allyCode, characters, mods, selectedCharacters, modChangeThreshold, lockUnselectedCharacters) {
+  constructor(allyCode,
+              characters,
+              mods,
+              selectedCharacters,
+              modChangeThreshold,
+              lockUnselectedCharacters,
+              optimizeGlobally = false
+  ) {
     this.allyCode = allyCode;
     // We care about everything stored for the character except the default settings
     mapObject(characters, character => {
@@ -30,6 +39,7 @@ export default class OptimizerRun {
     this.selectedCharacters = selectedCharacters;
     this.modChangeThreshold = modChangeThreshold;
     this.lockUnselectedCharacters = lockUnselectedCharacters;
+    this.optimizeGlobally = optimizeGlobally;
   }
 
   serialize() {
@@ -43,7 +53,8 @@ export default class OptimizerRun {
       runJson.mods,
       runJson.selectedCharacters,
       runJson.modChangeThreshold,
-      runJson.lockUnselectedCharacters || false
+      runJson.lockUnselectedCharacters || false,
+      runJson.optimizeGlobally || false
     );
   }
 }
@@ -9,7 +9,8 @@ import OptimizationPlan from "./OptimizationPlan";
 
 const defaultGlobalSettings = {
   modChangeThreshold: 0,
-  lockUnselectedCharacters: false
+  lockUnselectedCharacters: false,
+  optimizeGlobally: false
 };
 
 export default class PlayerProfile {
@@ -22,6 +23,7 @@ export default class PlayerProfile {
   globalSettings;
   // Deprecated
   previousSettings;
+  activeLoadout;
 
   /**
    * @param allyCode {string} The ally code for the player whose data this is
@@ -35,6 +37,7 @@ export default class PlayerProfile {
    * @param previousSettings {Object} Deprecated - An object that holds the previous values for characters, mods,
    *                                  selectedCharacters, and modChangeThreshold. If none of these have changed, then
    *                                  modAssignments shouldn't change on a reoptimization.
+   * @param activeLoadout {string|null} The name of the loadout that selectedCharacters and modAssignments belong to
    */
   constructor(allyCode,
               playerName,
@@ -43,7 +46,8 @@ export default class PlayerProfile {
               selectedCharacters = [],
               modAssignments = {},
               globalSettings = defaultGlobalSettings,
-              previousSettings = {}
+              previousSettings = {},
+              activeLoadout = null
   ) {
     this.allyCode = allyCode;
     this.playerName = playerName;
@@ -53,6 +57,7 @@ export default class PlayerProfile {
     this.modAssignments = modAssignments;
     this.globalSettings = globalSettings;
     this.previousSettings = previousSettings;
+    this.activeLoadout = activeLoadout;
   }
 
   withPlayerName(name) {
@@ -65,7 +70,8 @@ export default class PlayerProfile {
         this.selectedCharacters,
         this.modAssignments,
         this.globalSettings,
-        this.previousSettings
+        this.previousSettings,
+        this.activeLoadout
       )
     } else {
       return this;
@@ -82,7 +88,8 @@ export default class PlayerProfile {
         this.selectedCharacters,
         this.modAssignments,
         this.globalSettings,
-        this.previousSettings
+        this.previousSettings,
+        this.activeLoadout
       );
     } else {
       return this;
@@ -99,7 +106,8 @@ export default class PlayerProfile {
         this.selectedCharacters,
         this.modAssignments,
         this.globalSettings,
-        this.previousSettings
+        this.previousSettings,
+        this.activeLoadout
       );
     } else {
       return this;
@@ -116,7 +124,8 @@ export default class PlayerProfile {
         selectedCharacters,
         this.modAssignments,
         this.globalSettings,
-        this.previousSettings
+        this.previousSettings,
+        this.activeLoadout
       );
     } else {
       return this;
@@ -133,7 +142,8 @@ export default class PlayerProfile {
         this.selectedCharacters,
         modAssignments,
         this.globalSettings,
-        this.previousSettings
+        this.previousSettings,
+        this.activeLoadout
       );
     } else {
       return this;
@@ -149,7 +159,8 @@ export default class PlayerProfile {
       this.selectedCharacters,
       this.modAssignments,
       globalSettings,
-      this.previousSettings
+      this.previousSettings,
+      this.activeLoadout
     );
   }
 
@@ -163,13 +174,51 @@ export default class PlayerProfile {
         this.selectedCharacters,
         this.modAssignments,
         this.globalSettings,
-        previousSettings
+        previousSettings,
+        this.activeLoadout
       );
     } else {
       return this;
     }
   }
 
+  /**
+   * Create a new PlayerProfile that matches this one, but remembers which loadout its characters and assignments
+   * belong to
+   * @param activeLoadout {string|null}
+   */
+  withActiveLoadout(activeLoadout) {
+    return new PlayerProfile(
+      this.allyCode,
+      this.playerName,
+      this.characters,
+      this.mods,
+      this.selectedCharacters,
+      this.modAssignments,
+      this.globalSettings,
+      this.previousSettings,
+      activeLoadout
+    );
+  }
+
+  /**
+   * Create a new PlayerProfile that matches this one, but with each character's targets merged with the targets that
+   * the same character has in another profile. Targets with the same name are replaced by the other profile's, and
+   * characters that aren't in this profile are left out.
+   * @param profile {PlayerProfile}
+   */
+  withTargetsFrom(profile) {
+    return this.withCharacters(mapObject(this.characters, character => {
+      const otherCharacter = profile.characters[character.baseID];
+
+      return otherCharacter && otherCharacter.optimizerSettings && character.optimizerSettings ?
+        character.withOptimizerSettings(
+          character.optimizerSettings.withTargetOverrides(otherCharacter.optimizerSettings.targets)
+        ) :
+        character;
+    }));
+  }
+
   /**
    * Create a new PlayerProfile with empty previous settings
    */
@@ -182,7 +231,8 @@ export default class PlayerProfile {
       this.selectedCharacters,
       this.modAssignments,
       this.globalSettings,
-      {}
+      {},
+      this.activeLoadout
     );
   }
 
@@ -197,7 +247,8 @@ export default class PlayerProfile {
       this.mods.map(mod => mod.serialize()),
       this.selectedCharacters,
       this.globalSettings.modChangeThreshold,
-      this.globalSettings.lockUnselectedCharacters
+      this.globalSettings.lockUnselectedCharacters,
+      this.globalSettings.optimizeGlobally || false
     );
   }
 
@@ -212,7 +263,8 @@ export default class PlayerProfile {
       selectedCharacters: this.selectedCharacters,
       modAssignments: this.modAssignments,
       globalSettings: this.globalSettings,
-      previousSettings: this.previousSettings
+      previousSettings: this.previousSettings,
+      activeLoadout: this.activeLoadout
     };
   }
 
@@ -231,7 +283,8 @@ export default class PlayerProfile {
         profileJson.selectedCharacters.map(({id, target}) => ({id: id, target: OptimizationPlan.deserialize(target)})),
         profileJson.modAssignments,
         profileJson.globalSettings,
-        profileJson.previousSettings || {}
+        profileJson.previousSettings || {},
+        profileJson.activeLoadout || null
       )
     } else {
       return null;
@@ -243,7 +296,8 @@ export default class PlayerProfile {
       profileJson.globalSettings :
       {
         modChangeThreshold: profileJson.modChangeThreshold || 0,
-        lockUnselectedCharacters: false
+        lockUnselectedCharacters: false,
+        optimizeGlobally: false
       };
 
     const characters = mapObject(profileJson.characters, Character.deserialize);
@@ -0,0 +1,111 @@
+// @flow
+
+import Mod from "./Mod";
+import Stat from "./Stat";
+import setBonuses from "../constants/setbonuses";
+
+/**
+ * A record of a player's mods and their characters' speeds at the moment their data was fetched. Only what's needed
+ * to tell how the player's inventory changed from one fetch to the next is kept, so that many of these can be stored
+ * for each profile.
+ */
+export default class ProfileSnapshot {
+  allyCode;
+  timestamp;
+  mods;
+  speeds;
+
+  /**
+   * @param allyCode {string}
+   * @param timestamp {number} When the data was fetched, in milliseconds since the epoch
+   * @param mods {Array<Object>} Each mod, in the compact form written by ProfileSnapshot.compactMod
+   * @param speeds {Object<string, number>} A map from character ID to that character's equipped speed
+   */
+  constructor(allyCode, timestamp, mods = [], speeds = {}) {
+    this.allyCode = allyCode;
+    this.timestamp = timestamp;
+    this.mods = mods;
+    this.speeds = speeds;
+    Object.freeze(this);
+  }
+
+  /**
+   * Take a snapshot of a profile as it is now
+   * @param profile {PlayerProfile}
+   * @param timestamp {number}
+   * @returns {ProfileSnapshot}
+   */
+  static fromProfile(profile, timestamp = Date.now()) {
+    const speeds = {};
+    Object.values(profile.characters).forEach(character => {
+      const equippedStats = character.playerValues && character.playerValues.equippedStats;
+      if (equippedStats && equippedStats.speed) {
+        speeds[character.baseID] = equippedStats.speed;
+      }
+    });
+
+    return new ProfileSnapshot(profile.allyCode, timestamp, profile.mods.map(ProfileSnapshot.compactMod), speeds);
+  }
+
+  /**
+   * Reduce a mod to only the values that can change between fetches, plus enough to show it again
+   * @param mod {Mod}
+   * @returns {Object}
+   */
+  static compactMod(mod) {
+    const [primaryType, primaryValue] = mod.primaryStat.serialize();
+
+    return {
+      id: mod.id,
+      slot: mod.slot,
+      set: mod.set.name,
+      level: mod.level,
+      pips: mod.pips,
+      tier: mod.tier,
+      characterID: mod.characterID || null,
+      primaryStat: [primaryType, primaryValue],
+      secondaryStats: mod.secondaryStats.map(stat => stat.serialize())
+    };
+  }
+
+  /**
+   * Turn a mod from a snapshot back into a full Mod, so that it can be displayed
+   * @param compactMod {Object}
+   * @returns {Mod}
+   */
+  static expandMod(compactMod) {
+    return new Mod(
+      compactMod.id,
+      compactMod.slot,
+      setBonuses[compactMod.set],
+      compactMod.level,
+      compactMod.pips,
+      new Stat(...compactMod.primaryStat),
+      compactMod.secondaryStats.map(([type, value, rolls]) => new Stat(type, value, rolls)),
+      compactMod.characterID,
+      compactMod.tier
+    );
+  }
+
+  serialize() {
+    return {
+      key: `${this.allyCode}:${this.timestamp}`,
+      allyCode: this.allyCode,
+      timestamp: this.timestamp,
+      mods: this.mods,
+      speeds: this.speeds
+    };
+  }
+
+  static deserialize(snapshotJson) {
+    return new ProfileSnapshot(
+      snapshotJson.allyCode,
+      snapshotJson.timestamp,
+      snapshotJson.mods || [],
+      snapshotJson.speeds || {}
+    );
+  }
+}
+
+// How many snapshots to keep for each profile. Older ones are deleted as new ones are taken.
+ProfileSnapshot.maxPerProfile = 50;
@@ -2,6 +2,7 @@
 
 import statTypeMap from "../constants/statTypeMap";
 import {modStats} from "../constants/enums";
+import StatCap from "./StatCap";
 
 class Stat {
   displayModifier;
@@ -154,7 +155,9 @@ class Stat {
   }
 
   /**
-   * Get the value of this stat for optimization
+   * Get the value of this stat for optimization, using the stat weights and caps in the character's plan. A formula
+   * isn't used here, since it can't be split into a value for each stat. Score a plan with a formula on every stat at
+   * once with scoreFormula instead.
    *
    * @param character
    */
@@ -167,17 +170,20 @@ class Stat {
     }
 
     const statTypes = 'Physical Critical Chance' === this.displayType ? ['critChance'] : statTypeMap[this.displayType];
+    const target = character.optimizerSettings.target;
+    const statCaps = target.statCaps || {};
 
-    if (this.isPercent) {
-      return statTypes.map(statType =>
-        character.optimizerSettings.target[statType] *
-        Math.floor(character.playerValues.baseStats[statType] * this.value / 100)
-      ).reduce((a, b) => a + b, 0);
-    } else {
-      return statTypes.map(statType =>
-        character.optimizerSettings.target[statType] * this.value
-      ).reduce((a, b) => a + b, 0);
-    }
+    return statTypes.map(statType => {
+      const flatValue = this.isPercent ?
+        Math.floor(character.playerValues.baseStats[statType] * this.value / 100) :
+        this.value;
+
+      // A capped stat is counted as if it were added on top of the character's stats without mods
+      return target[statType] * (statCaps[statType] ?
+        StatCap.effectiveGain(statCaps[statType], StatCap.startingValue(character, statType), flatValue) :
+        flatValue
+      );
+    }).reduce((a, b) => a + b, 0);
   }
 
   /**
@@ -0,0 +1,91 @@
+// @flow
+
+/**
+ * A limit on how much of a stat is worth having, as part of an OptimizationPlan. Both limits are on the character's
+ * total for the stat, including everything that doesn't come from mods. Up to the soft cap, every point of the stat
+ * counts for its full weight. Between the soft cap and the cap, each point only counts for `softCapWeight` of its
+ * weight, and above the cap, the stat isn't worth anything more.
+ */
+export default class StatCap {
+  softCap; // {Number|null} The total above which the stat only counts for part of its weight
+  softCapWeight; // {Number} The share of the weight, between 0 and 1, that counts above the soft cap
+  cap; // {Number|null} The total above which the stat isn't worth anything
+
+  constructor(softCap = null, softCapWeight = 0, cap = null) {
+    this.softCap = softCap;
+    this.softCapWeight = softCapWeight;
+    this.cap = cap;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Find how much of a character's total for a stat counts toward their score. This also works on serialized caps, so
+   * that it can be used by the optimizer.
+   *
+   * @param statCap {StatCap|Object}
+   * @param total {Number}
+   * @returns {Number}
+   */
+  static effectiveValue(statCap, total) {
+    const cappedTotal = 'number' === typeof statCap.cap ? Math.min(total, statCap.cap) : total;
+
+    if ('number' !== typeof statCap.softCap || cappedTotal <= statCap.softCap) {
+      return cappedTotal;
+    }
+
+    return statCap.softCap + (statCap.softCapWeight || 0) * (cappedTotal - statCap.softCap);
+  }
+
+  /**
+   * Find how much of a gain in a stat counts toward a character's score, given the total that the gain starts from
+   *
+   * @param statCap {StatCap|Object}
+   * @param startingValue {Number}
+   * @param gain {Number}
+   * @returns {Number}
+   */
+  static effectiveGain(statCap, startingValue, gain) {
+    return StatCap.effectiveValue(statCap, startingValue + gain) - StatCap.effectiveValue(statCap, startingValue);
+  }
+
+  /**
+   * Get a character's total for a stat before any mods are added
+   *
+   * @param character {Character}
+   * @param stat {String} The name of the stat as it's used in an OptimizationPlan
+   * @returns {Number}
+   */
+  static startingValue(character, stat) {
+    const equippedStats = character.playerValues.equippedStats;
+
+    return equippedStats ? equippedStats[StatCap.characterStat(stat)] || 0 : 0;
+  }
+
+  /**
+   * Get the name of the character stat that a stat in an OptimizationPlan is measured by. Plans only have a single
+   * crit chance, and physical crit chance is used for it, the same as when mods are scored.
+   *
+   * @param stat {String}
+   * @returns {String}
+   */
+  static characterStat(stat) {
+    return 'critChance' === stat ? 'physCritChance' : stat;
+  }
+
+  serialize() {
+    return {
+      softCap: this.softCap,
+      softCapWeight: this.softCapWeight,
+      cap: this.cap
+    };
+  }
+
+  static deserialize(statCapJson) {
+    return new StatCap(
+      'number' === typeof statCapJson.softCap ? statCapJson.softCap : null,
+      statCapJson.softCapWeight || 0,
+      'number' === typeof statCapJson.cap ? statCapJson.cap : null
+    );
+  }
+}
@@ -2,11 +2,14 @@ export default class TargetStat {
   stat; // {String} The type of stat being targeted
   minimum; // {Number} The minimum value for the stat
   maximum; // {Number} The maximum value for the stat
+  // {String|null} If set, minimum and maximum are offsets from this character's final value for the same stat
+  relativeCharacterID;
 
-  constructor(stat, minimum, maximum) {
+  constructor(stat, minimum, maximum, relativeCharacterID = null) {
     this.stat = stat;
     this.minimum = minimum;
     this.maximum = maximum;
+    this.relativeCharacterID = relativeCharacterID;
 
     Object.freeze(this);
   }
@@ -9,7 +9,8 @@ import {Provider} from "react-redux";
 import modsOptimizer from "./state/reducers/modsOptimizer";
 import getDatabase from "./state/storage/Database";
 import {showError} from "./state/actions/app";
-import {databaseReady} from "./state/actions/storage";
+import {databaseReady, receiveTabSyncMessage} from "./state/actions/storage";
+import TabSync from "./state/storage/TabSync";
 
 const store = createStore(
   modsOptimizer,
@@ -20,7 +21,13 @@ const store = createStore(
 
 // Instantiate the database
 getDatabase(
-  () => store.dispatch(databaseReady(store.getState())),
+  db => {
+    // Keep any other tabs that have the optimizer open up to date with the changes made in this one, and vice versa
+    const tabSync = new TabSync(message => store.dispatch(receiveTabSyncMessage(message)));
+    db.onChange = change => tabSync.send(change);
+
+    store.dispatch(databaseReady(store.getState()));
+  },
   (error) => {
     if (error instanceof DOMException) {
       store.dispatch(showError(
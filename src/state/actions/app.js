@@ -1,4 +1,5 @@
 // @flow
+import React from "react";
 import {
   cleanState,
   loadFromDb,
@@ -7,12 +8,16 @@ import {
   populateDatabase,
   saveGameSettings,
   saveLastRuns,
+  saveLoadouts,
   saveProfiles,
+  saveSnapshots,
   setProfile
 } from "./storage";
 import {deserializeState} from "../storage";
 import getDatabase from "../storage/Database";
 import nothing from "../../utils/nothing";
+import validateProgress from "../../utils/validateProgress";
+import ProgressReport from "../../components/ProgressReport/ProgressReport";
 
 export const CHANGE_SECTION = 'CHANGE_SECTION';
 export const SHOW_MODAL = 'SHOW_MODAL';
@@ -27,6 +32,8 @@ export const TOGGLE_SIDEBAR = 'TOGGLE_SIDEBAR';
 export const DELETE_PROFILE = 'DELETE_PROFILE';
 export const SET_STATE = 'SET_STATE';
 export const SET_IS_BUSY = 'SET_IS_BUSY';
+export const UNDO_PROFILE_CHANGE = 'UNDO_PROFILE_CHANGE';
+export const REDO_PROFILE_CHANGE = 'REDO_PROFILE_CHANGE';
 
 export function changeSection(newSection) {
   return {
@@ -95,25 +102,62 @@ export function resetState() {
   };
 }
 
+/**
+ * Restore a file made by "Save my progress". The file is checked before anything is saved, so that only the profiles,
+ * mods, and settings that are valid get imported, and then a report is shown of exactly what was and wasn't restored.
+ * @param progressData {string} The contents of the file
+ * @returns {Function}
+ */
 export function restoreProgress(progressData) {
   return function(dispatch) {
-    const stateObj = JSON.parse(progressData);
-    if (stateObj.version > '1.4' && stateObj.version !== 'develop') {
-      dispatch(saveGameSettings(stateObj.gameSettings));
-      dispatch(saveProfiles(stateObj.profiles, stateObj.allyCode));
-      dispatch(saveLastRuns(stateObj.lastRuns));
-      dispatch(loadProfile(stateObj.allyCode));
+    let fileContents;
+    try {
+      fileContents = JSON.parse(progressData);
+    } catch (e) {
+      dispatch(showFlash(
+        'Nothing was restored',
+        'The file couldn\'t be read. It may have been cut off, or it may not be a file from "Save my progress". ' +
+        `(${e.message})`
+      ));
+      return;
+    }
+
+    const {isLegacy, progress, report} = validateProgress(fileContents);
+    if (!progress) {
+      dispatch(showFlash('Nothing was restored', <ProgressReport report={report}/>));
+      return;
+    }
+
+    const hasProblems =
+      report.profiles.some(profileReport => !profileReport.imported || profileReport.invalidMods.length) ||
+      report.gameSettings.invalid.length ||
+      report.lastRuns.invalid.length ||
+      report.loadouts.invalid.length ||
+      report.snapshots.invalid.length;
+
+    if (!isLegacy) {
+      dispatch(saveGameSettings(progress.gameSettings));
+      dispatch(saveProfiles(progress.profiles, progress.allyCode));
+      dispatch(saveLastRuns(progress.lastRuns));
+      dispatch(saveLoadouts(progress.loadouts));
+      dispatch(saveSnapshots(progress.snapshots));
+      dispatch(loadProfile(progress.allyCode));
     } else {
-      const newState = deserializeState(stateObj);
+      const newState = deserializeState(progress);
       // Update the state to match the old file
       dispatch(setState(newState));
       // Populate the database from the state by using the populateDatabase action
       dispatch(populateDatabase(newState));
       // Reload the state from the database
-      dispatch(loadFromDb(stateObj.allyCode));
+      dispatch(loadFromDb(progress.allyCode));
       // Clean up any excess entries in the state
       dispatch(cleanState());
     }
+
+    dispatch(showFlash(
+      hasProblems ? 'Some of your progress could not be restored' : 'Your progress has been restored',
+      <ProgressReport report={report}/>
+    ));
   }
 }
 
@@ -165,6 +209,11 @@ export function updateProfile(updateFunc, auxiliaryChanges = nothing) {
     const db = getDatabase();
     const newProfile = updateFunc(state.profile);
 
+    if (newProfile === state.profile) {
+      auxiliaryChanges(dispatch, getState, newProfile);
+      return;
+    }
+
     db.saveProfile(
       newProfile,
       nothing,
@@ -173,7 +222,54 @@ export function updateProfile(updateFunc, auxiliaryChanges = nothing) {
         'Error saving your progress: ' + error.message + ' Your progress may be lost on page refresh.'
       ))
     );
-    dispatch(setProfile(newProfile));
+    dispatch(setProfile(newProfile, true));
     auxiliaryChanges(dispatch, getState, newProfile);
   };
 }
+
+/**
+ * Go back to the profile as it was before the last change made through updateProfile
+ * @returns {Function}
+ */
+export function undoProfileChange() {
+  return restoreProfileFromHistory(
+    state => state.profileHistory.past[state.profileHistory.past.length - 1],
+    {type: UNDO_PROFILE_CHANGE}
+  );
+}
+
+/**
+ * Reapply the last change that was undone
+ * @returns {Function}
+ */
+export function redoProfileChange() {
+  return restoreProfileFromHistory(
+    state => state.profileHistory.future[0],
+    {type: REDO_PROFILE_CHANGE}
+  );
+}
+
+/**
+ * Save a profile from the undo history to the database, then move to it in the state
+ * @param getProfile {function(Object): PlayerProfile} Get the profile to restore from the state
+ * @param action {Object} The action that moves to the restored profile
+ * @returns {Function}
+ */
+function restoreProfileFromHistory(getProfile, action) {
+  return function(dispatch, getState) {
+    const profile = getProfile(getState());
+    if (!profile) {
+      return;
+    }
+
+    getDatabase().saveProfile(
+      profile,
+      nothing,
+      error => dispatch(showFlash(
+        'Storage Error',
+        'Error saving your progress: ' + error.message + ' Your progress may be lost on page refresh.'
+      ))
+    );
+    dispatch(action);
+  };
+}
@@ -9,6 +9,8 @@ export const CHANGE_CHARACTER_FILTER = 'CHANGE_CHARACTER_FILTER';
 export const CHANGE_SET_RESTRICTIONS = 'CHANGE_SET_RESTRICTIONS';
 export const SELECT_SET_BONUS = 'SELECT_SET_BONUS';
 export const REMOVE_SET_BONUS = 'REMOVE_SET_BONUS';
+export const CHANGE_TARGET_STATS = 'CHANGE_TARGET_STATS';
+export const CHANGE_FORMULA = 'CHANGE_FORMULA';
 
 /**
  * Action to move a character from the "available characters" pool to the "selected characters" pool, moving the
@@ -388,6 +390,19 @@ export function updateLockUnselectedCharacters(lock) {
   );
 }
 
+/**
+ * Update whether to optimize all selected characters together, rather than strictly in order
+ * @param optimizeGlobally {boolean}
+ * @returns {Function}
+ */
+export function updateOptimizeGlobally(optimizeGlobally) {
+  return updateProfile(profile =>
+    profile.withGlobalSettings(
+      Object.assign({}, profile.globalSettings, {optimizeGlobally: optimizeGlobally})
+    )
+  );
+}
+
 /**
  * Fill the set restrictions to display on the character edit form
  * @param setRestrictions
@@ -425,3 +440,27 @@ export function removeSetBonus(setBonus) {
     setBonus: setBonus
   };
 }
+
+/**
+ * Fill the target stats to display on the character edit form, or replace them after one is added, changed, or removed
+ * @param targetStats {Array<TargetStat>}
+ * @returns {{targetStats: Array<TargetStat>, type: string}}
+ */
+export function changeTargetStats(targetStats) {
+  return {
+    type: CHANGE_TARGET_STATS,
+    targetStats: targetStats
+  };
+}
+
+/**
+ * Fill the formula to display on the character edit form, or replace it as it's typed, so that it can be checked
+ * @param formula {String}
+ * @returns {{formula: String, type: string}}
+ */
+export function changeFormula(formula) {
+  return {
+    type: CHANGE_FORMULA,
+    formula: formula
+  };
+}
@@ -1,8 +1,7 @@
 // @flow
 
 import React from 'react';
-import Mod from "../../domain/Mod";
-import {GameSettings, OptimizerSettings, PlayerValues} from "../../domain/CharacterDataClasses";
+import {OptimizerSettings} from "../../domain/CharacterDataClasses";
 import cleanAllyCode from "../../utils/cleanAllyCode";
 import {hideFlash, setIsBusy, showError, showFlash} from "./app";
 import getDatabase from "../storage/Database";
@@ -16,11 +15,23 @@ import groupByKey from "../../utils/groupByKey";
 import {addPlayerProfile, setGameSettings, setProfile} from "./storage";
 import {changeOptimizerView} from "./review";
 import CharacterStats, {NullCharacterStats} from "../../domain/CharacterStats";
+import RemoteDataSource from "../dataSources/RemoteDataSource";
+import FileDataSource from "../dataSources/FileDataSource";
+import calculateCharacterStats from "../../utils/statCalculator";
+import retryWithBackoff from "../../utils/retryWithBackoff";
+import {takeSnapshot} from "./history";
 
 export const TOGGLE_KEEP_OLD_MODS = 'TOGGLE_KEEP_OLD_MODS';
 export const REQUEST_CHARACTERS = 'REQUEST_CHARACTERS';
 export const REQUEST_PROFILE = 'REQUEST_PROFILE';
 export const REQUEST_STATS = 'REQUEST_STATS';
+export const START_REFRESH = 'START_REFRESH';
+export const UPDATE_REFRESH_STEP = 'UPDATE_REFRESH_STEP';
+export const DISMISS_REFRESH_STATUS = 'DISMISS_REFRESH_STATUS';
+
+// How many times to retry each step of fetching player data, and how long to wait before the first retry
+const refreshRetries = 2;
+const refreshRetryDelay = 2000;
 
 export function toggleKeepOldMods() {
   return {
@@ -51,142 +62,222 @@ export function requestStats() {
   };
 }
 
-function post(url = '', data = {}, extras = {}) {
-  return fetch(url, Object.assign({
-    method: 'POST',
-    headers: {'Accept': 'application/json', 'Content-Type': 'application/json'},
-    body: JSON.stringify(data),
-    mode: "cors",
-  }, extras))
-    .then(
-      response => {
-        if (response.ok) {
-          return response.json();
-        } else {
-          return response.text().then(errorText => {
-            return Promise.reject(new Error(errorText));
-          });
-        }
-      }
-    );
+/**
+ * Reset the status of every step in fetching player data, before a new fetch starts
+ * @returns {{type: string}}
+ */
+export function startRefresh() {
+  return {
+    type: START_REFRESH
+  };
 }
 
 /**
- * Fetch base character data from the API
+ * Update the status of one step in fetching player data
+ * @param step {string} One of 'characters', 'profile', or 'stats'
+ * @param update {Object} Any of {status, attempt, message, missingCharacters}
+ * @returns {{type: string, step: string, update: Object}}
+ */
+export function updateRefreshStep(step, update) {
+  return {
+    type: UPDATE_REFRESH_STEP,
+    step: step,
+    update: update
+  };
+}
+
+export function dismissRefreshStatus() {
+  return {
+    type: DISMISS_REFRESH_STATUS
+  };
+}
+
+/**
+ * Whether an error from a data source might go away if the request is tried again. Errors without a status never got
+ * a response at all.
+ * @param error {Error}
+ * @returns {boolean}
+ */
+function isRetriable(error) {
+  return !error.status || 500 <= error.status;
+}
+
+/**
+ * Run one step of fetching player data, retrying it with backoff if it fails and keeping its status up to date. The
+ * step is marked as failed if it never succeeds, but it's up to the caller to mark it as done.
+ * @param dispatch {function} The Redux dispatch function
+ * @param step {string} One of 'characters', 'profile', or 'stats'
+ * @param fetchStep {function(): Promise}
+ * @returns {Promise}
+ */
+function fetchWithRetries(dispatch, step, fetchStep) {
+  dispatch(updateRefreshStep(step, {status: 'running', attempt: 1, message: null}));
+
+  return retryWithBackoff(
+    fetchStep,
+    refreshRetries,
+    refreshRetryDelay,
+    isRetriable,
+    (attempt, error, delay) => dispatch(updateRefreshStep(step, {
+      status: 'retrying',
+      attempt: attempt,
+      message: `${error.message || 'The request failed.'} Trying again in ${delay / 1000} seconds.`
+    }))
+  ).catch(error => {
+    dispatch(updateRefreshStep(step, {status: 'failed', message: error.message}));
+    throw error;
+  });
+}
+
+/**
+ * Fetch base character data from a data source
  * @param dispatch {function} The Redux dispatch function
+ * @param dataSource {RemoteDataSource|FileDataSource} Where to fetch the data from
  * @param lastStep {boolean} Whether this is the last step in the API calls
  * @returns {Promise<Array | string[]>}
  */
-function dispatchFetchCharacters(dispatch, lastStep) {
+function dispatchFetchCharacters(dispatch, dataSource, lastStep) {
   dispatch(requestCharacters());
-  return fetch('https://api.mods-optimizer.swgoh.grandivory.com/characters/')
-    .then(response => response.json())
-    .then(characters => {
-      dispatch(receiveCharacters(characters, lastStep));
+  return fetchWithRetries(dispatch, 'characters', () => dataSource.fetchCharacters())
+    .then(gameSettings => {
+      // A data source without any character definitions leaves the ones we already have in place
+      if (gameSettings) {
+        dispatch(receiveCharacters(gameSettings, lastStep));
+      }
+      dispatch(updateRefreshStep('characters', {
+        status: 'done',
+        message: gameSettings ? null : 'No character definitions were found, so the saved ones were kept.'
+      }));
       return [];
     }, () => {
       return [
-        'Error when fetching character definitions from swgoh.gg. ' +
+        `Error when fetching character definitions from ${dataSource.description}. ` +
         'Some characters may not optimize properly until you fetch again.'
       ];
     });
 }
 
 /**
- * Fetch a player profile from the API
+ * Fetch a player profile from a data source and save it. If the profile can't be fetched or saved, the failure is
+ * shown in the step's status and the promise resolves to null.
  * @param dispatch {function} The Redux dispatch function
+ * @param dataSource {RemoteDataSource|FileDataSource} Where to fetch the data from
  * @param allyCode {string} The ally code to request
  * @param messages {Array<string>} Any messages to post to the user after the call is complete
  * @param keepOldMods {boolean} Whether to keep all existing mods, regardless of whether they were returned in this call
  * @param lastStep {boolean} Whether this is the last step in the API calls
- * @returns {Promise<T | never>}
+ * @returns {Promise<Object|null>}
  */
-function dispatchFetchProfile(dispatch, allyCode, messages, keepOldMods, lastStep) {
+function dispatchFetchProfile(dispatch, dataSource, allyCode, messages, keepOldMods, lastStep) {
   dispatch(requestProfile(allyCode));
-  return post(
-    'https://api.mods-optimizer.swgoh.grandivory.com/playerprofile/',
-    {'ally-code': allyCode}
-  )
+  return fetchWithRetries(dispatch, 'profile', () => dataSource.fetchProfile(allyCode).catch(error => {
+    if (error instanceof TypeError) {
+      throw new Error(
+        'Your character and mod data is taking a long time to update. Please wait a few minutes and try again.'
+      );
+    } else {
+      throw error;
+    }
+  }))
     .then(
-      playerProfile => {
-        const roster = playerProfile.roster.filter(entry => entry.combatType === 'CHARACTER');
-
-        // Convert mods to the serialized format recognized by the optimizer
-        const profileMods = roster.map(character => character.mods.map(mod => Mod.fromSwgohHelp(mod, character.defId)))
-          .reduce((allMods, charMods) => allMods.concat(charMods), []);
-
-        // Convert each character to a PlayerValues object
-        const profileCharacters = roster.reduce((characters, character) => {
-          characters[character.defId] = PlayerValues.fromSwgohHelp(character);
-          return characters;
-        }, {});
-
-        return {
-          name: playerProfile.name,
-          mods: profileMods,
-          characters: profileCharacters,
-          updated: playerProfile.updated
-        };
-      },
-    )
-    .catch(error => {
-      if (error instanceof TypeError) {
-        throw new Error(
-          'Your character and mod data is taking a long time to update. Please wait a few minutes and try again.'
-        );
-      } else {
-        throw error;
-      }
-    })
-    .then(profile => {
-      dispatch(receiveProfile(allyCode, profile, messages, keepOldMods, lastStep));
-      return profile;
-    });
+      // Later steps read the profile back from the database, so they can't start until it's been saved
+      profile => dispatch(receiveProfile(allyCode, profile, messages, keepOldMods, lastStep)).then(() => {
+        dispatch(updateRefreshStep('profile', {
+          status: 'done',
+          message: `Found ${Object.keys(profile.characters).length} characters and ${profile.mods.length} mods.`
+        }));
+        return profile;
+      }, error => {
+        dispatch(updateRefreshStep('profile', {status: 'failed', message: error.message}));
+        return null;
+      }),
+      () => null
+    );
 }
 
-function dispatchFetchCharacterStats(dispatch, allyCode, characters = null) {
+/**
+ * Fetch base and equipped stats for a set of characters from a data source. Any character that the data source can't
+ * give stats for (including all of them, if the data source can't be reached) has its stats calculated locally instead.
+ * Characters that still don't have stats after that, including every one of them if the app only has sample game data,
+ * are listed in the step's status rather than given made-up stats.
+ * @param dispatch {function} The Redux dispatch function
+ * @param dataSource {RemoteDataSource|FileDataSource} Where to fetch the data from
+ * @param allyCode {string} The ally code that the characters belong to
+ * @param characters {Object<string, PlayerValues>|null}
+ * @returns {Promise<Array<Object>>}
+ */
+function dispatchFetchCharacterStats(dispatch, dataSource, allyCode, characters = null) {
   if (null !== characters) {
-    return post(
-      'https://crinolo-swgoh.glitch.me/statCalc/api/characters',
-      Object.keys(characters).map(charID => ({
-          'defId': charID,
-          'rarity': characters[charID].stars,
-          'level': characters[charID].level,
-          'gear': characters[charID].gearLevel,
-          'equipped': characters[charID].gearPieces
-        }))
-    )
+    let fetchFailed = false;
+
+    return fetchWithRetries(dispatch, 'stats', () => dataSource.fetchCharacterStats(characters))
       .catch(() => {
-        throw new Error('Error fetching your character\'s stats. Please try again.')
+        fetchFailed = true;
+        return [];
       })
       .then(statsResponse => {
-        dispatch(receiveStats(allyCode, Object.keys(characters), statsResponse));
-        return statsResponse;
+        const hasStats = (stats, charID) => stats.find(statObject =>
+          statObject.unit.defId === charID && !statObject.stats.error
+        );
+
+        const unfetchedCharacters = Object.keys(characters)
+          .filter(charID => !hasStats(statsResponse, charID))
+          .reduce((unfetched, charID) => Object.assign(unfetched, {[charID]: characters[charID]}), {});
+
+        const allStats = statsResponse
+          .filter(stats => !unfetchedCharacters.hasOwnProperty(stats.unit.defId))
+          .concat(calculateCharacterStats(unfetchedCharacters));
+
+        const missingCharacters = Object.keys(characters).filter(charID => !hasStats(allStats, charID));
+        const calculatedCount = Object.keys(unfetchedCharacters).length - missingCharacters.length;
+
+        dispatch(receiveStats(allyCode, allStats));
+        dispatch(updateRefreshStep('stats', {
+          status: 'done',
+          message: fetchFailed ?
+            (calculatedCount ?
+              `The stat calculator couldn't be reached, so stats for ${calculatedCount} characters were calculated ` +
+              `in the app instead.` :
+              'The stat calculator couldn\'t be reached.') :
+            (calculatedCount ? `Stats for ${calculatedCount} characters were calculated in the app.` : null),
+          missingCharacters: missingCharacters
+        }));
+        return allStats;
       });
   } else {
+    dispatch(updateRefreshStep('stats', {
+      status: 'skipped',
+      message: 'Stats can\'t be updated without a player profile.'
+    }));
     return Promise.resolve()
       .then(() => dispatch(receiveStats(allyCode, null)));
   }
 }
 
 /**
- * Collect all the information needed for the optimizer for a player
+ * Collect all the information needed for the optimizer for a player. Each step is retried if it fails, and whatever
+ * was fetched successfully is kept even if a later step fails. The progress of each step is kept in the state's
+ * refreshStatus.
  * @param allyCode {string}
  * @param keepOldMods {boolean} Whether to keep all existing mods, regardless of whether they were returned in this call
+ * @param dataSource {RemoteDataSource|FileDataSource} Where to fetch the data from
  * @returns {function(*=): Promise<T | never | never>}
  */
-export function refreshPlayerData(allyCode, keepOldMods) {
+export function refreshPlayerData(allyCode, keepOldMods, dataSource = new RemoteDataSource()) {
   const cleanedAllyCode = cleanAllyCode(allyCode);
   const messages = [];
 
   return function(dispatch) {
-    return dispatchFetchCharacters(dispatch, false)
+    dispatch(startRefresh());
+    return dispatchFetchCharacters(dispatch, dataSource, false)
     // Only continue to fetch the player's profile if the character fetch was successful
       .then((characterMessages) => {
         messages.push(...characterMessages);
-        return dispatchFetchProfile(dispatch, cleanedAllyCode, messages, keepOldMods, false);
+        return dispatchFetchProfile(dispatch, dataSource, cleanedAllyCode, messages, keepOldMods, false);
       })
-      .then(profile => dispatchFetchCharacterStats(dispatch, cleanedAllyCode, profile ? profile.characters : null))
+      .then(profile =>
+        dispatchFetchCharacterStats(dispatch, dataSource, cleanedAllyCode, profile ? profile.characters : null)
+      )
       .catch(error => {
         dispatch(hideFlash());
         dispatch(showError(error.message));
@@ -195,15 +286,41 @@ export function refreshPlayerData(allyCode, keepOldMods) {
 }
 
 /**
- * Asynchronously fetch the set of all characters from swgoh.gg
+ * Collect all the information needed for the optimizer for a player from a saved API response, rather than fetching it
+ * from the API
+ * @param fileData {string} The contents of the saved response (see FileDataSource for the formats it can be in)
+ * @param allyCode {string} The ally code to store the data under if the saved response doesn't include one
+ * @param keepOldMods {boolean} Whether to keep all existing mods, regardless of whether they were in the saved response
+ * @returns {function(*=): Promise<T | never | never>}
+ */
+export function loadPlayerDataFromFile(fileData, allyCode, keepOldMods) {
+  return function(dispatch) {
+    let dataSource;
+    try {
+      dataSource = new FileDataSource(JSON.parse(fileData));
+    } catch (e) {
+      dispatch(showError('Unable to read the saved response: ' + e.message));
+      return Promise.resolve();
+    }
+
+    if (!dataSource.allyCode && !allyCode) {
+      dispatch(showError('The saved response doesn\'t include an ally code. Please enter one first.'));
+      return Promise.resolve();
+    }
+
+    return dispatch(refreshPlayerData(dataSource.allyCode || allyCode, keepOldMods, dataSource));
+  }
+}
+
+/**
+ * Asynchronously fetch the set of all characters from a data source
  *
  * @param allyCode string The ally code under which to store the character information
+ * @param dataSource {RemoteDataSource|FileDataSource} Where to fetch the data from
  */
-export function fetchCharacters(allyCode) {
-  const cleanedAllyCode = cleanAllyCode(allyCode);
-
+export function fetchCharacters(allyCode, dataSource = new RemoteDataSource()) {
   return function(dispatch) {
-    return dispatchFetchCharacters(dispatch, cleanedAllyCode, true);
+    return dispatchFetchCharacters(dispatch, dataSource, true);
   }
 }
 
@@ -212,21 +329,22 @@ export function fetchCharacters(allyCode) {
  * the fetch to fill in with the response
  *
  * @param allyCode string The ally code to fetch a profile for
+ * @param dataSource {RemoteDataSource|FileDataSource} Where to fetch the data from
  */
-export function fetchProfile(allyCode) {
+export function fetchProfile(allyCode, dataSource = new RemoteDataSource()) {
   const cleanedAllyCode = cleanAllyCode(allyCode);
 
   return function(dispatch) {
-    return dispatchFetchProfile(dispatch, cleanedAllyCode, true)
+    return dispatchFetchProfile(dispatch, dataSource, cleanedAllyCode, [], false, true)
       .catch(error => dispatch(showError(error.message)));
   }
 }
 
-export function fetchCharacterStats(allyCode, characters) {
+export function fetchCharacterStats(allyCode, characters, dataSource = new RemoteDataSource()) {
   const cleanedAllyCode = cleanAllyCode(allyCode);
 
   return function(dispatch) {
-    return dispatchFetchCharacterStats(dispatch, cleanedAllyCode, characters)
+    return dispatchFetchCharacterStats(dispatch, dataSource, cleanedAllyCode, characters)
       .catch(error => {
         dispatch(hideFlash());
         dispatch(showError(error.message))
@@ -235,31 +353,19 @@ export function fetchCharacterStats(allyCode, characters) {
 }
 
 /**
- * Update the set of known characters in the state (independent of any one profile) with data from swgoh.gg
- * @param characters {Array<Object>} The result from the call to the API
+ * Update the set of known characters in the state (independent of any one profile) with data from a data source
+ * @param gameSettings {Array<GameSettings>} The character definitions from the data source
  * @param lastStep {boolean} Whether this is the end of the API call chain
  * @returns {Function}
  */
-export function receiveCharacters(characters, lastStep) {
+export function receiveCharacters(gameSettings, lastStep) {
   return function(dispatch) {
     const db = getDatabase();
-    if (!characters && lastStep) {
+    if (!gameSettings && lastStep) {
       dispatch(setIsBusy(false));
       return;
     }
 
-    const gameSettings = characters.map(character => {
-      return new GameSettings(
-        character.base_id,
-        character.name,
-        character.image,
-        character.categories
-          .concat([character.alignment, character.role])
-          .concat(null !== character.ship_slot ? ['Crew Member'] : []),
-        character.description
-      );
-    });
-
     dispatch(setGameSettings(groupByKey(gameSettings, gs => gs.baseID)));
 
     db.saveGameSettings(
@@ -284,17 +390,18 @@ export function receiveCharacters(characters, lastStep) {
  * @param messages {Array<string>} Any messages to post to the user
  * @param keepOldMods {boolean} Whether to keep all existing mods, regardless of whether they were returned in this call
  * @param lastStep {boolean} Whether this is the last step in the API call chain
- * @returns {Function}
+ * @returns {function(*): Promise<PlayerProfile|null>} Once dispatched, a promise that resolves after the new profile
+ *          has been saved, or rejects if it couldn't be read or saved
  */
 export function receiveProfile(allyCode, profile, messages, keepOldMods, lastStep) {
   return function(dispatch) {
     const db = getDatabase();
     if ((!profile || !profile.characters) && lastStep) {
       dispatch(setIsBusy(false));
-      return;
+      return Promise.resolve(null);
     }
 
-    db.getGameSettings(
+    const saved = new Promise((resolve, reject) => db.getGameSettings(
       gameSettings => {
         db.getProfile(
           allyCode,
@@ -342,11 +449,14 @@ export function receiveProfile(allyCode, profile, messages, keepOldMods, lastSte
             const newProfile = oldProfile.withCharacters(newCharacters).withMods(finalMods);
             db.saveProfile(
               newProfile,
-              nothing,
-              error => dispatch(showFlash(
-                'Storage Error',
-                'Error saving your profile: ' + error.message + ' Your data may be lost on page refresh.'
-              ))
+              () => resolve(newProfile),
+              error => {
+                dispatch(showFlash(
+                  'Storage Error',
+                  'Error saving your profile: ' + error.message + ' Your data may be lost on page refresh.'
+                ));
+                reject(error);
+              }
             );
             db.deleteLastRun(
               newProfile.allyCode,
@@ -369,6 +479,7 @@ export function receiveProfile(allyCode, profile, messages, keepOldMods, lastSte
             if (lastStep) {
               dispatch(setIsBusy(false));
             }
+            reject(error);
           }
         );
       },
@@ -377,8 +488,9 @@ export function receiveProfile(allyCode, profile, messages, keepOldMods, lastSte
         if (lastStep) {
           dispatch(setIsBusy(false));
         }
+        reject(error);
       }
-    );
+    ));
 
     const lastUpdate = new Date(profile.updated);
     const nextUpdate = new Date(lastUpdate.getTime() + 60 * 60 * 1000); // plus one hour
@@ -410,17 +522,18 @@ export function receiveProfile(allyCode, profile, messages, keepOldMods, lastSte
         </p>,
       ])
     ));
+
+    return saved;
   };
 }
 
 /**
  * Handle the receipt of base and equipped stats for a list of characters
  * @param allyCode String
- * @param requestedCharacters {Array<string>} The baseIDs of all characters that were requested
  * @param characterStats Object{Character.baseID: {baseStats: CharacterStats, equippedStats: CharacterStats}}
  * @returns {Function}
  */
-export function receiveStats(allyCode, requestedCharacters, characterStats) {
+export function receiveStats(allyCode, characterStats) {
   return function(dispatch) {
     const db = getDatabase();
     if (!characterStats) {
@@ -480,7 +593,8 @@ export function receiveStats(allyCode, requestedCharacters, characterStats) {
 
         db.saveProfile(
           newProfile,
-          nothing,
+          // This is the last step of a fetch, so the profile now has both the new mods and the new stats
+          () => dispatch(takeSnapshot(newProfile)),
           error => {
             dispatch(showFlash(
               'Storage Error',
@@ -493,19 +607,6 @@ export function receiveStats(allyCode, requestedCharacters, characterStats) {
         dispatch(setIsBusy(false));
       }
     );
-
-    const errorCharacters = requestedCharacters.filter(charID =>
-      !characterStats.find(stats => stats.unit.defId === charID && !stats.stats.error)
-    );
-
-    const errorMessage = errorCharacters.length > 0 ?
-      'Missing stats for characters: ' + errorCharacters.join(', ') +
-      '. These characters may not optimize properly.'
-      : null;
-
-    if (errorMessage) {
-      dispatch(showError(errorMessage));
-    }
   };
 }
 
@@ -0,0 +1,88 @@
+import {fetchCharacters, loadPlayerDataFromFile, UPDATE_REFRESH_STEP} from './data';
+import {SET_PROFILE} from './storage';
+import {SHOW_ERROR} from './app';
+import RemoteDataSource from '../dataSources/RemoteDataSource';
+import {defaultFixturePath, loadFixture} from '../../../scripts/mockServer';
+
+// A database that answers every request asynchronously, and takes longer to save a profile than to read one, so that
+// anything that reads a profile before it's been saved gets the old one
+const mockDatabase = {
+  profiles: {},
+  getGameSettings: (onSuccess) => setTimeout(() => onSuccess({})),
+  saveGameSettings: (gameSettings, onSuccess) => setTimeout(onSuccess),
+  getProfile: (allyCode, onSuccess) => setTimeout(() => onSuccess(mockDatabase.profiles[allyCode] || null)),
+  saveProfile: (profile, onSuccess) => setTimeout(() => {
+    mockDatabase.profiles[profile.allyCode] = profile;
+    onSuccess();
+  }, 20),
+  deleteLastRun: (allyCode, onSuccess) => setTimeout(onSuccess),
+  saveSnapshot: () => null
+};
+
+jest.mock('../storage/Database', () => ({
+  __esModule: true,
+  default: () => mockDatabase
+}));
+
+describe('loadPlayerDataFromFile', () => {
+  it('adds stats to a profile that didn\'t exist before the import', async () => {
+    const actions = [];
+    const dispatch = action => {
+      if ('function' === typeof action) {
+        return action(dispatch, () => ({}));
+      }
+      actions.push(action);
+      return action;
+    };
+
+    await dispatch(loadPlayerDataFromFile(JSON.stringify(loadFixture(defaultFixturePath)), null, false));
+    // The stats are added to the profile once it's been read back from the database
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const profiles = actions.filter(action => SET_PROFILE === action.type).map(action => action.profile);
+    expect(actions.filter(action => SHOW_ERROR === action.type)).toEqual([]);
+    expect(profiles.length).toBeGreaterThan(0);
+    expect(profiles[profiles.length - 1].characters['BASTILASHAN'].playerValues.baseStats.speed).toBe(117);
+  });
+
+  it('reports characters without saved stats as missing rather than calculating them from the sample game data',
+    async () => {
+      const actions = [];
+      const dispatch = action => {
+        if ('function' === typeof action) {
+          return action(dispatch, () => ({}));
+        }
+        actions.push(action);
+        return action;
+      };
+
+      await dispatch(loadPlayerDataFromFile(JSON.stringify(loadFixture(defaultFixturePath)), null, false));
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const statsSteps = actions.filter(action => UPDATE_REFRESH_STEP === action.type && 'stats' === action.step);
+      expect(statsSteps[statsSteps.length - 1].update).toEqual({
+        status: 'done',
+        message: null,
+        missingCharacters: ['IMPERIALPROBEDROID']
+      });
+    });
+});
+
+describe('fetchCharacters', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('names the data source that the character definitions couldn\'t be fetched from', async () => {
+    global.fetch = () => Promise.resolve({ok: false, status: 404, text: () => Promise.resolve('Not found')});
+    const dispatch = action => 'function' === typeof action ? action(dispatch, () => ({})) : action;
+
+    const messages = await dispatch(fetchCharacters('123456789', new RemoteDataSource('http://localhost')));
+
+    expect(messages).toEqual([
+      'Error when fetching character definitions from the Mods Optimizer API. ' +
+      'Some characters may not optimize properly until you fetch again.'
+    ]);
+  });
+});
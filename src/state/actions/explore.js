@@ -1,5 +1,9 @@
 // @flow
 
+import React from "react";
+import {showFlash, updateProfile} from "./app";
+import {modsFromCsv} from "../../utils/modCsv";
+
 export const CHANGE_MODS_FILTER = 'CHANGE_MODS_FILTER';
 
 /**
@@ -13,3 +17,59 @@ export function changeModsFilter(newFilter) {
     filter: newFilter
   };
 }
+
+export const CHANGE_SELL_CANDIDATES_PER_SLOT = 'CHANGE_SELL_CANDIDATES_PER_SLOT';
+
+/**
+ * Update how many mods in each slot are kept for every character when looking for mods to sell
+ * @param candidatesPerSlot {number}
+ * @returns {{type: string, candidatesPerSlot: number}}
+ */
+export function changeSellCandidatesPerSlot(candidatesPerSlot) {
+  return {
+    type: CHANGE_SELL_CANDIDATES_PER_SLOT,
+    candidatesPerSlot: candidatesPerSlot
+  };
+}
+
+/**
+ * Add the mods from a CSV file to the current profile, replacing any mods that are already there with the same ID.
+ * Mods that the file puts on a character take the place of whatever that character had in the same slot. Rows that
+ * couldn't be read, or that put a mod on a character the player doesn't have, are listed afterwards, along with how
+ * many mods were imported.
+ * @param csvText {string}
+ * @returns {Function}
+ */
+export function importModsFromCsv(csvText) {
+  return function(dispatch, getState) {
+    const {mods, errors} = modsFromCsv(csvText, getState().gameSettings, getState().profile.characters);
+    const existingModIDs = new Set(getState().profile.mods.map(mod => mod.id));
+    const updatedCount = mods.filter(mod => existingModIDs.has(mod.id)).length;
+
+    if (mods.length) {
+      dispatch(updateProfile(profile => {
+        const importedModIDs = new Set(mods.map(mod => mod.id));
+        const equippedSlots = new Set(mods.filter(mod => mod.characterID).map(mod => `${mod.characterID}-${mod.slot}`));
+        const keptMods = profile.mods
+          .filter(mod => !importedModIDs.has(mod.id))
+          .map(mod => mod.characterID && equippedSlots.has(`${mod.characterID}-${mod.slot}`) ? mod.unequip() : mod);
+
+        return profile.withMods(keptMods.concat(mods));
+      }));
+    }
+
+    dispatch(showFlash(
+      errors.length ? 'Some rows could not be imported' : 'Import complete',
+      [
+        <p key={'summary'}>
+          Imported <span className={'gold'}>{mods.length - updatedCount}</span> new mods and
+          updated <span className={'gold'}>{updatedCount}</span> existing mods.
+        </p>
+      ].concat(errors.length ? [
+        <div className={'errors'} key={'errors'}>
+          {errors.map(({line, message}, index) => <p key={index}>Line {line}: {message}</p>)}
+        </div>
+      ] : [])
+    ));
+  };
+}
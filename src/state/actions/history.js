@@ -0,0 +1,72 @@
+// @flow
+
+import {showFlash} from "./app";
+import getDatabase from "../storage/Database";
+import ProfileSnapshot from "../../domain/ProfileSnapshot";
+
+export const SET_SNAPSHOTS = 'SET_SNAPSHOTS';
+export const CHANGE_HISTORY_BASELINE = 'CHANGE_HISTORY_BASELINE';
+
+/**
+ * Set the snapshots that have been taken of the current profile
+ * @param snapshots {Array<ProfileSnapshot>} Oldest first
+ * @returns {{type: string, snapshots: Array<ProfileSnapshot>}}
+ */
+export function setSnapshots(snapshots) {
+  return {
+    type: SET_SNAPSHOTS,
+    snapshots: snapshots
+  };
+}
+
+/**
+ * Choose which earlier snapshot the history view compares the latest one to
+ * @param timestamp {number|null} The time the snapshot was taken, or null to use the one just before the latest
+ * @returns {{type: string, timestamp: number|null}}
+ */
+export function changeHistoryBaseline(timestamp) {
+  return {
+    type: CHANGE_HISTORY_BASELINE,
+    timestamp: timestamp
+  };
+}
+
+/**
+ * Read all of the snapshots for a player from the database and store them in the state
+ * @param allyCode {string}
+ * @returns {Function}
+ */
+export function loadSnapshots(allyCode) {
+  return function(dispatch) {
+    const db = getDatabase();
+
+    db.getSnapshots(
+      allyCode,
+      snapshots => dispatch(setSnapshots(snapshots)),
+      error => dispatch(showFlash(
+        'Storage Error',
+        'Error reading your history: ' + error.message
+      ))
+    );
+  };
+}
+
+/**
+ * Save a snapshot of a profile as it was just fetched, then reload the list of snapshots
+ * @param profile {PlayerProfile}
+ * @returns {Function}
+ */
+export function takeSnapshot(profile) {
+  return function(dispatch) {
+    const db = getDatabase();
+
+    db.saveSnapshot(
+      ProfileSnapshot.fromProfile(profile),
+      () => dispatch(loadSnapshots(profile.allyCode)),
+      error => dispatch(showFlash(
+        'Storage Error',
+        'Error saving your history: ' + error.message + ' Changes since this fetch won\'t be shown.'
+      ))
+    );
+  };
+}
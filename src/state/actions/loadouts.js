@@ -0,0 +1,153 @@
+// @flow
+
+import {showFlash, updateProfile} from "./app";
+import {changeOptimizerView} from "./review";
+import getDatabase from "../storage/Database";
+import Loadout from "../../domain/Loadout";
+import nothing from "../../utils/nothing";
+
+export const SET_LOADOUTS = 'SET_LOADOUTS';
+export const CHANGE_LOADOUT_COMPARISON = 'CHANGE_LOADOUT_COMPARISON';
+
+/**
+ * Set the loadouts that are available for the current profile
+ * @param loadouts {Array<Loadout>}
+ * @returns {{type: string, loadouts: Array<Loadout>}}
+ */
+export function setLoadouts(loadouts) {
+  return {
+    type: SET_LOADOUTS,
+    loadouts: loadouts
+  };
+}
+
+/**
+ * Set which two loadouts to compare in the loadout diff view
+ * @param from {string} The name of the loadout being switched from
+ * @param to {string} The name of the loadout being switched to
+ * @returns {{type: string, from: string, to: string}}
+ */
+export function changeLoadoutComparison(from, to) {
+  return {
+    type: CHANGE_LOADOUT_COMPARISON,
+    from: from,
+    to: to
+  };
+}
+
+/**
+ * Read all of the loadouts for a player from the database and store them in the state
+ * @param allyCode {string}
+ * @returns {Function}
+ */
+export function loadLoadouts(allyCode) {
+  return function(dispatch) {
+    const db = getDatabase();
+
+    db.getLoadouts(
+      allyCode,
+      loadouts => dispatch(setLoadouts(loadouts.sort((left, right) => left.name.localeCompare(right.name)))),
+      error => dispatch(showFlash(
+        'Storage Error',
+        'Error reading your loadouts: ' + error.message
+      ))
+    );
+  };
+}
+
+/**
+ * Write a loadout to the database, then reload the list of loadouts
+ * @param allyCode {string}
+ * @param loadout {Loadout}
+ * @param dispatch {function}
+ */
+function storeLoadout(allyCode, loadout, dispatch) {
+  const db = getDatabase();
+
+  db.saveLoadout(
+    allyCode,
+    loadout,
+    () => dispatch(loadLoadouts(allyCode)),
+    error => dispatch(showFlash(
+      'Storage Error',
+      'Error saving your loadout: ' + error.message + ' Your changes may be lost on page refresh.'
+    ))
+  );
+}
+
+/**
+ * Save the characters, targets, and mod assignments in the current profile as a named loadout, and make it the active
+ * loadout
+ * @param name {string}
+ * @returns {Function}
+ */
+export function saveLoadout(name) {
+  return updateProfile(
+    profile => profile.withActiveLoadout(name),
+    (dispatch, getState, newProfile) =>
+      storeLoadout(newProfile.allyCode, Loadout.fromProfile(name, newProfile), dispatch)
+  );
+}
+
+/**
+ * Switch the current profile to a different loadout. Any changes made to the active loadout are saved first.
+ * @param name {string}
+ * @returns {Function}
+ */
+export function switchLoadout(name) {
+  return function(dispatch, getState) {
+    const state = getState();
+    const profile = state.profile;
+    const loadout = state.loadouts.find(loadout => loadout.name === name);
+
+    if (!loadout) {
+      return;
+    }
+
+    if (profile.activeLoadout && profile.activeLoadout !== name) {
+      storeLoadout(profile.allyCode, Loadout.fromProfile(profile.activeLoadout, profile), dispatch);
+    }
+
+    dispatch(updateProfile(profile => loadout.applyTo(profile)));
+    dispatch(changeOptimizerView('edit'));
+  };
+}
+
+/**
+ * Delete a loadout. The current characters and assignments are kept, but no longer belong to a loadout.
+ * @param name {string}
+ * @returns {Function}
+ */
+export function deleteLoadout(name) {
+  return function(dispatch, getState) {
+    const db = getDatabase();
+    const profile = getState().profile;
+
+    db.deleteLoadout(
+      profile.allyCode,
+      name,
+      () => dispatch(loadLoadouts(profile.allyCode)),
+      error => dispatch(showFlash(
+        'Storage Error',
+        'Error deleting your loadout: ' + error.message
+      ))
+    );
+
+    if (name === profile.activeLoadout) {
+      dispatch(updateProfile(profile => profile.withActiveLoadout(null), nothing));
+    }
+  };
+}
+
+/**
+ * Show which mods move when switching from one loadout to another
+ * @param from {string}
+ * @param to {string}
+ * @returns {Function}
+ */
+export function compareLoadouts(from, to) {
+  return function(dispatch) {
+    dispatch(changeLoadoutComparison(from, to));
+    dispatch(changeOptimizerView('loadouts'));
+  };
+}
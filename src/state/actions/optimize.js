@@ -8,10 +8,13 @@ import {changeOptimizerView} from "./review";
 import {mapObjectByKeyAndValue} from "../../utils/mapObject";
 import Character from "../../domain/Character";
 import nothing from "../../utils/nothing";
+import {relativeTargetStatErrors} from "../../utils/relativeTargetStats";
+import {checkFormula} from "../../utils/scoringObjectives";
 
 export const OPTIMIZE_MODS = 'OPTIMIZE_MODS';
 export const CANCEL_OPTIMIZE_MODS = 'CANCEL_OPTIMIZE_MODS';
 export const FINISH_OPTIMIZE_MODS = 'FINISH_OPTIMIZE_MODS';
+export const SET_GLOBAL_OPTIMIZATION_RESULT = 'SET_GLOBAL_OPTIMIZATION_RESULT';
 
 export function startModOptimization() {
   return {
@@ -19,6 +22,19 @@ export function startModOptimization() {
   };
 }
 
+/**
+ * Keep track of how much a global optimization improved on optimizing characters in order, to show when reviewing
+ * @param allyCode {string}
+ * @param globalOptimization {Object|null} The `globalOptimization` part of the result from the optimizer, if any
+ * @returns {{type: string, globalOptimization: *}}
+ */
+export function setGlobalOptimizationResult(allyCode, globalOptimization) {
+  return {
+    type: SET_GLOBAL_OPTIMIZATION_RESULT,
+    globalOptimization: globalOptimization ? Object.assign({allyCode: allyCode}, globalOptimization) : null
+  };
+}
+
 /**
  * Take the results of the mod optimization and apply them to the current profile
  * @param result {Object} The result from the optimizer
@@ -31,7 +47,10 @@ export function finishModOptimization(result, settings) {
       const newAssignments = {};
       // Go through the previous mod assignments until one is found in the new result.
       // Anything above that won't have changed
-      for (let characterID of settings.selectedCharacters) {
+      const selectedCharacterIDs = settings.selectedCharacters.map(selectedCharacter =>
+        'string' === typeof selectedCharacter ? selectedCharacter : selectedCharacter.id
+      );
+      for (let characterID of selectedCharacterIDs) {
         if (result.assignedSets[characterID]) {
           newAssignments[characterID] = result.assignedSets[characterID];
         } else if (!profile.characters[characterID].optimizerSettings.isLocked) {
@@ -54,6 +73,7 @@ export function finishModOptimization(result, settings) {
         ))
       );
 
+      dispatch(setGlobalOptimizationResult(newProfile.allyCode, result.globalOptimization));
       dispatch(setIsBusy(false));
       dispatch(changeOptimizerView('sets'));
       dispatch(hideModal());
@@ -117,6 +137,25 @@ export function optimizeMods() {
       return;
     }
 
+    const gameSettings = getState().gameSettings;
+    const characterName = characterID => gameSettings[characterID] ? gameSettings[characterID].name : characterID;
+
+    // Relative target stats can only be worked out from characters that are optimized earlier
+    const relativeErrors = relativeTargetStatErrors(
+      profile.selectedCharacters,
+      characterID => profile.characters[characterID].optimizerSettings.isLocked,
+      characterName
+    );
+    // Formulas are checked when they're entered, but a plan can also come from a file that was edited by hand
+    const formulaErrors = profile.selectedCharacters
+      .filter(({target}) => target && target.formula && checkFormula(target.formula))
+      .map(({id, target}) => `The formula for ${characterName(id)} can't be used: ${checkFormula(target.formula)}.`);
+    const planErrors = relativeErrors.concat(formulaErrors);
+    if (planErrors.length) {
+      dispatch(showError(planErrors.join(' ')));
+      return;
+    }
+
     dispatch(startModOptimization());
     optimizationWorker =
       new Worker(`/workers/optimizer.js?version=${process.env.REACT_APP_VERSION || 'local'}`);
@@ -156,7 +195,10 @@ export function optimizeMods() {
       dispatch(showError(error.message));
     };
 
-    optimizationWorker.postMessage(profile.allyCode);
+    optimizationWorker.postMessage({
+      type: 'Optimize',
+      allyCode: profile.allyCode
+    });
   };
 }
 
@@ -8,6 +8,7 @@ import nothing from "../../utils/nothing";
 export const CHANGE_OPTIMIZER_VIEW = 'CHANGE_OPTIMIZER_VIEW';
 export const CHANGE_MOD_SET_FILTER = 'CHANGE_MOD_SET_FILTER';
 export const CHANGE_MODLIST_FILTER = 'CHANGE_MODLIST_FILTER';
+export const CHANGE_MOVE_PLAN_FORMAT = 'CHANGE_MOVE_PLAN_FORMAT';
 
 export function changeOptimizerView(newView) {
   return {
@@ -28,6 +29,18 @@ export function changeModSetFilter(newFilter) {
   };
 }
 
+/**
+ * Update the format that the summary of mods to move is shown in
+ * @param format {string} One of the keys of movePlanExporters
+ * @returns {{type: string, format: string}}
+ */
+export function changeMovePlanFormat(format) {
+  return {
+    type: CHANGE_MOVE_PLAN_FORMAT,
+    format: format
+  };
+}
+
 /**
  * Unassign a mod
  * @param modID {string}
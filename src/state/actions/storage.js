@@ -1,9 +1,16 @@
+import React from "react";
 import getDatabase from "../storage/Database";
 import {mapObject} from "../../utils/mapObject";
 import OptimizerRun from "../../domain/OptimizerRun";
 import nothing from "../../utils/nothing";
-import {showError, showFlash} from "./app";
+import {hideModal, resetState, showError, showFlash, showModal} from "./app";
 import groupByKey from "../../utils/groupByKey";
+import PlayerProfile from "../../domain/PlayerProfile";
+import {validateSharedProfile} from "../../utils/validateProgress";
+import ProgressReport from "../../components/ProgressReport/ProgressReport";
+import ProfileImportConflict from "../../components/ProfileImportConflict/ProfileImportConflict";
+import ProfileSyncConflict from "../../components/ProfileSyncConflict/ProfileSyncConflict";
+import {DATABASE_CLEARED, GAME_SETTINGS_SAVED, PROFILE_DELETED, PROFILES_SAVED} from "../storage/TabSync";
 
 export const CLEAN_STATE = 'CLEAN_STATE';
 export const SET_GAME_SETTINGS = 'SET_GAME_SETTINGS';
@@ -161,6 +168,83 @@ export function loadProfiles(allyCode) {
   };
 }
 
+/**
+ * Reload the list of available profiles from the database, without changing the current profile
+ * @returns {Function}
+ */
+function loadPlayerProfiles() {
+  return function(dispatch) {
+    const db = getDatabase();
+
+    db.getProfiles(
+      profiles => {
+        const playerProfiles = {};
+        profiles.forEach(profile => playerProfiles[profile.allyCode] = profile.playerName);
+        dispatch(setPlayerProfiles(playerProfiles));
+      },
+      error =>
+        dispatch(showFlash(
+          'Storage Error',
+          'Error retrieving profiles: ' + error.message
+        ))
+    );
+  };
+}
+
+/**
+ * Bring this tab up to date with a change that another tab made to the database. If both tabs changed the current
+ * profile at the same time, ask which tab's changes to keep.
+ * @param message {Object} A message from TabSync
+ * @returns {Function}
+ */
+export function receiveTabSyncMessage(message) {
+  return function(dispatch, getState) {
+    const currentAllyCode = getState().profile ? getState().profile.allyCode : null;
+
+    switch (message.type) {
+      case PROFILES_SAVED:
+        if (!currentAllyCode) {
+          dispatch(loadProfiles(message.allyCode));
+        } else if (message.allyCode !== currentAllyCode) {
+          dispatch(loadPlayerProfiles());
+        } else if (message.isConflict) {
+          dispatch(showModal('', <ProfileSyncConflict
+            allyCode={message.allyCode}
+            onKeepMine={() => {
+              dispatch(hideModal());
+              // Saving again tells the other tab to load this tab's version
+              getDatabase().saveProfile(
+                getState().profile,
+                nothing,
+                error => dispatch(showFlash(
+                  'Storage Error',
+                  'Error saving your progress: ' + error.message + ' Your progress may be lost on page refresh.'
+                ))
+              );
+            }}
+            onTakeTheirs={() => {
+              dispatch(hideModal());
+              dispatch(loadProfiles(currentAllyCode));
+            }}
+          />, false));
+        } else {
+          dispatch(loadProfiles(currentAllyCode));
+        }
+        break;
+      case PROFILE_DELETED:
+        dispatch(loadProfiles(message.allyCode === currentAllyCode ? null : currentAllyCode));
+        break;
+      case GAME_SETTINGS_SAVED:
+        dispatch(loadGameSettings());
+        break;
+      case DATABASE_CLEARED:
+        dispatch(resetState());
+        break;
+      default:
+    }
+  };
+}
+
 /**
  * Remove any of the old keys from the state that are no longer needed with the database
  * @returns {{type: string}}
@@ -206,6 +290,117 @@ export function exportDatabase(callback) {
   };
 }
 
+/**
+ * Export a single profile, along with its last optimizer run and the game settings for its characters, so that it can
+ * be shared with another copy of the optimizer
+ * @param allyCode {string}
+ * @param callback {function(Object)}
+ * @returns {Function}
+ */
+export function exportProfile(allyCode, callback) {
+  return function(dispatch) {
+    const db = getDatabase();
+    db.exportProfile(
+      allyCode,
+      callback,
+      error => dispatch(showError('Error fetching your profile from the database: ' + error.message))
+    );
+  };
+}
+
+/**
+ * Import a profile from a file made by exportProfile, without touching any other profiles. If a profile with the same
+ * ally code is already saved, ask whether to keep it, replace it, or merge the character targets from the file into it.
+ * @param profileData {string} The contents of the file
+ * @returns {Function}
+ */
+export function importProfile(profileData) {
+  return function(dispatch, getState) {
+    let fileContents;
+    try {
+      fileContents = JSON.parse(profileData);
+    } catch (e) {
+      dispatch(showFlash(
+        'Nothing was imported',
+        'The file couldn\'t be read. It may have been cut off, or it may not be a file from "Export this profile". ' +
+        `(${e.message})`
+      ));
+      return;
+    }
+
+    const {sharedProfile, report} = validateSharedProfile(fileContents);
+    if (!sharedProfile) {
+      dispatch(showFlash('Nothing was imported', <ProgressReport report={report}/>));
+      return;
+    }
+
+    const allyCode = sharedProfile.profile.allyCode;
+    if (getState().playerProfiles.hasOwnProperty(allyCode)) {
+      dispatch(showModal('', <ProfileImportConflict
+        allyCode={allyCode}
+        playerName={sharedProfile.profile.playerName}
+        onResolve={resolution => dispatch(saveSharedProfile(sharedProfile, resolution, report))}
+        onCancel={() => dispatch(hideModal())}
+      />));
+    } else {
+      dispatch(saveSharedProfile(sharedProfile, 'theirs', report));
+    }
+  };
+}
+
+/**
+ * Save a profile that was shared from another copy of the optimizer. Game settings are only added for characters that
+ * don't have them yet, so that newer settings aren't replaced by older ones.
+ * @param sharedProfile {{profile: Object, lastRun: Object|null, gameSettings: Array<Object>}}
+ * @param resolution {string} What to do if the profile is already saved: 'mine' to keep the saved profile, 'theirs' to
+ *                            replace it, or 'merge' to add the character targets from the shared profile to it
+ * @param report {Object} The report from validateSharedProfile
+ * @returns {Function}
+ */
+function saveSharedProfile(sharedProfile, resolution, report) {
+  return function(dispatch, getState) {
+    const db = getDatabase();
+    const allyCode = sharedProfile.profile.allyCode;
+    const newGameSettings = sharedProfile.gameSettings.filter(({baseID}) => !getState().gameSettings[baseID]);
+    const showResult = summary => dispatch(showFlash('Profile imported', [
+      <p key={'summary'}>{summary}</p>,
+      <ProgressReport key={'report'} report={report} problemsOnly={true}/>
+    ]));
+
+    dispatch(hideModal());
+    if (newGameSettings.length) {
+      dispatch(saveGameSettings(newGameSettings));
+    }
+
+    switch (resolution) {
+      case 'mine':
+        showResult('Your saved profile was kept as it was.');
+        break;
+      case 'merge':
+        db.getProfile(
+          allyCode,
+          savedProfile => {
+            const mergedProfile = savedProfile.withTargetsFrom(PlayerProfile.deserialize(sharedProfile.profile));
+            dispatch(saveProfiles([mergedProfile], allyCode));
+            showResult('The character targets from the file were merged into your saved profile.');
+          },
+          error => dispatch(showError('Error loading your profile from the database: ' + error.message))
+        );
+        break;
+      case 'theirs':
+      default:
+        dispatch(saveProfiles([sharedProfile.profile], allyCode));
+        if (sharedProfile.lastRun) {
+          dispatch(saveLastRuns([sharedProfile.lastRun]));
+        } else {
+          // Without a last run, the optimizer will recalculate every character the next time it runs
+          db.deleteLastRun(allyCode);
+        }
+        showResult(`The profile for ${sharedProfile.profile.playerName || allyCode} was imported.`);
+    }
+  };
+}
+
 /**
  * Add new GameSettings objects to the database, or update existing ones
  * @param gameSettings {Array<GameSettings>}
@@ -264,6 +459,38 @@ export function saveLastRuns(lastRuns) {
   };
 }
 
+/**
+ * Add loadouts to the database, or update existing ones
+ * @param loadouts {Array<Object>} Loadouts as written by Loadout.serialize
+ * @returns {Function}
+ */
+export function saveLoadouts(loadouts) {
+  return function(dispatch) {
+    const db = getDatabase();
+    db.saveLoadouts(
+      loadouts,
+      nothing,
+      error => dispatch(showError('Error saving your loadouts: ' + error.message))
+    );
+  };
+}
+
+/**
+ * Add snapshots to the database, or update existing ones
+ * @param snapshots {Array<Object>} Snapshots as written by ProfileSnapshot.serialize
+ * @returns {Function}
+ */
+export function saveSnapshots(snapshots) {
+  return function(dispatch) {
+    const db = getDatabase();
+    db.saveSnapshots(
+      snapshots,
+      nothing,
+      error => dispatch(showError('Error saving your history: ' + error.message))
+    );
+  };
+}
+
 export function setGameSettings(gameSettings) {
   return {
     type: SET_GAME_SETTINGS,
@@ -271,10 +498,17 @@ export function setGameSettings(gameSettings) {
   };
 }
 
-export function setProfile(profile) {
+/**
+ * Set the current profile
+ * @param profile {PlayerProfile}
+ * @param recordHistory {boolean} Whether the profile being replaced should be kept so that the change can be undone.
+ *                                If not, the undo history is cleared.
+ */
+export function setProfile(profile, recordHistory = false) {
   return {
     type: SET_PROFILE,
-    profile: profile
+    profile: profile,
+    recordHistory: recordHistory
   };
 }
 
@@ -0,0 +1,71 @@
+// @flow
+
+import {toGameSettings, toProfile} from "./swgohHelp";
+
+/**
+ * A source of player data that reads from a saved API response instead of calling out to any server. The response can
+ * either be a player profile on its own, exactly as returned by the player profile API, or an object with any of
+ * these keys:
+ *   profile - the response from the player profile API
+ *   characters - the response from the characters API
+ *   stats - the response from the stat calculator
+ *
+ * If the response doesn't have character definitions, fetchCharacters resolves to null so that the ones that are
+ * already known are kept. Characters that don't have stats in the response come back with an error, the same way the
+ * stat calculator reports characters it can't find.
+ */
+export default class FileDataSource {
+  profile;
+  characters;
+  stats;
+
+  /**
+   * @param savedResponse {Object} The parsed contents of a saved API response
+   */
+  constructor(savedResponse) {
+    if (!savedResponse || 'object' !== typeof savedResponse) {
+      throw new Error('The saved response is not a JSON object.');
+    }
+
+    this.profile = savedResponse.roster ? savedResponse : savedResponse.profile || null;
+    this.characters = savedResponse.characters || null;
+    this.stats = savedResponse.stats || [];
+
+    if (!this.profile || !Array.isArray(this.profile.roster)) {
+      throw new Error('The saved response does not include a player profile.');
+    }
+  }
+
+  /**
+   * The ally code that the saved profile belongs to, if it was saved with one
+   *
+   * @returns {string|null}
+   */
+  get allyCode() {
+    return this.profile.allyCode ? `${this.profile.allyCode}` : null;
+  }
+
+  /**
+   * What to call this data source in messages to the user
+   *
+   * @returns {string}
+   */
+  get description() {
+    return 'the saved response';
+  }
+
+  fetchCharacters() {
+    return Promise.resolve(this.characters ? toGameSettings(this.characters) : null);
+  }
+
+  fetchProfile(allyCode) {
+    return Promise.resolve(toProfile(this.profile));
+  }
+
+  fetchCharacterStats(characters) {
+    return Promise.resolve(Object.keys(characters).map(charID =>
+      this.stats.find(statObject => statObject.unit.defId === charID) ||
+      {unit: {defId: charID}, stats: {error: 'No stats were saved for this character'}}
+    ));
+  }
+}
@@ -0,0 +1,88 @@
+// @flow
+
+import {toGameSettings, toProfile, toStatsRequest} from "./swgohHelp";
+
+/**
+ * Make a request that's expected to respond with JSON. If the response is an error, the error that's thrown has the
+ * status code of the response in its `status`, so that it can be told apart from a network failure.
+ *
+ * @param url {string}
+ * @param options {Object} Options to pass along to fetch
+ * @returns {Promise<*>}
+ */
+function request(url, options = {}) {
+  return fetch(url, Object.assign({mode: "cors"}, options))
+    .then(
+      response => {
+        if (response.ok) {
+          return response.json();
+        } else {
+          return response.text().then(errorText => {
+            const error = new Error(errorText);
+            error.status = response.status;
+            return Promise.reject(error);
+          });
+        }
+      }
+    );
+}
+
+function post(url = '', data = {}, extras = {}) {
+  return request(url, Object.assign({
+    method: 'POST',
+    headers: {'Accept': 'application/json', 'Content-Type': 'application/json'},
+    body: JSON.stringify(data)
+  }, extras));
+}
+
+/**
+ * A source of player data that calls the Mods Optimizer API for character definitions and player profiles, and
+ * Crinolo's stat calculator for character stats. Both can be pointed somewhere else (like the mock server in
+ * scripts/mockServer.js) by setting REACT_APP_API_URL and REACT_APP_STATS_URL when the app is built.
+ *
+ * Every data source has a `description` that names it in messages to the user, and the same three methods, each of
+ * which returns a Promise:
+ *   fetchCharacters() - resolves to an Array<GameSettings>
+ *   fetchProfile(allyCode) - resolves to {name, mods: Array<Mod>, characters: Object<string, PlayerValues>, updated}
+ *   fetchCharacterStats(characters) - takes an Object<string, PlayerValues> and resolves to an array of
+ *     {unit: {defId}, stats: {base, gear}}, with each of base and gear mapping a stat name to its value
+ */
+export default class RemoteDataSource {
+  apiUrl;
+  statsUrl;
+
+  /**
+   * @param apiUrl {string} The root of the Mods Optimizer API
+   * @param statsUrl {string} The root of the stat calculator API
+   */
+  constructor(apiUrl = RemoteDataSource.defaultApiUrl, statsUrl = RemoteDataSource.defaultStatsUrl) {
+    this.apiUrl = apiUrl;
+    this.statsUrl = statsUrl;
+  }
+
+  /**
+   * What to call this data source in messages to the user
+   *
+   * @returns {string}
+   */
+  get description() {
+    return 'the Mods Optimizer API';
+  }
+
+  fetchCharacters() {
+    return request(`${this.apiUrl}/characters/`)
+      .then(toGameSettings);
+  }
+
+  fetchProfile(allyCode) {
+    return post(`${this.apiUrl}/playerprofile/`, {'ally-code': allyCode})
+      .then(toProfile);
+  }
+
+  fetchCharacterStats(characters) {
+    return post(`${this.statsUrl}/characters`, toStatsRequest(characters));
+  }
+}
+
+RemoteDataSource.defaultApiUrl = process.env.REACT_APP_API_URL || 'https://api.mods-optimizer.swgoh.grandivory.com';
+RemoteDataSource.defaultStatsUrl = process.env.REACT_APP_STATS_URL || 'https://crinolo-swgoh.glitch.me/statCalc/api';
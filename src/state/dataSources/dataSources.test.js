@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import FileDataSource from './FileDataSource';
+import {createServer, defaultFixturePath, loadFixture} from '../../../scripts/mockServer';
+
+const fixture = loadFixture(defaultFixturePath);
+
+function request(port, method, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({port: port, method: method, path: path}, response => {
+      let data = '';
+      response.on('data', chunk => data += chunk);
+      response.on('end', () => resolve({status: response.statusCode, body: JSON.parse(data)}));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+describe('FileDataSource', () => {
+  const dataSource = new FileDataSource(fixture);
+
+  it('converts a saved profile into mods and characters', () => {
+    return dataSource.fetchProfile('123456789').then(profile => {
+      expect(dataSource.allyCode).toEqual('123456789');
+      expect(profile.name).toEqual('Mock Player');
+      expect(Object.keys(profile.characters)).toEqual(['BASTILASHAN', 'IMPERIALPROBEDROID']);
+      expect(profile.characters['BASTILASHAN'].gearLevel).toEqual(12);
+      expect(profile.mods.map(mod => [mod.id, mod.slot, mod.characterID])).toEqual([
+        ['mock-mod-1', 'square', 'BASTILASHAN'],
+        ['mock-mod-2', 'arrow', 'BASTILASHAN'],
+        ['mock-mod-3', 'circle', 'IMPERIALPROBEDROID']
+      ]);
+    });
+  });
+
+  it('converts saved character definitions into game settings', () => {
+    return dataSource.fetchCharacters().then(gameSettings => {
+      expect(gameSettings.map(settings => settings.baseID)).toEqual(['BASTILASHAN', 'IMPERIALPROBEDROID']);
+      expect(gameSettings[0].tags).toEqual(['Jedi', 'Leader', 'Old Republic', 'Light Side', 'Support']);
+    });
+  });
+
+  it('reports an error for characters without saved stats', () => {
+    return dataSource.fetchProfile()
+      .then(profile => dataSource.fetchCharacterStats(profile.characters))
+      .then(stats => {
+        expect(stats[0].stats.base['Speed']).toEqual(117);
+        expect(stats[1]).toEqual({unit: {defId: 'IMPERIALPROBEDROID'}, stats: {error: expect.any(String)}});
+      });
+  });
+
+  it('accepts a player profile on its own', () => {
+    const profileOnly = new FileDataSource(fixture.profile);
+
+    return profileOnly.fetchCharacters().then(gameSettings => expect(gameSettings).toBeNull());
+  });
+
+  it('rejects a file without a player profile', () => {
+    expect(() => new FileDataSource({characters: []})).toThrow('does not include a player profile');
+  });
+});
+
+describe('mock server', () => {
+  let server;
+  let port;
+
+  beforeAll(done => {
+    server = createServer(fixture).listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll(done => server.close(done));
+
+  it('serves character definitions', () => {
+    return request(port, 'GET', '/characters/').then(response => {
+      expect(response.status).toEqual(200);
+      expect(response.body).toEqual(fixture.characters);
+    });
+  });
+
+  it('serves the fixture profile for any ally code', () => {
+    return request(port, 'POST', '/playerprofile/', {'ally-code': '987654321'}).then(response => {
+      expect(response.body.allyCode).toEqual(987654321);
+      expect(response.body.roster).toEqual(fixture.profile.roster);
+    });
+  });
+
+  it('serves stats for the requested characters', () => {
+    return request(port, 'POST', '/statCalc/api/characters', [{defId: 'BASTILASHAN'}, {defId: 'UNKNOWN'}])
+      .then(response => {
+        expect(response.body).toEqual([
+          fixture.stats[0],
+          {unit: {defId: 'UNKNOWN'}, stats: {error: 'Character not found'}}
+        ]);
+      });
+  });
+});
@@ -0,0 +1,66 @@
+// @flow
+
+import Mod from "../../domain/Mod";
+import {GameSettings, PlayerValues} from "../../domain/CharacterDataClasses";
+
+/**
+ * Convert the character definitions returned by the API into GameSettings
+ *
+ * @param characters {Array<Object>} The result from the call to the characters API
+ * @returns {Array<GameSettings>}
+ */
+export function toGameSettings(characters) {
+  return characters.map(character => new GameSettings(
+    character.base_id,
+    character.name,
+    character.image,
+    character.categories
+      .concat([character.alignment, character.role])
+      .concat(null !== character.ship_slot ? ['Crew Member'] : []),
+    character.description
+  ));
+}
+
+/**
+ * Convert a player profile in the swgoh.help format into the mods and characters used by the optimizer. Ships are
+ * dropped, since they can't equip mods.
+ *
+ * @param playerProfile {Object} The result from the call to the player profile API
+ * @returns {{name: string, mods: Array<Mod>, characters: Object<string, PlayerValues>, updated: number}}
+ */
+export function toProfile(playerProfile) {
+  const roster = playerProfile.roster.filter(entry => entry.combatType === 'CHARACTER');
+
+  // Convert mods to the serialized format recognized by the optimizer
+  const profileMods = roster.map(character => character.mods.map(mod => Mod.fromSwgohHelp(mod, character.defId)))
+    .reduce((allMods, charMods) => allMods.concat(charMods), []);
+
+  // Convert each character to a PlayerValues object
+  const profileCharacters = roster.reduce((characters, character) => {
+    characters[character.defId] = PlayerValues.fromSwgohHelp(character);
+    return characters;
+  }, {});
+
+  return {
+    name: playerProfile.name,
+    mods: profileMods,
+    characters: profileCharacters,
+    updated: playerProfile.updated
+  };
+}
+
+/**
+ * Build the body of a request to the stat calculator for a set of characters
+ *
+ * @param characters {Object<string, PlayerValues>}
+ * @returns {Array<Object>}
+ */
+export function toStatsRequest(characters) {
+  return Object.keys(characters).map(charID => Object.assign({
+    'defId': charID,
+    'rarity': characters[charID].stars,
+    'level': characters[charID].level,
+    'gear': characters[charID].gearLevel,
+    'equipped': characters[charID].gearPieces
+  }, characters[charID].relicTier ? {'relic': {'currentTier': characters[charID].relicTier}} : {}));
+}
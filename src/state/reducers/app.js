@@ -23,6 +23,8 @@ export function hideModal(state) {
   return Object.assign({}, state, {
     isBusy: false,
     setRestrictions: null,
+    targetStats: null,
+    formula: null,
     modal: null
   });
 }
@@ -77,3 +79,33 @@ export function setIsBusy(state, action) {
     isBusy: action.isBusy
   });
 }
+
+export function undoProfileChange(state) {
+  const past = state.profileHistory.past;
+  if (!past.length) {
+    return state;
+  }
+
+  return Object.assign({}, state, {
+    profile: past[past.length - 1],
+    profileHistory: {
+      past: past.slice(0, -1),
+      future: [state.profile].concat(state.profileHistory.future)
+    }
+  });
+}
+
+export function redoProfileChange(state) {
+  const future = state.profileHistory.future;
+  if (!future.length) {
+    return state;
+  }
+
+  return Object.assign({}, state, {
+    profile: future[0],
+    profileHistory: {
+      past: state.profileHistory.past.concat([state.profile]),
+      future: future.slice(1)
+    }
+  });
+}
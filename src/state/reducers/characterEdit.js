@@ -56,3 +56,15 @@ export function removeSetBonus(state, action) {
 
   return state;
 }
+
+export function changeTargetStats(state, action) {
+  return Object.assign({}, state, {
+    targetStats: action.targetStats
+  });
+}
+
+export function changeFormula(state, action) {
+  return Object.assign({}, state, {
+    formula: action.formula
+  });
+}
@@ -22,3 +22,29 @@ export function requestStats(state) {
     isBusy: true
   });
 }
+
+export function startRefresh(state) {
+  return Object.assign({}, state, {
+    refreshStatus: {
+      characters: {status: 'pending', attempt: 0, message: null},
+      profile: {status: 'pending', attempt: 0, message: null},
+      stats: {status: 'pending', attempt: 0, message: null, missingCharacters: []}
+    }
+  });
+}
+
+export function updateRefreshStep(state, action) {
+  const refreshStatus = state.refreshStatus || {};
+
+  return Object.assign({}, state, {
+    refreshStatus: Object.assign({}, refreshStatus, {
+      [action.step]: Object.assign({}, refreshStatus[action.step], action.update)
+    })
+  });
+}
+
+export function dismissRefreshStatus(state) {
+  return Object.assign({}, state, {
+    refreshStatus: null
+  });
+}
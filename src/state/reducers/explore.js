@@ -5,3 +5,9 @@ export function changeModsFilter(state, action) {
     modsFilter: action.filter
   });
 }
+
+export function changeSellCandidatesPerSlot(state, action) {
+  return Object.assign({}, state, {
+    sellCandidatesPerSlot: action.candidatesPerSlot
+  });
+}
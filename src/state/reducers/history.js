@@ -0,0 +1,13 @@
+// @flow
+
+export function setSnapshots(state, action) {
+  return Object.assign({}, state, {
+    snapshots: action.snapshots
+  });
+}
+
+export function changeHistoryBaseline(state, action) {
+  return Object.assign({}, state, {
+    historyBaseline: action.timestamp
+  });
+}
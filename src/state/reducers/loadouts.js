@@ -0,0 +1,16 @@
+// @flow
+
+export function setLoadouts(state, action) {
+  return Object.assign({}, state, {
+    loadouts: action.loadouts
+  });
+}
+
+export function changeLoadoutComparison(state, action) {
+  return Object.assign({}, state, {
+    loadoutComparison: {
+      from: action.from,
+      to: action.to
+    }
+  });
+}
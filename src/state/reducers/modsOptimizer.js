@@ -5,49 +5,82 @@ import {
   HIDE_ERROR,
   HIDE_FLASH,
   HIDE_MODAL,
+  REDO_PROFILE_CHANGE,
   RESET_STATE,
   SET_IS_BUSY,
   SET_STATE,
   SHOW_ERROR,
   SHOW_FLASH,
   SHOW_MODAL,
-  TOGGLE_SIDEBAR
+  TOGGLE_SIDEBAR,
+  UNDO_PROFILE_CHANGE
 } from "../actions/app";
 import {
   CHANGE_CHARACTER_EDIT_MODE,
   CHANGE_CHARACTER_FILTER,
   CHANGE_SET_RESTRICTIONS,
+  CHANGE_TARGET_STATS,
+  CHANGE_FORMULA,
   REMOVE_SET_BONUS,
   SELECT_SET_BONUS,
 } from "../actions/characterEdit";
-import {REQUEST_CHARACTERS, REQUEST_PROFILE, REQUEST_STATS, TOGGLE_KEEP_OLD_MODS} from "../actions/data";
-import {CHANGE_MODS_FILTER} from "../actions/explore";
-import {CANCEL_OPTIMIZE_MODS, OPTIMIZE_MODS} from "../actions/optimize";
-import {CHANGE_MOD_SET_FILTER, CHANGE_MODLIST_FILTER, CHANGE_OPTIMIZER_VIEW,} from "../actions/review";
+import {
+  DISMISS_REFRESH_STATUS,
+  REQUEST_CHARACTERS,
+  REQUEST_PROFILE,
+  REQUEST_STATS,
+  START_REFRESH,
+  TOGGLE_KEEP_OLD_MODS,
+  UPDATE_REFRESH_STEP
+} from "../actions/data";
+import {CHANGE_MODS_FILTER, CHANGE_SELL_CANDIDATES_PER_SLOT} from "../actions/explore";
+import {CANCEL_OPTIMIZE_MODS, OPTIMIZE_MODS, SET_GLOBAL_OPTIMIZATION_RESULT} from "../actions/optimize";
+import {
+  CHANGE_MOD_SET_FILTER,
+  CHANGE_MODLIST_FILTER,
+  CHANGE_MOVE_PLAN_FORMAT,
+  CHANGE_OPTIMIZER_VIEW,
+} from "../actions/review";
+import {CHANGE_LOADOUT_COMPARISON, SET_LOADOUTS} from "../actions/loadouts";
+import {CHANGE_HISTORY_BASELINE, SET_SNAPSHOTS} from "../actions/history";
 import {
   changeSection,
   hideError,
   hideFlash,
   hideModal,
+  redoProfileChange,
   resetState,
   setIsBusy,
   setState,
   showError,
   showFlash,
   showModal,
-  toggleSidebar
+  toggleSidebar,
+  undoProfileChange
 } from "./app";
 import {
   changeCharacterEditMode,
   changeCharacterFilter,
   changeSetRestrictions,
+  changeTargetStats,
+  changeFormula,
   removeSetBonus,
   selectSetBonus,
 } from "./characterEdit";
-import {requestCharacters, requestProfile, requestStats, toggleKeepOldMods} from "./data";
-import {changeModsFilter} from "./explore";
-import {cancelOptimizeMods, optimizeMods} from "./optimize";
-import {changeModListFilter, changeModSetFilter, changeOptimizerView,} from "./review";
+import {
+  dismissRefreshStatus,
+  requestCharacters,
+  requestProfile,
+  requestStats,
+  startRefresh,
+  toggleKeepOldMods,
+  updateRefreshStep
+} from "./data";
+import {changeModsFilter, changeSellCandidatesPerSlot} from "./explore";
+import {cancelOptimizeMods, optimizeMods, setGlobalOptimizationResult} from "./optimize";
+import {changeModListFilter, changeModSetFilter, changeMovePlanFormat, changeOptimizerView,} from "./review";
+import {changeLoadoutComparison, setLoadouts} from "./loadouts";
+import {changeHistoryBaseline, setSnapshots} from "./history";
 import {ADD_PLAYER_PROFILE, CLEAN_STATE, SET_GAME_SETTINGS, SET_PLAYER_PROFILES, SET_PROFILE} from "../actions/storage";
 import {addPlayerProfile, cleanState, setGameSettings, setPlayerProfiles, setProfile} from "./storage";
 
@@ -92,6 +125,10 @@ export default function modsOptimizer(state, action) {
       return saveState(setState(state, action));
     case SET_IS_BUSY:
       return setIsBusy(state, action);
+    case UNDO_PROFILE_CHANGE:
+      return undoProfileChange(state);
+    case REDO_PROFILE_CHANGE:
+      return redoProfileChange(state);
 
     case CHANGE_CHARACTER_EDIT_MODE:
       return saveState(changeCharacterEditMode(state, action));
@@ -103,6 +140,10 @@ export default function modsOptimizer(state, action) {
       return selectSetBonus(state, action);
     case REMOVE_SET_BONUS:
       return removeSetBonus(state, action);
+    case CHANGE_TARGET_STATS:
+      return changeTargetStats(state, action);
+    case CHANGE_FORMULA:
+      return changeFormula(state, action);
 
     case REQUEST_CHARACTERS:
       return requestCharacters(state);
@@ -112,14 +153,34 @@ export default function modsOptimizer(state, action) {
       return requestStats(state);
     case TOGGLE_KEEP_OLD_MODS:
       return saveState(toggleKeepOldMods(state));
+    case START_REFRESH:
+      return startRefresh(state);
+    case UPDATE_REFRESH_STEP:
+      return updateRefreshStep(state, action);
+    case DISMISS_REFRESH_STATUS:
+      return dismissRefreshStatus(state);
 
     case CHANGE_MODS_FILTER:
       return saveState(changeModsFilter(state, action));
+    case CHANGE_SELL_CANDIDATES_PER_SLOT:
+      return saveState(changeSellCandidatesPerSlot(state, action));
 
     case OPTIMIZE_MODS:
       return optimizeMods(state);
     case CANCEL_OPTIMIZE_MODS:
       return saveState(cancelOptimizeMods(state, action));
+    case SET_GLOBAL_OPTIMIZATION_RESULT:
+      return setGlobalOptimizationResult(state, action);
+
+    case SET_LOADOUTS:
+      return setLoadouts(state, action);
+    case CHANGE_LOADOUT_COMPARISON:
+      return changeLoadoutComparison(state, action);
+
+    case SET_SNAPSHOTS:
+      return setSnapshots(state, action);
+    case CHANGE_HISTORY_BASELINE:
+      return changeHistoryBaseline(state, action);
 
     case CHANGE_OPTIMIZER_VIEW:
       return saveState(changeOptimizerView(state, action));
@@ -127,6 +188,8 @@ export default function modsOptimizer(state, action) {
       return saveState(changeModSetFilter(state, action));
     case CHANGE_MODLIST_FILTER:
       return saveState(changeModListFilter(state, action));
+    case CHANGE_MOVE_PLAN_FORMAT:
+      return saveState(changeMovePlanFormat(state, action));
 
     default:
       return state;
@@ -13,3 +13,9 @@ export function cancelOptimizeMods(state, action) {
     modal: null
   });
 }
+
+export function setGlobalOptimizationResult(state, action) {
+  return Object.assign({}, state, {
+    globalOptimization: action.globalOptimization
+  });
+}
@@ -0,0 +1,51 @@
+import {redoProfileChange, undoProfileChange} from './app';
+import {setProfile} from './storage';
+import {defaultState} from '../storage';
+import PlayerProfile from "../../domain/PlayerProfile";
+
+function change(state, profile) {
+  return setProfile(state, {profile: profile, recordHistory: true});
+}
+
+describe('profile history', () => {
+  const first = new PlayerProfile('123456789', 'first');
+  const second = first.withPlayerName('second');
+  const third = first.withPlayerName('third');
+
+  it('undoes and redoes changes in order', () => {
+    let state = setProfile(defaultState, {profile: first});
+    state = change(change(state, second), third);
+
+    state = undoProfileChange(undoProfileChange(state));
+    expect(state.profile).toBe(first);
+
+    state = redoProfileChange(state);
+    expect(state.profile).toBe(second);
+    expect(state.profileHistory).toEqual({past: [first], future: [third]});
+  });
+
+  it('forgets undone changes once a new change is made', () => {
+    let state = change(setProfile(defaultState, {profile: first}), second);
+    state = change(undoProfileChange(state), third);
+
+    expect(state.profileHistory).toEqual({past: [first], future: []});
+    expect(redoProfileChange(state)).toBe(state);
+  });
+
+  it('clears the history when a profile is set from outside', () => {
+    const state = setProfile(change(setProfile(defaultState, {profile: first}), second), {profile: third});
+
+    expect(state.profileHistory).toEqual({past: [], future: []});
+    expect(undoProfileChange(state)).toBe(state);
+  });
+
+  it('only keeps a limited number of changes', () => {
+    let state = setProfile(defaultState, {profile: first});
+    for (let i = 0; i < 100; i++) {
+      state = change(state, first.withPlayerName(`${i}`));
+    }
+
+    expect(state.profileHistory.past.length).toBe(50);
+    expect(state.profileHistory.past[0].playerName).toBe('49');
+  });
+});
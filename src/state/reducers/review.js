@@ -17,3 +17,9 @@ export function changeModListFilter(state, action) {
     modListFilter: action.filter
   });
 }
+
+export function changeMovePlanFormat(state, action) {
+  return Object.assign({}, state, {
+    movePlanFormat: action.format
+  });
+}
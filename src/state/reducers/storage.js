@@ -1,3 +1,8 @@
+import {defaultState} from "../storage";
+
+// The most profile changes that can be undone
+const maxProfileHistory = 50;
+
 export function cleanState(state) {
   const newState = Object.assign({}, state);
 
@@ -12,9 +17,17 @@ export function setGameSettings(state, action) {
 }
 
 export function setProfile(state, action) {
+  const profileHistory = action.recordHistory && state.profile ?
+    {
+      past: state.profileHistory.past.concat([state.profile]).slice(-maxProfileHistory),
+      future: []
+    } :
+    defaultState.profileHistory;
+
   return Object.assign({}, state, {
     allyCode: action.profile ? action.profile.allyCode : '',
-    profile: action.profile
+    profile: action.profile,
+    profileHistory: profileHistory
   });
 }
 
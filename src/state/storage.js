@@ -24,8 +24,10 @@ export function saveState(state) {
     'modsFilter',
     'modSetsFilter',
     'modListFilter',
+    'movePlanFormat',
     'optimizerView',
     'section',
+    'sellCandidatesPerSlot',
     'showSidebar',
     'version'
   ];
@@ -47,8 +49,12 @@ export const defaultState = {
   error: null,
   flashMessage: null,
   gameSettings: {},
+  globalOptimization: null, // How much the last global optimization improved on optimizing in order
+  historyBaseline: null, // When the snapshot that the history view compares to was taken, or null for the previous one
   isBusy: false,
   keepOldMods: true,
+  loadoutComparison: null, // The names of the two loadouts being compared, as {from, to}
+  loadouts: [], // Every loadout saved for the current profile
   modal: null,
   modsFilter: {
     slot: {},
@@ -59,6 +65,7 @@ export const defaultState = {
     equipped: {},
     primary: {},
     secondary: {},
+    rollEfficiency: {min: 0, max: 100},
     sort: ''
   },
   modSetsFilter: 'all',
@@ -67,12 +74,20 @@ export const defaultState = {
     sort: 'assignedCharacter',
     tag: null
   },
+  movePlanFormat: 'text', // The format that the summary of mods to move is shown in
   optimizerView: 'edit',
   playerProfiles: {}, // A simple map from ally codes to player names for all available profiles
   previousVersion: process.env.REACT_APP_VERSION || 'local',
   profile: null, // All the data about the current character
+  profileHistory: { // Earlier and later versions of the profile, for undo and redo
+    past: [],
+    future: []
+  },
+  refreshStatus: null, // The progress of each step of the last fetch of player data
   section: 'optimize',
+  sellCandidatesPerSlot: 10, // How many mods in each slot to keep for every character when looking for mods to sell
   showSidebar: true,
+  snapshots: [], // Every snapshot taken of the current profile, oldest first
   version: process.env.REACT_APP_VERSION || 'local'
 };
 
@@ -147,9 +162,11 @@ export function deserializeState(state) {
       modsFilter: Object.assign({}, defaultState.modsFilter, state.modsFilter),
       modListFilter: state.modListFilter || defaultState.modListFilter,
       modSetsFilter: state.modSetsFilter || defaultState.modSetsFilter,
+      movePlanFormat: state.movePlanFormat || defaultState.movePlanFormat,
       optimizerView: state.optimizerView || defaultState.optimizerView,
       previousVersion: state.version,
       section: state.section,
+      sellCandidatesPerSlot: state.sellCandidatesPerSlot || defaultState.sellCandidatesPerSlot,
       showSidebar: 'undefined' !== typeof state.showSidebar ? state.showSidebar : defaultState.showSidebar,
       version: version
     },
@@ -1,9 +1,19 @@
 import PlayerProfile from "../../domain/PlayerProfile";
+import Loadout from "../../domain/Loadout";
+import ProfileSnapshot from "../../domain/ProfileSnapshot";
 import nothing from "../../utils/nothing";
 import {GameSettings} from "../../domain/CharacterDataClasses";
+import {latestVersion, upgradeDatabase} from "./migrations";
+import {DATABASE_CLEARED, GAME_SETTINGS_SAVED, PROFILE_DELETED, PROFILES_SAVED} from "./TabSync";
+
+// The optimizer worker opens the database directly, so it needs to use the same name and version
+export const databaseName = 'ModsOptimizer';
+export const databaseVersion = latestVersion;
 
 class Database {
   database;
+  // Called after every change to the profiles or game settings, so that other tabs can be told about it (see TabSync)
+  onChange = nothing;
 
   /**
    * Generate a new Database instance
@@ -12,7 +22,7 @@ class Database {
    */
   constructor(onsuccess = nothing, onerror = nothing) {
     const self = this;
-    const openDbRequest = indexedDB.open('ModsOptimizer', 1);
+    const openDbRequest = indexedDB.open(databaseName, databaseVersion);
 
     openDbRequest.onerror = function(event) {
       onerror(event.target.error);
@@ -24,22 +34,20 @@ class Database {
     };
 
     openDbRequest.onupgradeneeded = function(event) {
-      const db = event.target.result;
-
-      // Create object stores for: game data about each character, player profiles, and the last run done by each player
-      db.createObjectStore('gameSettings', {keyPath: 'baseID'});
-      db.createObjectStore('profiles', {keyPath: 'allyCode'});
-      db.createObjectStore('lastRuns', {keyPath: 'allyCode'});
+      // Every change to the stores or the records in them is a step in ./migrations
+      upgradeDatabase(event.target.result, event.target.transaction, event.oldVersion);
     };
   }
 
   /**
-   * Export all the data from the database, calling the callback with the result
+   * Export all of the player's data from the database, calling the callback with the result. Cached optimizer results
+   * are left out, since the optimizer can always find them again.
    * @param onsuccess {function(Object)}
    * @param onerror {function(error)}
    */
   export(onsuccess = nothing, onerror = nothing) {
-    const getDataRequest = this.database.transaction(['gameSettings', 'profiles', 'lastRuns']);
+    const getDataRequest =
+      this.database.transaction(['gameSettings', 'profiles', 'lastRuns', 'loadouts', 'snapshots']);
     const userData = {};
 
     getDataRequest.onerror = function(event) {
@@ -63,7 +71,59 @@ class Database {
     const lastRunsRequest = getDataRequest.objectStore('lastRuns').getAll();
     lastRunsRequest.onsuccess = function(event) {
       userData.lastRuns = event.target.result;
-    }
+    };
+
+    const loadoutsRequest = getDataRequest.objectStore('loadouts').getAll();
+    loadoutsRequest.onsuccess = function(event) {
+      userData.loadouts = event.target.result;
+    };
+
+    const snapshotsRequest = getDataRequest.objectStore('snapshots').getAll();
+    snapshotsRequest.onsuccess = function(event) {
+      userData.snapshots = event.target.result;
+    };
+  }
+
+  /**
+   * Export a single profile, along with its last optimizer run and the game settings for only the characters in it
+   * @param allyCode {string}
+   * @param onsuccess {function({profile: Object, lastRun: Object|null, gameSettings: Array<Object>})}
+   * @param onerror {function(error)}
+   */
+  exportProfile(allyCode, onsuccess = nothing, onerror = nothing) {
+    const getDataRequest = this.database.transaction(['gameSettings', 'profiles', 'lastRuns']);
+    const profileData = {};
+    let allGameSettings = [];
+
+    getDataRequest.onerror = function(event) {
+      onerror(event.target.error);
+    };
+
+    getDataRequest.oncomplete = function() {
+      if (!profileData.profile) {
+        onerror(new Error(`There is no profile saved for ${allyCode}.`));
+        return;
+      }
+
+      const characterIDs = Object.keys(profileData.profile.characters);
+      profileData.gameSettings = allGameSettings.filter(gameSettings => characterIDs.includes(gameSettings.baseID));
+      onsuccess(profileData);
+    };
+
+    const profileRequest = getDataRequest.objectStore('profiles').get(allyCode);
+    profileRequest.onsuccess = function(event) {
+      profileData.profile = event.target.result;
+    };
+
+    const lastRunRequest = getDataRequest.objectStore('lastRuns').get(allyCode);
+    lastRunRequest.onsuccess = function(event) {
+      profileData.lastRun = event.target.result || null;
+    };
+
+    const gameSettingsRequest = getDataRequest.objectStore('gameSettings').getAll();
+    gameSettingsRequest.onsuccess = function(event) {
+      allGameSettings = event.target.result;
+    };
   }
 
   /**
@@ -72,19 +132,27 @@ class Database {
    * @param onerror {function(error)}
    */
   clear(onsuccess = nothing, onerror = nothing) {
-    const deleteDataRequest = this.database.transaction(['gameSettings', 'profiles', 'lastRuns'], 'readwrite');
+    const deleteDataRequest =
+      this.database.transaction(
+        ['gameSettings', 'profiles', 'lastRuns', 'optimizerResults', 'loadouts', 'snapshots'],
+        'readwrite'
+      );
 
     deleteDataRequest.onerror = function(event) {
       onerror(event.target.error);
     };
 
-    deleteDataRequest.oncomplete = function() {
+    deleteDataRequest.oncomplete = () => {
       onsuccess();
+      this.onChange({type: DATABASE_CLEARED});
     };
 
     deleteDataRequest.objectStore('gameSettings').clear();
     deleteDataRequest.objectStore('profiles').clear();
     deleteDataRequest.objectStore('lastRuns').clear();
+    deleteDataRequest.objectStore('optimizerResults').clear();
+    deleteDataRequest.objectStore('loadouts').clear();
+    deleteDataRequest.objectStore('snapshots').clear();
   }
 
   /**
@@ -106,7 +174,11 @@ class Database {
 
     deleteProfileRequest.onsuccess = function() {
       self.deleteLastRun(allyCode);
+      self.deleteOptimizerResults(allyCode);
+      self.deleteLoadouts(allyCode);
+      self.deleteSnapshots(allyCode);
       onsuccess();
+      self.onChange({type: PROFILE_DELETED, allyCode: allyCode});
     };
   }
 
@@ -137,6 +209,121 @@ class Database {
     };
   }
 
+  /**
+   * Delete all of the cached optimizer results for a player
+   * @param allyCode {string}
+   * @param onsuccess {function()}
+   * @param onerror {function(error)}
+   */
+  deleteOptimizerResults(allyCode, onsuccess = nothing, onerror = nothing) {
+    const deleteResultsRequest = this.database.transaction('optimizerResults', 'readwrite');
+
+    deleteResultsRequest.onerror = function(event) {
+      onerror(event.target.error);
+    };
+
+    deleteResultsRequest.oncomplete = function() {
+      onsuccess();
+    };
+
+    const cursorRequest = deleteResultsRequest.objectStore('optimizerResults')
+      .index('allyCode')
+      .openKeyCursor(IDBKeyRange.only(allyCode));
+
+    cursorRequest.onsuccess = function(event) {
+      const cursor = event.target.result;
+
+      if (cursor) {
+        deleteResultsRequest.objectStore('optimizerResults').delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+  }
+
+  /**
+   * Delete a single loadout for a player
+   * @param allyCode {string}
+   * @param name {string}
+   * @param onsuccess {function()}
+   * @param onerror {function(error)}
+   */
+  deleteLoadout(allyCode, name, onsuccess = nothing, onerror = nothing) {
+    const deleteLoadoutRequest = this.database
+      .transaction('loadouts', 'readwrite')
+      .objectStore('loadouts')
+      .delete(`${allyCode}:${name}`);
+
+    deleteLoadoutRequest.onerror = function(event) {
+      onerror(event.target.error);
+    };
+
+    deleteLoadoutRequest.onsuccess = function() {
+      onsuccess();
+    };
+  }
+
+  /**
+   * Delete all of the loadouts for a player
+   * @param allyCode {string}
+   * @param onsuccess {function()}
+   * @param onerror {function(error)}
+   */
+  deleteLoadouts(allyCode, onsuccess = nothing, onerror = nothing) {
+    const deleteLoadoutsRequest = this.database.transaction('loadouts', 'readwrite');
+
+    deleteLoadoutsRequest.onerror = function(event) {
+      onerror(event.target.error);
+    };
+
+    deleteLoadoutsRequest.oncomplete = function() {
+      onsuccess();
+    };
+
+    const cursorRequest = deleteLoadoutsRequest.objectStore('loadouts')
+      .index('allyCode')
+      .openKeyCursor(IDBKeyRange.only(allyCode));
+
+    cursorRequest.onsuccess = function(event) {
+      const cursor = event.target.result;
+
+      if (cursor) {
+        deleteLoadoutsRequest.objectStore('loadouts').delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+  }
+
+  /**
+   * Delete all of the snapshots taken of a player's profile
+   * @param allyCode {string}
+   * @param onsuccess {function()}
+   * @param onerror {function(error)}
+   */
+  deleteSnapshots(allyCode, onsuccess = nothing, onerror = nothing) {
+    const deleteSnapshotsRequest = this.database.transaction('snapshots', 'readwrite');
+
+    deleteSnapshotsRequest.onerror = function(event) {
+      onerror(event.target.error);
+    };
+
+    deleteSnapshotsRequest.oncomplete = function() {
+      onsuccess();
+    };
+
+    const cursorRequest = deleteSnapshotsRequest.objectStore('snapshots')
+      .index('allyCode')
+      .openKeyCursor(IDBKeyRange.only(allyCode));
+
+    cursorRequest.onsuccess = function(event) {
+      const cursor = event.target.result;
+
+      if (cursor) {
+        deleteSnapshotsRequest.objectStore('snapshots').delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+  }
+
   /**
    * Get all of the gameSettings from the database and return them as an object
    * @param onsuccess {function(Array<GameSettings>)}
@@ -156,6 +343,50 @@ class Database {
     };
   }
 
+  /**
+   * Get all of the loadouts saved for a player
+   * @param allyCode {string}
+   * @param onsuccess {function(Array<Loadout>)}
+   * @param onerror {function(error)}
+   */
+  getLoadouts(allyCode, onsuccess = nothing, onerror = nothing) {
+    const getLoadoutsRequest = this.database.transaction('loadouts', 'readwrite')
+      .objectStore('loadouts')
+      .index('allyCode')
+      .getAll(IDBKeyRange.only(allyCode));
+
+    getLoadoutsRequest.onerror = function(event) {
+      onerror(event.target.error);
+    };
+
+    getLoadoutsRequest.onsuccess = function(event) {
+      const loadouts = event.target.result.map(loadout => Loadout.deserialize(loadout));
+      onsuccess(loadouts);
+    };
+  }
+
+  /**
+   * Get all of the snapshots taken of a player's profile, oldest first
+   * @param allyCode {string}
+   * @param onsuccess {function(Array<ProfileSnapshot>)}
+   * @param onerror {function(error)}
+   */
+  getSnapshots(allyCode, onsuccess = nothing, onerror = nothing) {
+    const getSnapshotsRequest = this.database.transaction('snapshots', 'readwrite')
+      .objectStore('snapshots')
+      .index('allyCode')
+      .getAll(IDBKeyRange.only(allyCode));
+
+    getSnapshotsRequest.onerror = function(event) {
+      onerror(event.target.error);
+    };
+
+    getSnapshotsRequest.onsuccess = function(event) {
+      const snapshots = event.target.result.map(snapshot => ProfileSnapshot.deserialize(snapshot));
+      onsuccess(snapshots.sort((left, right) => left.timestamp - right.timestamp));
+    };
+  }
+
   /**
    * Get a single profile. If no allyCode is given, the first profile in the database will be returned.
    * @param allyCode {string}
@@ -234,10 +465,9 @@ class Database {
       // ));
     };
 
-    saveProfileRequest.onsuccess = function(event) {
-      onsuccess(event.target.result);
-      // self.getProfiles();
-      // self.getProfile(profile.allyCode);
+    saveProfileRequest.oncomplete = () => {
+      onsuccess(profile.allyCode);
+      this.onChange({type: PROFILES_SAVED, allyCodes: [profile.allyCode]});
     };
 
     saveProfileRequest.objectStore('profiles')
@@ -258,8 +488,9 @@ class Database {
       onerror(event.target.error);
     };
 
-    saveProfileRequest.oncomplete = function(event) {
+    saveProfileRequest.oncomplete = () => {
       onsuccess(keys);
+      this.onChange({type: PROFILES_SAVED, allyCodes: keys});
     };
 
     profiles.forEach(profile => {
@@ -273,6 +504,66 @@ class Database {
     });
   }
 
+  /**
+   * Add or update a single loadout for a player
+   * @param allyCode {string}
+   * @param loadout {Loadout}
+   * @param onsuccess {function(string)}
+   * @param onerror {function(error)}
+   */
+  saveLoadout(allyCode, loadout, onsuccess = nothing, onerror = nothing) {
+    const saveLoadoutRequest = this.database.transaction(['loadouts'], 'readwrite')
+      .objectStore('loadouts')
+      .put(loadout.serialize(allyCode));
+
+    saveLoadoutRequest.onerror = function(event) {
+      onerror(event.target.error);
+    };
+
+    saveLoadoutRequest.onsuccess = function(event) {
+      onsuccess(event.target.result);
+    };
+  }
+
+  /**
+   * Add a snapshot of a player's profile. If that leaves the player with more than ProfileSnapshot.maxPerProfile
+   * snapshots, the oldest ones are deleted.
+   * @param snapshot {ProfileSnapshot}
+   * @param onsuccess {function()}
+   * @param onerror {function(error)}
+   */
+  saveSnapshot(snapshot, onsuccess = nothing, onerror = nothing) {
+    const saveSnapshotRequest = this.database.transaction('snapshots', 'readwrite');
+    const snapshotStore = saveSnapshotRequest.objectStore('snapshots');
+
+    saveSnapshotRequest.onerror = function(event) {
+      onerror(event.target.error);
+    };
+
+    saveSnapshotRequest.oncomplete = function() {
+      onsuccess();
+    };
+
+    snapshotStore.put(snapshot.serialize()).onsuccess = function() {
+      const snapshotTimes = [];
+      const cursorRequest = snapshotStore.index('allyCode').openCursor(IDBKeyRange.only(snapshot.allyCode));
+
+      cursorRequest.onsuccess = function(event) {
+        const cursor = event.target.result;
+
+        if (cursor) {
+          snapshotTimes.push({key: cursor.primaryKey, timestamp: cursor.value.timestamp});
+          cursor.continue();
+        } else {
+          snapshotTimes
+            .sort((left, right) => left.timestamp - right.timestamp)
+            .slice(0, Math.max(0, snapshotTimes.length - ProfileSnapshot.maxPerProfile))
+            .forEach(({key}) => snapshotStore.delete(key));
+        }
+      };
+    };
+  }
+
   /**
    * Add new gameSettings to the database, or update existing ones
    * @param gameSettings {Array<GameSettings>}
@@ -287,8 +578,9 @@ class Database {
       onerror(event.target.error);
     };
 
-    saveGameSettingsRequest.oncomplete = function(event) {
+    saveGameSettingsRequest.oncomplete = () => {
       onsuccess(keys);
+      this.onChange({type: GAME_SETTINGS_SAVED});
     };
 
     gameSettings.forEach(gameSetting => {
@@ -350,6 +642,49 @@ class Database {
       };
     });
   }
+
+  /**
+   * Save a group of loadouts, as written by Loadout.serialize, such as the ones in a file from "Save my progress"
+   * @param loadouts {Array<Object>}
+   * @param onsuccess {function()}
+   * @param onerror {function(error)}
+   */
+  saveLoadouts(loadouts, onsuccess = nothing, onerror = nothing) {
+    const saveLoadoutsRequest = this.database.transaction(['loadouts'], 'readwrite');
+
+    saveLoadoutsRequest.onerror = function(event) {
+      onerror(event.target.error);
+    };
+
+    saveLoadoutsRequest.oncomplete = function() {
+      onsuccess();
+    };
+
+    loadouts.forEach(loadout => saveLoadoutsRequest.objectStore('loadouts').put(loadout));
+  }
+
+  /**
+   * Save a group of snapshots, such as the ones in a file from "Save my progress". Unlike saveSnapshot, older snapshots
+   * aren't deleted, since these were already trimmed when they were taken.
+   * @param snapshots {Array<ProfileSnapshot|Object>}
+   * @param onsuccess {function()}
+   * @param onerror {function(error)}
+   */
+  saveSnapshots(snapshots, onsuccess = nothing, onerror = nothing) {
+    const saveSnapshotsRequest = this.database.transaction(['snapshots'], 'readwrite');
+
+    saveSnapshotsRequest.onerror = function(event) {
+      onerror(event.target.error);
+    };
+
+    saveSnapshotsRequest.oncomplete = function() {
+      onsuccess();
+    };
+
+    snapshots.forEach(snapshot => saveSnapshotsRequest.objectStore('snapshots').put(
+      'function' === typeof snapshot.serialize ? snapshot.serialize() : snapshot
+    ));
+  }
 }
 
 let instance = null;
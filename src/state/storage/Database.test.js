@@ -0,0 +1,64 @@
+import getDatabase from './Database';
+import fakeIndexedDB, {FakeKeyRange} from './fixtures/fakeIndexedDB';
+import Loadout from "../../domain/Loadout";
+import OptimizationPlan from "../../domain/OptimizationPlan";
+import ProfileSnapshot from "../../domain/ProfileSnapshot";
+import validateProgress from "../../utils/validateProgress";
+
+const profile = {
+  allyCode: '123456789',
+  playerName: 'Player',
+  characters: {
+    BASTILASHAN: {baseID: 'BASTILASHAN', playerValues: {}, optimizerSettings: {target: {}}}
+  },
+  mods: [],
+  selectedCharacters: [],
+  modAssignments: {},
+  globalSettings: {}
+};
+
+describe('Database', () => {
+  const originalIndexedDB = global.indexedDB;
+  const originalKeyRange = global.IDBKeyRange;
+  let database;
+
+  beforeAll(async () => {
+    global.indexedDB = fakeIndexedDB();
+    global.IDBKeyRange = FakeKeyRange;
+    database = await new Promise((resolve, reject) => getDatabase(resolve, reject));
+  });
+  afterAll(() => {
+    global.indexedDB = originalIndexedDB;
+    global.IDBKeyRange = originalKeyRange;
+  });
+
+  it('exports loadouts and snapshots along with profiles, and restores them from the exported file', async () => {
+    const loadout = new Loadout(
+      'Arena',
+      [{id: 'BASTILASHAN', target: new OptimizationPlan('speed', 0, 0, 100)}],
+      {BASTILASHAN: ['mod-1']}
+    );
+    const snapshot = new ProfileSnapshot('123456789', 1500000000000, [], {BASTILASHAN: 150});
+
+    await new Promise((resolve, reject) => database.saveProfile(profile, resolve, reject));
+    await new Promise((resolve, reject) => database.saveLoadout('123456789', loadout, resolve, reject));
+    await new Promise((resolve, reject) => database.saveSnapshot(snapshot, resolve, reject));
+
+    const userData = await new Promise((resolve, reject) => database.export(resolve, reject));
+    // The file is saved as JSON, with the version and ally code that the app adds to it
+    const file = JSON.parse(JSON.stringify(Object.assign({version: '1.5.2', allyCode: '123456789'}, userData)));
+
+    await new Promise((resolve, reject) => database.clear(resolve, reject));
+    const {progress, report} = validateProgress(file);
+    expect(report.loadouts).toEqual({imported: 1, invalid: []});
+    expect(report.snapshots).toEqual({imported: 1, invalid: []});
+
+    await new Promise((resolve, reject) => database.saveLoadouts(progress.loadouts, resolve, reject));
+    await new Promise((resolve, reject) => database.saveSnapshots(progress.snapshots, resolve, reject));
+
+    const loadouts = await new Promise((resolve, reject) => database.getLoadouts('123456789', resolve, reject));
+    const snapshots = await new Promise((resolve, reject) => database.getSnapshots('123456789', resolve, reject));
+    expect(loadouts).toEqual([loadout]);
+    expect(snapshots).toEqual([snapshot]);
+  });
+});
@@ -0,0 +1,128 @@
+// @flow
+
+import nothing from "../../utils/nothing";
+
+export const PROFILES_SAVED = 'PROFILES_SAVED';
+export const PROFILE_DELETED = 'PROFILE_DELETED';
+export const GAME_SETTINGS_SAVED = 'GAME_SETTINGS_SAVED';
+export const DATABASE_CLEARED = 'DATABASE_CLEARED';
+
+/**
+ * Tells the other tabs that have the optimizer open about changes that this tab makes to the database, and passes on
+ * the changes that they make. Messages go over a BroadcastChannel where the browser has one, or through storage events
+ * where it doesn't.
+ *
+ * Every time a tab saves a profile, it gives the save a new revision, along with the revision that it started from.
+ * If another tab receives a save that didn't start from the last revision it saved itself, then both tabs changed the
+ * profile at the same time, and the later save has overwritten the earlier one.
+ */
+class TabSync {
+  tabId;
+  revisions;
+  revisionCount;
+  onMessage;
+  post;
+
+  /**
+   * @param onMessage {function(Object)} Called with each change made by another tab. Profile saves are split up so
+   *                                     that there's one message per profile, with an `isConflict` flag.
+   * @param windowObject {Object} The window to communicate through
+   */
+  constructor(onMessage = nothing, windowObject = window) {
+    this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    this.revisions = {};
+    this.revisionCount = 0;
+    this.onMessage = onMessage;
+
+    if ('function' === typeof windowObject.BroadcastChannel) {
+      const channel = new windowObject.BroadcastChannel(TabSync.channelName);
+      channel.onmessage = event => this.receive(event.data);
+      this.post = message => channel.postMessage(message);
+    } else {
+      windowObject.addEventListener('storage', event => {
+        if (TabSync.channelName === event.key && event.newValue) {
+          this.receive(JSON.parse(event.newValue));
+        }
+      });
+      // Storage events only fire when the value changes, which every message does, since each one has a new ID
+      this.post = message => windowObject.localStorage.setItem(TabSync.channelName, JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Tell the other tabs about a change that this tab made to the database
+   *
+   * @param change {{type: string, allyCodes: Array<string>}|{type: string, allyCode: string}|{type: string}}
+   */
+  send(change) {
+    const message = {
+      id: `${this.tabId}:${++this.revisionCount}`,
+      tabId: this.tabId,
+      type: change.type
+    };
+
+    switch (change.type) {
+      case PROFILES_SAVED:
+        message.profiles = change.allyCodes.map(allyCode => {
+          const profileRevision = {
+            allyCode: allyCode,
+            revision: `${message.id}:${allyCode}`,
+            baseRevision: this.revisions[allyCode] || null
+          };
+          this.revisions[allyCode] = profileRevision.revision;
+          return profileRevision;
+        });
+        break;
+      case PROFILE_DELETED:
+        message.allyCode = change.allyCode;
+        delete this.revisions[change.allyCode];
+        break;
+      case DATABASE_CLEARED:
+        this.revisions = {};
+        break;
+      default:
+    }
+
+    this.post(message);
+  }
+
+  /**
+   * Handle a message from another tab
+   *
+   * @param message {Object}
+   */
+  receive(message) {
+    if (message.tabId === this.tabId) {
+      return;
+    }
+
+    switch (message.type) {
+      case PROFILES_SAVED:
+        message.profiles.forEach(({allyCode, revision, baseRevision}) => {
+          const currentRevision = this.revisions[allyCode];
+          // A tab that was opened after this one last saved won't know about that save, so a save without a base
+          // revision isn't treated as a conflict
+          const isConflict = !!currentRevision && !!baseRevision && currentRevision !== baseRevision &&
+            currentRevision.startsWith(`${this.tabId}:`);
+
+          this.revisions[allyCode] = revision;
+          this.onMessage({type: PROFILES_SAVED, allyCode: allyCode, isConflict: isConflict});
+        });
+        break;
+      case PROFILE_DELETED:
+        delete this.revisions[message.allyCode];
+        this.onMessage({type: PROFILE_DELETED, allyCode: message.allyCode});
+        break;
+      case DATABASE_CLEARED:
+        this.revisions = {};
+        this.onMessage({type: DATABASE_CLEARED});
+        break;
+      default:
+        this.onMessage({type: message.type});
+    }
+  }
+}
+
+TabSync.channelName = 'ModsOptimizer.tabSync';
+
+export default TabSync;
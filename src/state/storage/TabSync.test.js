@@ -0,0 +1,112 @@
+import TabSync, {DATABASE_CLEARED, GAME_SETTINGS_SAVED, PROFILE_DELETED, PROFILES_SAVED} from './TabSync';
+
+/**
+ * A set of browser windows that share a BroadcastChannel, or only localStorage if the browser doesn't have one
+ */
+function browser(hasBroadcastChannel) {
+  const windows = [];
+
+  class FakeBroadcastChannel {
+    constructor(name) {
+      this.name = name;
+      this.onmessage = null;
+      FakeBroadcastChannel.channels.push(this);
+    }
+
+    postMessage(data) {
+      FakeBroadcastChannel.channels
+        .filter(channel => channel !== this && channel.name === this.name)
+        .forEach(channel => channel.onmessage({data: data}));
+    }
+  }
+  FakeBroadcastChannel.channels = [];
+
+  const openTab = () => {
+    const listeners = [];
+    const windowObject = {
+      addEventListener: (type, listener) => listeners.push(listener),
+      localStorage: {
+        setItem: (key, value) => windows
+          .filter(otherWindow => otherWindow !== windowObject)
+          .forEach(otherWindow => otherWindow.listeners.forEach(listener => listener({key: key, newValue: value})))
+      },
+      listeners: listeners
+    };
+    if (hasBroadcastChannel) {
+      windowObject.BroadcastChannel = FakeBroadcastChannel;
+    }
+    windows.push(windowObject);
+
+    const messages = [];
+    const tabSync = new TabSync(message => messages.push(message), windowObject);
+    return {tabSync: tabSync, messages: messages};
+  };
+
+  return {openTab: openTab};
+}
+
+describe.each([
+  ['a BroadcastChannel', true],
+  ['storage events', false]
+])('TabSync using %s', (name, hasBroadcastChannel) => {
+  it('tells other tabs about every change', () => {
+    const {openTab} = browser(hasBroadcastChannel);
+    const first = openTab();
+    const second = openTab();
+
+    first.tabSync.send({type: PROFILES_SAVED, allyCodes: ['111111111', '222222222']});
+    first.tabSync.send({type: PROFILE_DELETED, allyCode: '222222222'});
+    first.tabSync.send({type: GAME_SETTINGS_SAVED});
+    first.tabSync.send({type: DATABASE_CLEARED});
+
+    expect(first.messages).toEqual([]);
+    expect(second.messages).toEqual([
+      {type: PROFILES_SAVED, allyCode: '111111111', isConflict: false},
+      {type: PROFILES_SAVED, allyCode: '222222222', isConflict: false},
+      {type: PROFILE_DELETED, allyCode: '222222222'},
+      {type: GAME_SETTINGS_SAVED},
+      {type: DATABASE_CLEARED}
+    ]);
+  });
+
+  it('finds a conflict when two tabs change the same profile without seeing each other\'s changes', () => {
+    const {openTab} = browser(hasBroadcastChannel);
+    const first = openTab();
+    const second = openTab();
+    const save = tab => tab.tabSync.send({type: PROFILES_SAVED, allyCodes: ['111111111']});
+
+    // Taking turns is fine
+    save(first);
+    save(second);
+    save(first);
+    expect(first.messages.concat(second.messages).map(({isConflict}) => isConflict)).toEqual([false, false, false]);
+
+    // But if the second tab saves, and the first tab saves again before hearing about it, both changes were made to
+    // the same revision
+    const post = second.tabSync.post;
+    const heldMessages = [];
+    second.tabSync.post = message => heldMessages.push(message);
+    save(second);
+    second.tabSync.post = post;
+    save(first);
+    heldMessages.forEach(message => first.tabSync.receive(message));
+
+    expect(second.messages[second.messages.length - 1]).toEqual(
+      {type: PROFILES_SAVED, allyCode: '111111111', isConflict: true}
+    );
+    expect(first.messages[first.messages.length - 1]).toEqual(
+      {type: PROFILES_SAVED, allyCode: '111111111', isConflict: true}
+    );
+  });
+
+  it('doesn\'t find a conflict with a tab that was opened after the last save', () => {
+    const {openTab} = browser(hasBroadcastChannel);
+    const first = openTab();
+    first.tabSync.send({type: PROFILES_SAVED, allyCodes: ['111111111']});
+
+    const second = openTab();
+    second.tabSync.send({type: PROFILES_SAVED, allyCodes: ['111111111']});
+
+    expect(first.messages).toEqual([{type: PROFILES_SAVED, allyCode: '111111111', isConflict: false}]);
+  });
+});
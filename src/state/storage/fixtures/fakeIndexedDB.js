@@ -0,0 +1,206 @@
+/**
+ * Just enough of IndexedDB to run the Database and OptimizerResultCache against in tests. Databases are kept in memory
+ * for as long as the factory is, and are created with the migrations in ../migrations the first time that they're
+ * opened. Every request answers asynchronously, and a transaction completes once it has no requests left, the same way
+ * that they do in a browser. Records are copied going in and coming out, so changing one that's been read doesn't
+ * change what's stored.
+ *
+ * Install it with `global.indexedDB = fakeIndexedDB()` and `global.IDBKeyRange = FakeKeyRange`.
+ */
+
+const copy = value => undefined === value ? undefined : JSON.parse(JSON.stringify(value));
+
+export const FakeKeyRange = {
+  only: value => ({only: value})
+};
+
+/**
+ * @param query {*} Either a key, a range made by FakeKeyRange, or undefined for every key
+ * @param key {*}
+ * @returns {boolean}
+ */
+function matches(query, key) {
+  if (undefined === query) {
+    return true;
+  } else if (query && query.hasOwnProperty('only')) {
+    return query.only === key;
+  } else {
+    return query === key;
+  }
+}
+
+/**
+ * @param stores {Object} Every store in the database
+ * @param storeNames {Array<string>|null} The stores that the transaction can use, or null for all of them
+ */
+function fakeTransaction(stores, storeNames) {
+  const transaction = {
+    pending: 0,
+    complete: false,
+    onerror: null,
+    oncomplete: null,
+    objectStore: name => {
+      if ((storeNames && !storeNames.includes(name)) || !stores[name]) {
+        throw new Error(`The ${name} store is not part of this transaction`);
+      }
+      return fakeObjectStore(transaction, stores[name]);
+    }
+  };
+
+  transaction.finishRequest = () => {
+    transaction.pending--;
+    setTimeout(() => {
+      if (0 === transaction.pending && !transaction.complete) {
+        transaction.complete = true;
+        if (transaction.oncomplete) {
+          transaction.oncomplete({target: transaction});
+        }
+      }
+    });
+  };
+
+  // A transaction without any requests still completes
+  transaction.pending++;
+  transaction.finishRequest();
+
+  return transaction;
+}
+
+/**
+ * Run an operation asynchronously as part of a transaction, calling the request's onsuccess handler with the result
+ */
+function fakeRequest(transaction, operation) {
+  const request = {onsuccess: null, onerror: null};
+
+  transaction.pending++;
+  setTimeout(() => {
+    request.result = operation();
+    if (request.onsuccess) {
+      request.onsuccess({target: request});
+    }
+    transaction.finishRequest();
+  });
+
+  return request;
+}
+
+/**
+ * Step through every record in a store that matches a query, in key order, calling the request's onsuccess handler
+ * with each one and then with null
+ */
+function fakeCursorRequest(transaction, store, query, recordKey) {
+  const request = {onsuccess: null, onerror: null};
+  const entries = Array.from(store.records.entries())
+    .filter(([primaryKey, value]) => matches(query, recordKey(primaryKey, value)))
+    .sort(([left], [right]) => left < right ? -1 : left > right ? 1 : 0);
+
+  const step = index => {
+    transaction.pending++;
+    setTimeout(() => {
+      if (index < entries.length) {
+        const [primaryKey, value] = entries[index];
+        request.result = {
+          key: recordKey(primaryKey, value),
+          primaryKey: primaryKey,
+          value: copy(value),
+          update: newValue => fakeRequest(transaction, () => store.records.set(primaryKey, copy(newValue))),
+          delete: () => fakeRequest(transaction, () => store.records.delete(primaryKey)),
+          continue: () => step(index + 1)
+        };
+      } else {
+        request.result = null;
+      }
+      if (request.onsuccess) {
+        request.onsuccess({target: request});
+      }
+      transaction.finishRequest();
+    });
+  };
+  step(0);
+
+  return request;
+}
+
+function fakeObjectStore(transaction, store) {
+  const primaryKey = (key, value) => key;
+  const getAll = (query, recordKey) => Array.from(store.records.entries())
+    .filter(([key, value]) => matches(query, recordKey(key, value)))
+    .sort(([left], [right]) => left < right ? -1 : left > right ? 1 : 0)
+    .map(([key, value]) => copy(value));
+
+  return {
+    get: key => fakeRequest(transaction, () => copy(store.records.get(key))),
+    getAll: query => fakeRequest(transaction, () => getAll(query, primaryKey)),
+    put: value => fakeRequest(transaction, () => {
+      const key = value[store.keyPath];
+      store.records.set(key, copy(value));
+      return key;
+    }),
+    delete: key => fakeRequest(transaction, () => {
+      store.records.delete(key);
+    }),
+    clear: () => fakeRequest(transaction, () => {
+      store.records.clear();
+    }),
+    openCursor: query => fakeCursorRequest(transaction, store, query, primaryKey),
+    index: name => {
+      const indexKey = (key, value) => value[store.indexes[name]];
+      return {
+        getAll: query => fakeRequest(transaction, () => getAll(query, indexKey)),
+        openCursor: query => fakeCursorRequest(transaction, store, query, indexKey),
+        openKeyCursor: query => fakeCursorRequest(transaction, store, query, indexKey)
+      };
+    }
+  };
+}
+
+function fakeDatabase() {
+  const stores = {};
+
+  return {
+    stores: stores,
+    createObjectStore: (name, {keyPath}) => {
+      stores[name] = {keyPath: keyPath, indexes: {}, records: new Map()};
+      return {
+        createIndex: (indexName, indexKeyPath) => {
+          stores[name].indexes[indexName] = indexKeyPath;
+        }
+      };
+    },
+    transaction: storeNames => fakeTransaction(stores, [].concat(storeNames))
+  };
+}
+
+/**
+ * @returns {{open: function(string, number): Object, databases: Object<string, Object>}}
+ */
+export default function fakeIndexedDB() {
+  const databases = {};
+
+  return {
+    databases: databases,
+    open: name => {
+      const request = {onsuccess: null, onerror: null, onupgradeneeded: null};
+
+      setTimeout(() => {
+        const openDatabase = () => {
+          request.result = databases[name];
+          request.onsuccess({target: request});
+        };
+
+        if (databases[name]) {
+          openDatabase();
+          return;
+        }
+
+        const db = databases[name] = fakeDatabase();
+        // The version change transaction can use every store, including the ones created during the upgrade
+        const versionChange = fakeTransaction(db.stores, null);
+        versionChange.oncomplete = openDatabase;
+        request.onupgradeneeded({target: {result: db, transaction: versionChange}, oldVersion: 0});
+      });
+
+      return request;
+    }
+  };
+}
@@ -0,0 +1,172 @@
+// @flow
+
+/**
+ * Every change that has been made to the layout of the database, in order. Each migration has the database version
+ * that it upgrades to, and can do either or both of:
+ *  - createStores(db, transaction): Add or change object stores and indexes
+ *  - upgradeRecords: An object, keyed by store name, of functions that take a record saved before this version and
+ *    return it in the format this version expects
+ *
+ * To change the database, add a new migration to the end of the list. Never change a migration that has been
+ * released, since anyone who already has the database at that version will never run it again. Record upgrades should
+ * also leave records that are already in the new format unchanged, so that they're safe to run more than once.
+ */
+export const migrations = [
+  {
+    version: 1,
+    description: 'Create stores for game data about each character, player profiles, and the last run for each player',
+    createStores: db => {
+      db.createObjectStore('gameSettings', {keyPath: 'baseID'});
+      db.createObjectStore('profiles', {keyPath: 'allyCode'});
+      db.createObjectStore('lastRuns', {keyPath: 'allyCode'});
+    }
+  },
+  {
+    version: 2,
+    description: 'Create a store for the best mod set found for each character (see OptimizerResultCache)',
+    createStores: db => {
+      const optimizerResults = db.createObjectStore('optimizerResults', {keyPath: 'key'});
+      optimizerResults.createIndex('allyCode', 'allyCode', {unique: false});
+    }
+  },
+  {
+    version: 3,
+    description: 'Create a store for the named loadouts that each player has saved',
+    createStores: db => {
+      const loadouts = db.createObjectStore('loadouts', {keyPath: 'key'});
+      loadouts.createIndex('allyCode', 'allyCode', {unique: false});
+    }
+  },
+  {
+    version: 4,
+    description: 'Convert profiles and last runs saved by version 1.4 of the optimizer to the current format',
+    upgradeRecords: {
+      profiles: upgradeProfileToVersionFour,
+      lastRuns: upgradeLastRunToVersionFour
+    }
+  },
+  {
+    version: 5,
+    description: 'Create a store for snapshots of each player\'s mods and speeds, taken whenever their data is fetched',
+    createStores: db => {
+      const snapshots = db.createObjectStore('snapshots', {keyPath: 'key'});
+      snapshots.createIndex('allyCode', 'allyCode', {unique: false});
+    }
+  }
+];
+
+// The version of the database that the app expects
+export const latestVersion = migrations[migrations.length - 1].version;
+
+/**
+ * Convert a stored mod to the format that Mod.serialize writes, with a lower-case slot, a set name that matches a set
+ * bonus, and a tier
+ *
+ * @param mod {Object}
+ * @returns {Object}
+ */
+function upgradeModToVersionFour(mod) {
+  return Object.assign({}, mod, {
+    slot: mod.slot.toLowerCase(),
+    set: mod.set.toLowerCase().replace(/\s/g, ''),
+    tier: mod.tier || 1
+  });
+}
+
+/**
+ * Profiles from version 1.4 list only the IDs of the selected characters, and keep the mod change threshold outside of
+ * globalSettings
+ *
+ * @param profile {Object}
+ * @returns {Object}
+ */
+function upgradeProfileToVersionFour(profile) {
+  const upgradedProfile = Object.assign({}, profile, {
+    mods: profile.mods.map(upgradeModToVersionFour),
+    selectedCharacters: profile.selectedCharacters
+      .filter(selectedCharacter => 'string' !== typeof selectedCharacter ||
+        (profile.characters[selectedCharacter] && profile.characters[selectedCharacter].optimizerSettings)
+      )
+      .map(selectedCharacter => 'string' === typeof selectedCharacter ?
+        {id: selectedCharacter, target: profile.characters[selectedCharacter].optimizerSettings.target} :
+        selectedCharacter
+      ),
+    modAssignments: profile.modAssignments || {},
+    globalSettings: profile.globalSettings || {
+      modChangeThreshold: profile.modChangeThreshold || 0,
+      lockUnselectedCharacters: false,
+      optimizeGlobally: false
+    },
+    previousSettings: profile.previousSettings || {},
+    activeLoadout: profile.activeLoadout || null
+  });
+  delete upgradedProfile.modChangeThreshold;
+
+  return upgradedProfile;
+}
+
+/**
+ * Last runs from version 1.4 were saved before the optimizer could lock unselected characters or optimize globally
+ *
+ * @param lastRun {Object}
+ * @returns {Object}
+ */
+function upgradeLastRunToVersionFour(lastRun) {
+  return Object.assign({}, lastRun, {
+    mods: (lastRun.mods || []).map(upgradeModToVersionFour),
+    lockUnselectedCharacters: lastRun.lockUnselectedCharacters || false,
+    optimizeGlobally: lastRun.optimizeGlobally || false
+  });
+}
+
+/**
+ * Get every record upgrade that needs to be run on a database, combined into one function for each store
+ *
+ * @param oldVersion {number} The version of the database before upgrading
+ * @param newVersion {number} The version to upgrade to
+ * @returns {Object<string, function(Object): Object>}
+ */
+export function recordUpgrades(oldVersion, newVersion = latestVersion) {
+  return migrations
+    .filter(({version}) => version > oldVersion && version <= newVersion)
+    .reduce((upgrades, migration) => {
+      Object.entries(migration.upgradeRecords || {}).forEach(([storeName, upgrade]) => {
+        const previousUpgrade = upgrades[storeName];
+        upgrades[storeName] = previousUpgrade ? record => upgrade(previousUpgrade(record)) : upgrade;
+      });
+      return upgrades;
+    }, {});
+}
+
+/**
+ * Bring a database up to date. This needs to be called from an `onupgradeneeded` handler, using the database and the
+ * version change transaction from that event. All of the stores are created first, and then each store's records are
+ * upgraded in a single pass, so that one migration never sees a record that an earlier one hasn't finished with.
+ *
+ * @param db {IDBDatabase}
+ * @param transaction {IDBTransaction}
+ * @param oldVersion {number}
+ * @param newVersion {number}
+ */
+export function upgradeDatabase(db, transaction, oldVersion, newVersion = latestVersion) {
+  migrations
+    .filter(({version}) => version > oldVersion && version <= newVersion)
+    .forEach(migration => {
+      if (migration.createStores) {
+        migration.createStores(db, transaction);
+      }
+    });
+
+  Object.entries(recordUpgrades(oldVersion, newVersion)).forEach(([storeName, upgrade]) => {
+    const cursorRequest = transaction.objectStore(storeName).openCursor();
+
+    cursorRequest.onsuccess = function(event) {
+      const cursor = event.target.result;
+
+      if (cursor) {
+        cursor.update(upgrade(cursor.value));
+        cursor.continue();
+      }
+    };
+  });
+}
@@ -0,0 +1,122 @@
+import {latestVersion, migrations, recordUpgrades, upgradeDatabase} from './migrations';
+import versionOne from './fixtures/databaseVersion1.json';
+import versionTwo from './fixtures/databaseVersion2.json';
+import versionThree from './fixtures/databaseVersion3.json';
+
+/**
+ * Just enough of an IndexedDB database and version change transaction to run the migrations against, holding the
+ * records from a fixture. Cursors step asynchronously, like they do in a browser.
+ */
+function fixtureDatabase(fixture) {
+  const stores = {};
+  Object.entries(fixture ? fixture.stores : {}).forEach(([name, records]) => {
+    stores[name] = {keyPath: null, indexes: {}, records: JSON.parse(JSON.stringify(records))};
+  });
+
+  const db = {
+    stores: stores,
+    createObjectStore: (name, {keyPath}) => {
+      if (stores[name]) {
+        throw new Error(`The ${name} store already exists`);
+      }
+      stores[name] = {keyPath: keyPath, indexes: {}, records: []};
+      return {
+        createIndex: (indexName, indexKeyPath, options) => {
+          stores[name].indexes[indexName] = Object.assign({keyPath: indexKeyPath}, options);
+        }
+      };
+    }
+  };
+
+  const transaction = {
+    objectStore: name => ({
+      openCursor: () => {
+        const request = {};
+        const step = index => Promise.resolve().then(() => request.onsuccess({
+          target: {
+            result: index < stores[name].records.length ? {
+              value: stores[name].records[index],
+              update: value => stores[name].records[index] = value,
+              continue: () => step(index + 1)
+            } : null
+          }
+        }));
+        step(0);
+        return request;
+      }
+    })
+  };
+
+  return {db: db, transaction: transaction};
+}
+
+const upgrade = async (fixture) => {
+  const {db, transaction} = fixtureDatabase(fixture);
+  upgradeDatabase(db, transaction, fixture ? fixture.version : 0);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  return db.stores;
+};
+
+const allStores = ['gameSettings', 'lastRuns', 'loadouts', 'optimizerResults', 'profiles', 'snapshots'];
+
+describe('migrations', () => {
+  it('are in order, with one migration for each version', () => {
+    expect(migrations.map(({version}) => version)).toEqual([1, 2, 3, 4, 5]);
+    expect(latestVersion).toEqual(5);
+  });
+
+  it('create every store for a new database', async () => {
+    const stores = await upgrade(null);
+
+    expect(Object.keys(stores).sort()).toEqual(allStores);
+    expect(stores.profiles.keyPath).toEqual('allyCode');
+    expect(stores.optimizerResults.indexes).toEqual({allyCode: {keyPath: 'allyCode', unique: false}});
+    expect(stores.loadouts.indexes).toEqual({allyCode: {keyPath: 'allyCode', unique: false}});
+    expect(stores.snapshots.indexes).toEqual({allyCode: {keyPath: 'allyCode', unique: false}});
+  });
+
+  it('upgrade profiles and runs saved by version 1.4 to the current format', async () => {
+    const stores = await upgrade(versionOne);
+    const profile = stores.profiles.records[0];
+    const lastRun = stores.lastRuns.records[0];
+
+    expect(Object.keys(stores).sort()).toEqual(allStores);
+    expect(profile.selectedCharacters).toEqual([{id: 'BASTILASHAN', target: {name: 'PvP', Speed: 100}}]);
+    expect(profile.globalSettings).toEqual({
+      modChangeThreshold: 5,
+      lockUnselectedCharacters: false,
+      optimizeGlobally: false
+    });
+    expect(profile).not.toHaveProperty('modChangeThreshold');
+    expect(profile.modAssignments).toEqual({BASTILASHAN: ['m1']});
+    expect(profile.previousSettings).toEqual({});
+    expect(profile.activeLoadout).toBeNull();
+    expect(profile.mods[0]).toMatchObject({slot: 'square', set: 'critchance', tier: 1});
+    expect(lastRun).toMatchObject({lockUnselectedCharacters: false, optimizeGlobally: false});
+    expect(lastRun.mods[0]).toMatchObject({slot: 'square', set: 'critchance', tier: 1});
+    expect(stores.gameSettings.records).toEqual(versionOne.stores.gameSettings);
+  });
+
+  it('fill in settings that were added after version 2', async () => {
+    const stores = await upgrade(versionTwo);
+
+    expect(Object.keys(stores).sort()).toEqual(allStores);
+    expect(stores.profiles.records).toEqual([Object.assign({}, versionTwo.stores.profiles[0], {activeLoadout: null})]);
+    expect(stores.lastRuns.records).toEqual([
+      Object.assign({}, versionTwo.stores.lastRuns[0], {optimizeGlobally: false})
+    ]);
+    expect(stores.optimizerResults.records).toEqual(versionTwo.stores.optimizerResults);
+  });
+
+  it('leave records that are already in the current format unchanged', async () => {
+    const stores = await upgrade(versionThree);
+
+    Object.entries(versionThree.stores).forEach(([name, records]) => {
+      expect(stores[name].records).toEqual(records);
+    });
+
+    const upgrades = recordUpgrades(0);
+    const profile = versionThree.stores.profiles[0];
+    expect(upgrades.profiles(upgrades.profiles(profile))).toEqual(profile);
+  });
+});
@@ -0,0 +1,273 @@
+// @flow
+
+/**
+ * A small expression language for scoring formulas, like `speed * 3 + min(potency, 100)`. Formulas are parsed into a
+ * tree of plain objects, so that they can be checked once, sent to the optimizer as JSON, and evaluated without ever
+ * running them as code. A formula can use numbers, named variables, the operators + - * / ^, parentheses, and the
+ * functions below.
+ *
+ * Every node in the tree has a `type`:
+ *   {type: 'number', value: Number}
+ *   {type: 'variable', name: String}
+ *   {type: 'unary', operator: String, operand: Object}
+ *   {type: 'binary', operator: String, left: Object, right: Object}
+ *   {type: 'call', name: String, args: Array<Object>}
+ */
+
+// The functions that a formula can call, with how many arguments each one takes
+const functions = {
+  'min': {minArgs: 1, maxArgs: Infinity, evaluate: Math.min},
+  'max': {minArgs: 1, maxArgs: Infinity, evaluate: Math.max},
+  'abs': {minArgs: 1, maxArgs: 1, evaluate: Math.abs},
+  'sqrt': {minArgs: 1, maxArgs: 1, evaluate: Math.sqrt},
+  'floor': {minArgs: 1, maxArgs: 1, evaluate: Math.floor},
+  'ceil': {minArgs: 1, maxArgs: 1, evaluate: Math.ceil},
+  'round': {minArgs: 1, maxArgs: 1, evaluate: Math.round}
+};
+
+export const formulaFunctions = Object.keys(functions);
+
+const operators = '+-*/^(),';
+
+/**
+ * Split a formula into numbers, names, and operators
+ *
+ * @param text {String}
+ * @returns {Array<{type: String, value: String|Number, position: Number}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const char = text.charAt(position);
+
+    if (/\s/.test(char)) {
+      position++;
+    } else if (/[0-9.]/.test(char)) {
+      const match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(text.substr(position));
+      if (!match) {
+        throw new Error(`"${char}" at position ${position + 1} isn't part of a number`);
+      }
+      tokens.push({type: 'number', value: Number(match[0]), position: position});
+      position += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.substr(position))[0];
+      tokens.push({type: 'name', value: name, position: position});
+      position += name.length;
+    } else if (operators.includes(char)) {
+      tokens.push({type: 'operator', value: char, position: position});
+      position++;
+    } else {
+      throw new Error(`Unexpected character "${char}" at position ${position + 1}`);
+    }
+  }
+
+  tokens.push({type: 'end', value: '', position: text.length});
+  return tokens;
+}
+
+/**
+ * Describe a token for an error message
+ *
+ * @param token {Object}
+ * @returns {String}
+ */
+function describeToken(token) {
+  return 'end' === token.type ? 'the end of the formula' : `"${token.value}" at position ${token.position + 1}`;
+}
+
+/**
+ * Parse a formula into a tree that can be evaluated by evaluateFormula. The grammar, from lowest to highest
+ * precedence, is:
+ *
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/') unary)*
+ *   unary      := ('+' | '-') unary | power
+ *   power      := primary ('^' unary)?
+ *   primary    := number | variable | function '(' expression (',' expression)* ')' | '(' expression ')'
+ *
+ * so `^` binds tighter than a leading minus, and is right-associative.
+ *
+ * @param text {String}
+ * @param variableNames {Array<String>} The names that the formula is allowed to use as variables
+ * @returns {Object} The root node of the tree
+ * @throws Error with a message that explains what's wrong with the formula and where
+ */
+export function parseFormula(text, variableNames) {
+  if (!text || !text.trim()) {
+    throw new Error('The formula is empty');
+  }
+
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (token, ...values) => 'operator' === token.type && values.includes(token.value);
+  const expect = value => {
+    const token = tokens[index];
+    if (!isOperator(token, value)) {
+      throw new Error(`Expected "${value}" but found ${describeToken(token)}`);
+    }
+    index++;
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isOperator(peek(), '+', '-')) {
+      const operator = tokens[index++].value;
+      node = {type: 'binary', operator: operator, left: node, right: parseTerm()};
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isOperator(peek(), '*', '/')) {
+      const operator = tokens[index++].value;
+      node = {type: 'binary', operator: operator, left: node, right: parseUnary()};
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOperator(peek(), '+', '-')) {
+      const operator = tokens[index++].value;
+      return {type: 'unary', operator: operator, operand: parseUnary()};
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOperator(peek(), '^')) {
+      index++;
+      return {type: 'binary', operator: '^', left: base, right: parseUnary()};
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+
+    if ('number' === token.type) {
+      return {type: 'number', value: token.value};
+    }
+
+    if ('name' === token.type) {
+      if (isOperator(peek(), '(')) {
+        return parseCall(token);
+      }
+      if (!variableNames.includes(token.value)) {
+        const fn = functions.hasOwnProperty(token.value) ? ` "${token.value}" is a function, and needs arguments.` : '';
+        throw new Error(
+          `Unknown stat "${token.value}" at position ${token.position + 1}.${fn} ` +
+          `The stats you can use are: ${variableNames.join(', ')}`
+        );
+      }
+      return {type: 'variable', name: token.value};
+    }
+
+    if (isOperator(token, '(')) {
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+
+    throw new Error(`Expected a number, stat, or "(" but found ${describeToken(token)}`);
+  };
+
+  const parseCall = nameToken => {
+    const name = nameToken.value;
+    if (!functions.hasOwnProperty(name)) {
+      throw new Error(
+        `Unknown function "${name}" at position ${nameToken.position + 1}. ` +
+        `The functions you can use are: ${formulaFunctions.join(', ')}`
+      );
+    }
+
+    expect('(');
+    const args = [];
+    if (!isOperator(peek(), ')')) {
+      args.push(parseExpression());
+      while (isOperator(peek(), ',')) {
+        index++;
+        args.push(parseExpression());
+      }
+    }
+    expect(')');
+
+    const {minArgs, maxArgs} = functions[name];
+    if (args.length < minArgs || args.length > maxArgs) {
+      const expected = minArgs === maxArgs ? `${minArgs}` : `at least ${minArgs}`;
+      throw new Error(`${name}() takes ${expected} argument${1 === minArgs ? '' : 's'}, but was given ${args.length}`);
+    }
+
+    return {type: 'call', name: name, args: args};
+  };
+
+  const tree = parseExpression();
+  if ('end' !== peek().type) {
+    throw new Error(`Expected an operator but found ${describeToken(peek())}`);
+  }
+
+  return tree;
+}
+
+/**
+ * Check a formula, without throwing
+ *
+ * @param text {String}
+ * @param variableNames {Array<String>}
+ * @returns {String|null} What's wrong with the formula, or null if it's valid
+ */
+export function formulaError(text, variableNames) {
+  try {
+    parseFormula(text, variableNames);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+/**
+ * Find the value of a parsed formula
+ *
+ * @param node {Object} A tree returned by parseFormula
+ * @param variables {Object<String, Number>} The value of every variable the formula uses
+ * @returns {Number}
+ */
+export function evaluateFormula(node, variables) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'variable':
+      return variables.hasOwnProperty(node.name) ? variables[node.name] : 0;
+    case 'unary': {
+      const operand = evaluateFormula(node.operand, variables);
+      return '-' === node.operator ? -operand : operand;
+    }
+    case 'binary': {
+      const left = evaluateFormula(node.left, variables);
+      const right = evaluateFormula(node.right, variables);
+      switch (node.operator) {
+        case '+':
+          return left + right;
+        case '-':
+          return left - right;
+        case '*':
+          return left * right;
+        case '/':
+          return left / right;
+        case '^':
+          return Math.pow(left, right);
+        default:
+          throw new Error(`Unknown operator ${node.operator}`);
+      }
+    }
+    case 'call':
+      return functions[node.name].evaluate(...node.args.map(arg => evaluateFormula(arg, variables)));
+    default:
+      throw new Error(`Unknown formula node ${node.type}`);
+  }
+}
@@ -0,0 +1,57 @@
+import {evaluateFormula, formulaError, parseFormula} from './formula';
+
+const variableNames = ['speed', 'potency', 'effectiveHealth'];
+const variables = {speed: 200, potency: 120, effectiveHealth: 100000};
+
+function evaluate(text) {
+  return evaluateFormula(parseFormula(text, variableNames), variables);
+}
+
+describe('evaluateFormula', () => {
+  it('evaluates stats, numbers, and functions', () => {
+    expect(evaluate('speed * 3 + min(potency, 100) + 0.5 * effectiveHealth')).toBe(600 + 100 + 50000);
+    expect(evaluate('max(1, 2, 3) + abs(-4) + sqrt(9)')).toBe(3 + 4 + 3);
+    expect(evaluate('floor(1.5) + ceil(1.5) + round(1.4)')).toBe(1 + 2 + 1);
+  });
+
+  it('follows the usual order of operations', () => {
+    expect(evaluate('1 + 2 * 3')).toBe(7);
+    expect(evaluate('(1 + 2) * 3')).toBe(9);
+    expect(evaluate('10 - 4 - 3')).toBe(3);
+    expect(evaluate('12 / 3 / 2')).toBe(2);
+    expect(evaluate('2 ^ 3 ^ 2')).toBe(512);
+    expect(evaluate('-2 ^ 2')).toBe(-4);
+    expect(evaluate('1.5e2 + .5')).toBe(150.5);
+  });
+
+  it('only parses the formula into data, so it can be sent as JSON', () => {
+    const tree = JSON.parse(JSON.stringify(parseFormula('speed * 2', variableNames)));
+
+    expect(evaluateFormula(tree, variables)).toBe(400);
+  });
+});
+
+describe('formulaError', () => {
+  it('accepts valid formulas', () => {
+    expect(formulaError('speed * 3 + min(potency, 100)', variableNames)).toBeNull();
+  });
+
+  it('explains what is wrong with a formula and where', () => {
+    expect(formulaError('', variableNames)).toBe('The formula is empty');
+    expect(formulaError('sped * 2', variableNames))
+      .toBe('Unknown stat "sped" at position 1. The stats you can use are: speed, potency, effectiveHealth');
+    expect(formulaError('speed + pow(speed, 2)', variableNames)).toMatch(/^Unknown function "pow" at position 9\./);
+    expect(formulaError('min + 1', variableNames)).toMatch(/"min" is a function, and needs arguments/);
+    expect(formulaError('abs(speed, potency)', variableNames)).toBe('abs() takes 1 argument, but was given 2');
+    expect(formulaError('(speed + 1', variableNames)).toBe('Expected ")" but found the end of the formula');
+    expect(formulaError('speed 2', variableNames)).toBe('Expected an operator but found "2" at position 7');
+    expect(formulaError('speed * ', variableNames))
+      .toBe('Expected a number, stat, or "(" but found the end of the formula');
+    expect(formulaError('speed; alert(1)', variableNames)).toBe('Unexpected character ";" at position 6');
+  });
+
+  it('doesn\'t allow anything but the given stats to be used as a name', () => {
+    expect(formulaError('constructor', variableNames)).toMatch(/^Unknown stat "constructor"/);
+    expect(formulaError('toString(1)', variableNames)).toMatch(/^Unknown function "toString"/);
+  });
+});
@@ -0,0 +1,42 @@
+// @flow
+
+/**
+ * Convert a value into a string that is the same for any two equivalent values, no matter what order their
+ * properties were set in
+ * @param value *
+ * @returns string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  } else if (value instanceof Object) {
+    return `{${Object.keys(value).sort()
+      .filter(key => 'undefined' !== typeof value[key] && 'function' !== typeof value[key])
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  } else {
+    return JSON.stringify(value);
+  }
+}
+
+/**
+ * Hash any JSON-like value into a short string. Equivalent values always have the same hash. This is not a
+ * cryptographic hash - it's only meant to be used as a key for cached values.
+ * @param value *
+ * @returns string A 16-character hex string
+ */
+export default function hashObject(value) {
+  const input = stableStringify(value);
+  // Two independent 32-bit FNV-1a hashes, to make collisions unlikely enough to use as cache keys
+  let left = 0x811c9dc5;
+  let right = 0x01000193;
+
+  for (let i = 0; i < input.length; i++) {
+    const charCode = input.charCodeAt(i);
+    left = Math.imul(left ^ charCode, 0x01000193);
+    right = Math.imul(right ^ charCode, 0x5bd1e995);
+    right ^= right >>> 15;
+  }
+
+  return (left >>> 0).toString(16).padStart(8, '0') + (right >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,49 @@
+// @flow
+
+/**
+ * Find which character each mod ends up on under a loadout. Mods that the loadout doesn't assign stay wherever they're
+ * equipped now.
+ *
+ * @param loadout {Loadout}
+ * @param mods {Array<Mod>}
+ * @returns {Object<string, string|null>} A map from mod ID to the ID of the character it ends up on
+ */
+function modLocations(loadout, mods) {
+  const locations = {};
+  mods.forEach(mod => locations[mod.id] = mod.characterID || null);
+
+  Object.entries(loadout.modAssignments).forEach(([characterID, modIDs]) => {
+    (modIDs || []).filter(modID => locations.hasOwnProperty(modID))
+      .forEach(modID => locations[modID] = characterID);
+  });
+
+  return locations;
+}
+
+/**
+ * Find every mod that has to move when switching from one loadout to another
+ *
+ * @param from {Loadout}
+ * @param to {Loadout}
+ * @param mods {Array<Mod>}
+ * @returns {Array<{mod: Mod, fromCharacterID: string|null, toCharacterID: string|null}>} The mods that move, in the
+ *          order that the loadout being switched to selects the characters they move to
+ */
+export default function getLoadoutMoves(from, to, mods) {
+  const fromLocations = modLocations(from, mods);
+  const toLocations = modLocations(to, mods);
+  const characterOrder = to.selectedCharacters.map(({id}) => id);
+  const orderOf = characterID => {
+    const index = characterOrder.indexOf(characterID);
+    return -1 === index ? characterOrder.length : index;
+  };
+
+  return mods
+    .filter(mod => fromLocations[mod.id] !== toLocations[mod.id])
+    .map(mod => ({
+      mod: mod,
+      fromCharacterID: fromLocations[mod.id],
+      toCharacterID: toLocations[mod.id]
+    }))
+    .sort((left, right) => orderOf(left.toCharacterID) - orderOf(right.toCharacterID));
+}
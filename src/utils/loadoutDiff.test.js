@@ -0,0 +1,29 @@
+import getLoadoutMoves from './loadoutDiff';
+import Loadout from "../domain/Loadout";
+import Mod from "../domain/Mod";
+import Stat from "../domain/Stat";
+import setBonuses from "../constants/setbonuses";
+
+function makeMod(id, characterID = null) {
+  return new Mod(id, 'square', setBonuses['speed'], 15, 5, new Stat('Offense %', '5.88%'), [], characterID);
+}
+
+describe('getLoadoutMoves', () => {
+  const mods = [makeMod('m1', 'A'), makeMod('m2', 'B'), makeMod('m3')];
+
+  it('finds every mod that ends up on a different character', () => {
+    const raid = new Loadout('Raid', [{id: 'A', target: null}], {A: ['m1']});
+    const territoryWar = new Loadout('TW', [{id: 'B', target: null}, {id: 'A', target: null}], {B: ['m1'], A: ['m3']});
+
+    expect(getLoadoutMoves(raid, territoryWar, mods)).toEqual([
+      {mod: mods[0], fromCharacterID: 'A', toCharacterID: 'B'},
+      {mod: mods[2], fromCharacterID: null, toCharacterID: 'A'}
+    ]);
+  });
+
+  it('finds nothing to move between identical loadouts', () => {
+    const raid = new Loadout('Raid', [{id: 'A', target: null}], {A: ['m2']});
+
+    expect(getLoadoutMoves(raid, raid, mods)).toEqual([]);
+  });
+});
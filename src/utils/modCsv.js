@@ -0,0 +1,310 @@
+// @flow
+
+import Mod from "../domain/Mod";
+import ModSet from "../domain/ModSet";
+import setBonuses from "../constants/setbonuses";
+import {modStats} from "../constants/enums";
+import {secondaryStatTypes} from "../constants/modRolls";
+import hashObject from "./hashObject";
+
+const secondaryColumns = [1, 2, 3, 4].map(index =>
+  [`secondaryType_${index}`, `secondaryValue_${index}`, `secondaryRoll_${index}`]
+).reduce((columns, indexColumns) => columns.concat(indexColumns), []);
+
+// The columns in an exported file, in order. The names match the properties of a serialized mod.
+export const modCsvColumns = [
+  'mod_uid',
+  'slot',
+  'set',
+  'level',
+  'pips',
+  'tier',
+  'characterID',
+  'characterName',
+  'primaryBonusType',
+  'primaryBonusValue'
+].concat(secondaryColumns);
+
+// Columns that every imported file needs to have. A character can be given by either its ID or its name.
+const requiredColumns = ['slot', 'set', 'level', 'pips', 'primaryBonusType', 'primaryBonusValue'];
+
+const primaryStatTypes = Object.values(modStats).filter(statType => 'None' !== statType);
+
+/**
+ * Quote a value for a CSV file if it needs it
+ *
+ * @param value {*}
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = null === value || undefined === value ? '' : `${value}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into rows of fields. Quoted fields can contain commas, quotes (written as two quotes), and line breaks.
+ * Completely empty lines are skipped.
+ *
+ * @param text {string}
+ * @returns {Array<{line: number, fields: Array<string>}>} Each row, along with the line that it starts on
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (1 < fields.length || '' !== fields[0]) {
+      rows.push({line: rowLine, fields: fields});
+    }
+    fields = [];
+    field = '';
+    rowLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if ('"' === char && '"' === text[i + 1]) {
+        field += '"';
+        i++;
+      } else if ('"' === char) {
+        inQuotes = false;
+      } else {
+        if ('\n' === char) {
+          line++;
+        }
+        field += char;
+      }
+    } else if ('"' === char) {
+      inQuotes = true;
+    } else if (',' === char) {
+      fields.push(field);
+      field = '';
+    } else if ('\n' === char || '\r' === char) {
+      if ('\r' === char && '\n' === text[i + 1]) {
+        i++;
+      }
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if ('' !== field || fields.length) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Write a set of mods to CSV, with one row per mod
+ *
+ * @param mods {Array<Mod>}
+ * @param gameSettings {Object<string, GameSettings>} Used to show the name of the character each mod is on
+ * @returns {string}
+ */
+export function modsToCsv(mods, gameSettings) {
+  const rows = mods.map(mod => {
+    const modObject = mod.serialize();
+    modObject.characterName = mod.characterID && gameSettings[mod.characterID] ?
+      gameSettings[mod.characterID].name :
+      '';
+
+    return modCsvColumns.map(column => csvField(modObject[column])).join(',');
+  });
+
+  return [modCsvColumns.join(',')].concat(rows).join('\r\n') + '\r\n';
+}
+
+/**
+ * Check that a stat from a CSV row has a known type and a numeric value
+ *
+ * @param type {string}
+ * @param value {string}
+ * @param validTypes {Array<string>}
+ * @param description {string} How to refer to the stat in an error message
+ * @returns {string|null} An error message, or null if the stat is valid
+ */
+function statError(type, value, validTypes, description) {
+  if (!validTypes.includes(type)) {
+    return `Unknown ${description} type "${type}"`;
+  }
+  if ('' === value.replace(/[+%\s]/g, '') || isNaN(+value.replace(/[+%\s]/g, ''))) {
+    return `The ${description} value "${value}" isn't a number`;
+  }
+  return null;
+}
+
+/**
+ * Check that a value from a CSV row is a whole number in a range
+ *
+ * @param value {string}
+ * @param min {number}
+ * @param max {number}
+ * @param column {string}
+ * @returns {string|null} An error message, or null if the value is valid
+ */
+function rangeError(value, min, max, column) {
+  const number = +value;
+  return '' === value || !Number.isInteger(number) || number < min || number > max ?
+    `${column} must be a whole number from ${min} to ${max}, but was "${value}"` :
+    null;
+}
+
+/**
+ * Convert one row of a CSV file into a mod
+ *
+ * @param row {Object<string, string>} The row's values, keyed by column name
+ * @param characterIDsByName {Object<string, string>} Character IDs keyed by lower-case character name
+ * @param gameSettings {Object<string, GameSettings>}
+ * @param characters {Object<string, Character>} The characters in the profile that the mods are being imported into
+ * @returns {{mod: Mod|null, errors: Array<string>}}
+ */
+function modFromRow(row, characterIDsByName, gameSettings, characters) {
+  const errors = [];
+  const slot = row.slot.trim().toLowerCase();
+  const set = row.set.trim().toLowerCase().replace(/\s/g, '');
+
+  if (!ModSet.slots.includes(slot)) {
+    errors.push(`Unknown slot "${row.slot}"`);
+  }
+  if (!setBonuses.hasOwnProperty(set)) {
+    errors.push(`Unknown set "${row.set}"`);
+  }
+  errors.push(
+    rangeError(row.level.trim(), 1, 15, 'Level'),
+    rangeError(row.pips.trim(), 1, 6, 'Pips'),
+    rangeError((row.tier || '1').trim() || '1', 1, 5, 'Tier'),
+    statError(row.primaryBonusType.trim(), row.primaryBonusValue.trim(), primaryStatTypes, 'primary stat')
+  );
+
+  const secondaries = [1, 2, 3, 4]
+    .map(index => ({
+      index: index,
+      type: (row[`secondaryType_${index}`] || '').trim(),
+      value: (row[`secondaryValue_${index}`] || '').trim(),
+      roll: (row[`secondaryRoll_${index}`] || '').trim()
+    }))
+    .filter(({type}) => '' !== type && 'None' !== type);
+
+  secondaries.forEach(({index, type, value, roll}) => {
+    errors.push(
+      statError(type, value, secondaryStatTypes, `secondary stat ${index}`),
+      '' === roll ? null : rangeError(roll, 1, 5, `Secondary roll ${index}`)
+    );
+  });
+
+  let characterID = (row.characterID || '').trim() || null;
+  const characterName = (row.characterName || '').trim();
+  if (characterID && !gameSettings.hasOwnProperty(characterID)) {
+    errors.push(`Unknown character ID "${characterID}"`);
+  } else if (!characterID && characterName) {
+    characterID = characterIDsByName[characterName.toLowerCase()] || null;
+    if (!characterID) {
+      errors.push(`Unknown character "${characterName}"`);
+    }
+  }
+  // A mod can only be put on a character that the player actually has
+  if (characterID && gameSettings.hasOwnProperty(characterID) && !characters.hasOwnProperty(characterID)) {
+    errors.push(`${gameSettings[characterID].name} isn't in this player's roster`);
+  }
+
+  const realErrors = errors.filter(error => null !== error);
+  if (realErrors.length) {
+    return {mod: null, errors: realErrors};
+  }
+
+  const modObject = {
+    mod_uid: (row.mod_uid || '').trim(),
+    slot: slot,
+    set: set,
+    level: +row.level,
+    pips: +row.pips,
+    tier: +(row.tier || '').trim() || 1,
+    characterID: characterID,
+    primaryBonusType: row.primaryBonusType.trim(),
+    primaryBonusValue: row.primaryBonusValue.trim()
+  };
+  [1, 2, 3, 4].forEach(index => {
+    const secondary = secondaries[index - 1];
+    modObject[`secondaryType_${index}`] = secondary ? secondary.type : 'None';
+    modObject[`secondaryValue_${index}`] = secondary ? secondary.value : '';
+    modObject[`secondaryRoll_${index}`] = secondary ? secondary.roll : '';
+  });
+
+  // Mods typed in by hand might not have an ID, so give them one based on their stats. That way, importing the same
+  // file again updates those mods instead of adding them a second time.
+  if (!modObject.mod_uid) {
+    modObject.mod_uid = `csv-${hashObject(Object.assign({}, modObject, {characterID: null}))}`;
+  }
+
+  return {mod: Mod.deserialize(modObject), errors: []};
+}
+
+/**
+ * Read mods from a CSV file. The first row has to name the columns, which can be in any order and use the same names
+ * as an exported file. Rows that can't be read are left out, and each of their problems is reported separately.
+ *
+ * @param text {string}
+ * @param gameSettings {Object<string, GameSettings>} Used to find characters by name
+ * @param characters {Object<string, Character>} The characters in the profile that the mods are being imported into.
+ *                   Rows that put a mod on any other character are reported as errors.
+ * @returns {{mods: Array<Mod>, errors: Array<{line: number, message: string}>}}
+ */
+export function modsFromCsv(text, gameSettings, characters) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return {mods: [], errors: [{line: 1, message: 'The file is empty'}]};
+  }
+
+  const columns = header.fields.map(column => column.trim());
+  const missingColumns = requiredColumns.filter(column => !columns.includes(column));
+  if (missingColumns.length) {
+    return {mods: [], errors: [{line: header.line, message: `Missing columns: ${missingColumns.join(', ')}`}]};
+  }
+
+  const characterIDsByName = Object.values(gameSettings).reduce((idsByName, settings) =>
+    Object.assign(idsByName, {[settings.name.toLowerCase()]: settings.baseID}), {}
+  );
+
+  const mods = [];
+  const errors = [];
+  const modLines = {};
+  const equippedLines = {};
+
+  rows.forEach(({line, fields}) => {
+    const row = columns.reduce((rowObject, column, index) =>
+      Object.assign(rowObject, {[column]: fields[index] || ''}), {}
+    );
+    const result = modFromRow(row, characterIDsByName, gameSettings, characters);
+
+    const equippedSlot = result.mod && result.mod.characterID ? `${result.mod.characterID}-${result.mod.slot}` : null;
+    if (result.mod && modLines.hasOwnProperty(result.mod.id)) {
+      result.errors.push(`This is the same mod as line ${modLines[result.mod.id]}`);
+    } else if (equippedSlot && equippedLines.hasOwnProperty(equippedSlot)) {
+      result.errors.push(
+        `The mod on line ${equippedLines[equippedSlot]} is already in this character's ${result.mod.slot} slot`
+      );
+    }
+
+    if (result.errors.length) {
+      result.errors.forEach(message => errors.push({line: line, message: message}));
+    } else {
+      modLines[result.mod.id] = line;
+      if (equippedSlot) {
+        equippedLines[equippedSlot] = line;
+      }
+      mods.push(result.mod);
+    }
+  });
+
+  return {mods: mods, errors: errors};
+}
@@ -0,0 +1,105 @@
+import {modsFromCsv, modsToCsv, parseCsv} from './modCsv';
+import Mod from "../domain/Mod";
+import Stat from "../domain/Stat";
+import {GameSettings} from "../domain/CharacterDataClasses";
+import setBonuses from "../constants/setbonuses";
+
+const gameSettings = {
+  BASTILASHAN: new GameSettings('BASTILASHAN', 'Bastila Shan', '', [], ''),
+  'GRANDADMIRALTHRAWN': new GameSettings('GRANDADMIRALTHRAWN', 'Grand Admiral Thrawn, "Mitth\'raw\'nuruodo"', '', [], '')
+};
+
+// Every character in the game settings is also in the player's roster, unless a test says otherwise
+const characters = {
+  BASTILASHAN: {baseID: 'BASTILASHAN'},
+  GRANDADMIRALTHRAWN: {baseID: 'GRANDADMIRALTHRAWN'}
+};
+
+const header = 'mod_uid,slot,set,level,pips,characterName,primaryBonusType,primaryBonusValue,' +
+  'secondaryType_1,secondaryValue_1,secondaryRoll_1';
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes, line breaks, and blank lines', () => {
+    expect(parseCsv('a,"b,c"\r\n\r\n"say ""hi""","two\nlines"\nlast,')).toEqual([
+      {line: 1, fields: ['a', 'b,c']},
+      {line: 3, fields: ['say "hi"', 'two\nlines']},
+      {line: 5, fields: ['last', '']}
+    ]);
+  });
+});
+
+describe('modsToCsv and modsFromCsv', () => {
+  it('reads back the same mods that it writes', () => {
+    const mods = [
+      new Mod('m1', 'arrow', setBonuses['speed'], 15, 5, new Stat('Speed', '+30'), [
+        new Stat('Offense %', '+1.2%', 2),
+        new Stat('Health', '+428', 1)
+      ], 'GRANDADMIRALTHRAWN', 5),
+      new Mod('m2', 'square', setBonuses['critchance'], 9, 4, new Stat('Offense %', '+5%'), [], null, 1)
+    ];
+
+    const csv = modsToCsv(mods, gameSettings);
+    expect(csv.split('\r\n')[1]).toContain('"Grand Admiral Thrawn, ""Mitth\'raw\'nuruodo"""');
+
+    const result = modsFromCsv(csv, gameSettings, characters);
+    expect(result.errors).toEqual([]);
+    expect(result.mods.map(mod => mod.serialize())).toEqual(mods.map(mod => mod.serialize()));
+  });
+
+  it('finds characters by name and gives mods without an ID a stable one', () => {
+    const csv = `${header}\n,Circle,Health,12,5,bastila shan,Health %,18.5%,Speed,4,1\n`;
+    const first = modsFromCsv(csv, gameSettings, characters);
+    const second = modsFromCsv(csv, gameSettings, characters);
+
+    expect(first.errors).toEqual([]);
+    expect(first.mods[0].characterID).toEqual('BASTILASHAN');
+    expect(first.mods[0].slot).toEqual('circle');
+    expect(first.mods[0].id).toMatch(/^csv-/);
+    expect(second.mods[0].id).toEqual(first.mods[0].id);
+  });
+
+  it('reports every problem with each row, and keeps the rows that are fine', () => {
+    const csv = [
+      header,
+      'm1,square,speed,15,5,,Offense %,5.88%,Speed,15,3',
+      'm2,squar,speed,16,5,Nobody,Offense %,5.88%,Speed,fast,1',
+      'm1,arrow,speed,15,5,,Speed,30,,,'
+    ].join('\n');
+    const result = modsFromCsv(csv, gameSettings, characters);
+
+    expect(result.mods.map(mod => mod.id)).toEqual(['m1']);
+    expect(result.errors).toEqual([
+      {line: 3, message: 'Unknown slot "squar"'},
+      {line: 3, message: 'Level must be a whole number from 1 to 15, but was "16"'},
+      {line: 3, message: 'The secondary stat 1 value "fast" isn\'t a number'},
+      {line: 3, message: 'Unknown character "Nobody"'},
+      {line: 4, message: 'This is the same mod as line 2'}
+    ]);
+  });
+
+  it('reports mods on characters that aren\'t in the player\'s roster', () => {
+    const csv = [
+      header.replace('characterName', 'characterID'),
+      'm1,square,speed,15,5,GRANDADMIRALTHRAWN,Offense %,5.88%,Speed,15,3',
+      'm2,arrow,speed,15,5,BASTILASHAN,Speed,30,,,'
+    ].join('\n');
+    const byName = `${header}\nm3,circle,health,15,5,"Grand Admiral Thrawn, ""Mitth'raw'nuruodo""",Health %,23.5%,,,\n`;
+    const roster = {BASTILASHAN: characters.BASTILASHAN};
+
+    const result = modsFromCsv(csv, gameSettings, roster);
+    expect(result.mods.map(mod => mod.id)).toEqual(['m2']);
+    expect(result.errors).toEqual([
+      {line: 2, message: 'Grand Admiral Thrawn, "Mitth\'raw\'nuruodo" isn\'t in this player\'s roster'}
+    ]);
+    expect(modsFromCsv(byName, gameSettings, roster).errors).toEqual([
+      {line: 2, message: 'Grand Admiral Thrawn, "Mitth\'raw\'nuruodo" isn\'t in this player\'s roster'}
+    ]);
+  });
+
+  it('rejects a file without the columns it needs', () => {
+    expect(modsFromCsv('mod_uid,slot\nm1,square\n', gameSettings, characters)).toEqual({
+      mods: [],
+      errors: [{line: 1, message: 'Missing columns: set, level, pips, primaryBonusType, primaryBonusValue'}]
+    });
+  });
+});
@@ -0,0 +1,112 @@
+// @flow
+
+import Stat from "../domain/Stat";
+import {secondaryRollRanges, secondaryStatTypes, secondaryUpgradeLevels} from "../constants/modRolls";
+
+/**
+ * Get the range that a single roll could add to a secondary stat on a mod with the given number of pips
+ *
+ * @param statType {string}
+ * @param pips {number}
+ * @returns {{min: number, max: number}|null} null if the roll range isn't known for this stat and rarity
+ */
+function rollRange(statType, pips) {
+  const ranges = secondaryRollRanges[6 === pips ? 5 : pips];
+  return ranges && ranges[statType] ? ranges[statType] : null;
+}
+
+/**
+ * Undo the upgrade that slicing a mod to 6-dot applies to a secondary stat, so that it can be compared to 5-dot rolls
+ *
+ * @param stat {Stat}
+ * @returns {number}
+ */
+function unslicedValue(stat) {
+  if (Stat.secondaryUpgradeFactors.hasOwnProperty(stat.type)) {
+    return stat.value / Stat.secondaryUpgradeFactors[stat.type];
+  } else if ('Speed' === stat.type) {
+    return stat.value - 1;
+  } else {
+    return stat.value;
+  }
+}
+
+/**
+ * Measure how well a secondary stat rolled, from 0 if every roll was the lowest possible to 1 if every roll was the
+ * highest possible
+ *
+ * @param stat {Stat}
+ * @param pips {number} The number of pips on the mod the stat is on
+ * @returns {number|null} null if the roll range isn't known for this stat and rarity
+ */
+export function statRollEfficiency(stat, pips) {
+  const range = rollRange(stat.type, pips);
+  if (!range) {
+    return null;
+  }
+
+  const value = 6 === pips ? unslicedValue(stat) : stat.value;
+  const efficiency = (value / stat.rolls - range.min) / (range.max - range.min);
+
+  return Math.min(1, Math.max(0, efficiency));
+}
+
+/**
+ * Measure how well all of a mod's secondary stats rolled, as a percentage. Each stat is weighted by how many times it
+ * rolled, so a 4-roll speed counts for more than a 1-roll defense.
+ *
+ * @param mod {Mod}
+ * @returns {number|null} null if none of the mod's secondaries can be measured
+ */
+export function rollEfficiency(mod) {
+  let totalRolls = 0;
+  let weightedEfficiency = 0;
+
+  mod.secondaryStats.forEach(stat => {
+    const efficiency = statRollEfficiency(stat, mod.pips);
+    if (null !== efficiency) {
+      totalRolls += stat.rolls;
+      weightedEfficiency += efficiency * stat.rolls;
+    }
+  });
+
+  return totalRolls ? 100 * weightedEfficiency / totalRolls : null;
+}
+
+/**
+ * Project how much speed a mod is expected to have once it's leveled to 15. Every upgrade before level 12 first reveals
+ * any hidden secondaries, each of which is equally likely to be any stat not already on the mod, and then rolls one of
+ * the four secondaries at random. Mods that are already past level 12, or whose roll range isn't known, just use the
+ * speed they already have.
+ *
+ * @param mod {Mod}
+ * @returns {number}
+ */
+export function projectedPotential(mod) {
+  const speedStat = mod.secondaryStats.find(stat => 'Speed' === stat.type);
+  const currentSpeed = speedStat ? speedStat.value : 0;
+  const range = rollRange('Speed', mod.pips);
+  const remainingUpgrades = secondaryUpgradeLevels.filter(level => level > mod.level).length;
+
+  if (!range || !remainingUpgrades) {
+    return currentSpeed;
+  }
+
+  const averageRoll = (range.min + range.max) / 2;
+  const hiddenSecondaries = Math.min(4 - mod.secondaryStats.length, remainingUpgrades);
+  const expectedSpeedRolls = (remainingUpgrades - hiddenSecondaries) / 4;
+
+  if (speedStat) {
+    return currentSpeed + expectedSpeedRolls * averageRoll;
+  }
+
+  const possibleStats = secondaryStatTypes.filter(statType =>
+    statType !== mod.primaryStat.type && !mod.secondaryStats.some(stat => stat.type === statType)
+  );
+  if (!hiddenSecondaries || !possibleStats.includes('Speed')) {
+    return 0;
+  }
+
+  const chanceOfSpeed = hiddenSecondaries / possibleStats.length;
+  return chanceOfSpeed * averageRoll * (1 + expectedSpeedRolls);
+}
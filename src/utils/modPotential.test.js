@@ -0,0 +1,56 @@
+import {projectedPotential, rollEfficiency, statRollEfficiency} from './modPotential';
+import Mod from "../domain/Mod";
+import Stat from "../domain/Stat";
+import setBonuses from "../constants/setbonuses";
+
+function makeMod(level, secondaryStats, pips = 5) {
+  return new Mod('m1', 'square', setBonuses['speed'], level, pips, new Stat('Offense %', '5.88%'), secondaryStats);
+}
+
+describe('statRollEfficiency', () => {
+  it('measures each roll against the range for the mod\'s pips', () => {
+    expect(statRollEfficiency(new Stat('Speed', '+6', 1), 5)).toBe(1);
+    expect(statRollEfficiency(new Stat('Speed', '+12', 4), 5)).toBe(0);
+    expect(statRollEfficiency(new Stat('Speed', '+9', 2), 5)).toBe(0.5);
+  });
+
+  it('undoes slicing before measuring a 6-dot stat', () => {
+    expect(statRollEfficiency(new Stat('Speed', '+7', 1), 6)).toBe(1);
+  });
+
+  it('can\'t measure stats on mods without a known roll range', () => {
+    expect(statRollEfficiency(new Stat('Speed', '+5', 1), 4)).toBeNull();
+  });
+});
+
+describe('rollEfficiency', () => {
+  it('weights each stat by its number of rolls', () => {
+    const mod = makeMod(15, [new Stat('Speed', '+18', 3), new Stat('Defense', '+4', 1)]);
+
+    expect(rollEfficiency(mod)).toBe(75);
+  });
+});
+
+describe('projectedPotential', () => {
+  it('adds the expected speed rolls to a mod that already has speed', () => {
+    const mod = makeMod(9, [
+      new Stat('Speed', '+5', 1),
+      new Stat('Defense', '+4', 1),
+      new Stat('Health', '+300', 1),
+      new Stat('Potency %', '+1.5%', 1)
+    ]);
+
+    expect(projectedPotential(mod)).toBe(5 + 4.5 / 4);
+  });
+
+  it('gives a chance of revealing speed to a mod with hidden secondaries', () => {
+    const mod = makeMod(1, [new Stat('Defense', '+4', 1)]);
+    const chanceOfSpeed = 3 / 10;
+
+    expect(projectedPotential(mod)).toBeCloseTo(chanceOfSpeed * 4.5 * (1 + 1 / 4));
+  });
+
+  it('uses the current speed for mods that are done rolling', () => {
+    expect(projectedPotential(makeMod(12, [new Stat('Speed', '+10', 2)]))).toBe(10);
+  });
+});
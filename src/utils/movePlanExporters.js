@@ -0,0 +1,139 @@
+// @flow
+
+// The longest message that the chat format will produce. This is Discord's limit, which is the lowest of the chat apps
+// that guilds usually use.
+export const chatMessageLength = 2000;
+
+const capitalize = function(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+};
+
+/**
+ * Describe every mod that needs to move, grouped by the character that the mods are moving to
+ *
+ * @param movingModAssignments {Object<string, Array<Mod>>} The mods moving to each character, keyed by character ID
+ * @param gameSettings {Object<string, GameSettings>} Used to look up character names
+ * @returns {Array<{character: string, mods: Array<{slot: string, set: string, primary: string, from: string}>}>}
+ */
+export function getMovePlan(movingModAssignments, gameSettings) {
+  const characterName = characterID => gameSettings[characterID] ? gameSettings[characterID].name : characterID;
+
+  return Object.entries(movingModAssignments)
+    .filter(([, mods]) => mods.length)
+    .map(([characterID, mods]) => ({
+      character: characterName(characterID),
+      mods: mods.map(mod => ({
+        slot: capitalize(mod.slot),
+        set: capitalize(mod.set.name),
+        primary: mod.primaryStat.type,
+        from: mod.characterID ? characterName(mod.characterID) : null
+      }))
+    }));
+}
+
+/**
+ * Quote a value for a CSV file if it needs it
+ *
+ * @param value {string}
+ * @returns {string}
+ */
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Escape a value so that it can go in a Markdown table cell
+ *
+ * @param value {string}
+ * @returns {string}
+ */
+function markdownCell(value) {
+  return value.replace(/\|/g, '\\|');
+}
+
+/**
+ * Split lines of text into chunks that are no longer than a maximum length, keeping each group of lines together in one
+ * chunk unless the group is too long to fit in a chunk on its own
+ *
+ * @param groups {Array<Array<string>>}
+ * @param maxLength {number}
+ * @returns {Array<string>}
+ */
+function chunkLines(groups, maxLength) {
+  const chunks = [];
+  let chunk = '';
+
+  const addText = (text, separator) => {
+    if (chunk && chunk.length + separator.length + text.length > maxLength) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk = chunk ? `${chunk}${separator}${text}` : text;
+  };
+
+  groups.forEach(lines => {
+    const group = lines.join('\n');
+    if (group.length <= maxLength) {
+      addText(group, '\n\n');
+    } else {
+      lines.forEach((line, index) => addText(line, 0 === index ? '\n\n' : '\n'));
+    }
+  });
+
+  if (chunk) {
+    chunks.push(chunk);
+  }
+
+  return chunks;
+}
+
+/**
+ * Every format that a move plan can be exported in. Each one turns a move plan (from getMovePlan) into one or more
+ * chunks of text - only the chat format ever has more than one.
+ */
+const movePlanExporters = {
+  text: {
+    name: 'Plain text',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    export: plan => [plan.map(({character, mods}) => [character].concat(mods.map(({slot, set, primary, from}) =>
+      `Move ${set}(${primary}) ${slot} from ${from || 'your unassigned mods'}.`
+    )).join('\r\n')).join('\r\n\r\n')]
+  },
+  csv: {
+    name: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    export: plan => [[['Assigned Character', 'Slot', 'Set', 'Primary', 'From Character']].concat(
+      ...plan.map(({character, mods}) => mods.map(({slot, set, primary, from}) =>
+        [character, slot, set, primary, from || '']
+      ))
+    ).map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n']
+  },
+  markdown: {
+    name: 'Markdown',
+    extension: 'md',
+    mimeType: 'text/markdown',
+    export: plan => [plan.map(({character, mods}) => [
+      `### ${character}`,
+      '',
+      '| Slot | Set | Primary | From |',
+      '| --- | --- | --- | --- |'
+    ].concat(mods.map(({slot, set, primary, from}) =>
+      `| ${[slot, set, primary, from || 'Unassigned'].map(markdownCell).join(' | ')} |`
+    )).join('\n')).join('\n\n') + '\n']
+  },
+  chat: {
+    name: 'Chat messages',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    export: plan => chunkLines(
+      plan.map(({character, mods}) => [`**${character}**`].concat(
+        mods.map(({slot, set, primary, from}) => `${slot}: ${set} ${primary} <- ${from || 'unassigned'}`)
+      )),
+      chatMessageLength
+    )
+  }
+};
+
+export default movePlanExporters;
@@ -0,0 +1,60 @@
+import movePlanExporters, {chatMessageLength, getMovePlan} from './movePlanExporters';
+import Mod from "../domain/Mod";
+import Stat from "../domain/Stat";
+import {GameSettings} from "../domain/CharacterDataClasses";
+import setBonuses from "../constants/setbonuses";
+
+const gameSettings = {
+  A: new GameSettings('A', 'Darth Vader', '', [], ''),
+  B: new GameSettings('B', 'Han Solo, Scoundrel', '', [], '')
+};
+
+function makeMod(id, slot, characterID) {
+  return new Mod(id, slot, setBonuses['speed'], 15, 5, new Stat('Speed', '+30'), [], characterID);
+}
+
+describe('movePlanExporters', () => {
+  const plan = getMovePlan({
+    A: [makeMod('m1', 'arrow', 'B'), makeMod('m2', 'square', null)],
+    B: []
+  }, gameSettings);
+
+  it('keeps the plain text format of the move summary', () => {
+    expect(movePlanExporters.text.export(plan)).toEqual([
+      'Darth Vader\r\n' +
+      'Move Speed(Speed) Arrow from Han Solo, Scoundrel.\r\n' +
+      'Move Speed(Speed) Square from your unassigned mods.'
+    ]);
+  });
+
+  it('writes one CSV row for each mod to move', () => {
+    expect(movePlanExporters.csv.export(plan)).toEqual([
+      'Assigned Character,Slot,Set,Primary,From Character\r\n' +
+      'Darth Vader,Arrow,Speed,Speed,"Han Solo, Scoundrel"\r\n' +
+      'Darth Vader,Square,Speed,Speed,\r\n'
+    ]);
+  });
+
+  it('writes a Markdown table for each character', () => {
+    expect(movePlanExporters.markdown.export(plan)).toEqual([
+      '### Darth Vader\n\n| Slot | Set | Primary | From |\n| --- | --- | --- | --- |\n' +
+      '| Arrow | Speed | Speed | Han Solo, Scoundrel |\n| Square | Speed | Speed | Unassigned |\n'
+    ]);
+  });
+
+  it('splits chat messages so that each one fits in a message, without splitting up a character', () => {
+    const modsByCharacter = {};
+    for (let i = 0; i < 100; i++) {
+      modsByCharacter[`CHARACTER${i}`] = [makeMod(`m${i}-1`, 'arrow', 'B'), makeMod(`m${i}-2`, 'cross', null)];
+    }
+    const chunks = movePlanExporters.chat.export(getMovePlan(modsByCharacter, gameSettings));
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(chunk.length).toBeLessThanOrEqual(chatMessageLength);
+      expect(chunk.startsWith('**CHARACTER')).toBe(true);
+      expect(chunk.endsWith('Cross: Speed Speed <- unassigned')).toBe(true);
+    });
+    expect(chunks.join('\n\n').split('\n\n').length).toEqual(100);
+  });
+});
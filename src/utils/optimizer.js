@@ -1,447 +1,72 @@
 // @flow
 
-/*********************************************************************************************************************
- * Messaging                                                                                                         *
- ********************************************************************************************************************/
-self.onmessage = function(message) {
-  const openDbRequest = indexedDB.open('ModsOptimizer', 1);
-  openDbRequest.onerror = function(event) {
-    throw event.target.error;
-  };
-
-  openDbRequest.onsuccess = function(event) {
-    const db = event.target.result;
-    let profile, lastRun;
-
-    // Get the data needed to optimize from the profile and last runs
-    const getDataTransaction = db.transaction(['profiles', 'lastRuns']);
-
-    getDataTransaction.onerror = function(event) {
-      throw event.target.error;
-    };
-
-    getDataTransaction.oncomplete = function() {
-      if (!profile) {
-        throw new Error('Unable to read your profile for optimization. Please clear your cache and try again.');
-      }
-      const allMods = profile.mods.map(deserializeMod);
-
-      // Filter out any mods that are on locked characters, including if all unselected characters are locked
-      let usableMods = allMods.filter(mod =>
-        !mod.characterID || !profile.characters[mod.characterID].optimizerSettings.isLocked);
-
-      if (profile.globalSettings.lockUnselectedCharacters) {
-        usableMods = allMods.filter(mod => !mod.characterID || profile.selectedCharacters.includes(mod.characterID))
-      }
-
-      const characters = {};
-      const lastRunCharacters = {};
-
-      for (let character of Object.values(profile.characters)) {
-        character.optimizerSettings.target = deserializeTarget(character.optimizerSettings.target);
-        characters[character.baseID] = character;
-      }
-
-      if (lastRun.characters) {
-        for (let character of Object.values(lastRun.characters)) {
-          character.optimizerSettings.target = deserializeTarget(character.optimizerSettings.target);
-          lastRunCharacters[character.baseID] = character;
-        }
-
-        lastRun.characters = lastRunCharacters;
-      }
-
-      lastRun.modAssignments = profile.modAssignments;
-
-      const optimizedModsByCharacter = optimizeMods(
-        usableMods,
-        characters,
-        profile.selectedCharacters,
-        profile.globalSettings.modChangeThreshold,
-        profile.globalSettings.lockUnselectedCharacters,
-        lastRun
-      );
+import setBonuses from "../constants/setbonuses";
+import statTypeMap from "../constants/statTypeMap";
+import Stat from "../domain/Stat";
+import Mod from "../domain/Mod";
+import ModSet from "../domain/ModSet";
+import OptimizationPlan from "../domain/OptimizationPlan";
+import StatCap from "../domain/StatCap";
+import areObjectsEquivalent from "./areObjectsEquivalent";
+import chooseFromArray from "./chooseFromArray";
+import firstOrNull from "./firstOrNull";
+import hashObject from "./hashObject";
+import nothing from "./nothing";
+import groupByKey from "./groupByKey";
+import {referencedStats, relativeTargetStatErrors, resolveRelativeTargetStats} from "./relativeTargetStats";
+import {hasObjectives, scoreFormula, scoreObjectives} from "./scoringObjectives";
 
-      optimizationSuccessMessage(optimizedModsByCharacter.assignedSets, optimizedModsByCharacter.messages);
-      self.close();
-    };
+/**
+ * The core of the mods optimizer. This is run inside of a Web Worker (see src/workers/optimizer.js) so that it doesn't
+ * block the UI, but it has no dependencies on the worker itself so that it can also be run from tests or from Node.
+ */
 
-    const profileRequest = getDataTransaction.objectStore('profiles').get(message.data);
-    profileRequest.onsuccess = function(event) {
-      profile = event.target.result;
-    };
+/*********************************************************************************************************************
+ * Progress reporting                                                                                                *
+ ********************************************************************************************************************/
+let progressListener = nothing;
 
-    const lastRunRequest = getDataTransaction.objectStore('lastRuns').get(message.data);
-    lastRunRequest.onsuccess = function(event) {
-      lastRun = event.target.result ? event.target.result : {};
-    };
-  };
-};
-
-function optimizationSuccessMessage(modsByCharacter, messages) {
-  postMessage({
-    type: 'OptimizationSuccess',
-    result: {
-      assignedSets: modsByCharacter,
-      messages: messages
-    }
-  });
+/**
+ * Set the function that is called whenever the optimizer has a progress update
+ * @param listener {function(Object, String, Number)} Called with the character being optimized, a description of the
+ *                                                    current step, and the progress through that step, as a percent
+ */
+export function setProgressListener(listener) {
+  progressListener = listener;
 }
 
 function progressMessage(character, step, progress = 100) {
-  postMessage({
-    type: 'Progress',
-    character: character,
-    step: step,
-    progress: progress
-  });
+  progressListener(character, step, progress);
 }
 
 /*********************************************************************************************************************
- * End of messaging section                                                                                          *
+ * End of progress reporting                                                                                         *
  ********************************************************************************************************************/
 
 /*********************************************************************************************************************
- * This is a really shitty section of code where I need to copy stuff from all the other files I've already written. *
- * The reason I need to do this here is because Web Workers exist in a totally separate context - I can't load the   *
- * files that were organized in the build step, and can't load anything not accessible via the domain.               *
+ * Deserialization                                                                                                   *
  ********************************************************************************************************************/
-const statTypeMap = Object.freeze({
-  'Health': ['health'],
-  'Protection': ['protection'],
-  'Speed': ['speed'],
-  'Critical Damage': ['critDmg'],
-  'Potency': ['potency'],
-  'Tenacity': ['tenacity'],
-  'Offense': ['physDmg', 'specDmg'],
-  'Physical Damage': ['physDmg'],
-  'Special Damage': ['specDmg'],
-  'Critical Chance': ['physCritChance', 'specCritChance'],
-  'Physical Critical Chance': ['critChance'], // read critChance from OptimizationPlan - this is used for scoring
-  'Special Critical Chance': ['specCritChance'],
-  'Defense': ['armor', 'resistance'],
-  'Armor': ['armor'],
-  'Resistance': ['resistance'],
-  'Accuracy': ['accuracy'],
-  'Critical Avoidance': ['critAvoid']
-});
-
-const statDisplayNames = {
-  'health': 'Health',
-  'protection': 'Protection',
-  'speed': 'Speed',
-  'critDmg': 'Critical Damage',
-  'potency': 'Potency',
-  'tenacity': 'Tenacity',
-  'physDmg': 'Physical Damage',
-  'specDmg': 'Special Damage',
-  'critChance': 'Critical Chance',
-  'physCritChance': 'Physical Critical Chance',
-  'specCritChance': 'Special Critical Chance',
-  'defense': 'Defense',
-  'armor': 'Armor',
-  'resistance': 'Resistance',
-  'accuracy': 'Accuracy',
-  'critAvoid': 'Critical Avoidance',
-  'physCritAvoid': 'Physical Critical Avoidance',
-  'specCritAvoid': 'Special Critical Avoidance'
-};
-
-const wholeStatTypes = ['Health',
-  'Protection',
-  'Offense',
-  'Physical Damage',
-  'Special Damage',
-  'Speed',
-  'Defense',
-  'Armor',
-  'Resistance'];
-
-const modSlots = ['square', 'arrow', 'diamond', 'triangle', 'circle', 'cross'];
-
-const setBonuses = {
-  'health': {
-    name: 'health',
-    numberOfModsRequired: 2,
-    smallBonus: {displayType: 'Health', value: 5, isPercent: true},
-    maxBonus: {displayType: 'Health', value: 10, isPercent: true}
-  },
-  'defense': {
-    name: 'defense',
-    numberOfModsRequired: 2,
-    smallBonus: {displayType: 'Defense', value: 12.5, isPercent: true},
-    maxBonus: {displayType: 'Defense', value: 25, isPercent: true}
-  },
-  'critdamage': {
-    name: 'critdamage',
-    numberOfModsRequired: 4,
-    smallBonus: {displayType: 'Critical Damage', value: 15},
-    maxBonus: {displayType: 'Critical Damage', value: 30}
-  },
-  'critchance': {
-    name: 'critchance',
-    numberOfModsRequired: 2,
-    smallBonus: {displayType: 'Critical Chance', value: 4},
-    maxBonus: {displayType: 'Critical Chance', value: 8}
-  },
-  'tenacity': {
-    name: 'tenacity',
-    numberOfModsRequired: 2,
-    smallBonus: {displayType: 'Tenacity', value: 10},
-    maxBonus: {displayType: 'Tenacity', value: 20}
-  },
-  'offense': {
-    name: 'offense',
-    numberOfModsRequired: 4,
-    smallBonus: {displayType: 'Offense', value: 7.5, isPercent: true},
-    maxBonus: {displayType: 'Offense', value: 15, isPercent: true}
-  },
-  'potency': {
-    name: 'potency',
-    numberOfModsRequired: 2,
-    smallBonus: {displayType: 'Potency', value: 7.5},
-    maxBonus: {displayType: 'Potency', value: 15}
-  },
-  'speed': {
-    name: 'speed',
-    numberOfModsRequired: 4,
-    smallBonus: {displayType: 'Speed', value: 5, isPercent: true},
-    maxBonus: {displayType: 'Speed', value: 10, isPercent: true}
-  }
-};
-
-// Map pips to maximum value at level 15 for each primary stat type
-const maxStatPrimaries = {
-  'Offense': {
-    1: 1.88,
-    2: 2,
-    3: 3.88,
-    4: 4,
-    5: 5.88,
-    6: 8.50
-  },
-  'Defense': {
-    1: 3.75,
-    2: 4,
-    3: 7.75,
-    4: 8,
-    5: 11.75,
-    6: 20
-  },
-  'Health': {
-    1: 1.88,
-    2: 2,
-    3: 3.88,
-    4: 4,
-    5: 5.88,
-    6: 16
-  },
-  'Protection': {
-    1: 7.5,
-    2: 8,
-    3: 15.5,
-    4: 16,
-    5: 23.5,
-    6: 24
-  },
-  'Speed': {
-    1: 17,
-    2: 19,
-    3: 21,
-    4: 26,
-    5: 30,
-    6: 32
-  },
-  'Accuracy': {
-    1: 7.5,
-    2: 8,
-    3: 8.75,
-    4: 10.5,
-    5: 12,
-    6: 30
-  },
-  'Critical Avoidance': {
-    1: 15,
-    2: 16,
-    3: 18,
-    4: 21,
-    5: 24,
-    6: 35
-  },
-  'Critical Chance': {
-    1: 7.50,
-    2: 8,
-    3: 8.75,
-    4: 10.5,
-    5: 12,
-    6: 20
-  },
-  'Critical Damage': {
-    1: 22.50,
-    2: 24,
-    3: 27,
-    4: 31.5,
-    5: 36,
-    6: 42
-  },
-  'Potency': {
-    1: 15,
-    2: 16,
-    3: 18,
-    4: 21,
-    5: 24,
-    6: 30
-  },
-  'Tenacity': {
-    1: 15,
-    2: 16,
-    3: 18,
-    4: 21,
-    5: 24,
-    6: 35
-  }
-};
-
-const statSlicingUpgradeFactors = {
-  'Offense %': 3.02,
-  'Defense %': 2.34,
-  'Health %': 1.86,
-  'Defense': 1.63,
-  'Tenacity': 1.33,
-  'Potency': 1.33,
-  'Protection %': 1.33,
-  'Health': 1.26,
-  'Protection': 1.11,
-  'Offense': 1.10,
-  'Critical Chance': 1.04
-};
-
-const statWeights = {
-  health: 2000,
-  protection: 4000,
-  speed: 20,
-  critDmg: 30,
-  potency: 15,
-  tenacity: 15,
-  physDmg: 225,
-  specDmg: 450,
-  offense: 225,
-  critChance: 10,
-  armor: 33,
-  resistance: 33,
-  accuracy: 10,
-  critAvoid: 10
-};
 
 /**
- * Return the first value from an array, if one exists. Otherwise, return null.
- * @param arr {Array}
- * @returns {*}
+ * Convert the stat weights in a serialized OptimizationPlan into the values used for scoring
+ * @param target {Object}
+ * @returns {Object}
  */
-function firstOrNull(arr) {
-  if ('undefined' !== typeof arr[0]) {
-    return arr[0];
-  } else {
-    return null;
-  }
-}
-
-function chooseFromArray(input, choices) {
-  let combinations = [];
-
-  for (let i = 0; i <= input.length - choices; i++) {
-    if (1 >= choices) {
-      combinations.push([input[i]]);
-    } else {
-      for (let subResult of chooseFromArray(input.slice(i + 1), choices - 1)) {
-        combinations.push([input[i]].concat(subResult));
-      }
-    }
-  }
-
-  return combinations;
-}
-
-function areObjectsEquivalent(left, right) {
-  // If either object is null, then Object.getOwnPropertyNames will fail. Do these checks first
-  if (left === null) {
-    return right === null;
-  } else if (right === null) {
-    return false;
-  }
-
-  // Create arrays of property names
-  const leftProps = Object.getOwnPropertyNames(left);
-  const rightProps = Object.getOwnPropertyNames(right);
-
-  // If number of properties is different,
-  // objects are not equivalent
-  if (leftProps.length !== rightProps.length) {
-    return false;
-  }
-
-  // Check that every property is equivalent
-  return leftProps.every(propName => {
-    if (left[propName] instanceof Object) {
-      return areObjectsEquivalent(left[propName], right[propName]);
-    } else {
-      return left[propName] === right[propName];
-    }
-  });
-}
-
-function deserializeStat(type, value) {
-  const displayType = type.endsWith('%') ? type.substr(0, type.length - 1).trim() : type;
-  const rawValue = value.replace(/[+%]/g, '');
-  const realValue = +rawValue;
-  const isPercent = (type.endsWith('%') || value.endsWith('%')) && wholeStatTypes.includes(displayType);
-
-  return {
-    type: type,
-    displayType: displayType,
-    value: realValue,
-    isPercent: isPercent
-  };
-}
-
-function deserializeMod(mod) {
-  const primaryStat = deserializeStat(mod.primaryBonusType, mod.primaryBonusValue);
-  let secondaryStats = [];
+export function deserializeTarget(target) {
+  const updatedTarget = Object.assign({}, target);
 
-  if ('None' !== mod.secondaryType_1 && '' !== mod.secondaryValue_1) {
-    secondaryStats.push(deserializeStat(mod.secondaryType_1, mod.secondaryValue_1));
-  }
-  if ('None' !== mod.secondaryType_2 && '' !== mod.secondaryValue_2) {
-    secondaryStats.push(deserializeStat(mod.secondaryType_2, mod.secondaryValue_2));
+  // Plans saved before a plan could have more than one target stat have a single `targetStat` instead
+  if (!updatedTarget.targetStats) {
+    updatedTarget.targetStats = updatedTarget.targetStat ? [updatedTarget.targetStat] : [];
   }
-  if ('None' !== mod.secondaryType_3 && '' !== mod.secondaryValue_3) {
-    secondaryStats.push(deserializeStat(mod.secondaryType_3, mod.secondaryValue_3));
-  }
-  if ('None' !== mod.secondaryType_4 && '' !== mod.secondaryValue_4) {
-    secondaryStats.push(deserializeStat(mod.secondaryType_4, mod.secondaryValue_4));
-  }
-
-  const setBonus = setBonuses[mod.set.toLowerCase().replace(' ', '')];
-
-  return {
-    id: mod.mod_uid,
-    slot: mod.slot.toLowerCase(),
-    set: setBonus,
-    level: mod.level,
-    pips: mod.pips,
-    primaryStat: primaryStat,
-    secondaryStats: secondaryStats,
-    characterID: mod.characterID,
-    tier: mod.tier
-  };
-}
-
-function deserializeTarget(target) {
-  const updatedTarget = Object.assign({}, target);
+  delete updatedTarget.targetStat;
 
   for (let stat of Object.keys(updatedTarget)) {
-    if (Object.keys(statWeights).includes(stat)) {
-      updatedTarget[stat] = updatedTarget[stat] / statWeights[stat];
+    if (Object.keys(OptimizationPlan.statWeight).includes(stat)) {
+      // Targets that were stored as full OptimizationPlans keep what the user entered in the "raw" properties
+      const rawStat = `raw${stat.charAt(0).toUpperCase()}${stat.substr(1)}`;
+      const rawValue = 'undefined' !== typeof updatedTarget[rawStat] ? updatedTarget[rawStat] : updatedTarget[stat];
+      updatedTarget[stat] = rawValue / OptimizationPlan.statWeight[stat];
     }
   }
 
@@ -449,7 +74,7 @@ function deserializeTarget(target) {
 }
 
 /*********************************************************************************************************************
- * End of shitty code section                                                                                        *
+ * End of deserialization                                                                                            *
  ********************************************************************************************************************/
 
 /*********************************************************************************************************************
@@ -466,10 +91,28 @@ function clearCache() {
   };
 }
 
+clearCache();
+
 /*********************************************************************************************************************
  * End of caching variables                                                                                          *
  ********************************************************************************************************************/
 
+/*********************************************************************************************************************
+ * Partitioning variables                                                                                            *
+ ********************************************************************************************************************/
+// When the search for a character's mods is split across multiple workers, every worker walks through exactly the
+// same candidate mod sets, in the same order, but only scores the candidates that fall into its own partition
+let partition = {index: 0, count: 1};
+let nextCandidateIndex = 0;
+
+function isInPartition(candidateIndex) {
+  return partition.index === candidateIndex % partition.count;
+}
+
+/*********************************************************************************************************************
+ * End of partitioning variables                                                                                     *
+ ********************************************************************************************************************/
+
 /*********************************************************************************************************************
  * Utility functions                                                                                                 *
  ********************************************************************************************************************/
@@ -490,7 +133,7 @@ function getFlatStatsFromModSet(modSet, character) {
   const combinedStats = {};
 
   modSet.forEach(mod =>
-    statsDirectlyFromMods.push(...cache.modStats[mod.id])
+    statsDirectlyFromMods.push(...getFlatStatsFromMod(mod, character))
   );
 
   statsFromSetBonus.forEach(stat =>
@@ -516,7 +159,7 @@ function getFlatStatsFromModSet(modSet, character) {
 
   // Truncate any stat that can only have a whole value
   return Object.values(combinedStats).map(stat => {
-    if (wholeStatTypes.includes(stat.displayType)) {
+    if (Stat.mixedTypes.includes(stat.displayType)) {
       return Object.assign(stat, {
         value: Math.trunc(stat.value)
       });
@@ -607,7 +250,7 @@ function flattenStatValues(stat, character) {
   const statPropertyNames = statTypeMap[stat.displayType];
 
   const flattenedStats = statPropertyNames.map(statName => {
-    const displayName = statDisplayNames[statName];
+    const displayName = Stat.displayNames[statName];
 
     if (stat.isPercent && character.playerValues.baseStats) {
       return {
@@ -633,7 +276,7 @@ function flattenStatValues(stat, character) {
  * @param modSet {Array<Mod>}
  * @param character {Character}
  */
-function modSetSatisfiesCharacterRestrictions(modSet, character) {
+export function modSetSatisfiesCharacterRestrictions(modSet, character) {
   const target = character.optimizerSettings.target;
   const minimumDots = character.optimizerSettings.minimumModDots;
   const modSetSlots = {};
@@ -659,7 +302,7 @@ function modSetSatisfiesCharacterRestrictions(modSet, character) {
  * @param modSet {Array<Mod>}
  * @returns {Boolean}
  */
-function modSetFulfillsFullSetRestriction(modSet) {
+export function modSetFulfillsFullSetRestriction(modSet) {
   // Count how many mods exist in each set
   const setCounts = modSet.reduce((acc, mod) => {
     return Object.assign({}, acc, {
@@ -679,7 +322,7 @@ function modSetFulfillsFullSetRestriction(modSet) {
  * @param setDefinition {Object<String, Number>}
  * @returns {Boolean}
  */
-function modSetFulfillsSetRestriction(modSet, setDefinition) {
+export function modSetFulfillsSetRestriction(modSet, setDefinition) {
   // Count how many mods exist in each set
   const setCounts = modSet.reduce((acc, mod) => {
     return Object.assign({}, acc, {
@@ -696,36 +339,110 @@ function modSetFulfillsSetRestriction(modSet, setDefinition) {
 }
 
 /**
- * Checks to see if this mod set meets the target stat
+ * Checks to see if this mod set meets every one of the character's target stats
  *
  * @param modSet {Array<Mod>}
  * @param character {Character}
  * @returns {boolean}
  */
-function modSetFulfillsTargetStatRestriction(modSet, character) {
-  const targetStat = character.optimizerSettings.target.targetStat;
+export function modSetFulfillsTargetStatRestriction(modSet, character) {
+  return character.optimizerSettings.target.targetStats.every(targetStat =>
+    modSetFulfillsTargetStat(modSet, character, targetStat)
+  );
+}
 
-  if (!targetStat) {
-    return true;
-  }
-  if (statTypeMap[targetStat.stat].length > 1) {
+/**
+ * Checks to see if this mod set meets a single target stat
+ *
+ * @param modSet {Array<Mod>}
+ * @param character {Character}
+ * @param targetStat {TargetStat}
+ * @returns {boolean}
+ */
+function modSetFulfillsTargetStat(modSet, character, targetStat) {
+  const totalValue = characterStatValue(modSet, character, targetStat.stat);
+
+  return totalValue >= targetStat.minimum && totalValue <= targetStat.maximum;
+}
+
+/**
+ * Find the final value of a stat for a character wearing a mod set
+ *
+ * @param modSet {Array<Mod>}
+ * @param character {Character}
+ * @param displayType {String} The type of stat, as used for target stats
+ * @returns {Number}
+ */
+function characterStatValue(modSet, character, displayType) {
+  if (statTypeMap[displayType].length > 1) {
     throw new Error(
       "Trying to set an ambiguous target stat. Offense, Crit Chance, etc. need to be broken into physical or special."
     );
   }
-  const statProperty = statTypeMap[targetStat.stat][0];
+  const statProperty = statTypeMap[displayType][0];
   const baseValue = character.playerValues.equippedStats[statProperty];
 
   const setStats = getFlatStatsFromModSet(modSet, character);
 
   const setValue = setStats.reduce((setValueSum, stat) =>
-      // Check to see if the stat is the target stat. If it is, add its value to the total.
-      stat.displayType === targetStat.stat ? setValueSum + stat.value : setValueSum
+      // Check to see if the stat is the one we want. If it is, add its value to the total.
+      stat.displayType === displayType ? setValueSum + stat.value : setValueSum
     , 0);
 
-  const totalValue = baseValue + setValue;
+  return baseValue + setValue;
+}
 
-  return totalValue >= targetStat.minimum && totalValue <= targetStat.maximum;
+/**
+ * Find the final values of the stats that other characters' relative target stats are measured from
+ *
+ * @param modSet {Array<Mod>} The mods assigned to the character
+ * @param character {Character}
+ * @param stats {Array<String>}
+ * @returns {Object<String, Number>} A map from each stat to its final value
+ */
+function finalStatValues(modSet, character, stats) {
+  // Anything cached might be for a different character
+  clearCache();
+
+  const values = {};
+  stats.forEach(stat => values[stat] = characterStatValue(modSet, character, stat));
+  return values;
+}
+
+/**
+ * Describe a target stat for messages to the user
+ *
+ * @param targetStat {TargetStat}
+ * @returns {string}
+ */
+function describeTargetStat(targetStat) {
+  return `${targetStat.stat} between ${targetStat.minimum} and ${targetStat.maximum}`;
+}
+
+/**
+ * List every way to keep some of a character's target stats, from keeping all of them to keeping only one. Ways that
+ * keep the same number of target stats are ordered so that the ones listed first for the character are kept first.
+ *
+ * @param targetStats {Array<TargetStat>}
+ * @returns {Array<Array<TargetStat>>}
+ */
+function targetStatSubsets(targetStats) {
+  const subsets = [];
+
+  for (let size = targetStats.length; size > 0; size--) {
+    const addSubsets = (start, chosen) => {
+      if (chosen.length === size) {
+        subsets.push(chosen);
+        return;
+      }
+      for (let i = start; i <= targetStats.length - (size - chosen.length); i++) {
+        addSubsets(i + 1, chosen.concat([targetStats[i]]));
+      }
+    };
+    addSubsets(0, []);
+  }
+
+  return subsets;
 }
 
 /**
@@ -817,20 +534,70 @@ function modSort(character) {
   }
 }
 
+/**
+ * Get the properties of an Optimization Plan that give the weights for a type of stat
+ * @param displayType {String}
+ * @returns {Array<String>}
+ */
+function targetPropertiesFor(displayType) {
+  // Because Optimization Plans treat all critical chance the same, we can't break it into physical and special crit
+  // chance for scoring. Catch these edge cases so that we can properly value crit chance. Special crit chance is
+  // ignored, since it always moves together with physical crit chance
+  return ['Critical Chance', 'Physical Critical Chance'].includes(displayType) ?
+    ['critChance'] :
+    statTypeMap[displayType];
+}
+
 /**
  * Return how valuable a particular stat is for an Optimization Plan
  * @param stat {Stat}
  * @param target {OptimizationPlan}
  */
-function scoreStat(stat, target) {
-  // Because Optimization Plans treat all critical chance the same, we can't break it into physical and special crit
-  // chance for scoring. Catch this edge case so that we can properly value crit chance
-  const targetProperties = 'Critical Chance' === stat.displayType ? ['critChance'] : statTypeMap[stat.displayType];
-  return targetProperties.reduce((acc, targetProperty) =>
+export function scoreStat(stat, target) {
+  return targetPropertiesFor(stat.displayType).reduce((acc, targetProperty) =>
       target[targetProperty] ? acc + target[targetProperty] * stat.value : acc
     , 0);
 }
 
+/**
+ * Return how valuable a group of flat stats is for a character. Stats without a cap in the character's plan are
+ * scored one at a time. Stats with a cap are added up first, so that only the part of the total that's under the cap
+ * counts. Any composite objectives in the plan are scored on top of that. If the plan has a formula, the formula is
+ * used instead of all of these.
+ *
+ * @param flatStats {Array<{displayType: string, value: number}>}
+ * @param character {Character}
+ * @returns {Number}
+ */
+function scoreFlatStats(flatStats, character) {
+  const target = character.optimizerSettings.target;
+  if (target.formula) {
+    return scoreFormula(flatStats, character);
+  }
+
+  const statCaps = target.statCaps || {};
+  const cappedGains = {};
+  let score = 0;
+
+  flatStats.forEach(stat => targetPropertiesFor(stat.displayType).forEach(targetProperty => {
+    if (!target[targetProperty]) {
+      return;
+    }
+    if (statCaps[targetProperty]) {
+      cappedGains[targetProperty] = (cappedGains[targetProperty] || 0) + stat.value;
+    } else {
+      score += target[targetProperty] * stat.value;
+    }
+  }));
+
+  Object.entries(cappedGains).forEach(([targetProperty, gain]) => {
+    const startingValue = StatCap.startingValue(character, targetProperty);
+    score += target[targetProperty] * StatCap.effectiveGain(statCaps[targetProperty], startingValue, gain);
+  });
+
+  return score + scoreObjectives(flatStats, character);
+}
+
 /**
  * Given a mod and an optimization plan, figure out the value for that mod
  *
@@ -843,10 +610,7 @@ function scoreMod(mod, character) {
     return cacheHit;
   }
 
-  const flattenedStatValues = cache.modStats[mod.id];
-
-  const modScore = flattenedStatValues
-    .reduce((score, stat) => score + scoreStat(stat, character.optimizerSettings.target), 0);
+  const modScore = scoreFlatStats(cache.modStats[mod.id], character);
 
   cache.modScores[mod.id] = modScore;
   return modScore;
@@ -869,31 +633,15 @@ function getUpgradedMod(mod, character) {
 
   // Level the mod if the target says to
   if (15 > workingMod.level && character.optimizerSettings.target.upgradeMods) {
-    workingMod.primaryStat = {
-      displayType: workingMod.primaryStat.displayType,
-      isPercent: workingMod.primaryStat.isPercent,
-      value: maxStatPrimaries[workingMod.primaryStat.displayType][workingMod.pips]
-    };
+    workingMod.primaryStat = workingMod.primaryStat.upgradePrimary(workingMod.pips);
     workingMod.level = 15;
   }
 
   // Slice the mod to 6E if needed
   if (15 === workingMod.level && 5 === workingMod.pips && character.optimizerSettings.sliceMods) {
     workingMod.pips = 6;
-    workingMod.primaryStat = {
-      displayType: workingMod.primaryStat.displayType,
-      isPercent: workingMod.primaryStat.isPercent,
-      value: maxStatPrimaries[workingMod.primaryStat.displayType][6]
-    };
-    workingMod.secondaryStats = workingMod.secondaryStats.map(stat => {
-      const statName = stat.isPercent ? `${stat.displayType} %` : stat.displayType;
-
-      return {
-        displayType: stat.displayType,
-        isPercent: stat.isPercent,
-        value: 'Speed' === stat.displayType ? stat.value + 1 : statSlicingUpgradeFactors[statName] * stat.value
-      };
-    });
+    workingMod.primaryStat = workingMod.primaryStat.upgradePrimary(6);
+    workingMod.secondaryStats = workingMod.secondaryStats.map(stat => stat.upgradeSecondary());
     workingMod.tier = 1;
   }
 
@@ -907,9 +655,8 @@ function getUpgradedMod(mod, character) {
  * @param modSet {Array<Mod>}
  * @param character {Character}
  */
-function scoreModSet(modSet, character) {
-  return getFlatStatsFromModSet(modSet, character)
-    .reduce((score, stat) => score + scoreStat(stat, character.optimizerSettings.target), 0);
+export function scoreModSet(modSet, character) {
+  return scoreFlatStats(getFlatStatsFromModSet(modSet, character), character);
 }
 
 /**
@@ -948,17 +695,17 @@ function loosenRestrictions(setRestrictions) {
  ********************************************************************************************************************/
 
 // This will be used later. It's calculated here in the constructor so that it only needs to be calculated once
-const fourSlotOptions = chooseFromArray(modSlots, 4);
+const fourSlotOptions = chooseFromArray(ModSet.slots, 4);
 
 const chooseFourOptions = [];
 for (let usedSlots of fourSlotOptions) {
-  chooseFourOptions.push([usedSlots, modSlots.filter(slot => !usedSlots.includes(slot))]);
+  chooseFourOptions.push([usedSlots, ModSet.slots.filter(slot => !usedSlots.includes(slot))]);
 }
 
-const twoSlotOptions = chooseFromArray(modSlots, 2);
+const twoSlotOptions = chooseFromArray(ModSet.slots, 2);
 const chooseTwoOptions = [];
 for (let firstSetSlots of twoSlotOptions) {
-  let remainingSlots = modSlots.filter(slot => !firstSetSlots.includes(slot));
+  let remainingSlots = ModSet.slots.filter(slot => !firstSetSlots.includes(slot));
   let secondSetOptions = chooseFromArray(remainingSlots, 2);
   for (let secondSetSlots of secondSetOptions) {
     chooseTwoOptions.push([
@@ -980,6 +727,103 @@ Object.freeze(chooseTwoOptions);
  * Optimization code                                                                                                 *
  ********************************************************************************************************************/
 
+/**
+ * Run the optimizer for a player profile exactly as it's stored in the database. This is kept separate from the
+ * messaging code so that the same optimization can be run outside of a browser (see scripts/optimize.js).
+ *
+ * @param profile {Object} A serialized PlayerProfile
+ * @param lastRun {Object} The serialized OptimizerRun from the previous optimization for this profile, or an empty
+ *                         object if there wasn't one
+ * @param resultCache {{get: function(string), set: function(string, Object)}|null} Somewhere to look up and save the
+ *                    best mod set for each character, keyed by modSetResultKey
+ * @return {Object} An object with `assignedSets` and `messages` to display, plus `globalOptimization` if the
+ *                  profile is set to optimize all of its selected characters together
+ */
+export function optimizeProfile(profile, lastRun, resultCache = null) {
+  const run = deserializeProfile(profile, lastRun);
+  // optimizeMods removes mods from availableMods as they're assigned, so keep a copy for the global pass
+  const allAvailableMods = run.availableMods.slice();
+
+  const result = optimizeMods(
+    run.availableMods,
+    run.characters,
+    run.order,
+    run.changeThreshold,
+    run.lockUnselectedCharacters,
+    run.previousRun,
+    resultCache
+  );
+
+  return run.optimizeGlobally ?
+    optimizeAssignmentsGlobally(result, allAvailableMods, run.characters, run.order, run.changeThreshold) :
+    result;
+}
+
+/**
+ * Deserialize everything that optimizeMods needs from a player profile exactly as it's stored in the database
+ *
+ * @param profile {Object} A serialized PlayerProfile
+ * @param lastRun {Object} The serialized OptimizerRun from the previous optimization for this profile, or an empty
+ *                         object if there wasn't one
+ * @returns {{availableMods: Array<Mod>, characters: Object<String, Object>, order: Array<String>,
+ *   changeThreshold: Number, lockUnselectedCharacters: boolean, optimizeGlobally: boolean, previousRun: Object}}
+ */
+export function deserializeProfile(profile, lastRun) {
+  const allMods = profile.mods.map(Mod.deserialize);
+
+  // Selected characters are stored as {id, target}, but older profiles only store the character ID
+  const selectedCharacters = profile.selectedCharacters.map(selectedCharacter =>
+    'string' === typeof selectedCharacter ? {id: selectedCharacter, target: null} : selectedCharacter
+  );
+  const order = selectedCharacters.map(({id}) => id);
+
+  // Filter out any mods that are on locked characters, including if all unselected characters are locked
+  let usableMods = allMods.filter(mod =>
+    !mod.characterID || !profile.characters[mod.characterID].optimizerSettings.isLocked);
+
+  if (profile.globalSettings.lockUnselectedCharacters) {
+    usableMods = allMods.filter(mod => !mod.characterID || order.includes(mod.characterID))
+  }
+
+  const characters = {};
+  const lastRunCharacters = {};
+
+  for (let character of Object.values(profile.characters)) {
+    character.optimizerSettings.target = deserializeTarget(character.optimizerSettings.target);
+    characters[character.baseID] = character;
+  }
+
+  // A target attached to the selection takes precedence over anything stored on the character
+  selectedCharacters
+    .filter(({id, target}) => target && characters[id])
+    .forEach(({id, target}) => characters[id].optimizerSettings.target = deserializeTarget(target));
+
+  if (lastRun.characters) {
+    for (let character of Object.values(lastRun.characters)) {
+      character.optimizerSettings.target = deserializeTarget(character.optimizerSettings.target);
+      lastRunCharacters[character.baseID] = character;
+    }
+
+    lastRun.characters = lastRunCharacters;
+  }
+
+  lastRun.modAssignments = profile.modAssignments;
+
+  const optimizeGlobally = profile.globalSettings.optimizeGlobally || false;
+
+  return {
+    availableMods: usableMods,
+    characters: characters,
+    order: order,
+    changeThreshold: profile.globalSettings.modChangeThreshold,
+    lockUnselectedCharacters: profile.globalSettings.lockUnselectedCharacters,
+    optimizeGlobally: optimizeGlobally,
+    // The assignments from a global optimization depend on every character at once, so they can't be reused one
+    // character at a time. Start from scratch if either this run or the last one was global.
+    previousRun: optimizeGlobally || lastRun.optimizeGlobally ? {} : lastRun
+  };
+}
+
 /**
  * Find the optimum configuration for mods for a list of characters by optimizing mods for the first character,
  * optimizing mods for the second character after removing those used for the first, etc.
@@ -993,16 +837,139 @@ Object.freeze(chooseTwoOptions);
  *                                           selected Characters
  * @param previousRun {Object} The settings from the last time the optimizer was run, used to limit expensive
  *                             recalculations for optimizing mods
+ * @param resultCache {{get: function(string), set: function(string, Object)}|null} Somewhere to look up and save the
+ *                    best mod set for each character, so that it doesn't need to be found again for the same inputs
  * @return {Object} An object with `assignedSets` and `messages` to display
  */
-function optimizeMods(availableMods, characters, order, changeThreshold, lockUnselectedCharacters, previousRun = {}) {
+export function optimizeMods(availableMods,
+                             characters,
+                             order,
+                             changeThreshold,
+                             lockUnselectedCharacters,
+                             previousRun = {},
+                             resultCache = null
+) {
+  const steps = optimizeModsSteps(
+    availableMods,
+    characters,
+    order,
+    changeThreshold,
+    lockUnselectedCharacters,
+    previousRun,
+    resultCache
+  );
+
+  let step = steps.next();
+  while (!step.done) {
+    step = steps.next(findBestModSetForCharacter(step.value.mods, step.value.character));
+  }
+
+  return step.value;
+}
+
+/**
+ * The same as optimizeMods, except that finding the best mod set for each character is handed off to
+ * findBestModSet, which can do its work asynchronously (for example, split across a pool of workers). Characters are
+ * still optimized one at a time, in order.
+ *
+ * @param findBestModSet {function(Array<Mod>, Object): Promise<{modSet: Array<Mod>, messages: Array<String>}>}
+ * @return {Promise<Object>} An object with `assignedSets` and `messages` to display
+ */
+export async function optimizeModsInParallel(availableMods,
+                                             characters,
+                                             order,
+                                             changeThreshold,
+                                             lockUnselectedCharacters,
+                                             previousRun,
+                                             findBestModSet,
+                                             resultCache = null
+) {
+  const steps = optimizeModsSteps(
+    availableMods,
+    characters,
+    order,
+    changeThreshold,
+    lockUnselectedCharacters,
+    previousRun,
+    resultCache
+  );
+
+  let step = steps.next();
+  while (!step.done) {
+    step = steps.next(await findBestModSet(step.value.mods, step.value.character));
+  }
+
+  return step.value;
+}
+
+// Hashes for each mod, so that a mod only has to be hashed once no matter how many characters it's available to
+const modHashes = new WeakMap();
+
+/**
+ * Get a key that identifies everything that goes into finding the best mod set for a character: the character's
+ * plan, their stats, their other optimizer settings, and the mods available to them. Any two calls to
+ * findBestModSetForCharacter with the same key will find the same mod set.
+ *
+ * @param mods {Array<Mod>}
+ * @param character {Character}
+ * @returns {string}
+ */
+export function modSetResultKey(mods, character) {
+  return hashObject({
+    baseID: character.baseID,
+    target: character.optimizerSettings.target,
+    playerValues: character.playerValues,
+    minimumModDots: character.optimizerSettings.minimumModDots,
+    sliceMods: character.optimizerSettings.sliceMods,
+    mods: mods.map(mod => {
+      if (!modHashes.has(mod)) {
+        modHashes.set(mod, hashObject(mod.serialize()));
+      }
+      return modHashes.get(mod);
+    })
+  });
+}
+
+/**
+ * The body of optimizeMods. Every time a new mod set needs to be found for a character, this yields the available mods
+ * and the character, and expects the result of findBestModSetForCharacter to be passed back in.
+ */
+function* optimizeModsSteps(availableMods,
+                             characters,
+                             order,
+                             changeThreshold,
+                             lockUnselectedCharacters,
+                             previousRun,
+                             resultCache
+) {
   const assignedSets = {};
   const messages = {};
 
+  // Relative target stats are measured from the final stats of characters earlier in the order, which are recorded
+  // as each of those characters gets their mods
+  const selectedCharacters = order.map(characterID =>
+    ({id: characterID, target: characters[characterID].optimizerSettings.target})
+  );
+  const relativeErrors = relativeTargetStatErrors(
+    selectedCharacters,
+    characterID => characters[characterID].optimizerSettings.isLocked
+  );
+  if (relativeErrors.length) {
+    throw new Error(relativeErrors.join(' '));
+  }
+  const statsToRecord = referencedStats(selectedCharacters);
+  const recordedStatValues = {};
+  const recordStatValues = (characterID, modSet) => {
+    if (statsToRecord[characterID]) {
+      recordedStatValues[characterID] = finalStatValues(modSet, characters[characterID], statsToRecord[characterID]);
+    }
+  };
+
   // We only want to recalculate mods if settings have changed between runs. If global settings or locked
   // characters have changed, recalculate all characters
   let recalculateMods = changeThreshold !== previousRun.modChangeThreshold ||
     lockUnselectedCharacters !== previousRun.lockUnselectedCharacters ||
+    !previousRun.characters ||
     characters.length !== previousRun.characters.length;
 
   if (!recalculateMods) {
@@ -1019,13 +986,14 @@ function optimizeMods(availableMods, characters, order, changeThreshold, lockUns
   }
 
   // For each not-locked character in the list, find the best mod set for that character
-  order.forEach((characterID, index) => {
-    const character = characters[characterID];
+  for (let index = 0; index < order.length; index++) {
+    const characterID = order[index];
+    let character = characters[characterID];
     const previousCharacter = previousRun.characters ? previousRun.characters[characterID] : null;
 
     // If the character is locked, skip it
     if (character.optimizerSettings.isLocked) {
-      return;
+      continue;
     }
 
     // For each character, check if the settings for the previous run were the same, and skip the character if so
@@ -1046,44 +1014,52 @@ function optimizeMods(availableMods, characters, order, changeThreshold, lockUns
       character.optimizerSettings.isLocked === previousCharacter.optimizerSettings.isLocked
     ) {
       const assignedMods = previousRun.modAssignments[characterID] || [];
+      recordStatValues(characterID, availableMods.filter(mod => assignedMods.includes(mod.id)));
       // Remove any assigned mods from the available pool
       for (let i = availableMods.length - 1; i >= 0; i--) {
         if (assignedMods.includes(availableMods[i].id)) {
           availableMods.splice(i, 1);
         }
       }
-      return;
+      continue;
     } else {
       recalculateMods = true;
     }
 
-    const {modSet: newModSetForCharacter, messages: characterMessages} =
-      findBestModSetForCharacter(availableMods, character);
+    // Everyone that this character's relative target stats depend on has their mods by now
+    const resolvedTarget = resolveRelativeTargetStats(character.optimizerSettings.target, recordedStatValues);
+    if (resolvedTarget !== character.optimizerSettings.target) {
+      character = Object.assign({}, character, {
+        optimizerSettings: Object.assign({}, character.optimizerSettings, {target: resolvedTarget})
+      });
+    }
 
-    const oldModSetForCharacter = availableMods.filter(mod => mod.characterID === character.baseID);
+    // Anything cached for the previous character isn't valid for this one
+    clearCache();
+    const resultKey = resultCache ? modSetResultKey(availableMods, character) : null;
+    const cachedResult = resultKey ? resultCache.get(resultKey) : null;
+    const availableModsByID = groupByKey(availableMods, mod => mod.id);
+    let newModSetForCharacter, characterMessages;
+
+    if (cachedResult && cachedResult.modSet.every(modID => availableModsByID.hasOwnProperty(modID))) {
+      newModSetForCharacter = cachedResult.modSet.map(modID => availableModsByID[modID]);
+      characterMessages = cachedResult.messages;
+    } else {
+      ({modSet: newModSetForCharacter, messages: characterMessages} =
+        yield {mods: availableMods, character: character});
 
-    const newModSetValue = scoreModSet(newModSetForCharacter, character);
-    const oldModSetValue = scoreModSet(oldModSetForCharacter, character);
+      if (resultKey && newModSetForCharacter) {
+        resultCache.set(resultKey, {
+          modSet: newModSetForCharacter.map(mod => mod.id),
+          messages: characterMessages
+        });
+      }
+    }
+
+    const oldModSetForCharacter = availableMods.filter(mod => mod.characterID === character.baseID);
 
-    // Assign the new mod set if any of the following are true:
     let assignedModSet, assignmentMessages = [];
-    if (
-      // Treat a threshold of 0 as "always change", so long as the new mod set is better than the old at all
-      (changeThreshold === 0 && newModSetValue >= oldModSetValue) ||
-      // If the new set is the same mods as the old set
-      (newModSetForCharacter.length === oldModSetForCharacter.length &&
-        oldModSetForCharacter.every(oldMod => newModSetForCharacter.find(newMod => newMod.id === oldMod.id))
-      ) ||
-      // If the old set doesn't satisfy the character/target restrictions, but the new set does
-      (!modSetSatisfiesCharacterRestrictions(oldModSetForCharacter, character) &&
-        modSetSatisfiesCharacterRestrictions(newModSetForCharacter, character)
-      ) ||
-      // If the new set is better than the old set
-      (newModSetValue / oldModSetValue) * 100 - 100 > changeThreshold ||
-      // If the old set now has less than 6 mods and the new set has more mods
-      (oldModSetForCharacter.length < 6 &&
-        newModSetForCharacter.length > oldModSetForCharacter.length)
-    ) {
+    if (isWorthChanging(newModSetForCharacter, oldModSetForCharacter, character, changeThreshold)) {
       assignedModSet = newModSetForCharacter;
       assignmentMessages = characterMessages;
     } else {
@@ -1096,6 +1072,7 @@ function optimizeMods(availableMods, characters, order, changeThreshold, lockUns
     }
 
     assignedSets[characterID] = assignedModSet.map(mod => mod.id);
+    recordStatValues(characterID, assignedModSet);
     if (assignmentMessages.length) {
       messages[characterID] = assignmentMessages;
     }
@@ -1105,7 +1082,7 @@ function optimizeMods(availableMods, characters, order, changeThreshold, lockUns
         availableMods.splice(i, 1);
       }
     }
-  });
+  }
 
   // Delete any cache that we had saved
   clearCache();
@@ -1116,6 +1093,324 @@ function optimizeMods(availableMods, characters, order, changeThreshold, lockUns
   };
 }
 
+/**
+ * Check whether a character should be given a new mod set in place of the mods they have equipped. The new set has to
+ * be better than the old set by more than the change threshold, unless it's the same mods, it meets restrictions that
+ * the old set doesn't, or it fills slots that the old set leaves empty.
+ *
+ * @param newModSet {Array<Mod>}
+ * @param oldModSet {Array<Mod>} The character's equipped mods that are still available
+ * @param character {Character}
+ * @param changeThreshold {Number} The % value that the new mod set has to improve upon the old one
+ * @returns {boolean}
+ */
+function isWorthChanging(newModSet, oldModSet, character, changeThreshold) {
+  const newModSetValue = scoreModSet(newModSet, character);
+  const oldModSetValue = scoreModSet(oldModSet, character);
+
+  // Change to the new mod set if any of the following are true:
+  return (
+    // Treat a threshold of 0 as "always change", so long as the new mod set is better than the old at all
+    (changeThreshold === 0 && newModSetValue >= oldModSetValue) ||
+    // If the new set is the same mods as the old set
+    (newModSet.length === oldModSet.length &&
+      oldModSet.every(oldMod => newModSet.find(newMod => newMod.id === oldMod.id))
+    ) ||
+    // If the old set doesn't satisfy the character/target restrictions, but the new set does
+    (!modSetSatisfiesCharacterRestrictions(oldModSet, character) &&
+      modSetSatisfiesCharacterRestrictions(newModSet, character)
+    ) ||
+    // If the new set is better than the old set
+    (newModSetValue / oldModSetValue) * 100 - 100 > changeThreshold ||
+    // If the old set now has less than 6 mods and the new set has more mods
+    (oldModSet.length < 6 && newModSet.length > oldModSet.length)
+  );
+}
+
+/**
+ * The most times to go through every possible change in a global optimization before settling on the result
+ */
+const maxGlobalPasses = 10;
+
+/**
+ * Improve on the assignments from optimizeMods by treating every selected character's plan as part of one combined
+ * objective, rather than giving each character the best mods that are left in order. This is a local search: starting
+ * from the in-order result, mods are swapped between characters in the same slot (or swapped in from the mods that
+ * nobody was assigned) whenever that increases the combined value, until no more improvements can be found.
+ *
+ * Each character's value is measured relative to what they got from optimizeMods, and weighted by their position, so
+ * that the first character is worth the most and the last character is worth the least. No change is made that breaks
+ * a restriction (minimum dots, primary stats, sets, or target stat) that a character's mods already met, or that
+ * leaves a character with mods that optimizeMods wouldn't have swapped their equipped mods for under the change
+ * threshold.
+ *
+ * @param greedyResult {Object} The result from optimizeMods
+ * @param mods {Array<Mod>} Every mod that was available to optimizeMods
+ * @param characters {Object<String, Character>} A set of characters keyed by base ID
+ * @param order {Array<String>} The characters that were optimized, in order
+ * @param changeThreshold {Number} The % value that a new mod set has to improve upon the existing equipped mods
+ *                        before it's used
+ * @return {Object} An object with `assignedSets` and `messages` to display, plus `globalOptimization`, with the total
+ *                  value of the in-order and global results, the percent gained, and the score of each character's
+ *                  mods before and after
+ */
+export function optimizeAssignmentsGlobally(greedyResult, mods, characters, order, changeThreshold = 0) {
+  const modsByID = {};
+  mods.forEach(mod => modsByID[mod.id] = mod);
+
+  const characterIDs = order.filter(characterID => greedyResult.assignedSets.hasOwnProperty(characterID));
+  characters = withRelativeTargetStatsFixed(characters, characterIDs, greedyResult.assignedSets, modsByID);
+  const characterCaches = {};
+  const withCharacterCache = (characterID, fn) => {
+    if (characterCaches[characterID]) {
+      cache = characterCaches[characterID];
+    } else {
+      clearCache();
+      characterCaches[characterID] = cache;
+    }
+    return fn();
+  };
+  const scoreFor = (characterID, modSet) =>
+    withCharacterCache(characterID, () => scoreModSet(modSet, characters[characterID]));
+  const modScoreFor = (characterID, mod) => withCharacterCache(characterID, () => {
+    getFlatStatsFromMod(mod, characters[characterID]);
+    return scoreMod(mod, characters[characterID]);
+  });
+  const restrictionsFor = (characterID, modSet) =>
+    withCharacterCache(characterID, () => restrictionsMetByModSet(modSet, characters[characterID]));
+  // As in optimizeMods, a new set is measured against the character's equipped mods that nobody else has taken
+  const isWorthChangingFor = (characterID, modSet) => withCharacterCache(characterID, () => isWorthChanging(
+    modSet,
+    mods.filter(mod => mod.characterID === characterID && characterIDs.every(otherCharacterID =>
+      otherCharacterID === characterID || assignments[otherCharacterID][mod.slot] !== mod
+    )),
+    characters[characterID],
+    changeThreshold
+  ));
+
+  // The current assignment for each character, as a map from slot to mod (or null for an empty slot)
+  const assignments = {};
+  const assignedModIDs = new Set();
+  characterIDs.forEach(characterID => {
+    assignments[characterID] = {};
+    ModSet.slots.forEach(slot => assignments[characterID][slot] = null);
+    greedyResult.assignedSets[characterID].forEach(modID => {
+      const mod = modsByID[modID];
+      assignments[characterID][mod.slot] = mod;
+      assignedModIDs.add(modID);
+    });
+  });
+  const unassignedModsBySlot = {};
+  ModSet.slots.forEach(slot => unassignedModsBySlot[slot] = mods.filter(mod =>
+    mod.slot === slot && !assignedModIDs.has(mod.id)
+  ));
+
+  const modSetFor = characterID => Object.values(assignments[characterID]).filter(mod => mod);
+  const weights = {};
+  const greedyScores = {};
+  characterIDs.forEach((characterID, index) => {
+    weights[characterID] = characterIDs.length - index;
+    greedyScores[characterID] = scoreFor(characterID, modSetFor(characterID));
+  });
+  const valueOf = (characterID, score) =>
+    weights[characterID] * score / (greedyScores[characterID] > 0 ? greedyScores[characterID] : 1);
+
+  const currentScores = Object.assign({}, greedyScores);
+  const currentRestrictions = {};
+  characterIDs.forEach(characterID =>
+    currentRestrictions[characterID] = restrictionsFor(characterID, modSetFor(characterID))
+  );
+
+  /**
+   * Check whether a character can take a mod in a slot, and by how much the combined value would change if it did
+   *
+   * @returns {{score: Number, restrictions: Array<boolean>, valueChange: Number}|null} null if the change isn't allowed
+   */
+  const evaluateChange = (characterID, slot, mod) => {
+    const character = characters[characterID];
+    if (mod && (
+      mod.pips < character.optimizerSettings.minimumModDots ||
+      (character.playerValues.gearLevel < 12 && 6 <= mod.pips && mod.characterID !== characterID)
+    )) {
+      return null;
+    }
+
+    const newModSet = Object.values(Object.assign({}, assignments[characterID], {[slot]: mod})).filter(mod => mod);
+    const restrictions = restrictionsFor(characterID, newModSet);
+    if (restrictions.some((isMet, index) => !isMet && currentRestrictions[characterID][index])) {
+      return null;
+    }
+    if (!isWorthChangingFor(characterID, newModSet)) {
+      return null;
+    }
+
+    const score = scoreFor(characterID, newModSet);
+    return {
+      score: score,
+      restrictions: restrictions,
+      valueChange: valueOf(characterID, score) - valueOf(characterID, currentScores[characterID])
+    };
+  };
+
+  const applyChange = (characterID, slot, mod, change) => {
+    assignments[characterID][slot] = mod;
+    currentScores[characterID] = change.score;
+    currentRestrictions[characterID] = change.restrictions;
+  };
+
+  // Ignore improvements too small to matter, so that floating point noise can't cause changes back and forth
+  const minimumImprovement = 1e-9 * characterIDs.length;
+  let passes = 0;
+  let improved = true;
+
+  while (improved && passes < maxGlobalPasses) {
+    improved = false;
+    progressMessage(null, 'Optimizing all characters together', Math.round(100 * passes / maxGlobalPasses));
+    passes++;
+
+    for (let slot of ModSet.slots) {
+      for (let i = 0; i < characterIDs.length; i++) {
+        const characterID = characterIDs[i];
+
+        // Try swapping in any unassigned mod that's worth more for this character than what it has now
+        const currentModScore = assignments[characterID][slot] ?
+          modScoreFor(characterID, assignments[characterID][slot]) :
+          0;
+        for (let mod of unassignedModsBySlot[slot].slice()) {
+          if (modScoreFor(characterID, mod) <= currentModScore) {
+            continue;
+          }
+
+          const change = evaluateChange(characterID, slot, mod);
+          if (change && change.valueChange > minimumImprovement) {
+            const oldMod = assignments[characterID][slot];
+            unassignedModsBySlot[slot].splice(unassignedModsBySlot[slot].indexOf(mod), 1);
+            if (oldMod) {
+              unassignedModsBySlot[slot].push(oldMod);
+            }
+            applyChange(characterID, slot, mod, change);
+            improved = true;
+            break;
+          }
+        }
+
+        // Try swapping mods in this slot with every later character
+        for (let j = i + 1; j < characterIDs.length; j++) {
+          const otherCharacterID = characterIDs[j];
+          const mod = assignments[characterID][slot];
+          const otherMod = assignments[otherCharacterID][slot];
+          if (!mod && !otherMod) {
+            continue;
+          }
+
+          const change = evaluateChange(characterID, slot, otherMod);
+          const otherChange = change && evaluateChange(otherCharacterID, slot, mod);
+          if (otherChange && change.valueChange + otherChange.valueChange > minimumImprovement) {
+            applyChange(characterID, slot, otherMod, change);
+            applyChange(otherCharacterID, slot, mod, otherChange);
+            improved = true;
+          }
+        }
+      }
+    }
+  }
+
+  clearCache();
+
+  const assignedSets = {};
+  const characterScores = {};
+  let greedyValue = 0;
+  let globalValue = 0;
+  characterIDs.forEach(characterID => {
+    assignedSets[characterID] = modSetFor(characterID).map(mod => mod.id);
+    characterScores[characterID] = {
+      greedyScore: greedyScores[characterID],
+      score: currentScores[characterID]
+    };
+    greedyValue += valueOf(characterID, greedyScores[characterID]);
+    globalValue += valueOf(characterID, currentScores[characterID]);
+  });
+
+  return {
+    assignedSets: assignedSets,
+    messages: greedyResult.messages,
+    globalOptimization: {
+      greedyValue: greedyValue,
+      value: globalValue,
+      gain: greedyValue > 0 ? (globalValue / greedyValue) * 100 - 100 : 0,
+      characters: characterScores
+    }
+  };
+}
+
+/**
+ * Mods are swapped around in a global optimization without going back through the order, so a relative target stat
+ * can't follow the character that it's relative to. Instead, make each one absolute using the final stats from the
+ * in-order result, and give every character that others are relative to a target stat that holds the needed stat
+ * where it is.
+ *
+ * @param characters {Object<String, Character>}
+ * @param characterIDs {Array<String>} The characters that were optimized, in order
+ * @param assignedSets {Object<String, Array<String>>} The IDs of the mods assigned to each character
+ * @param modsByID {Object<String, Mod>}
+ * @returns {Object<String, Character>} The same characters, with the changed targets swapped in
+ */
+function withRelativeTargetStatsFixed(characters, characterIDs, assignedSets, modsByID) {
+  const selectedCharacters = characterIDs.map(characterID =>
+    ({id: characterID, target: characters[characterID].optimizerSettings.target})
+  );
+  const statsToHold = referencedStats(selectedCharacters);
+  if (!Object.keys(statsToHold).length) {
+    return characters;
+  }
+
+  const statValues = {};
+  Object.entries(statsToHold).forEach(([characterID, stats]) => statValues[characterID] = finalStatValues(
+    assignedSets[characterID].map(modID => modsByID[modID]),
+    characters[characterID],
+    stats
+  ));
+  clearCache();
+
+  const fixedCharacters = Object.assign({}, characters);
+  characterIDs.forEach(characterID => {
+    const target = resolveRelativeTargetStats(characters[characterID].optimizerSettings.target, statValues);
+    const heldStats = (statsToHold[characterID] || []).map(stat => ({
+      stat: stat,
+      minimum: statValues[characterID][stat],
+      maximum: statValues[characterID][stat],
+      relativeCharacterID: null
+    }));
+
+    fixedCharacters[characterID] = Object.assign({}, characters[characterID], {
+      optimizerSettings: Object.assign({}, characters[characterID].optimizerSettings, {
+        target: Object.assign({}, target, {targetStats: target.targetStats.concat(heldStats)})
+      })
+    });
+  });
+
+  return fixedCharacters;
+}
+
+/**
+ * Check each of the restrictions on a character separately, so that it's possible to tell whether a change to a mod
+ * set breaks a restriction that it already met
+ *
+ * @param modSet {Array<Mod>}
+ * @param character {Character}
+ * @returns {Array<boolean>} Whether the mod set meets each restriction
+ */
+function restrictionsMetByModSet(modSet, character) {
+  const target = character.optimizerSettings.target;
+
+  return [
+    modSetSatisfiesCharacterRestrictions(modSet, character),
+    !target.useOnlyFullSets || modSetFulfillsFullSetRestriction(modSet),
+    modSetFulfillsSetRestriction(modSet, target.setRestrictions),
+    ...target.targetStats.map(targetStat => modSetFulfillsTargetStat(modSet, character, targetStat))
+  ];
+}
+
 /**
  * Given a specific character and an optimization plan, figure out what the best set of mods for that character are
  * such that the values in the plan are optimized.
@@ -1123,19 +1418,22 @@ function optimizeMods(availableMods, characters, order, changeThreshold, lockUns
  * @param mods The set of mods that is available to be used for this character
  * @param character A Character object that represents all of the base stats required for percentage calculations as
  *                  well as the optimization plan to use
- * @returns {{messages: Array<String>, modSet: Array<Mod>}}
+ * @param candidatePartition {{index: Number, count: Number}} Which share of the candidate mod sets to score, if the
+ *                           search is being split up. The results from every partition can be combined using
+ *                           chooseBestModSetResult.
+ * @returns {{messages: Array<String>, modSet: Array<Mod>, candidateIndex: Number, targetStatsKept: Number}}
  */
-function findBestModSetForCharacter(mods, character) {
+export function findBestModSetForCharacter(mods, character, candidatePartition = {index: 0, count: 1}) {
   const modsToCache = character.playerValues.gearLevel < 12 ?
     mods.filter(mod => 6 > mod.pips || mod.characterID === character.baseID) :
     mods;
   const usableMods = character.playerValues.gearLevel < 12 ?
     mods.filter(mod => 6 > mod.pips || mod.characterID === character.baseID) :
     mods;
-  const setRestrictions = character.optimizerSettings.target.setRestrictions;
-  const targetStat = character.optimizerSettings.target.targetStat;
   // Clear the cache at the start of each character
   clearCache();
+  partition = candidatePartition;
+  nextCandidateIndex = 0;
 
   // Get the flattened stats and score every mod for this character. From that point on, only look at the cache
   // for the rest of the time processing mods for this character.
@@ -1144,77 +1442,279 @@ function findBestModSetForCharacter(mods, character) {
     scoreMod(mod, character);
   });
 
-  // First, check to see if there is any target stat
-  if (targetStat) {
-    let bestModSetAndMessages = null;
-    let bestSetScore = -Infinity;
-    let bestUnmovedMods = null;
-
-    // If so, create an array of potential mod sets that could fill it
-    progressMessage(character, 'Calculating sets to meet target value', 0);
-    const potentialModSets = getPotentialModsToSatisfyTargetStat(usableMods, character);
-
-    for (let [mods, candidateSetRestrictions] of potentialModSets) {
-      const setAndMessages = findBestModSetWithoutChangingRestrictions(mods, character, candidateSetRestrictions);
-      if (setAndMessages.modSet) {
-        const setScore = scoreModSet(setAndMessages.modSet, character);
-        if (setScore > bestSetScore) {
+  const result = findBestModSetForRestrictions(usableMods, character);
+
+  return scoresDependOnWholeSet(character.optimizerSettings.target) && result.modSet ?
+    Object.assign({}, result, {modSet: improveModSetAsAWhole(result.modSet, usableMods, character)}) :
+    result;
+}
+
+/**
+ * The body of findBestModSetForCharacter, once every mod has been scored. Restrictions are dropped one by one until a
+ * mod set can be found that meets the rest of them.
+ *
+ * @param usableMods {Array<Mod>}
+ * @param character {Character}
+ * @returns {{messages: Array<String>, modSet: Array<Mod>, candidateIndex: Number, targetStatsKept: Number}}
+ */
+function findBestModSetForRestrictions(usableMods, character) {
+  const setRestrictions = character.optimizerSettings.target.setRestrictions;
+  const targetStats = character.optimizerSettings.target.targetStats;
+
+  // First, check to see if there are any target stats
+  if (targetStats.length) {
+    // Try to meet every target stat. If that can't be done, keep as many of them as possible.
+    for (let keptTargetStats of targetStatSubsets(targetStats)) {
+      const bestModSetAndMessages = findBestModSetForTargetStats(usableMods, character, keptTargetStats);
+
+      if (bestModSetAndMessages) {
+        const droppedTargetStats = targetStats.filter(targetStat => !keptTargetStats.includes(targetStat));
+
+        return Object.assign({}, bestModSetAndMessages, {
+          messages: droppedTargetStats.map(targetStat =>
+            `Could not meet every target stat at once, so the target of ${describeTargetStat(targetStat)} was dropped`
+          ).concat(bestModSetAndMessages.messages),
+          targetStatsKept: keptTargetStats.length
+        });
+      }
+    }
+
+    const {modSet: fallbackSet, messages: fallbackMessages, candidateIndex: fallbackCandidateIndex} =
+      findBestModSetByLooseningSetRestrictions(usableMods, character, setRestrictions);
+    return {
+      modSet: fallbackSet,
+      messages: [
+        1 === targetStats.length ?
+          'Could not fill the target stat as given, so the target stat restriction was dropped' :
+          'Could not meet any of the target stats as given, so all of the target stat restrictions were dropped'
+      ].concat(fallbackMessages),
+      candidateIndex: fallbackCandidateIndex,
+      targetStatsKept: 0
+    };
+  } else {
+    // If not, simply iterate over all levels of restrictions until a suitable set is found.
+    progressMessage(character, 'Finding the best mod set');
+    return Object.assign({}, findBestModSetByLooseningSetRestrictions(usableMods, character, setRestrictions), {
+      targetStatsKept: 0
+    });
+  }
+}
+
+/**
+ * Check whether the value of a mod for a plan depends on the rest of the mods in the set. This is the case once a stat
+ * is capped, or once a composite objective like expected damage or a formula is used, since those can multiply stats
+ * together.
+ *
+ * @param target {OptimizationPlan}
+ * @returns {boolean}
+ */
+function scoresDependOnWholeSet(target) {
+  return Object.keys(target.statCaps || {}).length > 0 || hasObjectives(target) || Boolean(target.formula);
+}
+
+/**
+ * The search for the best mod set assumes that each mod is worth the same no matter what else is in the set, which
+ * isn't true for every plan (see scoresDependOnWholeSet): the best mod in a slot can be worth nothing if the rest of
+ * the set already reaches a cap. Starting from the set that was found, try every other mod (or no mod) in each slot,
+ * and keep any change that increases the score of the whole set without breaking a restriction that it already met,
+ * until no more improvements can be found.
+ *
+ * @param modSet {Array<Mod>}
+ * @param usableMods {Array<Mod>}
+ * @param character {Character}
+ * @returns {Array<Mod>}
+ */
+function improveModSetAsAWhole(modSet, usableMods, character) {
+  const assignments = {};
+  ModSet.slots.forEach(slot => assignments[slot] = null);
+  modSet.forEach(mod => assignments[mod.slot] = mod);
+  const modSetFor = changes => Object.values(Object.assign({}, assignments, changes)).filter(mod => mod);
+  const candidatesBySlot = {};
+  ModSet.slots.forEach(slot => candidatesBySlot[slot] = [null].concat(usableMods.filter(mod => mod.slot === slot)));
+  const breaksRestriction = (before, after) => after.some((isMet, index) => !isMet && before[index]);
+
+  let currentScore = scoreModSet(modSet, character);
+  let currentRestrictions = restrictionsMetByModSet(modSet, character);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+
+    for (let slot of ModSet.slots) {
+      for (let mod of candidatesBySlot[slot]) {
+        if (mod === assignments[slot]) {
+          continue;
+        }
+
+        const newModSet = modSetFor({[slot]: mod});
+        const restrictions = restrictionsMetByModSet(newModSet, character);
+        if (breaksRestriction(currentRestrictions, restrictions)) {
+          continue;
+        }
+
+        const score = scoreModSet(newModSet, character);
+        if (score > currentScore) {
+          assignments[slot] = mod;
+          currentScore = score;
+          currentRestrictions = restrictions;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return modSetFor({});
+}
+
+/**
+ * Find the best mod set for a character that meets all of the given target stats
+ *
+ * @param usableMods {Array<Mod>}
+ * @param character {Character}
+ * @param targetStats {Array<TargetStat>}
+ * @returns {{messages: Array<String>, modSet: Array<Mod>, candidateIndex: Number}|null} The best mod set, or null if
+ *   no mod set could meet every target stat
+ */
+function findBestModSetForTargetStats(usableMods, character, targetStats) {
+  const setRestrictions = character.optimizerSettings.target.setRestrictions;
+  let bestModSetAndMessages = null;
+  let bestSetScore = -Infinity;
+  let bestUnmovedMods = null;
+
+  // Create an array of potential mod sets that could fill the target stats
+  progressMessage(character, 'Calculating sets to meet target value', 0);
+  const potentialModSets = getPotentialModsToSatisfyTargetStats(usableMods, character, targetStats, setRestrictions);
+
+  // Each target stat is only met by the values it was given, so make sure that meeting one of them didn't change the
+  // value of another. This has to be checked for every candidate set, not just the best one, since a set that scores a
+  // little lower might still meet all of them.
+  const meetsEveryTargetStat = 1 < targetStats.length ?
+    modSet => targetStats.every(targetStat => modSetFulfillsTargetStat(modSet, character, targetStat)) :
+    null;
+
+  for (let [mods, candidateSetRestrictions] of potentialModSets) {
+    const setAndMessages = findBestModSetWithoutChangingRestrictions(
+      mods,
+      character,
+      candidateSetRestrictions,
+      meetsEveryTargetStat
+    );
+
+    if (setAndMessages.modSet) {
+      const setScore = scoreModSet(setAndMessages.modSet, character);
+      if (setScore > bestSetScore) {
+        bestModSetAndMessages = setAndMessages;
+        bestSetScore = setScore;
+        bestUnmovedMods = null;
+      } else if (setScore === bestSetScore) {
+        // If both sets have the same value, choose the set that moves the fewest mods
+        const unmovedMods = setAndMessages.modSet.filter(mod => mod.characterID === character.baseID).length;
+        if (null === bestUnmovedMods) {
+          bestUnmovedMods = bestModSetAndMessages.modSet.filter(mod => mod.characterID === character.baseID).length;
+        }
+
+        if (unmovedMods > bestUnmovedMods) {
           bestModSetAndMessages = setAndMessages;
           bestSetScore = setScore;
-          bestUnmovedMods = null;
-        } else if (setScore === bestSetScore) {
-          // If both sets have the same value, choose the set that moves the fewest mods
-          const unmovedMods = setAndMessages.modSet.filter(mod => mod.characterID === character.baseID).length;
-          if (null === bestUnmovedMods) {
-            bestUnmovedMods = bestModSetAndMessages.modSet.filter(mod => mod.characterID === character.baseID).length;
-          }
-
-          if (unmovedMods > bestUnmovedMods) {
-            bestModSetAndMessages = setAndMessages;
-            bestSetScore = setScore;
-            bestUnmovedMods = unmovedMods;
-          } else if (
-            unmovedMods === bestUnmovedMods &&
-            setAndMessages.modSet.length > bestModSetAndMessages.modSet.length
-          ) {
-            // If both sets move the same number of unmoved mods, choose the set that uses the most mods overall
-            bestModSetAndMessages = setAndMessages;
-            bestSetScore = setScore;
-            bestUnmovedMods = unmovedMods;
-          }
+          bestUnmovedMods = unmovedMods;
+        } else if (
+          unmovedMods === bestUnmovedMods &&
+          setAndMessages.modSet.length > bestModSetAndMessages.modSet.length
+        ) {
+          // If both sets move the same number of unmoved mods, choose the set that uses the most mods overall
+          bestModSetAndMessages = setAndMessages;
+          bestSetScore = setScore;
+          bestUnmovedMods = unmovedMods;
         }
       }
     }
+  }
 
-    if (!bestModSetAndMessages || !bestModSetAndMessages.modSet) {
-      const {modSet: fallbackSet, messages: fallbackMessages} =
-        findBestModSetByLooseningSetRestrictions(usableMods, character, setRestrictions);
-      return {
-        modSet: fallbackSet,
-        messages: ['Could not fill the target stat as given, so the target stat restriction was dropped']
-          .concat(fallbackMessages)
-      };
+  return bestModSetAndMessages;
+}
+
+/**
+ * Combine the results of findBestModSetForCharacter from every partition of the candidate mod sets into the result
+ * that a single, unpartitioned search would have found. Each partition drops target stats based only on its own
+ * candidates, so a result that kept more target stats always wins, since a single search would have found that set
+ * before dropping any of them. Among results that kept as many, the best set is chosen the same way as in
+ * findBestModSetWithoutChangingRestrictions, with ties going to the candidate that was found first.
+ *
+ * @param results {Array<{modSet: Array<Mod>, messages: Array<String>, candidateIndex: Number, targetStatsKept: Number}>}
+ * @param character {Character}
+ * @returns {{modSet: Array<Mod>, messages: Array<String>, candidateIndex: Number, targetStatsKept: Number}}
+ */
+export function chooseBestModSetResult(results, character) {
+  const unmovedMods = modSet => modSet.filter(mod => mod.characterID === character.baseID).length;
+  let bestResult = results[0];
+
+  for (let result of results.slice(1)) {
+    if (!result.modSet) {
+      continue;
+    }
+    if (!bestResult.modSet) {
+      bestResult = result;
+      continue;
     }
 
-    // Return the best set and set of messages
-    return bestModSetAndMessages;
-  } else {
-    // If not, simply iterate over all levels of restrictions until a suitable set is found.
-    progressMessage(character, 'Finding the best mod set');
-    return findBestModSetByLooseningSetRestrictions(usableMods, character, setRestrictions);
+    const keptDifference = (result.targetStatsKept || 0) - (bestResult.targetStatsKept || 0);
+    const scoreDifference = scoreModSet(result.modSet, character) - scoreModSet(bestResult.modSet, character);
+    const unmovedDifference = unmovedMods(result.modSet) - unmovedMods(bestResult.modSet);
+    const lengthDifference = result.modSet.length - bestResult.modSet.length;
+
+    if (keptDifference < 0) {
+      continue;
+    }
+    if (
+      keptDifference > 0 ||
+      scoreDifference > 0 ||
+      (0 === scoreDifference && unmovedDifference > 0) ||
+      (0 === scoreDifference && 0 === unmovedDifference && lengthDifference > 0) ||
+      (0 === scoreDifference && 0 === unmovedDifference && 0 === lengthDifference &&
+        result.candidateIndex < bestResult.candidateIndex)
+    ) {
+      bestResult = result;
+    }
   }
+
+  return bestResult;
 }
 
 /**
- * Given a set of mods and a target stat, get all of the
+ * Given a set of mods and several target stats, get all of the potential mods that could be used to meet all of them.
+ * The mods that could meet the first target stat are narrowed down to those that could also meet the second, and so on.
+ *
  * @param usableMods {Array<Mod>}
  * @param character {Character}
+ * @param targetStats {Array<TargetStat>}
+ * @param setRestrictions {Object<String, Number>}
+ * @returns {Array<Array<Mod>,Object<String, Number>>} An array of potential mods that could be used to create a set
+ *   that fulfills every target stat as [mods, setRestriction]
+ */
+function* getPotentialModsToSatisfyTargetStats(usableMods, character, targetStats, setRestrictions) {
+  if (0 === targetStats.length) {
+    yield [usableMods, setRestrictions];
+    return;
+  }
+
+  const [targetStat, ...remainingTargetStats] = targetStats;
+
+  for (let [mods, candidateSetRestrictions] of
+    getPotentialModsToSatisfyTargetStat(usableMods, character, targetStat, setRestrictions)) {
+    yield* getPotentialModsToSatisfyTargetStats(mods, character, remainingTargetStats, candidateSetRestrictions);
+  }
+}
+
+/**
+ * Given a set of mods and a target stat, get all of the potential mods that could be used to meet it
+ * @param usableMods {Array<Mod>}
+ * @param character {Character}
+ * @param targetStat {TargetStat}
+ * @param setRestrictions {Object<String, Number>}
  * @returns {Array<Array<Mod>,Object<String, Number>>} An array of potential mods that could be used to create a set
  *   that fulfills the target stat as [mods, setRestriction]
  */
-function* getPotentialModsToSatisfyTargetStat(usableMods, character) {
-  const setRestrictions = character.optimizerSettings.target.setRestrictions;
-  const targetStat = character.optimizerSettings.target.targetStat;
+function* getPotentialModsToSatisfyTargetStat(usableMods, character, targetStat, setRestrictions) {
   // A map from mod ID to the absolute value that mod provides for the target stat
   const modValues = {};
   let setValue = null;
@@ -1231,7 +1731,7 @@ function* getPotentialModsToSatisfyTargetStat(usableMods, character) {
 
   // Get the raw value for the stat from each mod in the set, and collect them into slots
   const valuesBySlot = {};
-  modSlots.forEach(slot => valuesBySlot[slot] = new Set([0]));
+  ModSet.slots.forEach(slot => valuesBySlot[slot] = new Set([0]));
   usableMods.forEach(mod => {
     const modSummary = cache.modStats[mod.id];
     const combinedModSummary = {};
@@ -1267,11 +1767,15 @@ function* getPotentialModsToSatisfyTargetStat(usableMods, character) {
     const valuableStat = setStats.find(stat => stat.displayType === targetStat.stat);
 
     if (valuableStat) {
+      // A set that has to be avoided, whether by the player or for an earlier target stat, can't be added
+      const avoidSet = -1 === setRestrictions[setBonus.name];
       setValue = {
         'set': setBonus,
         'value': valuableStat.value,
-        'min': setRestrictions[setBonus.name] || 0,
-        'max': (setRestrictions[setBonus.name] || 0) + Math.floor(modSlotsOpen / setBonus.numberOfModsRequired)
+        'min': avoidSet ? 0 : setRestrictions[setBonus.name] || 0,
+        'max': avoidSet ?
+          0 :
+          (setRestrictions[setBonus.name] || 0) + Math.floor(modSlotsOpen / setBonus.numberOfModsRequired)
       };
       break;
     }
@@ -1378,7 +1882,7 @@ function* findStatValuesThatMeetTarget(valuesBySlot, targetMin, targetMax, progr
     }
   }
 
-  yield* slotRecursor(modSlots, {});
+  yield* slotRecursor(ModSet.slots, {});
 }
 
 /**
@@ -1404,13 +1908,14 @@ function findBestModSetByLooseningSetRestrictions(usableMods, character, setRest
     const restrictedMods = restrictMods(usableMods, restriction);
 
     // Try to optimize using this set of mods
-    let {modSet: bestModSet, messages: setMessages} =
+    let {modSet: bestModSet, messages: setMessages, candidateIndex} =
       findBestModSetWithoutChangingRestrictions(restrictedMods, character, restriction);
 
     if (bestModSet) {
       return {
         modSet: bestModSet,
-        messages: restrictionMessages.concat(setMessages)
+        messages: restrictionMessages.concat(setMessages),
+        candidateIndex: candidateIndex
       };
     }
   }
@@ -1422,9 +1927,11 @@ function findBestModSetByLooseningSetRestrictions(usableMods, character, setRest
  * @param character {Character}
  * @param setsToUse {Object<String, Number>} The sets to use for this mod set. This function will return null if
  *   these sets can't be used.
+ * @param isAllowed {function(Array<Mod>): boolean|null} If given, only candidate sets that this returns true for can be
+ *   chosen
  * @returns {{messages: Array<String>, modSet: Array<Mod>}}
  */
-function findBestModSetWithoutChangingRestrictions(usableMods, character, setsToUse) {
+function findBestModSetWithoutChangingRestrictions(usableMods, character, setsToUse, isAllowed = null) {
   const potentialUsedSets = new Set();
   const baseSets = {};
   const messages = [];
@@ -1488,8 +1995,8 @@ function findBestModSetWithoutChangingRestrictions(usableMods, character, setsTo
     crosses.length === 1
   ) {
     const modSet = [squares[0], arrows[0], diamonds[0], triangles[0], circles[0], crosses[0]];
-    if (modSetFulfillsSetRestriction(modSet, setsToUse)) {
-      return {modSet: modSet, messages: messages};
+    if (modSetFulfillsSetRestriction(modSet, setsToUse) && (!isAllowed || isAllowed(modSet))) {
+      return {modSet: modSet, messages: messages, candidateIndex: nextCandidateIndex++};
     } else {
       return {modSet: null, messages: []};
     }
@@ -1534,9 +2041,10 @@ function findBestModSetWithoutChangingRestrictions(usableMods, character, setsTo
   } else {
     // Otherwise, use any set bonus with positive value that fits into the set restriction
     for (let setBonus of Object.values(setBonuses)) {
-      if (setBonus.numberOfModsRequired <= modSlotsOpen &&
-        scoreStat(setBonus.maxBonus, character.optimizerSettings.target) > 0
-      ) {
+      if (setBonus.numberOfModsRequired <= modSlotsOpen && (
+        scoreStat(setBonus.maxBonus, character.optimizerSettings.target) > 0 ||
+        scoreFlatStats(flattenStatValues(setBonus.maxBonus, character), character) > 0
+      )) {
         potentialUsedSets.add(setBonus);
       }
     }
@@ -1577,13 +2085,25 @@ function findBestModSetWithoutChangingRestrictions(usableMods, character, setsTo
   let bestModSet = null;
   let bestSetScore = -Infinity;
   let bestUnmovedMods = null;
+  let bestCandidateIndex = null;
+  const firstCandidateIndex = nextCandidateIndex;
 
   for (let set of candidateSets) {
+    const candidateIndex = nextCandidateIndex++;
+    // Always score the first candidate, so that every partition agrees on whether any mod set could be found at all
+    if (candidateIndex !== firstCandidateIndex && !isInPartition(candidateIndex)) {
+      continue;
+    }
+    if (isAllowed && !isAllowed(set)) {
+      continue;
+    }
+
     const setScore = scoreModSet(set, character);
     if (setScore > bestSetScore) {
       bestModSet = set;
       bestSetScore = setScore;
       bestUnmovedMods = null;
+      bestCandidateIndex = candidateIndex;
     } else if (setScore === bestSetScore) {
       // If both sets have the same value, choose the set that moves the fewest mods
       const unmovedMods = set.filter(mod => mod.characterID === character.baseID).length;
@@ -1595,18 +2115,21 @@ function findBestModSetWithoutChangingRestrictions(usableMods, character, setsTo
         bestModSet = set;
         bestSetScore = setScore;
         bestUnmovedMods = unmovedMods;
+        bestCandidateIndex = candidateIndex;
       } else if (unmovedMods === bestUnmovedMods && set.length > bestModSet.length) {
         // If both sets move the same number of unmoved mods, choose the set that uses the most mods overall
         bestModSet = set;
         bestSetScore = setScore;
         bestUnmovedMods = unmovedMods;
+        bestCandidateIndex = candidateIndex;
       }
     }
   }
 
   return {
     modSet: bestModSet,
-    messages: messages
+    messages: messages,
+    candidateIndex: bestCandidateIndex
   };
 }
 
@@ -1658,7 +2181,7 @@ function* getCandidateSetsGenerator(potentialUsedSets, baseSets, setlessMods, se
    */
   function setObjectToArray() {
     const modArray = [];
-    for (let slot of modSlots) {
+    for (let slot of ModSet.slots) {
       if (setObject[slot]) {
         modArray.push(setObject[slot]);
       }
@@ -1794,7 +2317,7 @@ function* getCandidateSetsGenerator(potentialUsedSets, baseSets, setlessMods, se
     // If no sets are forced, we can check every possible combination
     // The base set
     if (setlessMods) {
-      for (let slot of modSlots) {
+      for (let slot of ModSet.slots) {
         setObject[slot] = setlessMods[slot];
       }
       yield setObjectToArray();
@@ -0,0 +1,467 @@
+import {
+  chooseBestModSetResult,
+  deserializeTarget,
+  findBestModSetForCharacter,
+  modSetFulfillsFullSetRestriction,
+  modSetFulfillsSetRestriction,
+  modSetFulfillsTargetStatRestriction,
+  modSetSatisfiesCharacterRestrictions,
+  optimizeAssignmentsGlobally,
+  modSetResultKey,
+  optimizeMods,
+  scoreModSet
+} from './optimizer';
+import Mod from "../domain/Mod";
+import Stat from "../domain/Stat";
+import ModSet from "../domain/ModSet";
+import OptimizationPlan from "../domain/OptimizationPlan";
+import TargetStat from "../domain/TargetStat";
+import StatCap from "../domain/StatCap";
+import setBonuses from "../constants/setbonuses";
+
+const baseStats = {
+  health: 30000,
+  protection: 40000,
+  speed: 100,
+  potency: 50,
+  tenacity: 40,
+  physDmg: 3000,
+  specDmg: 2000,
+  physCritChance: 25,
+  specCritChance: 15,
+  critDmg: 150,
+  armor: 400,
+  resistance: 300,
+  accuracy: 0,
+  critAvoid: 0
+};
+
+function makeMod(id, slot, set, speed, characterID = null, primary = new Stat('Offense %', '5.88%')) {
+  return new Mod(id, slot, setBonuses[set], 15, 5, primary, [new Stat('Speed', `+${speed}`)], characterID);
+}
+
+/**
+ * Make a full set of 6 mods, all of one set, with the same speed secondary
+ */
+function makeModSet(prefix, set, speed, characterID = null) {
+  return ModSet.slots.map(slot => makeMod(`${prefix}-${slot}`, slot, set, speed, characterID));
+}
+
+function makeCharacter(baseID, target, optimizerSettings = {}) {
+  return {
+    baseID: baseID,
+    playerValues: {
+      gearLevel: 12,
+      baseStats: baseStats,
+      equippedStats: baseStats
+    },
+    optimizerSettings: Object.assign({
+      target: deserializeTarget(target),
+      minimumModDots: 1,
+      sliceMods: false,
+      isLocked: false
+    }, optimizerSettings)
+  };
+}
+
+const speedPlan = new OptimizationPlan('speed', 0, 0, 100);
+
+describe('deserializeTarget', () => {
+  it('converts serialized plans and full OptimizationPlans to the same scoring values', () => {
+    expect(deserializeTarget(speedPlan.serialize()).speed).toBe(5);
+    expect(deserializeTarget(speedPlan).speed).toBe(5);
+  });
+
+  it('reads plans saved with a single target stat as a list of target stats', () => {
+    const savedPlan = Object.assign(speedPlan.serialize(), {targetStat: {stat: 'Speed', minimum: 200, maximum: 210}});
+    delete savedPlan.targetStats;
+
+    expect(deserializeTarget(savedPlan).targetStats).toEqual([{stat: 'Speed', minimum: 200, maximum: 210}]);
+    expect(deserializeTarget(savedPlan)).not.toHaveProperty('targetStat');
+    expect(OptimizationPlan.deserialize(savedPlan).targetStats).toEqual([new TargetStat('Speed', 200, 210)]);
+  });
+});
+
+describe('set restrictions', () => {
+  it('counts only complete sets toward a set restriction', () => {
+    const modSet = makeModSet('a', 'speed', 1).slice(0, 4).concat(makeModSet('b', 'health', 1).slice(4));
+
+    expect(modSetFulfillsSetRestriction(modSet, {speed: 1, health: 1})).toBe(true);
+    expect(modSetFulfillsSetRestriction(modSet, {health: 2})).toBe(false);
+    expect(modSetFulfillsSetRestriction(modSet, {potency: -1})).toBe(true);
+    expect(modSetFulfillsSetRestriction(modSet, {speed: -1})).toBe(false);
+  });
+
+  it('only accepts full sets when full sets are required', () => {
+    const fullSets = makeModSet('a', 'speed', 1).slice(0, 4).concat(makeModSet('b', 'health', 1).slice(4));
+    const brokenSets = makeModSet('a', 'speed', 1).slice(0, 5).concat(makeModSet('b', 'health', 1).slice(5));
+
+    expect(modSetFulfillsFullSetRestriction(fullSets)).toBe(true);
+    expect(modSetFulfillsFullSetRestriction(brokenSets)).toBe(false);
+  });
+});
+
+describe('character restrictions', () => {
+  it('checks minimum dots and primary stats', () => {
+    const modSet = makeModSet('a', 'speed', 1);
+    const arrowPlan = new OptimizationPlan('arrow', 0, 0, 100, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, true, {arrow: 'Speed'});
+
+    expect(modSetSatisfiesCharacterRestrictions(modSet, makeCharacter('A', speedPlan))).toBe(true);
+    expect(modSetSatisfiesCharacterRestrictions(modSet, makeCharacter('A', speedPlan, {minimumModDots: 6})))
+      .toBe(false);
+    expect(modSetSatisfiesCharacterRestrictions(modSet, makeCharacter('A', arrowPlan))).toBe(false);
+  });
+
+  it('checks the target stat against the total stats for the character', () => {
+    const modSet = makeModSet('target', 'health', 5);
+    const targetPlan = (minimum, maximum) => new OptimizationPlan(
+      'target', 0, 0, 100, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, true, {}, {}, new TargetStat('Speed', minimum, maximum)
+    );
+
+    expect(modSetFulfillsTargetStatRestriction(modSet, makeCharacter('A', targetPlan(130, 130)))).toBe(true);
+    expect(modSetFulfillsTargetStatRestriction(modSet, makeCharacter('A', targetPlan(131, 200)))).toBe(false);
+  });
+
+  it('requires every target stat to be met', () => {
+    const modSet = makeModSet('targets', 'health', 5);
+    const targetsPlan = (...targetStats) => new OptimizationPlan(
+      'targets', 0, 0, 100, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, true, {}, {}, targetStats
+    );
+    const fulfills = (...targetStats) =>
+      modSetFulfillsTargetStatRestriction(modSet, makeCharacter('A', targetsPlan(...targetStats)));
+    const speed = new TargetStat('Speed', 130, 130);
+
+    expect(fulfills()).toBe(true);
+    expect(fulfills(speed, new TargetStat('Potency', 50, 50))).toBe(true);
+    expect(fulfills(speed, new TargetStat('Potency', 60, 100))).toBe(false);
+  });
+});
+
+describe('scoreModSet', () => {
+  it('includes set bonuses from the shared set bonus definitions', () => {
+    const character = makeCharacter('A', speedPlan);
+
+    // 6 mods with 5 speed each, plus a 10% speed bonus from the speed set
+    expect(scoreModSet(makeModSet('score', 'health', 5), character)).toBe(30 * 5);
+    expect(scoreModSet(makeModSet('score-speed', 'speed', 5), character)).toBe(40 * 5);
+  });
+
+  it('only counts a capped stat up to its caps, starting from the character\'s stats without mods', () => {
+    const cappedPlan = (statCap) => new OptimizationPlan(
+      'capped', 0, 0, 100, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, true, {}, {}, [], false, {speed: statCap}
+    );
+    const modSet = makeModSet('capped', 'health', 5);
+
+    // The character starts at 100 speed, and the mods would take them to 130
+    expect(scoreModSet(modSet, makeCharacter('A', cappedPlan(new StatCap(null, 0, 120))))).toBe(20 * 5);
+    expect(scoreModSet(modSet, makeCharacter('A', cappedPlan(new StatCap(110, 0.5, null))))).toBe(20 * 5);
+    expect(scoreModSet(modSet, makeCharacter('A', cappedPlan(new StatCap(110, 0.5, 120))))).toBe(15 * 5);
+  });
+});
+
+describe('findBestModSetForCharacter', () => {
+  it('chooses the highest-scoring mods in each slot', () => {
+    const fast = makeModSet('fast', 'health', 10);
+    const slow = makeModSet('slow', 'health', 2);
+    const {modSet} = findBestModSetForCharacter(slow.concat(fast), makeCharacter('A', speedPlan));
+
+    expect(modSet.map(mod => mod.id).sort()).toEqual(fast.map(mod => mod.id).sort());
+  });
+
+  it('stops choosing a stat once it reaches its cap', () => {
+    const primary = new Stat('Offense %', '5.88%');
+    const mods = [].concat(...ModSet.slots.map(slot => [
+      new Mod(`capped-fast-${slot}`, slot, setBonuses.health, 15, 5, primary, [new Stat('Speed', '+10')]),
+      new Mod(`capped-strong-${slot}`, slot, setBonuses.health, 15, 5, primary, [new Stat('Offense', '+100')])
+    ]));
+    const plan = new OptimizationPlan(
+      'capped', 0, 0, 100, 0, 0, 0, 50, 0, 0, 0, 0, 0, 0, true, {}, {}, [], false, {speed: new StatCap(null, 0, 120)}
+    );
+
+    const {modSet} = findBestModSetForCharacter(mods, makeCharacter('A', plan));
+
+    expect(modSet.filter(mod => mod.id.startsWith('capped-fast')).length).toBe(2);
+  });
+
+  it('balances crit chance against offense when scoring by expected damage', () => {
+    const primary = new Stat('Offense %', '5.88%');
+    const mods = [].concat(...ModSet.slots.map(slot => [
+      new Mod(`damage-crit-${slot}`, slot, setBonuses.health, 15, 5, primary, [new Stat('Critical Chance %', '+20%')]),
+      new Mod(`damage-offense-${slot}`, slot, setBonuses.health, 15, 5, primary, [new Stat('Offense', '+250')])
+    ]));
+    const plan = new OptimizationPlan(
+      'damage', 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, true, {}, {}, [], false, {}, 100
+    );
+
+    const {modSet} = findBestModSetForCharacter(mods, makeCharacter('A', plan));
+
+    // Crit chance is worth the most until it reaches 100%, after which only offense helps
+    expect(modSet.filter(mod => mod.id.startsWith('damage-crit')).length).toBe(3);
+  });
+
+  it('scores mods by the plan\'s formula instead of its weights', () => {
+    const primary = new Stat('Offense %', '5.88%');
+    const mods = [].concat(...ModSet.slots.map(slot => [
+      new Mod(`formula-fast-${slot}`, slot, setBonuses.health, 15, 5, primary, [new Stat('Speed', '+10')]),
+      new Mod(`formula-strong-${slot}`, slot, setBonuses.health, 15, 5, primary, [new Stat('Offense', '+100')])
+    ]));
+    const plan = OptimizationPlan.deserialize({name: 'formula', formula: 'min(speed, 120) + physDmg / 50'});
+
+    const {modSet} = findBestModSetForCharacter(mods, makeCharacter('A', plan));
+
+    // Speed is worth 1 per point up to 120 and offense 1 per 50 points, so only the first 20 speed beats offense
+    expect(modSet.filter(mod => mod.id.startsWith('formula-fast')).length).toBe(2);
+  });
+
+  it('prefers a set bonus when it outweighs the individual mods', () => {
+    const speedSet = makeModSet('speed', 'speed', 4);
+    const healthSet = makeModSet('health', 'health', 5);
+    const {modSet} = findBestModSetForCharacter(speedSet.concat(healthSet), makeCharacter('A', speedPlan));
+
+    expect(modSet.filter(mod => 'speed' === mod.set.name)).toHaveLength(4);
+  });
+
+  it('finds the same mod set when the candidates are split into partitions', () => {
+    const mods = makeModSet('part-speed', 'speed', 4)
+      .concat(makeModSet('part-health', 'health', 5))
+      .concat(makeModSet('part-potency', 'potency', 3))
+      .concat(makeModSet('part-equipped', 'health', 5, 'A'));
+    const character = makeCharacter('A', speedPlan);
+    const expected = findBestModSetForCharacter(mods, character).modSet.map(mod => mod.id);
+
+    [2, 3, 5].forEach(count => {
+      const results = [];
+      for (let index = 0; index < count; index++) {
+        results.push(findBestModSetForCharacter(mods, character, {index: index, count: count}));
+      }
+
+      expect(chooseBestModSetResult(results, character).modSet.map(mod => mod.id)).toEqual(expected);
+    });
+  });
+
+  describe('with several target stats', () => {
+    // In every slot, a mod with speed and potency, a mod with the same speed but no potency, and a faster mod
+    const primary = new Stat('Offense %', '5.88%');
+    const mods = [].concat(...ModSet.slots.map(slot => [
+      new Mod(`potent-${slot}`, slot, setBonuses.health, 15, 5, primary,
+        [new Stat('Speed', '+2'), new Stat('Potency', '+1%')]),
+      new Mod(`plain-${slot}`, slot, setBonuses.health, 15, 5, primary, [new Stat('Speed', '+2')]),
+      new Mod(`fast-${slot}`, slot, setBonuses.health, 15, 5, primary, [new Stat('Speed', '+5')])
+    ]));
+    const targetsPlan = (...targetStats) => new OptimizationPlan(
+      'targets', 0, 0, 100, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, true, {}, {}, targetStats
+    );
+
+    it('finds a mod set that meets all of them', () => {
+      const character = makeCharacter(
+        'A',
+        targetsPlan(new TargetStat('Speed', 112, 112), new TargetStat('Potency', 52, 53))
+      );
+      const {modSet, messages} = findBestModSetForCharacter(mods, character);
+      const potentMods = modSet.filter(mod => mod.id.startsWith('potent'));
+
+      expect(modSetFulfillsTargetStatRestriction(modSet, character)).toBe(true);
+      expect(modSet.some(mod => mod.id.startsWith('fast'))).toBe(false);
+      expect(potentMods.length).toBeGreaterThanOrEqual(2);
+      expect(potentMods.length).toBeLessThanOrEqual(3);
+      expect(messages).toEqual([]);
+    });
+
+    it('keeps as many as it can, and says which were dropped', () => {
+      const character = makeCharacter(
+        'A',
+        targetsPlan(new TargetStat('Speed', 112, 112), new TargetStat('Potency', 80, 90))
+      );
+      const {modSet, messages} = findBestModSetForCharacter(mods, character);
+
+      expect(modSet.some(mod => mod.id.startsWith('fast'))).toBe(false);
+      expect(messages).toEqual([
+        'Could not meet every target stat at once, so the target of Potency between 80 and 90 was dropped'
+      ]);
+    });
+    it('passes over a higher-scoring set that breaks one of them for one that meets them all', () => {
+      // Each health set adds 3000 health, which the plan values more than the protection on the sturdy mods. So the
+      // best set overall has three health sets, which is too much health. The best set that meets both targets only
+      // has one.
+      const primary = new Stat('Offense %', '5.88%');
+      const setMods = [].concat(...ModSet.slots.map(slot => [
+        new Mod(`healthy-${slot}`, slot, setBonuses.health, 15, 5, primary, [new Stat('Speed', '+5')]),
+        new Mod(`sturdy-${slot}`, slot, setBonuses.defense, 15, 5, primary,
+          [new Stat('Speed', '+5'), new Stat('Protection', '+100')])
+      ]));
+      const plan = new OptimizationPlan('targets', 100, 1, 10, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, true, {}, {}, [
+        new TargetStat('Speed', 130, 130),
+        new TargetStat('Health', 33000, 33500)
+      ]);
+      const character = makeCharacter('A', plan);
+
+      const {modSet, messages} = findBestModSetForCharacter(setMods, character);
+
+      expect(modSet.map(mod => mod.id).filter(id => id.startsWith('healthy'))).toHaveLength(2);
+      expect(modSetFulfillsTargetStatRestriction(modSet, character)).toBe(true);
+      expect(messages).toEqual([]);
+    });
+  });
+});
+
+describe('optimizeMods', () => {
+  it('gives the best mods to the first character and the rest to the next', () => {
+    const fast = makeModSet('fast', 'health', 10);
+    const slow = makeModSet('slow', 'health', 2);
+    const characters = {
+      A: makeCharacter('A', speedPlan),
+      B: makeCharacter('B', speedPlan)
+    };
+
+    const {assignedSets} = optimizeMods(fast.concat(slow), characters, ['B', 'A'], 0, false, {});
+
+    expect(assignedSets.B.sort()).toEqual(fast.map(mod => mod.id).sort());
+    expect(assignedSets.A.sort()).toEqual(slow.map(mod => mod.id).sort());
+  });
+
+  it('reuses cached results for characters whose inputs have not changed', () => {
+    const fast = makeModSet('cached-fast', 'health', 10);
+    const slow = makeModSet('cached-slow', 'health', 2);
+    const characters = {
+      A: makeCharacter('A', speedPlan),
+      B: makeCharacter('B', speedPlan)
+    };
+    const results = new Map();
+    const resultCache = {
+      get: key => results.get(key) || null,
+      set: (key, result) => results.set(key, result)
+    };
+
+    const firstRun = optimizeMods(fast.concat(slow), characters, ['B', 'A'], 0, false, {}, resultCache);
+    expect(results.size).toBe(2);
+
+    // Pretend that the cached result for B is something that the optimizer would never choose
+    const keyForB = modSetResultKey(fast.concat(slow), characters.B);
+    results.set(keyForB, {modSet: slow.map(mod => mod.id), messages: ['From the cache']});
+
+    const secondRun = optimizeMods(fast.concat(slow), characters, ['B', 'A'], 0, false, {}, resultCache);
+    expect(secondRun.assignedSets.B).toEqual(slow.map(mod => mod.id));
+    expect(secondRun.messages.B).toEqual(['From the cache']);
+    expect(firstRun.assignedSets.B).toEqual(fast.map(mod => mod.id));
+  });
+
+  it('skips locked characters', () => {
+    const characters = {
+      A: makeCharacter('A', speedPlan, {isLocked: true})
+    };
+
+    expect(optimizeMods(makeModSet('locked', 'speed', 1), characters, ['A'], 0, false, {}).assignedSets).toEqual({});
+  });
+
+  describe('with a target stat relative to another character', () => {
+    const speedOf = modIDs => modIDs.reduce(
+      (speed, modID) => speed + (modID.startsWith('relative-fast') ? 10 : modID.startsWith('relative-medium') ? 5 : 2),
+      baseStats.speed
+    );
+    const relativePlan = (minimum, maximum, relativeCharacterID) => new OptimizationPlan(
+      'relative', 0, 0, 100, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, true, {}, {},
+      [new TargetStat('Speed', minimum, maximum, relativeCharacterID)]
+    );
+    const mods = makeModSet('relative-fast', 'health', 10)
+      .concat(makeModSet('relative-medium', 'health', 5))
+      .concat(makeModSet('relative-slow', 'health', 2));
+
+    it('measures the target from the final stats of the earlier character', () => {
+      const characters = {
+        A: makeCharacter('A', speedPlan),
+        B: makeCharacter('B', relativePlan(-50, -40, 'A'))
+      };
+
+      const {assignedSets} = optimizeMods(mods.slice(), characters, ['A', 'B'], 0, false, {});
+
+      expect(speedOf(assignedSets.A)).toBe(160);
+      expect(speedOf(assignedSets.B)).toBeGreaterThanOrEqual(110);
+      expect(speedOf(assignedSets.B)).toBeLessThanOrEqual(120);
+    });
+
+    it('keeps the target met when the mods are optimized globally', () => {
+      const characters = {
+        A: makeCharacter('A', speedPlan),
+        B: makeCharacter('B', relativePlan(-50, -40, 'A'))
+      };
+
+      const greedyResult = optimizeMods(mods.slice(), characters, ['A', 'B'], 0, false, {});
+      const {assignedSets} = optimizeAssignmentsGlobally(greedyResult, mods, characters, ['A', 'B']);
+
+      expect(speedOf(assignedSets.B) - speedOf(assignedSets.A)).toBeGreaterThanOrEqual(-50);
+      expect(speedOf(assignedSets.B) - speedOf(assignedSets.A)).toBeLessThanOrEqual(-40);
+    });
+
+    it('refuses to run if the other character is optimized later', () => {
+      const characters = {
+        A: makeCharacter('A', speedPlan),
+        B: makeCharacter('B', relativePlan(-50, -40, 'A'))
+      };
+
+      expect(() => optimizeMods(mods.slice(), characters, ['B', 'A'], 0, false, {})).toThrow(
+        'The Speed target for B is relative to A, who is optimized later. Move A above them.'
+      );
+    });
+  });
+});
+
+describe('optimizeAssignmentsGlobally', () => {
+  it('trades mods between characters when that improves their combined value', () => {
+    const primary = new Stat('Offense %', '5.88%');
+    const both = new Mod('global-both', 'square', setBonuses.health, 15, 5, primary,
+      [new Stat('Speed', '+10'), new Stat('Offense', '+100')]);
+    const fast = new Mod('global-fast', 'square', setBonuses.health, 15, 5, primary, [new Stat('Speed', '+9')]);
+    const characters = {
+      A: makeCharacter('A', speedPlan),
+      B: makeCharacter('B', new OptimizationPlan('offense', 0, 0, 0, 0, 0, 0, 100))
+    };
+
+    const greedyResult = optimizeMods([both, fast], characters, ['A', 'B'], 0, false, {});
+    expect(greedyResult.assignedSets).toEqual({A: ['global-both'], B: ['global-fast']});
+
+    const {assignedSets, globalOptimization} =
+      optimizeAssignmentsGlobally(greedyResult, [both, fast], characters, ['A', 'B']);
+    expect(assignedSets).toEqual({A: ['global-fast'], B: ['global-both']});
+    expect(globalOptimization.gain).toBeGreaterThan(0);
+    expect(globalOptimization.characters.A.score).toBeLessThan(globalOptimization.characters.A.greedyScore);
+  });
+
+  it('does not break a restriction that a character already met', () => {
+    const primary = new Stat('Offense %', '5.88%');
+    const both = new Mod('restricted-both', 'square', setBonuses.health, 15, 5, primary,
+      [new Stat('Speed', '+10'), new Stat('Offense', '+100')]);
+    const fast = new Mod('restricted-fast', 'square', setBonuses.health, 15, 4, primary, [new Stat('Speed', '+9')]);
+    const characters = {
+      A: makeCharacter('A', speedPlan, {minimumModDots: 5}),
+      B: makeCharacter('B', new OptimizationPlan('offense', 0, 0, 0, 0, 0, 0, 100))
+    };
+
+    const greedyResult = optimizeMods([both, fast], characters, ['A', 'B'], 0, false, {});
+    const {assignedSets} = optimizeAssignmentsGlobally(greedyResult, [both, fast], characters, ['A', 'B']);
+
+    expect(assignedSets).toEqual(greedyResult.assignedSets);
+  });
+  it('does not trade mods unless the new mods beat the equipped ones by the change threshold', () => {
+    const primary = new Stat('Offense %', '5.88%');
+    const both = new Mod('threshold-both', 'square', setBonuses.health, 15, 5, primary,
+      [new Stat('Speed', '+10'), new Stat('Offense', '+100')]);
+    const fast = new Mod('threshold-fast', 'square', setBonuses.health, 15, 5, primary,
+      [new Stat('Speed', '+9'), new Stat('Offense', '+10')]);
+    const equipped = new Mod('threshold-equipped', 'square', setBonuses.health, 15, 5, primary,
+      [new Stat('Speed', '+8')], 'A');
+    const mods = [both, fast, equipped];
+    const characters = {
+      A: makeCharacter('A', speedPlan),
+      B: makeCharacter('B', new OptimizationPlan('offense', 0, 0, 0, 0, 0, 0, 100))
+    };
+
+    // 10 speed is 25% better than A's equipped mod, but 9 speed is only 12.5% better
+    const greedyResult = optimizeMods(mods.slice(), characters, ['A', 'B'], 20, false, {});
+    expect(greedyResult.assignedSets).toEqual({A: ['threshold-both'], B: ['threshold-fast']});
+
+    expect(optimizeAssignmentsGlobally(greedyResult, mods, characters, ['A', 'B'], 20).assignedSets)
+      .toEqual(greedyResult.assignedSets);
+    expect(optimizeAssignmentsGlobally(greedyResult, mods, characters, ['A', 'B'], 10).assignedSets)
+      .toEqual({A: ['threshold-fast'], B: ['threshold-both']});
+  });
+});
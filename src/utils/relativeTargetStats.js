@@ -0,0 +1,92 @@
+// @flow
+
+/**
+ * Find every reason that the relative target stats in a selection can't be worked out. A relative target stat is
+ * measured from another character's final stat, so that character has to be selected, has to be optimized earlier,
+ * and can't be locked, since a locked character's mods aren't known to the optimizer.
+ *
+ * @param selectedCharacters {Array<{id: string, target: OptimizationPlan}>} The characters to optimize, in order
+ * @param isLocked {function(string): boolean} Whether the character with the given ID is locked
+ * @param characterName {function(string): string} The name to use for a character in the messages
+ * @returns {Array<string>} A message for each relative target stat that can't be worked out
+ */
+export function relativeTargetStatErrors(selectedCharacters, isLocked = () => false, characterName = id => id) {
+  const errors = [];
+
+  selectedCharacters.forEach(({id, target}, index) => {
+    ((target && target.targetStats) || [])
+      .filter(targetStat => targetStat.relativeCharacterID)
+      .forEach(targetStat => {
+        const relativeID = targetStat.relativeCharacterID;
+        const description =
+          `The ${targetStat.stat} target for ${characterName(id)} is relative to ${characterName(relativeID)}`;
+
+        if (!selectedCharacters.some(selectedCharacter => selectedCharacter.id === relativeID)) {
+          errors.push(`${description}, who isn't selected.`);
+        } else if (!selectedCharacters.slice(0, index).some(selectedCharacter => selectedCharacter.id === relativeID)) {
+          errors.push(`${description}, who is optimized later. Move ${characterName(relativeID)} above them.`);
+        } else if (isLocked(relativeID)) {
+          errors.push(`${description}, who is locked.`);
+        }
+      });
+  });
+
+  return errors;
+}
+
+/**
+ * Find the stats that each character's relative target stats are measured from
+ *
+ * @param selectedCharacters {Array<{id: string, target: OptimizationPlan}>}
+ * @returns {Object<string, Array<string>>} A map from the ID of each character that a target stat is relative to, to
+ *          the stats that are needed from it
+ */
+export function referencedStats(selectedCharacters) {
+  const stats = {};
+
+  selectedCharacters.forEach(({target}) => {
+    ((target && target.targetStats) || [])
+      .filter(targetStat => targetStat.relativeCharacterID)
+      .forEach(({stat, relativeCharacterID}) => {
+        stats[relativeCharacterID] = stats[relativeCharacterID] || [];
+        if (!stats[relativeCharacterID].includes(stat)) {
+          stats[relativeCharacterID].push(stat);
+        }
+      });
+  });
+
+  return stats;
+}
+
+/**
+ * Turn every relative target stat in a target into an absolute one, by adding its offsets to the final value of the
+ * stat on the character it's relative to
+ *
+ * @param target {Object} A deserialized target, as used by the optimizer
+ * @param finalStatValues {Object<string, Object<string, number>>} A map from character ID to the final value of each
+ *                        stat that's needed from that character
+ * @returns {Object} The same target if it has no relative target stats, or a copy with them made absolute
+ */
+export function resolveRelativeTargetStats(target, finalStatValues) {
+  const targetStats = target.targetStats || [];
+
+  if (!targetStats.some(targetStat => targetStat.relativeCharacterID)) {
+    return target;
+  }
+
+  return Object.assign({}, target, {
+    targetStats: targetStats.map(targetStat => {
+      if (!targetStat.relativeCharacterID) {
+        return targetStat;
+      }
+
+      const relativeValue = finalStatValues[targetStat.relativeCharacterID][targetStat.stat];
+      return {
+        stat: targetStat.stat,
+        minimum: relativeValue + Number(targetStat.minimum),
+        maximum: relativeValue + Number(targetStat.maximum),
+        relativeCharacterID: null
+      };
+    })
+  });
+}
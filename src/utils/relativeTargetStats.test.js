@@ -0,0 +1,51 @@
+import {referencedStats, relativeTargetStatErrors, resolveRelativeTargetStats} from './relativeTargetStats';
+import TargetStat from "../domain/TargetStat";
+
+const withTargetStats = (...targetStats) => ({targetStats: targetStats});
+
+describe('relativeTargetStatErrors', () => {
+  it('accepts target stats relative to characters that are optimized earlier', () => {
+    const selectedCharacters = [
+      {id: 'A', target: withTargetStats()},
+      {id: 'B', target: withTargetStats(new TargetStat('Speed', -30, -20, 'A'), new TargetStat('Health', 0, 1000))}
+    ];
+
+    expect(relativeTargetStatErrors(selectedCharacters)).toEqual([]);
+  });
+
+  it('explains each target stat that can\'t be worked out', () => {
+    const selectedCharacters = [
+      {id: 'A', target: withTargetStats(new TargetStat('Speed', 1, 10, 'B'))},
+      {id: 'B', target: withTargetStats(new TargetStat('Speed', 1, 10, 'C'))},
+      {id: 'D', target: withTargetStats(new TargetStat('Speed', 1, 10, 'E'))},
+      {id: 'E', target: null}
+    ];
+    const names = {A: 'Alpha', B: 'Bravo', C: 'Charlie', D: 'Delta', E: 'Echo'};
+
+    expect(relativeTargetStatErrors(selectedCharacters, id => 'E' === id, id => names[id])).toEqual([
+      'The Speed target for Alpha is relative to Bravo, who is optimized later. Move Bravo above them.',
+      'The Speed target for Bravo is relative to Charlie, who isn\'t selected.',
+      'The Speed target for Delta is relative to Echo, who is optimized later. Move Echo above them.'
+    ]);
+    expect(relativeTargetStatErrors(selectedCharacters.slice().reverse(), id => 'E' === id, id => names[id]))
+      .toContain('The Speed target for Delta is relative to Echo, who is locked.');
+  });
+});
+
+describe('resolveRelativeTargetStats', () => {
+  it('adds the offsets to the final stats of the other character', () => {
+    const target = withTargetStats(new TargetStat('Speed', -30, -20, 'A'), new TargetStat('Health', 0, 1000));
+
+    expect(referencedStats([{id: 'B', target: target}])).toEqual({A: ['Speed']});
+    expect(resolveRelativeTargetStats(target, {A: {Speed: 250}}).targetStats).toEqual([
+      {stat: 'Speed', minimum: 220, maximum: 230, relativeCharacterID: null},
+      new TargetStat('Health', 0, 1000)
+    ]);
+  });
+
+  it('leaves targets without relative target stats alone', () => {
+    const target = withTargetStats(new TargetStat('Speed', 200, 300));
+
+    expect(resolveRelativeTargetStats(target, {})).toBe(target);
+  });
+});
@@ -0,0 +1,38 @@
+// @flow
+
+import nothing from "./nothing";
+
+/**
+ * Run an asynchronous operation, trying it again whenever it fails. The wait before each retry is double the one
+ * before it.
+ *
+ * @param operation {function(number): Promise} The operation to run. It's given the number of the current attempt,
+ *                  starting from 1.
+ * @param retries {number} How many times to retry before giving up
+ * @param initialDelay {number} How long to wait before the first retry, in milliseconds
+ * @param shouldRetry {function(Error): boolean} Whether an error is worth retrying. Any other error fails immediately.
+ * @param onRetry {function(number, Error, number)} Called before each retry with the number of the next attempt, the
+ *                error from the last one, and how long it will wait
+ * @returns {Promise} The result of the first successful attempt, or the error from the last one
+ */
+export default function retryWithBackoff(
+  operation,
+  retries = 2,
+  initialDelay = 1000,
+  shouldRetry = () => true,
+  onRetry = nothing
+) {
+  const attempt = attemptNumber => operation(attemptNumber).catch(error => {
+    if (attemptNumber > retries || !shouldRetry(error)) {
+      throw error;
+    }
+
+    const delay = initialDelay * Math.pow(2, attemptNumber - 1);
+    onRetry(attemptNumber + 1, error, delay);
+
+    return new Promise(resolve => setTimeout(resolve, delay))
+      .then(() => attempt(attemptNumber + 1));
+  });
+
+  return attempt(1);
+}
@@ -0,0 +1,30 @@
+import retryWithBackoff from './retryWithBackoff';
+
+describe('retryWithBackoff', () => {
+  it('retries a failing operation with a doubling delay until it succeeds', () => {
+    const retries = [];
+    const operation = attempt => 3 > attempt ? Promise.reject(new Error(`failure ${attempt}`)) : Promise.resolve(attempt);
+
+    return retryWithBackoff(operation, 2, 1, () => true, (attempt, error, delay) => retries.push([attempt, delay]))
+      .then(result => {
+        expect(result).toEqual(3);
+        expect(retries).toEqual([[2, 1], [3, 2]]);
+      });
+  });
+
+  it('gives up with the last error once it runs out of retries', () => {
+    const operation = attempt => Promise.reject(new Error(`failure ${attempt}`));
+
+    return expect(retryWithBackoff(operation, 1, 1)).rejects.toThrow('failure 2');
+  });
+
+  it('does not retry errors that are not worth retrying', () => {
+    const operation = jest.fn(() => Promise.reject(new Error('Invalid ally code')));
+    expect.assertions(2);
+
+    return retryWithBackoff(operation, 3, 1, () => false).catch(error => {
+      expect(error.message).toEqual('Invalid ally code');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+  });
+});
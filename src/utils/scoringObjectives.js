@@ -0,0 +1,191 @@
+// @flow
+
+import characterSettings from "../constants/characterSettings";
+import statTypeMap from "../constants/statTypeMap";
+import {DamageType} from "../domain/CharacterDataClasses";
+import {evaluateFormula, formulaError, parseFormula} from "./formula";
+
+// Armor and resistance are turned into damage mitigation as rating / (rating + 7.5 * level), for a level 85 character
+const mitigationConstant = 7.5 * 85;
+
+// The character stats that the objectives are calculated from
+const objectiveStats = [
+  'health',
+  'protection',
+  'armor',
+  'resistance',
+  'physDmg',
+  'specDmg',
+  'physCritChance',
+  'specCritChance',
+  'critDmg'
+];
+
+// The stats that a formula can use: every character stat that a mod can change, plus both composite objectives
+export const formulaVariables = Array.from(new Set([].concat(...Object.values(statTypeMap))))
+  .concat(['expectedDamage', 'effectiveHealth']);
+
+// Parsed formulas, keyed by their text, so that each formula is only parsed once
+const parsedFormulas = {};
+
+/**
+ * The damage done by an average hit of one type, counting how often it crits and how much more a crit does
+ *
+ * @param damage {Number} Physical or special damage
+ * @param critChance {Number} As a percent
+ * @param critDmg {Number} As a percent
+ * @returns {Number}
+ */
+function expectedDamageOfType(damage, critChance, critDmg) {
+  return damage * (1 + Math.min(Math.max(critChance, 0), 100) / 100 * (critDmg / 100 - 1));
+}
+
+/**
+ * The damage done by an average hit, using the character's damage type to choose between physical and special damage
+ *
+ * @param stats {Object<String, Number>} The character's total stats, keyed by stat property
+ * @param damageType {Number} The share of the character's damage that's physical, as in DamageType
+ * @returns {Number}
+ */
+export function expectedDamage(stats, damageType) {
+  return damageType * expectedDamageOfType(stats.physDmg, stats.physCritChance, stats.critDmg) +
+    (1 - damageType) * expectedDamageOfType(stats.specDmg, stats.specCritChance, stats.critDmg);
+}
+
+/**
+ * How much raw damage the character can take before dying, averaged between physical and special damage
+ *
+ * @param stats {Object<String, Number>} The character's total stats, keyed by stat property
+ * @returns {Number}
+ */
+export function effectiveHealth(stats) {
+  // Damage is multiplied by (1 - mitigation), which works out to mitigationConstant / (rating + mitigationConstant)
+  const physicalMultiplier = 1 + stats.armor / mitigationConstant;
+  const specialMultiplier = 1 + stats.resistance / mitigationConstant;
+
+  return (stats.health + stats.protection) * (physicalMultiplier + specialMultiplier) / 2;
+}
+
+/**
+ * Get the type of damage a character does
+ *
+ * @param characterID {String}
+ * @returns {Number} One of the values of DamageType
+ */
+function damageTypeFor(characterID) {
+  return characterSettings[characterID] ? characterSettings[characterID].damageType : DamageType.physical;
+}
+
+/**
+ * Check whether a plan uses either of the composite objectives
+ *
+ * @param target {OptimizationPlan}
+ * @returns {boolean}
+ */
+export function hasObjectives(target) {
+  return Boolean(target.expectedDamage || target.effectiveHealth);
+}
+
+/**
+ * Score how much a group of flat stats improves a character's expected damage and effective health, weighted by the
+ * character's plan. Unlike stat weights, these can't be worked out one stat at a time, since each one depends on
+ * several stats together.
+ *
+ * @param flatStats {Array<{displayType: string, value: number}>}
+ * @param character {Character}
+ * @returns {Number}
+ */
+export function scoreObjectives(flatStats, character) {
+  const target = character.optimizerSettings.target;
+  const startingStats = character.playerValues.equippedStats;
+
+  if (!hasObjectives(target) || !startingStats) {
+    return 0;
+  }
+
+  const before = {};
+  objectiveStats.forEach(stat => before[stat] = startingStats[stat] || 0);
+  const after = addFlatStats(before, flatStats);
+
+  let score = 0;
+  if (target.expectedDamage) {
+    const damageType = damageTypeFor(character.baseID);
+    score += target.expectedDamage * (expectedDamage(after, damageType) - expectedDamage(before, damageType));
+  }
+  if (target.effectiveHealth) {
+    score += target.effectiveHealth * (effectiveHealth(after) - effectiveHealth(before));
+  }
+
+  return score;
+}
+
+/**
+ * Add a group of flat stats to a character's total stats
+ *
+ * @param stats {Object<String, Number>} The character's total stats, keyed by stat property
+ * @param flatStats {Array<{displayType: string, value: number}>}
+ * @returns {Object<String, Number>} A copy of `stats` with the flat stats added
+ */
+function addFlatStats(stats, flatStats) {
+  const totals = Object.assign({}, stats);
+  flatStats.forEach(stat => (statTypeMap[stat.displayType] || [])
+    .filter(statProperty => totals.hasOwnProperty(statProperty))
+    .forEach(statProperty => totals[statProperty] += stat.value)
+  );
+  return totals;
+}
+
+/**
+ * Check a formula written for a plan
+ *
+ * @param formula {String}
+ * @returns {String|null} What's wrong with the formula, or null if it can be used
+ */
+export function checkFormula(formula) {
+  return formulaError(formula, formulaVariables);
+}
+
+/**
+ * Find the value of a plan's formula for a set of total stats
+ *
+ * @param formula {String}
+ * @param stats {Object<String, Number>} The character's total stats, keyed by stat property
+ * @param damageType {Number} The share of the character's damage that's physical, as in DamageType
+ * @returns {Number}
+ */
+function formulaValue(formula, stats, damageType) {
+  if (!parsedFormulas.hasOwnProperty(formula)) {
+    parsedFormulas[formula] = parseFormula(formula, formulaVariables);
+  }
+
+  return evaluateFormula(parsedFormulas[formula], Object.assign({}, stats, {
+    expectedDamage: expectedDamage(stats, damageType),
+    effectiveHealth: effectiveHealth(stats)
+  }));
+}
+
+/**
+ * Score how much a group of flat stats raises the value of the formula in a character's plan. The formula is
+ * evaluated on the character's total stats with and without the flat stats, so that functions like `min` see the
+ * whole total. A formula that can't be evaluated for these stats, like one that divides by zero, scores nothing.
+ *
+ * @param flatStats {Array<{displayType: string, value: number}>}
+ * @param character {Character}
+ * @returns {Number}
+ */
+export function scoreFormula(flatStats, character) {
+  const formula = character.optimizerSettings.target.formula;
+  const startingStats = character.playerValues.equippedStats || {};
+
+  if (!formula) {
+    return 0;
+  }
+
+  const before = {};
+  formulaVariables.forEach(stat => before[stat] = startingStats[stat] || 0);
+  const after = addFlatStats(before, flatStats);
+  const damageType = damageTypeFor(character.baseID);
+
+  const score = formulaValue(formula, after, damageType) - formulaValue(formula, before, damageType);
+  return Number.isFinite(score) ? score : 0;
+}
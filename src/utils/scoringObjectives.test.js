@@ -0,0 +1,81 @@
+import {checkFormula, effectiveHealth, expectedDamage, scoreFormula, scoreObjectives} from './scoringObjectives';
+import {DamageType} from "../domain/CharacterDataClasses";
+
+const stats = {
+  health: 30000,
+  protection: 40000,
+  armor: 637.5,
+  resistance: 0,
+  physDmg: 3000,
+  specDmg: 2000,
+  physCritChance: 50,
+  specCritChance: 20,
+  critDmg: 150
+};
+
+function makeCharacter(baseID, target) {
+  return {
+    baseID: baseID,
+    playerValues: {equippedStats: stats},
+    optimizerSettings: {target: Object.assign({expectedDamage: 0, effectiveHealth: 0}, target)}
+  };
+}
+
+describe('expectedDamage', () => {
+  it('counts crits for the character\'s type of damage', () => {
+    expect(expectedDamage(stats, DamageType.physical)).toBeCloseTo(3000 * 1.25);
+    expect(expectedDamage(stats, DamageType.special)).toBeCloseTo(2000 * 1.1);
+    expect(expectedDamage(stats, DamageType.mixed)).toBeCloseTo((3000 * 1.25 + 2000 * 1.1) / 2);
+  });
+
+  it('doesn\'t count crit chance above 100%', () => {
+    const critStats = Object.assign({}, stats, {physCritChance: 100});
+    const overCritStats = Object.assign({}, stats, {physCritChance: 140});
+
+    expect(expectedDamage(overCritStats, DamageType.physical))
+      .toBeCloseTo(expectedDamage(critStats, DamageType.physical));
+  });
+});
+
+describe('effectiveHealth', () => {
+  it('increases health and protection by how much damage armor and resistance mitigate', () => {
+    // Armor equal to the mitigation constant halves physical damage, and there's no resistance
+    expect(effectiveHealth(stats)).toBeCloseTo(70000 * (2 + 1) / 2);
+  });
+});
+
+describe('scoreObjectives', () => {
+  it('scores only the change from the character\'s stats without mods', () => {
+    const flatStats = [{displayType: 'Physical Critical Chance', value: 10}, {displayType: 'Health', value: 1000}];
+
+    expect(scoreObjectives(flatStats, makeCharacter('TEST', {}))).toBe(0);
+    // 3000 physical damage with 60% crit chance instead of 50%
+    expect(scoreObjectives(flatStats, makeCharacter('TEST', {expectedDamage: 2}))).toBeCloseTo(2 * 3000 * 0.05);
+    // Special characters don't get anything from physical crit chance
+    expect(scoreObjectives(flatStats, makeCharacter('BASTILASHAN', {expectedDamage: 2}))).toBeCloseTo(0);
+    expect(scoreObjectives(flatStats, makeCharacter('TEST', {effectiveHealth: 1}))).toBeCloseTo(1000 * 1.5);
+  });
+});
+
+describe('scoreFormula', () => {
+  it('scores the change in the formula from the character\'s stats without mods', () => {
+    const flatStats = [{displayType: 'Critical Chance', value: 10}, {displayType: 'Health', value: 1000}];
+    const formula = 'min(physCritChance, 55) + effectiveHealth / 1000';
+
+    expect(scoreFormula(flatStats, makeCharacter('TEST', {formula: formula}))).toBeCloseTo(5 + 1.5);
+    expect(scoreFormula(flatStats, makeCharacter('TEST', {}))).toBe(0);
+  });
+
+  it('scores nothing when the formula can\'t be worked out', () => {
+    const flatStats = [{displayType: 'Speed', value: 10}];
+
+    expect(scoreFormula(flatStats, makeCharacter('TEST', {formula: '1 / (speed - speed)'}))).toBe(0);
+  });
+});
+
+describe('checkFormula', () => {
+  it('allows every character stat and both objectives', () => {
+    expect(checkFormula('speed * 3 + min(potency, 100) + 0.5 * effectiveHealth + expectedDamage')).toBeNull();
+    expect(checkFormula('offense * 2')).toMatch(/^Unknown stat "offense"/);
+  });
+});
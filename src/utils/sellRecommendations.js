@@ -0,0 +1,181 @@
+// @flow
+
+import {OptimizerSettings} from "../domain/CharacterDataClasses";
+import ModSet from "../domain/ModSet";
+import Stat from "../domain/Stat";
+import {scoreFormula} from "./scoringObjectives";
+
+/**
+ * Get the target that a character would currently be optimized with: the one attached to its selection if it's
+ * selected, otherwise the one it has set, otherwise its default target
+ *
+ * @param character {Character}
+ * @param selectedCharacters {Array<{id: string, target: OptimizationPlan}>}
+ * @returns {OptimizationPlan}
+ */
+function currentTarget(character, selectedCharacters) {
+  const selection = selectedCharacters.find(selectedCharacter => selectedCharacter.id === character.baseID);
+
+  return (selection && selection.target) || character.optimizerSettings.target || character.defaultTarget();
+}
+
+/**
+ * Get a copy of a character whose optimizer settings use the given target
+ *
+ * @param character {Character}
+ * @param target {OptimizationPlan}
+ * @returns {Character}
+ */
+function withCurrentTarget(character, target) {
+  const settings = character.optimizerSettings;
+
+  return character.withOptimizerSettings(new OptimizerSettings(
+    target,
+    settings.targets,
+    settings.minimumModDots,
+    settings.sliceMods,
+    settings.isLocked
+  ));
+}
+
+/**
+ * Get a mod as it would be used by a character, leveled and sliced if the character's settings call for it. Upgraded
+ * mods are kept in `upgradedMods`, since most characters share the same settings.
+ *
+ * @param mod {Mod}
+ * @param character {Character}
+ * @param upgradedMods {Map<string, Mod>}
+ * @returns {Mod}
+ */
+function upgradedModForCharacter(mod, character, upgradedMods) {
+  const levelUp = 15 > mod.level && character.optimizerSettings.target.upgradeMods;
+  const slice = 5 === mod.pips && (15 === mod.level || levelUp) && character.optimizerSettings.sliceMods;
+  if (!levelUp && !slice) {
+    return mod;
+  }
+
+  const key = `${mod.id}-${levelUp}-${slice}`;
+  if (!upgradedMods.has(key)) {
+    const leveledMod = levelUp ? mod.levelUp() : mod;
+    upgradedMods.set(key, slice ? leveledMod.slice() : leveledMod);
+  }
+  return upgradedMods.get(key);
+}
+
+/**
+ * Score a single mod for a character by adding up the optimization value of each stat it gives. Because a stat's value
+ * grows linearly with its size, the value of one point of each type of stat is only found once per character. A
+ * formula can combine stats in any way, so for a plan with a formula the mod is scored on all of its stats at once.
+ *
+ * @param mod {Mod}
+ * @param character {Character}
+ * @param unitValues {Map<string, number>} The value of one point of each type of stat for this character
+ * @returns {number}
+ */
+function modValue(mod, character, unitValues) {
+  const stats = [mod.primaryStat].concat(mod.secondaryStats);
+
+  if (character.optimizerSettings.target.formula) {
+    return scoreFormula(
+      stats.reduce((flatStats, stat) => flatStats.concat(stat.getFlatValuesForCharacter(character)), []),
+      character
+    );
+  }
+
+  return stats.reduce((value, stat) => {
+    const unitType = `${stat.type}${stat.displayModifier}`;
+    if (!unitValues.has(unitType)) {
+      unitValues.set(unitType, new Stat(stat.type, `1${stat.displayModifier}`).getFlatValuesForCharacter(character)
+        .reduce((unitValue, flatStat) => unitValue + flatStat.getOptimizationValue(character), 0)
+      );
+    }
+    return value + stat.value * unitValues.get(unitType);
+  }, 0);
+}
+
+/**
+ * Find every mod that no character would ever want. Each character is scored against every mod it could use with its
+ * current target, and only the best `candidatesPerSlot` mods in each slot are kept as candidates. A mod that isn't a
+ * candidate for any character is safe to sell. Mods that are equipped on locked characters are always kept.
+ *
+ * @param mods {Array<Mod>}
+ * @param characters {Object<String, Character>}
+ * @param selectedCharacters {Array<{id: string, target: OptimizationPlan}>}
+ * @param candidatesPerSlot {number} How many mods to keep for each character in each slot
+ * @returns {Array<Object>} Every mod that's safe to sell, as {mod, reason, bestRank, bestCharacterID}, with the mods
+ *                          that came closest to being used last
+ */
+export default function getSellRecommendations(mods, characters, selectedCharacters, candidatesPerSlot) {
+  // For each mod, the best rank it has for any character, and which character that was
+  const bestRanks = {};
+  const usableMods = mods.filter(mod => !mod.characterID ||
+    !characters[mod.characterID] ||
+    !characters[mod.characterID].optimizerSettings.isLocked
+  );
+  const usableModIDs = new Set(usableMods.map(mod => mod.id));
+  const modsBySlot = ModSet.slots.reduce((slotMods, slot) =>
+    Object.assign(slotMods, {[slot]: mods.filter(mod => slot === mod.slot)}), {}
+  );
+
+  const upgradedMods = new Map();
+  const scoredCharacters = Object.values(characters)
+    .filter(character => character.playerValues && character.playerValues.baseStats)
+    .map(character => withCurrentTarget(character, currentTarget(character, selectedCharacters)));
+
+  scoredCharacters.forEach(character => {
+    const target = character.optimizerSettings.target;
+    const unitValues = new Map();
+
+    ModSet.slots.forEach(slot => {
+      const primaryRestriction = target.primaryStatRestrictions ? target.primaryStatRestrictions[slot] : null;
+
+      modsBySlot[slot]
+        .filter(mod => (usableModIDs.has(mod.id) || mod.characterID === character.baseID) &&
+          mod.pips >= character.optimizerSettings.minimumModDots &&
+          (!primaryRestriction || primaryRestriction === mod.primaryStat.type)
+        )
+        .map(mod => ({
+          mod: mod,
+          value: modValue(upgradedModForCharacter(mod, character, upgradedMods), character, unitValues)
+        }))
+        .filter(({value}) => 0 < value)
+        .sort((left, right) => right.value - left.value)
+        .forEach(({mod}, index) => {
+          if (!bestRanks[mod.id] || index < bestRanks[mod.id].rank) {
+            bestRanks[mod.id] = {rank: index, characterID: character.baseID};
+          }
+        });
+    });
+  });
+
+  const lowestMinimumDots = Math.min(...scoredCharacters.map(character => character.optimizerSettings.minimumModDots));
+
+  return usableMods
+    .filter(mod => !bestRanks[mod.id] || bestRanks[mod.id].rank >= candidatesPerSlot)
+    .map(mod => {
+      const bestRank = bestRanks[mod.id];
+      let reason;
+
+      if (bestRank) {
+        reason = `Its best rank is #${bestRank.rank + 1}, but only the top ${candidatesPerSlot} ${mod.slot} mods are ` +
+          `kept for each character`;
+      } else if (scoredCharacters.length && mod.pips < lowestMinimumDots) {
+        reason = `Every character needs mods with at least ${lowestMinimumDots} dots`;
+      } else {
+        reason = `No character's target can use it`;
+      }
+
+      return {
+        mod: mod,
+        reason: reason,
+        bestRank: bestRank ? bestRank.rank + 1 : null,
+        bestCharacterID: bestRank ? bestRank.characterID : null
+      };
+    })
+    .sort((left, right) => {
+      if (null === left.bestRank || null === right.bestRank) {
+        return (null === left.bestRank ? 0 : 1) - (null === right.bestRank ? 0 : 1);
+      }
+      return right.bestRank - left.bestRank;
+    });
+}
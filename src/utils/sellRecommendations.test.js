@@ -0,0 +1,88 @@
+import getSellRecommendations from './sellRecommendations';
+import Character from "../domain/Character";
+import Mod from "../domain/Mod";
+import OptimizationPlan from "../domain/OptimizationPlan";
+import Stat from "../domain/Stat";
+import {OptimizerSettings, PlayerValues} from "../domain/CharacterDataClasses";
+import setBonuses from "../constants/setbonuses";
+
+const baseStats = {
+  health: 30000,
+  protection: 40000,
+  speed: 100,
+  potency: 50,
+  tenacity: 40,
+  physDmg: 3000,
+  specDmg: 2000,
+  physCritChance: 25,
+  specCritChance: 15,
+  critDmg: 150,
+  armor: 400,
+  resistance: 300,
+  accuracy: 0,
+  critAvoid: 0
+};
+
+function makeMod(id, speed, pips = 5, characterID = null, health = 0) {
+  const secondaryStats = [new Stat('Speed', `+${speed}`)].concat(health ? [new Stat('Health', `+${health}`)] : []);
+  return new Mod(id, 'square', setBonuses['speed'], 15, pips, new Stat('Offense %', '5.88%'), secondaryStats,
+    characterID);
+}
+
+function makeCharacter(baseID, minimumModDots = 1, isLocked = false,
+  target = new OptimizationPlan('speed', 0, 0, 100, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0)
+) {
+
+  return new Character(
+    baseID,
+    null,
+    null,
+    new PlayerValues(85, 7, 12, [], 20000, baseStats, baseStats),
+    new OptimizerSettings(target, [], minimumModDots, false, isLocked)
+  );
+}
+
+describe('getSellRecommendations', () => {
+  it('flags mods that aren\'t among any character\'s best candidates for their slot', () => {
+    const mods = [makeMod('fast', 20), makeMod('medium', 10), makeMod('slow', 5)];
+    const characters = {A: makeCharacter('A')};
+
+    const recommendations = getSellRecommendations(mods, characters, [], 2);
+
+    expect(recommendations.map(({mod}) => mod.id)).toEqual(['slow']);
+    expect(recommendations[0].bestRank).toBe(3);
+    expect(recommendations[0].bestCharacterID).toBe('A');
+  });
+
+  it('only considers mods with enough dots for each character', () => {
+    const mods = [makeMod('five-dot', 5), makeMod('four-dot', 20, 4)];
+    const characters = {A: makeCharacter('A', 5), B: makeCharacter('B', 5)};
+
+    const recommendations = getSellRecommendations(mods, characters, [], 1);
+
+    expect(recommendations.map(({mod}) => mod.id)).toEqual(['four-dot']);
+    expect(recommendations[0].bestRank).toBeNull();
+  });
+
+  it('keeps mods that are equipped on locked characters', () => {
+    const mods = [makeMod('fast', 20), makeMod('locked', 5, 5, 'B')];
+    const characters = {A: makeCharacter('A'), B: makeCharacter('B', 1, true)};
+
+    const recommendations = getSellRecommendations(mods, characters, [], 1);
+
+    expect(recommendations).toEqual([]);
+  });
+
+  it('scores each mod on all of its stats at once when the plan has a formula', () => {
+    // Only the first 5 speed counts, so the mod with health is worth more even though it has less speed
+    const target = new OptimizationPlan('formula', 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+      true, {}, {}, [], false, {}, 0, 0, 'min(speed, 105) + health / 1000');
+    const mods = [makeMod('speed', 20), makeMod('speed and health', 5, 5, null, 2000)];
+    const characters = {A: makeCharacter('A', 1, false, target)};
+
+    const recommendations = getSellRecommendations(mods, characters, [], 1);
+
+    expect(recommendations.map(({mod}) => mod.id)).toEqual(['speed']);
+    expect(recommendations[0].bestRank).toBe(2);
+  });
+});
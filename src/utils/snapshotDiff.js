@@ -0,0 +1,95 @@
+// @flow
+
+/**
+ * Find the secondary stats on a mod that rolled between two snapshots, meaning that they either have more rolls than
+ * before, or weren't on the mod at all before. Slicing a mod raises the value of every secondary without rolling it,
+ * so that isn't counted.
+ *
+ * @param before {Object} The mod from the older snapshot
+ * @param after {Object} The same mod from the newer snapshot
+ * @returns {Array<{type: string, before: string|null, after: string}>}
+ */
+function rolledSecondaries(before, after) {
+  return after.secondaryStats
+    .map(([type, value, rolls]) => {
+      const earlierStat = before.secondaryStats.find(([earlierType]) => earlierType === type);
+
+      if (earlierStat && +rolls <= +earlierStat[2]) {
+        return null;
+      }
+
+      return {type: type, before: earlierStat ? earlierStat[1] : null, after: value};
+    })
+    .filter(roll => null !== roll);
+}
+
+/**
+ * Find everything that changed in a player's mods from one snapshot to another
+ *
+ * @param older {ProfileSnapshot}
+ * @param newer {ProfileSnapshot}
+ * @returns {{
+ *   newMods: Array<Object>,
+ *   soldMods: Array<Object>,
+ *   leveledMods: Array<{before: Object, after: Object}>,
+ *   slicedMods: Array<{before: Object, after: Object}>,
+ *   rolledMods: Array<{before: Object, after: Object, rolls: Array<Object>}>
+ * }} Each mod is in the compact form kept in the snapshot. The rolls are in the form returned by rolledSecondaries.
+ */
+export function compareSnapshots(older, newer) {
+  const olderMods = {};
+  older.mods.forEach(mod => olderMods[mod.id] = mod);
+  const newerModIDs = newer.mods.map(mod => mod.id);
+
+  const changes = {
+    newMods: newer.mods.filter(mod => !olderMods.hasOwnProperty(mod.id)),
+    soldMods: older.mods.filter(mod => !newerModIDs.includes(mod.id)),
+    leveledMods: [],
+    slicedMods: [],
+    rolledMods: []
+  };
+
+  newer.mods.filter(mod => olderMods.hasOwnProperty(mod.id)).forEach(after => {
+    const before = olderMods[after.id];
+
+    if (after.level > before.level) {
+      changes.leveledMods.push({before: before, after: after});
+    }
+    if (after.pips > before.pips || after.tier > before.tier) {
+      changes.slicedMods.push({before: before, after: after});
+    }
+
+    const rolls = rolledSecondaries(before, after);
+    if (rolls.length) {
+      changes.rolledMods.push({before: before, after: after, rolls: rolls});
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Follow each character's speed through a list of snapshots. Characters whose speed changed the most come first.
+ *
+ * @param snapshots {Array<ProfileSnapshot>} Oldest first
+ * @returns {Array<{characterID: string, speeds: Array<{timestamp: number, speed: number}>, change: number}>}
+ *          `speeds` only has an entry for the snapshots that include the character
+ */
+export function speedHistory(snapshots) {
+  const histories = {};
+
+  snapshots.forEach(snapshot => {
+    Object.entries(snapshot.speeds).forEach(([characterID, speed]) => {
+      histories[characterID] = histories[characterID] || [];
+      histories[characterID].push({timestamp: snapshot.timestamp, speed: speed});
+    });
+  });
+
+  return Object.entries(histories)
+    .map(([characterID, speeds]) => ({
+      characterID: characterID,
+      speeds: speeds,
+      change: speeds[speeds.length - 1].speed - speeds[0].speed
+    }))
+    .sort((left, right) => Math.abs(right.change) - Math.abs(left.change));
+}
@@ -0,0 +1,81 @@
+import {compareSnapshots, speedHistory} from './snapshotDiff';
+import ProfileSnapshot from "../domain/ProfileSnapshot";
+import Mod from "../domain/Mod";
+import Stat from "../domain/Stat";
+import setBonuses from "../constants/setbonuses";
+
+function makeMod(id, level, pips, tier, secondaryStats) {
+  return ProfileSnapshot.compactMod(
+    new Mod(id, 'square', setBonuses['speed'], level, pips, new Stat('Offense %', '5.88%'), secondaryStats, 'A', tier)
+  );
+}
+
+describe('compareSnapshots', () => {
+  const older = new ProfileSnapshot('123456789', 1000, [
+    makeMod('kept', 15, 5, 5, [new Stat('Speed', '+5', 1)]),
+    makeMod('sold', 15, 5, 5, []),
+    makeMod('leveled', 9, 5, 3, [new Stat('Speed', '+5', 1), new Stat('Offense', '+40', 1)]),
+    makeMod('sliced', 15, 5, 5, [new Stat('Speed', '+10', 2)])
+  ]);
+  const newer = new ProfileSnapshot('123456789', 2000, [
+    makeMod('kept', 15, 5, 5, [new Stat('Speed', '+5', 1)]),
+    makeMod('leveled', 12, 5, 3, [
+      new Stat('Speed', '+9', 2),
+      new Stat('Offense', '+40', 1),
+      new Stat('Health', '+300', 1)
+    ]),
+    makeMod('sliced', 15, 6, 1, [new Stat('Speed', '+11', 2)]),
+    makeMod('new', 1, 5, 1, [])
+  ]);
+
+  it('finds new, sold, leveled, and sliced mods', () => {
+    const changes = compareSnapshots(older, newer);
+
+    expect(changes.newMods.map(mod => mod.id)).toEqual(['new']);
+    expect(changes.soldMods.map(mod => mod.id)).toEqual(['sold']);
+    expect(changes.leveledMods.map(({after}) => after.id)).toEqual(['leveled']);
+    expect(changes.slicedMods.map(({before, after}) => [after.id, before.pips, after.pips]))
+      .toEqual([['sliced', 5, 6]]);
+  });
+
+  it('finds secondaries that rolled or were added, but not ones that were only sliced', () => {
+    expect(compareSnapshots(older, newer).rolledMods).toEqual([{
+      before: older.mods[2],
+      after: newer.mods[1],
+      rolls: [
+        {type: 'Speed', before: '+5', after: '+9'},
+        {type: 'Health', before: null, after: '+300'}
+      ]
+    }]);
+  });
+
+  it('finds nothing when comparing a snapshot to itself', () => {
+    expect(compareSnapshots(newer, newer)).toEqual({
+      newMods: [],
+      soldMods: [],
+      leveledMods: [],
+      slicedMods: [],
+      rolledMods: []
+    });
+  });
+});
+
+describe('speedHistory', () => {
+  it('follows each character\'s speed, biggest change first', () => {
+    const snapshots = [
+      new ProfileSnapshot('123456789', 1000, [], {A: 250, B: 200}),
+      new ProfileSnapshot('123456789', 2000, [], {A: 255, B: 230, C: 150}),
+      new ProfileSnapshot('123456789', 3000, [], {A: 260, B: 220, C: 150})
+    ];
+
+    const history = speedHistory(snapshots);
+
+    expect(history.map(({characterID, change}) => [characterID, change])).toEqual([['B', 20], ['A', 10], ['C', 0]]);
+    expect(history[0].speeds).toEqual([
+      {timestamp: 1000, speed: 200},
+      {timestamp: 2000, speed: 230},
+      {timestamp: 3000, speed: 220}
+    ]);
+    expect(history[2].speeds).toEqual([{timestamp: 2000, speed: 150}, {timestamp: 3000, speed: 150}]);
+  });
+});
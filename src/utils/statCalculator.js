@@ -0,0 +1,125 @@
+// @flow
+
+import bundledGameData from "../constants/gameData";
+
+// Stats that are added to a character's base stats, even when they come from a gear piece
+const primaryAttributes = ['Strength', 'Agility', 'Tactics'];
+
+/**
+ * Add every stat in `stats` to `total`, in place
+ *
+ * @param total {Object<string, number>}
+ * @param stats {Object<string, number>}
+ */
+function addStats(total, stats) {
+  Object.entries(stats).forEach(([statName, value]) => {
+    total[statName] = (total[statName] || 0) + value;
+  });
+}
+
+/**
+ * Round a stat down to a whole number, the way the game does. Stats in the game data are stored with 8 decimal places,
+ * so the value is rounded to those first to keep floating point error from rounding, say, 289 down to 288.
+ *
+ * @param value {number}
+ * @returns {number}
+ */
+function floorStat(value) {
+  return Math.floor(Math.round(value * 1e8) / 1e8);
+}
+
+/**
+ * Calculate the stats that a character has without any mods, the same way that the game does: the character's gear
+ * level sets its starting stats, the primary attributes (strength, agility, and tactics) grow with its level based on
+ * its stars, and each gear piece adds to either the base stats (for primary attributes) or the gear stats (for
+ * everything else). Relics add to the base stats and to how quickly the primary attributes grow, and mastery adds to
+ * the stats listed in the character's mastery modifiers. The primary attributes then add to health, damage, armor,
+ * resistance, and critical rating.
+ *
+ * @param unitData {Object} The game data for this character (see constants/gameData.json)
+ * @param gearData {Object<string, Object>} The stats given by each gear piece, by equipment ID
+ * @param playerValues {PlayerValues}
+ * @returns {{base: Object<string, number>, gear: Object<string, number>}}
+ */
+function calculateStats(unitData, gearData, playerValues) {
+  const gearLevelStats = unitData.gearLevels[playerValues.gearLevel];
+  const growthModifiers = unitData.growthModifiers[playerValues.stars];
+  if (!gearLevelStats || !growthModifiers) {
+    return null;
+  }
+
+  const base = Object.assign({}, gearLevelStats);
+  const gear = {};
+  const growth = Object.assign({}, growthModifiers);
+
+  (playerValues.gearPieces || []).forEach(({equipmentId}) => {
+    Object.entries(gearData[equipmentId] || {}).forEach(([statName, value]) => {
+      const stats = primaryAttributes.includes(statName) ? base : gear;
+      stats[statName] = (stats[statName] || 0) + value;
+    });
+  });
+
+  // The relic tier counts from the locked relic, so a character only gets bonuses from tier 3 (relic level 1) and up
+  const relic = playerValues.relicTier > 2 && unitData.relics ? unitData.relics[playerValues.relicTier] : null;
+  if (relic) {
+    addStats(base, relic.stats);
+    addStats(growth, relic.growthModifiers);
+  }
+
+  addStats(base, primaryAttributes.reduce((levelStats, attribute) =>
+    Object.assign(levelStats, {[attribute]: floorStat((growth[attribute] || 0) * playerValues.level)}),
+    {}
+  ));
+
+  if (base['Mastery']) {
+    addStats(base, Object.entries(unitData.masteryModifiers || {}).reduce((masteryStats, [statName, modifier]) =>
+      Object.assign(masteryStats, {[statName]: base['Mastery'] * modifier}),
+      {}
+    ));
+  }
+
+  const strength = base['Strength'] || 0;
+  const agility = base['Agility'] || 0;
+  const tactics = base['Tactics'] || 0;
+
+  Object.assign(base, {
+    'Health': (base['Health'] || 0) + strength * 18,
+    'Physical Damage': floorStat((base['Physical Damage'] || 0) + (base[unitData.primaryStat] || 0) * 1.4),
+    'Special Damage': floorStat((base['Special Damage'] || 0) + tactics * 2.4),
+    'Armor': floorStat((base['Armor'] || 0) + strength * 0.14 + agility * 0.07),
+    'Resistance': floorStat((base['Resistance'] || 0) + tactics * 0.1),
+    'Physical Critical Rating': floorStat((base['Physical Critical Rating'] || 0) + agility * 0.4),
+    // Every character has at least 15% tenacity
+    'Tenacity': (base['Tenacity'] || 0) + 0.15
+  });
+
+  return {base: base, gear: gear};
+}
+
+/**
+ * Calculate base and gear stats for a set of characters without calling out to a stat calculator. The result is in the
+ * same format as the response from the remote stat calculator, so that either can be used in the same way. Characters
+ * that aren't in the game data come back with an error instead of stats. Game data that's marked as a sample doesn't
+ * have the game's numbers in it, so every character comes back with an error when it's used.
+ *
+ * @param characters {Object<string, PlayerValues>}
+ * @param gameData {Object} The game data to calculate with. Defaults to the data bundled with the app.
+ * @returns {Array<{unit: {defId: string}, stats: Object}>}
+ */
+export default function calculateCharacterStats(characters, gameData = bundledGameData) {
+  return Object.entries(characters).map(([charID, playerValues]) => {
+    if (gameData.sample) {
+      return {
+        unit: {defId: charID},
+        stats: {error: 'The game data in the app is only a sample. Run `npm run build:game-data` to build it.'}
+      };
+    }
+
+    const stats = gameData.units[charID] ? calculateStats(gameData.units[charID], gameData.gear, playerValues) : null;
+
+    return {
+      unit: {defId: charID},
+      stats: stats || {error: `No game data for ${charID} at ${playerValues.stars}* gear level ${playerValues.gearLevel}`}
+    };
+  });
+}
@@ -0,0 +1,162 @@
+import {setGameData, calcCharStats} from 'swgoh-stat-calc';
+import calculateCharacterStats from './statCalculator';
+import {PlayerValues} from "../domain/CharacterDataClasses";
+import {convertGameData} from '../../scripts/buildGameData';
+
+const gameData = {
+  units: {
+    TESTCHARACTER: {
+      primaryStat: 'Agility',
+      growthModifiers: {7: {Strength: 2, Agility: 3, Tactics: 1}},
+      gearLevels: {12: {Health: 1000, Speed: 100, Strength: 10, Agility: 20, Tactics: 5, Potency: 0.3}}
+    }
+  },
+  gear: {
+    'gear-1': {Strength: 5, Health: 200},
+    'gear-2': {Speed: 4}
+  }
+};
+
+describe('calculateCharacterStats', () => {
+  it('derives base and gear stats from level, stars, gear level, and gear pieces', () => {
+    const playerValues = new PlayerValues(10, 7, 12, [{equipmentId: 'gear-1'}, {equipmentId: 'gear-2'}], 0);
+    const [{unit, stats}] = calculateCharacterStats({TESTCHARACTER: playerValues}, gameData);
+
+    // Strength = 10 + 5 (gear) + 2 * 10 (growth), Agility = 20 + 3 * 10, Tactics = 5 + 1 * 10
+    expect(unit).toEqual({defId: 'TESTCHARACTER'});
+    expect(stats.base['Strength']).toEqual(35);
+    expect(stats.base['Agility']).toEqual(50);
+    expect(stats.base['Tactics']).toEqual(15);
+    expect(stats.base['Health']).toEqual(1000 + 35 * 18);
+    // Stats derived from the primary attributes are rounded down
+    expect(stats.base['Physical Damage']).toEqual(70);
+    expect(stats.base['Special Damage']).toEqual(36);
+    expect(stats.base['Armor']).toEqual(8);
+    expect(stats.base['Physical Critical Rating']).toEqual(20);
+    expect(stats.base['Speed']).toEqual(100);
+    expect(stats.base['Potency']).toEqual(0.3);
+    expect(stats.base['Tenacity']).toEqual(0.15);
+    expect(stats.gear).toEqual({Health: 200, Speed: 4});
+  });
+
+  it('reports an error for characters without game data', () => {
+    const playerValues = new PlayerValues(85, 7, 13, [], 0);
+
+    expect(calculateCharacterStats({TESTCHARACTER: playerValues, UNKNOWN: playerValues}, gameData)).toEqual([
+      {unit: {defId: 'TESTCHARACTER'}, stats: {error: expect.any(String)}},
+      {unit: {defId: 'UNKNOWN'}, stats: {error: expect.any(String)}}
+    ]);
+  });
+
+  it('refuses to calculate stats from sample game data', () => {
+    const playerValues = new PlayerValues(10, 7, 12, [{equipmentId: 'gear-1'}, {equipmentId: 'gear-2'}], 0);
+    const sampleGameData = Object.assign({sample: true}, gameData);
+
+    expect(calculateCharacterStats({TESTCHARACTER: playerValues}, sampleGameData)).toEqual([
+      {unit: {defId: 'TESTCHARACTER'}, stats: {error: expect.any(String)}}
+    ]);
+  });
+});
+
+// Game data in the format published for Crinolo's stat calculator, with values chosen to exercise the rounding in the
+// game's formulas. Stats and growth modifiers are scaled up by 10^8, mastery modifiers aren't.
+const crinoloGameData = {
+  unitData: {
+    TESTCHARACTER: {
+      combatType: 1,
+      primaryStat: 3,
+      masteryModifierID: 'agility_mastery',
+      relic: {1: 'relic-locked', 2: 'relic-unlocked', 3: 'relic-1', 4: 'relic-2'},
+      growthModifiers: {
+        6: {2: 180000000, 3: 290000000, 4: 175000000},
+        7: {2: 210000000, 3: 340000000, 4: 205000000}
+      },
+      gearLvl: {
+        12: {
+          gear: ['gear-1', 'gear-2'],
+          stats: {1: 1170000000000, 2: 19000000000, 3: 27500000000, 4: 17300000000, 5: 12400000000, 8: 3333333333,
+            14: 1000000000, 15: 2500000000, 17: 35000000, 18: 32000000, 28: 1250000000000}
+        },
+        13: {
+          gear: ['gear-1', 'gear-2'],
+          stats: {1: 1530000000000, 2: 23300000000, 3: 33100000000, 4: 21700000000, 5: 13500000000, 8: 4166666666,
+            14: 1000000000, 15: 2500000000, 17: 35000000, 18: 32000000, 28: 1650000000000}
+        }
+      }
+    },
+    TESTSHIP: {combatType: 2}
+  },
+  gearData: {
+    'gear-1': {stats: {1: 85000000000, 2: 1700000000, 6: 1200000000}},
+    'gear-2': {stats: {3: 2100000000, 5: 400000000, 9: 750000000}}
+  },
+  relicData: {
+    'relic-locked': {stats: {}, gms: {}},
+    'relic-unlocked': {stats: {}, gms: {}},
+    'relic-1': {stats: {1: 81400000000, 6: 31200000000, 28: 141600000000}, gms: {2: 2000000, 3: 4000000, 4: 2000000}},
+    'relic-2': {
+      stats: {1: 152700000000, 6: 58500000000, 28: 265500000000, 61: 1500000000},
+      gms: {2: 4500000, 3: 9000000, 4: 4500000}
+    }
+  },
+  crTables: {agility_mastery: {3: 1.5, 8: 0.25, 17: 0.0001}},
+  modSetData: {},
+  gpTables: {}
+};
+
+// The stats that the app reads from a stat calculator, by the stat IDs used in the game data
+const appStats = {
+  1: 'Health',
+  2: 'Strength',
+  3: 'Agility',
+  4: 'Tactics',
+  5: 'Speed',
+  6: 'Physical Damage',
+  7: 'Special Damage',
+  8: 'Armor',
+  9: 'Resistance',
+  14: 'Physical Critical Rating',
+  15: 'Special Critical Rating',
+  17: 'Potency',
+  18: 'Tenacity',
+  28: 'Protection'
+};
+
+describe('calculateCharacterStats with game data from scripts/buildGameData.js', () => {
+  const gameData = convertGameData(crinoloGameData);
+  const gearPieces = [{equipmentId: 'gear-1'}, {equipmentId: 'gear-2'}];
+
+  beforeAll(() => setGameData(crinoloGameData));
+
+  it('only keeps characters', () => {
+    expect(Object.keys(gameData.units)).toEqual(['TESTCHARACTER']);
+  });
+
+  [
+    ['a character below max level', new PlayerValues(60, 6, 12, gearPieces.slice(0, 1), 0)],
+    ['a fully geared character', new PlayerValues(85, 7, 13, gearPieces, 0)],
+    ['a character with relics unlocked', new PlayerValues(85, 7, 13, gearPieces, 0, null, null, 2)],
+    ['a character at relic level 1', new PlayerValues(85, 7, 13, gearPieces, 0, null, null, 3)],
+    ['a character at relic level 2, with mastery', new PlayerValues(85, 7, 13, gearPieces, 0, null, null, 4)]
+  ].forEach(([description, playerValues]) => {
+    it(`matches Crinolo's stat calculator for ${description}`, () => {
+      const [{stats}] = calculateCharacterStats({TESTCHARACTER: playerValues}, gameData);
+      const expected = calcCharStats({
+        defId: 'TESTCHARACTER',
+        rarity: playerValues.stars,
+        level: playerValues.level,
+        gear: playerValues.gearLevel,
+        equipped: playerValues.gearPieces,
+        relic: playerValues.relicTier ? {currentTier: playerValues.relicTier} : undefined
+      }, {withoutModCalc: true});
+
+      // Round off floating point error, so that a mismatch shows up as a difference in a named stat
+      const byName = (values, keyOf) => Object.entries(appStats).reduce((rounded, [statID, statName]) =>
+        Object.assign(rounded, {[statName]: Math.round((values[keyOf(statID, statName)] || 0) * 1e6) / 1e6}), {}
+      );
+
+      expect(byName(stats.base, (statID, statName) => statName)).toEqual(byName(expected.base, statID => statID));
+      expect(byName(stats.gear, (statID, statName) => statName)).toEqual(byName(expected.gear, statID => statID));
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// @flow
+
+import ModSet from "../domain/ModSet";
+import {modSliceCosts, modSliceMaterials, modUpgradeCosts} from "../constants/modCosts";
+
+/**
+ * Find every way that the mods assigned to each character could be made better by leveling them to 15 or slicing them
+ * to 6-dot, along with how much each upgrade would add to the value of the character's mod set and how many credits
+ * and slicing materials it would cost. A mod that needs to be leveled before it can be sliced gets a separate recommendation for each step,
+ * and the value of slicing it is measured against the leveled mod. Slicing to 6-dot means slicing once for each tier
+ * up to gold, and once more from gold to 6-dot.
+ *
+ * @param modAssignments {Object<String, Array<Mod>>} A map from character ID to the mods assigned to that character
+ * @param characters {Object<String, Character>}
+ * @returns {Array<Object>} Every possible upgrade, as {characterID, mod, upgrade, upgradedMod, valueGain, percentGain,
+ *                          credits, slices, materials}, sorted by the most value gained. materials is a map from the
+ *                          name of each slicing material to how many of it are needed.
+ */
+export default function getUpgradeRecommendations(modAssignments, characters) {
+  const recommendations = [];
+
+  Object.entries(modAssignments).forEach(([characterID, mods]) => {
+    const character = characters[characterID];
+    if (!character || !mods.length) {
+      return;
+    }
+
+    const setValueWith = (mod, upgradedMod) => new ModSet(mods.map(setMod => mod === setMod ? upgradedMod : setMod))
+      .getOptimizationValue(character, false);
+    const currentValue = new ModSet(mods).getOptimizationValue(character, false);
+    const percentOfCurrent = valueGain => 0 < currentValue ? valueGain / currentValue * 100 : 0;
+
+    mods.forEach(mod => {
+      let leveledMod = mod;
+      let leveledValue = currentValue;
+
+      if (15 > mod.level) {
+        leveledMod = mod.levelUp();
+        leveledValue = setValueWith(mod, leveledMod);
+
+        recommendations.push({
+          characterID: characterID,
+          mod: mod,
+          upgrade: 'level',
+          upgradedMod: leveledMod,
+          valueGain: leveledValue - currentValue,
+          percentGain: percentOfCurrent(leveledValue - currentValue),
+          credits: modUpgradeCosts[mod.pips] ? modUpgradeCosts[mod.pips][mod.level] : 0,
+          slices: 0,
+          materials: {}
+        });
+      }
+
+      if (5 === mod.pips) {
+        const slicedMod = leveledMod.slice();
+        const slicedValue = setValueWith(mod, slicedMod);
+        const sliceTiers = Object.keys(modSliceCosts).map(Number).filter(tier => tier >= mod.tier);
+
+        recommendations.push({
+          characterID: characterID,
+          mod: mod,
+          upgrade: 'slice',
+          upgradedMod: slicedMod,
+          valueGain: slicedValue - leveledValue,
+          percentGain: percentOfCurrent(slicedValue - leveledValue),
+          credits: sliceTiers.reduce((credits, tier) => credits + modSliceCosts[tier], 0),
+          slices: sliceTiers.length,
+          materials: sliceTiers.reduce((materials, tier) => {
+            Object.entries(modSliceMaterials[tier]).forEach(([material, count]) =>
+              materials[material] = (materials[material] || 0) + count
+            );
+            return materials;
+          }, {})
+        });
+      }
+    });
+  });
+
+  return recommendations.sort((left, right) => right.valueGain - left.valueGain);
+}
@@ -0,0 +1,91 @@
+import getUpgradeRecommendations from './upgradeRecommendations';
+import Character from "../domain/Character";
+import Mod from "../domain/Mod";
+import OptimizationPlan from "../domain/OptimizationPlan";
+import Stat from "../domain/Stat";
+import {OptimizerSettings, PlayerValues} from "../domain/CharacterDataClasses";
+import setBonuses from "../constants/setbonuses";
+
+const baseStats = {
+  health: 30000,
+  protection: 40000,
+  speed: 100,
+  potency: 50,
+  tenacity: 40,
+  physDmg: 3000,
+  specDmg: 2000,
+  physCritChance: 25,
+  specCritChance: 15,
+  critDmg: 150,
+  armor: 400,
+  resistance: 300,
+  accuracy: 0,
+  critAvoid: 0
+};
+
+function makeCharacter(baseID) {
+  const target = new OptimizationPlan('speed', 0, 0, 100, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0);
+
+  return new Character(
+    baseID,
+    null,
+    null,
+    new PlayerValues(85, 7, 12, [], 20000, baseStats, baseStats),
+    new OptimizerSettings(target, [], 1, false, false)
+  );
+}
+
+describe('getUpgradeRecommendations', () => {
+  // A level 1 arrow with a speed primary gains 13 speed from leveling, then 3 more from slicing. A square that's
+  // already level 15 can only be sliced, for 1 more speed. A 6-dot mod can't be upgraded at all.
+  const arrow = new Mod('arrow', 'arrow', setBonuses['health'], 1, 5, new Stat('Speed', '+17'),
+    [new Stat('Speed', '+10')], 'A', 4);
+  const square = new Mod('square', 'square', setBonuses['defense'], 15, 5, new Stat('Offense %', '5.88%'),
+    [new Stat('Speed', '+10')], 'A', 1);
+  const diamond = new Mod('diamond', 'diamond', setBonuses['defense'], 15, 6, new Stat('Defense %', '20%'),
+    [new Stat('Speed', '+11')], 'A', 1);
+
+  const recommendations = getUpgradeRecommendations({A: [arrow, square, diamond]}, {A: makeCharacter('A')});
+
+  it('sorts leveling and slicing together by how much value they add', () => {
+    expect(recommendations.map(({mod, upgrade}) => [mod.id, upgrade])).toEqual([
+      ['arrow', 'level'],
+      ['arrow', 'slice'],
+      ['square', 'slice']
+    ]);
+  });
+
+  it('measures the value of slicing a mod against the leveled mod', () => {
+    const [level, slice, squareSlice] = recommendations;
+
+    expect(slice.upgradedMod.level).toBe(15);
+    expect(slice.upgradedMod.pips).toBe(6);
+    expect(slice.valueGain).toBeCloseTo(level.valueGain * 3 / 13);
+    expect(squareSlice.valueGain).toBeCloseTo(level.valueGain / 13);
+  });
+
+  it('counts the credits and slices that each upgrade costs', () => {
+    expect(recommendations.map(({credits, slices}) => [credits, slices])).toEqual([
+      // Leveling a 5-dot mod from 1 to 15
+      [248400, 0],
+      // Slicing from tier 4 (purple) to gold, then to 6-dot
+      [90000 + 200000, 2],
+      // Slicing from tier 1 (gray) through every tier, then to 6-dot
+      [18000 + 36000 + 63000 + 90000 + 200000, 5]
+    ]);
+  });
+
+  it('adds up the slicing materials for every slice that an upgrade takes', () => {
+    expect(recommendations.map(({materials}) => materials)).toEqual([
+      {},
+      {'Blue Mod Salvage': 25, 'Purple Mod Salvage': 10 + 50, 'Gold Mod Salvage': 20},
+      {
+        'Gray Mod Salvage': 10 + 15,
+        'Green Mod Salvage': 10 + 20,
+        'Blue Mod Salvage': 10 + 25,
+        'Purple Mod Salvage': 10 + 50,
+        'Gold Mod Salvage': 20
+      }
+    ]);
+  });
+});
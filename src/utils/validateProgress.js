@@ -0,0 +1,272 @@
+// @flow
+
+import Ajv from "ajv";
+import {
+  gameSettingsSchema,
+  lastRunSchema,
+  legacyModSchema,
+  legacyProfileSchema,
+  legacyProgressFileSchema,
+  loadoutSchema,
+  modSchema,
+  profileSchema,
+  progressFileSchema,
+  sharedProfileFileSchema,
+  snapshotSchema
+} from "../constants/progressSchemas";
+
+const ajv = new Ajv({allErrors: true});
+
+const validators = {
+  progressFile: ajv.compile(progressFileSchema),
+  legacyProgressFile: ajv.compile(legacyProgressFileSchema),
+  sharedProfileFile: ajv.compile(sharedProfileFileSchema),
+  profile: ajv.compile(profileSchema),
+  legacyProfile: ajv.compile(legacyProfileSchema),
+  mod: ajv.compile(modSchema),
+  legacyMod: ajv.compile(legacyModSchema),
+  gameSettings: ajv.compile(gameSettingsSchema),
+  lastRun: ajv.compile(lastRunSchema),
+  loadout: ajv.compile(loadoutSchema),
+  snapshot: ajv.compile(snapshotSchema)
+};
+
+/**
+ * Check a value against one of the schemas
+ *
+ * @param validatorName {string}
+ * @param value {*}
+ * @returns {Array<string>} A readable message for every problem that was found
+ */
+function schemaErrors(validatorName, value) {
+  const validate = validators[validatorName];
+  if (validate(value)) {
+    return [];
+  }
+
+  return validate.errors.map(({dataPath, message}) => dataPath ? `${dataPath.replace(/^\./, '')} ${message}` : message);
+}
+
+/**
+ * Check every entry in a list, and split the list into the entries that can be imported and a description of the ones
+ * that can't
+ *
+ * @param entries {Array<Object>}
+ * @param validatorName {string}
+ * @param idKey {string} The property that identifies each entry in the report
+ * @returns {{valid: Array<Object>, invalid: Array<{index: number, id: string|null, errors: Array<string>}>}}
+ */
+function splitEntries(entries, validatorName, idKey) {
+  const valid = [];
+  const invalid = [];
+
+  entries.forEach((entry, index) => {
+    const errors = schemaErrors(validatorName, entry);
+    if (errors.length) {
+      invalid.push({index: index, id: 'string' === typeof entry[idKey] ? entry[idKey] : null, errors: errors});
+    } else {
+      valid.push(entry);
+    }
+  });
+
+  return {valid: valid, invalid: invalid};
+}
+
+/**
+ * Check a single profile and its mods. A profile that's broken is left out completely, but a profile that only has a
+ * few broken mods is imported without them.
+ *
+ * @param profile {Object}
+ * @param allyCode {string}
+ * @param isLegacy {boolean}
+ * @returns {{profile: Object|null, report: Object}}
+ */
+function validateProfile(profile, allyCode, isLegacy) {
+  const errors = schemaErrors(isLegacy ? 'legacyProfile' : 'profile', profile);
+
+  // Older profiles only list the IDs of the selected characters, and take their targets from the characters themselves
+  if (!errors.length && isLegacy) {
+    profile.selectedCharacters.forEach((characterID, index) => {
+      if ('string' === typeof characterID &&
+        !(profile.characters[characterID] && profile.characters[characterID].optimizerSettings)) {
+        errors.push(`selectedCharacters[${index}] is "${characterID}", which isn't one of the profile's characters`);
+      }
+    });
+  }
+
+  const report = {
+    allyCode: allyCode,
+    playerName: profile.playerName || null,
+    imported: !errors.length,
+    errors: errors,
+    modCount: 0,
+    invalidMods: []
+  };
+
+  if (errors.length) {
+    return {profile: null, report: report};
+  }
+
+  const mods = splitEntries(profile.mods, isLegacy ? 'legacyMod' : 'mod', 'mod_uid');
+  report.modCount = mods.valid.length;
+  report.invalidMods = mods.invalid;
+
+  return {profile: Object.assign({}, profile, {mods: mods.valid}), report: report};
+}
+
+/**
+ * Start a report with nothing imported yet
+ *
+ * @returns {Object}
+ */
+function emptyReport() {
+  return {
+    errors: [],
+    profiles: [],
+    gameSettings: {imported: 0, invalid: []},
+    lastRuns: {imported: 0, invalid: []},
+    loadouts: {imported: 0, invalid: []},
+    snapshots: {imported: 0, invalid: []}
+  };
+}
+
+/**
+ * Check that the contents of a file are an object, rather than a list or a single value
+ *
+ * @param fileContents {*}
+ * @returns {boolean}
+ */
+function isObject(fileContents) {
+  return null !== fileContents && 'object' === typeof fileContents && !Array.isArray(fileContents);
+}
+
+/**
+ * Check a file made by "Save my progress" before any of it is imported. This works for both the current format, which
+ * comes from Database.export, and the older format that saved the whole app state.
+ *
+ * @param fileContents {*} The parsed contents of the file
+ * @returns {{isLegacy: boolean, progress: Object|null, report: Object}} The parts of the file that can be imported,
+ *   in the same format as the file, and a report of exactly what was and wasn't imported. If report.errors isn't
+ *   empty, then nothing in the file could be used.
+ */
+export default function validateProgress(fileContents) {
+  const report = emptyReport();
+
+  if (!isObject(fileContents)) {
+    report.errors.push('The file doesn\'t contain any saved progress');
+    return {isLegacy: false, progress: null, report: report};
+  }
+
+  const isLegacy = !(fileContents.version > '1.4' && fileContents.version !== 'develop');
+  report.errors = schemaErrors(isLegacy ? 'legacyProgressFile' : 'progressFile', fileContents);
+  if (report.errors.length) {
+    return {isLegacy: isLegacy, progress: null, report: report};
+  }
+
+  const profileEntries = isLegacy ?
+    Object.entries(fileContents.profiles) :
+    fileContents.profiles.map((profile, index) =>
+      ['string' === typeof profile.allyCode ? profile.allyCode : `Profile ${index + 1}`, profile]
+    );
+  const profiles = [];
+
+  profileEntries.forEach(([allyCode, profile]) => {
+    const result = validateProfile(profile, allyCode, isLegacy);
+    report.profiles.push(result.report);
+    if (result.profile) {
+      profiles.push([allyCode, result.profile]);
+    }
+  });
+
+  const importedAllyCodes = profiles.map(([allyCode]) => allyCode);
+  const allyCode = importedAllyCodes.includes(fileContents.allyCode) ?
+    fileContents.allyCode :
+    importedAllyCodes[0] || null;
+
+  if (isLegacy) {
+    return {
+      isLegacy: true,
+      progress: Object.assign({}, fileContents, {
+        allyCode: allyCode,
+        profiles: profiles.reduce((profilesObject, [allyCode, profile]) =>
+          Object.assign(profilesObject, {[allyCode]: profile}), {}
+        )
+      }),
+      report: report
+    };
+  }
+
+  const gameSettings = splitEntries(fileContents.gameSettings, 'gameSettings', 'baseID');
+  const lastRuns = splitEntries(fileContents.lastRuns, 'lastRun', 'allyCode');
+  const loadouts = splitEntries(fileContents.loadouts || [], 'loadout', 'key');
+  const snapshots = splitEntries(fileContents.snapshots || [], 'snapshot', 'key');
+  report.gameSettings = {imported: gameSettings.valid.length, invalid: gameSettings.invalid};
+  report.lastRuns = {imported: lastRuns.valid.length, invalid: lastRuns.invalid};
+  report.loadouts = {imported: loadouts.valid.length, invalid: loadouts.invalid};
+  report.snapshots = {imported: snapshots.valid.length, invalid: snapshots.invalid};
+
+  return {
+    isLegacy: false,
+    progress: Object.assign({}, fileContents, {
+      allyCode: allyCode,
+      profiles: profiles.map(([, profile]) => profile),
+      gameSettings: gameSettings.valid,
+      lastRuns: lastRuns.valid,
+      loadouts: loadouts.valid,
+      snapshots: snapshots.valid
+    }),
+    report: report
+  };
+}
+
+/**
+ * Check a file made by "Export this profile" before any of it is imported. Unlike a full progress file, there's only
+ * one profile, so if the profile itself is broken then nothing can be imported.
+ *
+ * @param fileContents {*} The parsed contents of the file
+ * @returns {{sharedProfile: Object|null, report: Object}} The parts of the file that can be imported, in the same
+ *   format as the file, and a report in the same format as validateProgress gives
+ */
+export function validateSharedProfile(fileContents) {
+  const report = emptyReport();
+
+  if (!isObject(fileContents)) {
+    report.errors.push('The file doesn\'t contain a profile');
+    return {sharedProfile: null, report: report};
+  }
+
+  report.errors = schemaErrors('sharedProfileFile', fileContents);
+  if (report.errors.length) {
+    return {sharedProfile: null, report: report};
+  }
+
+  const allyCode = 'string' === typeof fileContents.profile.allyCode ? fileContents.profile.allyCode : 'Profile';
+  const result = validateProfile(fileContents.profile, allyCode, false);
+  report.profiles.push(result.report);
+  if (!result.profile) {
+    report.errors.push('The profile in the file isn\'t valid');
+    return {sharedProfile: null, report: report};
+  }
+
+  const gameSettings = splitEntries(fileContents.gameSettings, 'gameSettings', 'baseID');
+  const lastRuns = splitEntries(
+    fileContents.lastRun ? [fileContents.lastRun] : [],
+    'lastRun',
+    'allyCode'
+  );
+  const lastRun = lastRuns.valid.find(({allyCode}) => allyCode === result.profile.allyCode) || null;
+  if (lastRuns.valid.length && !lastRun) {
+    lastRuns.invalid.push({index: 0, id: lastRuns.valid[0].allyCode, errors: ['allyCode doesn\'t match the profile']});
+  }
+  report.gameSettings = {imported: gameSettings.valid.length, invalid: gameSettings.invalid};
+  report.lastRuns = {imported: lastRun ? 1 : 0, invalid: lastRuns.invalid};
+
+  return {
+    sharedProfile: Object.assign({}, fileContents, {
+      profile: result.profile,
+      lastRun: lastRun,
+      gameSettings: gameSettings.valid
+    }),
+    report: report
+  };
+}
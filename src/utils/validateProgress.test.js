@@ -0,0 +1,185 @@
+import validateProgress, {validateSharedProfile} from './validateProgress';
+
+const mod = (id, changes = {}) => Object.assign({
+  mod_uid: id,
+  slot: 'square',
+  set: 'speed',
+  level: 15,
+  pips: 5,
+  tier: 5,
+  characterID: 'BASTILASHAN',
+  primaryBonusType: 'Offense %',
+  primaryBonusValue: '+5.88%',
+  secondaryType_1: 'Speed',
+  secondaryValue_1: '+15',
+  secondaryRoll_1: 3
+}, changes);
+
+const profile = (allyCode, mods) => ({
+  allyCode: allyCode,
+  playerName: 'Player',
+  characters: {
+    BASTILASHAN: {baseID: 'BASTILASHAN', playerValues: {}, optimizerSettings: {target: {}}}
+  },
+  mods: mods,
+  selectedCharacters: [{id: 'BASTILASHAN', target: {name: 'Speed'}}],
+  modAssignments: [],
+  globalSettings: {}
+});
+
+describe('validateProgress', () => {
+  it('imports everything from a valid file', () => {
+    const file = {
+      version: '1.5.2',
+      allyCode: '123456789',
+      profiles: [profile('123456789', [mod('m1'), mod('m2', {slot: 'arrow'})])],
+      gameSettings: [{baseID: 'BASTILASHAN', name: 'Bastila Shan', avatarUrl: '', tags: [], description: ''}],
+      lastRuns: [{allyCode: '123456789', characters: {}, mods: [], selectedCharacters: [], modChangeThreshold: 0}],
+      loadouts: [{
+        key: '123456789:Arena',
+        allyCode: '123456789',
+        name: 'Arena',
+        selectedCharacters: [{id: 'BASTILASHAN', target: {name: 'Speed'}}],
+        modAssignments: {BASTILASHAN: ['m1']}
+      }],
+      snapshots: [
+        {key: '123456789:1500000000000', allyCode: '123456789', timestamp: 1500000000000, mods: [], speeds: {}}
+      ]
+    };
+    const {isLegacy, progress, report} = validateProgress(file);
+
+    expect(isLegacy).toBe(false);
+    expect(progress).toEqual(file);
+    expect(report.errors).toEqual([]);
+    expect(report.profiles).toEqual([{
+      allyCode: '123456789',
+      playerName: 'Player',
+      imported: true,
+      errors: [],
+      modCount: 2,
+      invalidMods: []
+    }]);
+    expect(report.gameSettings).toEqual({imported: 1, invalid: []});
+    expect(report.lastRuns).toEqual({imported: 1, invalid: []});
+    expect(report.loadouts).toEqual({imported: 1, invalid: []});
+    expect(report.snapshots).toEqual({imported: 1, invalid: []});
+  });
+
+  it('leaves out broken profiles and mods, and reports where each problem is', () => {
+    const file = {
+      version: '1.5.2',
+      allyCode: '987654321',
+      profiles: [
+        profile('123456789', [mod('m1'), mod('m2', {level: 16, slot: 'hexagon'}), mod('m3', {pips: '5'})]),
+        Object.assign(profile('987654321', []), {characters: null})
+      ],
+      gameSettings: [{baseID: 'BASTILASHAN'}],
+      lastRuns: [],
+      loadouts: [{key: '123456789:Arena', allyCode: '123456789', name: '', selectedCharacters: []}]
+    };
+    const {progress, report} = validateProgress(file);
+
+    expect(progress.allyCode).toEqual('123456789');
+    expect(progress.profiles.map(({allyCode}) => allyCode)).toEqual(['123456789']);
+    expect(progress.profiles[0].mods.map(({mod_uid}) => mod_uid)).toEqual(['m1']);
+    expect(file.profiles[0].mods).toHaveLength(3);
+    expect(progress.gameSettings).toEqual([]);
+
+    expect(report.profiles[0].modCount).toEqual(1);
+    expect(report.profiles[0].invalidMods).toEqual([
+      {index: 1, id: 'm2', errors: ['slot should be equal to one of the allowed values', 'level should be <= 15']},
+      {index: 2, id: 'm3', errors: ['pips should be integer']}
+    ]);
+    expect(report.profiles[1]).toMatchObject({
+      allyCode: '987654321',
+      imported: false,
+      errors: ['characters should be object']
+    });
+    expect(report.gameSettings.invalid).toEqual([
+      {index: 0, id: 'BASTILASHAN', errors: ['should have required property \'name\'']}
+    ]);
+    expect(progress.loadouts).toEqual([]);
+    expect(report.loadouts.invalid).toEqual([
+      {index: 0, id: '123456789:Arena', errors: ['name should NOT be shorter than 1 characters']}
+    ]);
+    // Files saved before loadouts and snapshots were exported don't have either of them
+    expect(progress.snapshots).toEqual([]);
+    expect(report.snapshots).toEqual({imported: 0, invalid: []});
+  });
+
+  it('checks older files that keep profiles by ally code', () => {
+    const oldProfile = (selectedCharacters, mods) => ({
+      characters: {BASTILASHAN: {baseID: 'BASTILASHAN', optimizerSettings: {target: {}}}},
+      mods: mods,
+      selectedCharacters: selectedCharacters,
+      modAssignments: {}
+    });
+    const file = {
+      version: '1.3.2',
+      allyCode: '111111111',
+      profiles: {
+        '111111111': oldProfile(['BASTILASHAN', 'NOBODY'], []),
+        '222222222': oldProfile(['BASTILASHAN'], [mod('m1', {slot: 'Square', level: '15'}), {mod_uid: 'm2'}])
+      }
+    };
+    const {isLegacy, progress, report} = validateProgress(file);
+
+    expect(isLegacy).toBe(true);
+    expect(progress.allyCode).toEqual('222222222');
+    expect(Object.keys(progress.profiles)).toEqual(['222222222']);
+    expect(progress.profiles['222222222'].mods).toHaveLength(1);
+    expect(report.profiles[0].errors).toEqual([
+      'selectedCharacters[1] is "NOBODY", which isn\'t one of the profile\'s characters'
+    ]);
+    expect(report.profiles[1].invalidMods.map(({id}) => id)).toEqual(['m2']);
+  });
+
+  it('rejects files that are not saved progress', () => {
+    expect(validateProgress([1, 2, 3]).report.errors).toEqual(['The file doesn\'t contain any saved progress']);
+
+    const {progress, report} = validateProgress({version: '1.5.2', profiles: []});
+    expect(progress).toBeNull();
+    expect(report.errors).toEqual([
+      'should have required property \'gameSettings\'',
+      'should have required property \'lastRuns\''
+    ]);
+  });
+});
+
+describe('validateSharedProfile', () => {
+  it('keeps the profile and only the parts of the file that go with it', () => {
+    const file = {
+      version: '1.5.2',
+      profile: profile('123456789', [mod('m1'), mod('m2', {pips: 7})]),
+      lastRun: {allyCode: '987654321'},
+      gameSettings: [{baseID: 'BASTILASHAN', name: 'Bastila Shan'}, {name: 'Nobody'}]
+    };
+    const {sharedProfile, report} = validateSharedProfile(file);
+
+    expect(sharedProfile.profile.mods.map(({mod_uid}) => mod_uid)).toEqual(['m1']);
+    expect(sharedProfile.lastRun).toBeNull();
+    expect(sharedProfile.gameSettings).toEqual([{baseID: 'BASTILASHAN', name: 'Bastila Shan'}]);
+    expect(report.profiles[0].invalidMods).toEqual([{index: 1, id: 'm2', errors: ['pips should be <= 6']}]);
+    expect(report.lastRuns.invalid).toEqual([
+      {index: 0, id: '987654321', errors: ['allyCode doesn\'t match the profile']}
+    ]);
+    expect(report.gameSettings.invalid).toEqual([
+      {index: 1, id: null, errors: ['should have required property \'baseID\'']}
+    ]);
+  });
+
+  it('imports nothing if the profile is broken', () => {
+    const {sharedProfile, report} = validateSharedProfile({
+      version: '1.5.2',
+      profile: Object.assign(profile('12345', []), {selectedCharacters: ['BASTILASHAN']}),
+      gameSettings: []
+    });
+
+    expect(sharedProfile).toBeNull();
+    expect(report.errors).toEqual(['The profile in the file isn\'t valid']);
+    expect(report.profiles[0].errors).toEqual([
+      'allyCode should match pattern "^\\d{9}$"',
+      'selectedCharacters[0] should be object'
+    ]);
+  });
+});
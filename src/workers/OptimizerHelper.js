@@ -0,0 +1,51 @@
+// @flow
+
+import {deserializeProfile, findBestModSetForCharacter} from "../utils/optimizer";
+import Mod from "../domain/Mod";
+
+/**
+ * The work done by one helper in an OptimizerPool. A helper is given the full profile once, and then searches its own
+ * partition of the candidate mod sets for one character at a time.
+ */
+export default class OptimizerHelper {
+  mods;
+  characters;
+
+  /**
+   * @param profile {Object} A serialized PlayerProfile
+   */
+  constructor(profile) {
+    this.mods = {};
+    profile.mods.map(Mod.deserialize).forEach(mod => this.mods[mod.id] = mod);
+    this.characters = deserializeProfile(profile, {}).characters;
+  }
+
+  /**
+   * Find the best mod set for one character in this helper's partition of the candidate mod sets. The target is sent
+   * with every request rather than taken from the profile, since it can change as the optimizer runs - relative
+   * target stats are only made absolute once the characters they're measured from have their mods.
+   *
+   * @param characterID {string}
+   * @param target {Object} The deserialized target to optimize the character for
+   * @param modIDs {Array<string>} The mods that are still available for this character
+   * @param partition {{index: Number, count: Number}}
+   * @returns {{modSet: Array<string>|null, messages: Array<String>, candidateIndex: Number, targetStatsKept: Number}}
+   */
+  findBestModSet(characterID, target, modIDs, partition) {
+    const character = this.characters[characterID];
+    const {modSet, messages, candidateIndex, targetStatsKept} = findBestModSetForCharacter(
+      modIDs.map(id => this.mods[id]),
+      Object.assign({}, character, {
+        optimizerSettings: Object.assign({}, character.optimizerSettings, {target: target})
+      }),
+      partition
+    );
+
+    return {
+      modSet: modSet ? modSet.map(mod => mod.id) : null,
+      messages: messages,
+      candidateIndex: candidateIndex,
+      targetStatsKept: targetStatsKept
+    };
+  }
+}
@@ -0,0 +1,105 @@
+// @flow
+/* eslint-disable no-restricted-globals */
+
+import {chooseBestModSetResult} from "../utils/optimizer";
+
+/**
+ * A pool of helper workers that split up the search for the best mod set for a single character. Every helper is
+ * another copy of the optimizer worker, and is given the full profile once. For each character, every helper scores
+ * its own partition of the candidate mod sets, and the best of their results is chosen, so the result is the same as
+ * if the search were done by a single worker.
+ */
+export default class OptimizerPool {
+  workers;
+  onProgress;
+
+  /**
+   * @param size {Number} The number of helper workers to start
+   * @param profile {Object} A serialized PlayerProfile, exactly as it's stored in the database
+   * @param onProgress {function(Object, string, Number)} Called with the combined progress of all of the helpers
+   */
+  constructor(size, profile, onProgress) {
+    this.onProgress = onProgress;
+    this.workers = [];
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(self.location.href);
+      worker.postMessage({
+        type: 'Init',
+        profile: profile
+      });
+      this.workers.push(worker);
+    }
+  }
+
+  /**
+   * The number of helper workers that can usefully run at once - one for each processor, if helpers can be started
+   * from inside of a worker at all
+   *
+   * @returns {Number}
+   */
+  static availableConcurrency() {
+    if ('undefined' === typeof Worker || !self.navigator || !self.navigator.hardwareConcurrency) {
+      return 1;
+    }
+
+    return self.navigator.hardwareConcurrency;
+  }
+
+  /**
+   * Find the best mod set for a character, using every helper in the pool
+   *
+   * @param mods {Array<Mod>} The mods that are available to be used for this character
+   * @param character {Object} The character to find mods for
+   * @returns {Promise<{modSet: Array<Mod>, messages: Array<String>, candidateIndex: Number, targetStatsKept: Number}>}
+   */
+  findBestModSet(mods, character) {
+    const modsById = {};
+    mods.forEach(mod => modsById[mod.id] = mod);
+    const modIDs = mods.map(mod => mod.id);
+    const progress = this.workers.map(() => 0);
+
+    return Promise.all(this.workers.map((worker, index) => new Promise((resolve, reject) => {
+      worker.onmessage = message => {
+        switch (message.data.type) {
+          case 'Progress':
+            progress[index] = message.data.progress;
+            this.onProgress(
+              character,
+              message.data.step,
+              progress.reduce((total, workerProgress) => total + workerProgress, 0) / progress.length
+            );
+            break;
+          case 'BestModSet':
+            resolve({
+              modSet: message.data.modSet ? message.data.modSet.map(id => modsById[id]) : null,
+              messages: message.data.messages,
+              candidateIndex: message.data.candidateIndex,
+              targetStatsKept: message.data.targetStatsKept
+            });
+            break;
+          default: // Do nothing
+        }
+      };
+
+      worker.onerror = event => {
+        event.preventDefault();
+        reject(new Error(event.message));
+      };
+
+      worker.postMessage({
+        type: 'FindBestModSet',
+        characterID: character.baseID,
+        // The target can differ from the one in the profile the helpers were given, once relative target stats have
+        // been made absolute
+        target: character.optimizerSettings.target,
+        modIDs: modIDs,
+        partition: {index: index, count: this.workers.length}
+      });
+    }))).then(results => chooseBestModSetResult(results, character));
+  }
+
+  terminate() {
+    this.workers.forEach(worker => worker.terminate());
+  }
+}
@@ -0,0 +1,148 @@
+import OptimizerPool from './OptimizerPool';
+import OptimizerHelper from './OptimizerHelper';
+import {
+  deserializeTarget,
+  findBestModSetForCharacter,
+  optimizeMods,
+  optimizeModsInParallel
+} from '../utils/optimizer';
+import Mod from "../domain/Mod";
+import Stat from "../domain/Stat";
+import ModSet from "../domain/ModSet";
+import OptimizationPlan from "../domain/OptimizationPlan";
+import TargetStat from "../domain/TargetStat";
+import setBonuses from "../constants/setbonuses";
+
+const baseStats = {
+  health: 30000,
+  protection: 40000,
+  speed: 100,
+  potency: 50,
+  tenacity: 40,
+  physDmg: 3000,
+  specDmg: 2000,
+  physCritChance: 25,
+  specCritChance: 15,
+  critDmg: 150,
+  armor: 400,
+  resistance: 300,
+  accuracy: 0,
+  critAvoid: 0
+};
+
+/**
+ * Stands in for a helper worker by running an OptimizerHelper in this thread. Messages are copied through JSON, the
+ * same way that they'd be copied between workers.
+ */
+class FakeWorker {
+  helper = null;
+
+  postMessage(data) {
+    const message = JSON.parse(JSON.stringify(data));
+
+    if ('Init' === message.type) {
+      this.helper = new OptimizerHelper(message.profile);
+    } else {
+      const result = this.helper.findBestModSet(message.characterID, message.target, message.modIDs, message.partition);
+      setTimeout(() => this.onmessage({data: JSON.parse(JSON.stringify(Object.assign({type: 'BestModSet'}, result)))}));
+    }
+  }
+
+  terminate() {
+  }
+}
+
+function makeModSet(prefix, speed) {
+  const primary = new Stat('Offense %', '5.88%');
+  return ModSet.slots.map(slot =>
+    new Mod(`${prefix}-${slot}`, slot, setBonuses.health, 15, 5, primary, [new Stat('Speed', `+${speed}`)])
+  );
+}
+
+function makeCharacter(baseID, target) {
+  return {
+    baseID: baseID,
+    playerValues: {gearLevel: 12, baseStats: baseStats, equippedStats: baseStats},
+    optimizerSettings: {target: deserializeTarget(target), minimumModDots: 1, sliceMods: false, isLocked: false}
+  };
+}
+
+describe('OptimizerPool', () => {
+  const originalWorker = global.Worker;
+
+  beforeAll(() => global.Worker = FakeWorker);
+  afterAll(() => global.Worker = originalWorker);
+
+  it('searches for a relative target stat from the other character\'s final stats', async () => {
+    const speedOf = modIDs => modIDs.reduce(
+      (speed, modID) => speed + (modID.startsWith('fast') ? 10 : modID.startsWith('medium') ? 5 : 2),
+      baseStats.speed
+    );
+    const mods = makeModSet('fast', 10).concat(makeModSet('medium', 5)).concat(makeModSet('slow', 2));
+    const relativePlan = new OptimizationPlan(
+      'relative', 0, 0, 100, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, true, {}, {}, [new TargetStat('Speed', -50, -40, 'A')]
+    );
+    const characters = {
+      A: makeCharacter('A', new OptimizationPlan('speed', 0, 0, 100)),
+      B: makeCharacter('B', relativePlan)
+    };
+    const profile = JSON.parse(JSON.stringify({
+      mods: mods.map(mod => mod.serialize()),
+      characters: characters,
+      selectedCharacters: [{id: 'A', target: null}, {id: 'B', target: null}],
+      globalSettings: {lockUnselectedCharacters: false}
+    }));
+
+    const pool = new OptimizerPool(2, profile, () => null);
+    const {assignedSets} = await optimizeModsInParallel(
+      mods.slice(), characters, ['A', 'B'], 0, false, {}, (mods, character) => pool.findBestModSet(mods, character)
+    );
+    pool.terminate();
+
+    expect(speedOf(assignedSets.A)).toBe(160);
+    expect(speedOf(assignedSets.B)).toBeGreaterThanOrEqual(110);
+    expect(speedOf(assignedSets.B)).toBeLessThanOrEqual(120);
+    expect(assignedSets).toEqual(optimizeMods(mods.slice(), characters, ['A', 'B'], 0, false, {}).assignedSets);
+  });
+
+  it('keeps both target stats when only one partition can meet them together', async () => {
+    // The healthy mods are the best in every slot, so only the one set that fills the other four slots with sturdy
+    // and potent mods has a single health set. That set lands in only one of the two partitions.
+    const primary = new Stat('Offense %', '5.88%');
+    const mods = [].concat(...ModSet.slots.map(slot => {
+      const slotMods = [new Mod(`healthy-${slot}`, slot, setBonuses.health, 15, 5, primary,
+        [new Stat('Speed', '+5'), new Stat('Protection', '+1000')])];
+      if (['square', 'arrow'].includes(slot)) {
+        slotMods.push(new Mod(`sturdy-${slot}`, slot, setBonuses.defense, 15, 5, primary,
+          [new Stat('Speed', '+5'), new Stat('Protection', '+100')]));
+      }
+      if (['diamond', 'triangle'].includes(slot)) {
+        slotMods.push(new Mod(`potent-${slot}`, slot, setBonuses.potency, 15, 5, primary,
+          [new Stat('Speed', '+5'), new Stat('Protection', '+100')]));
+      }
+      return slotMods;
+    }));
+    const character = makeCharacter('A', new OptimizationPlan(
+      'targets', 100, 1, 10, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, true, {}, {},
+      [new TargetStat('Speed', 130, 130), new TargetStat('Health', 33000, 33500)]
+    ));
+    const profile = JSON.parse(JSON.stringify({
+      mods: mods.map(mod => mod.serialize()),
+      characters: {A: character},
+      selectedCharacters: [{id: 'A', target: null}],
+      globalSettings: {lockUnselectedCharacters: false}
+    }));
+
+    const partitionResults = [0, 1].map(index => findBestModSetForCharacter(mods, character, {index: index, count: 2}));
+    expect(partitionResults.map(result => result.targetStatsKept).sort()).toEqual([1, 2]);
+
+    const pool = new OptimizerPool(2, profile, () => null);
+    const {modSet, messages, targetStatsKept} = await pool.findBestModSet(mods, character);
+    pool.terminate();
+
+    expect(modSet.map(mod => mod.id.split('-')[0]).sort())
+      .toEqual(['healthy', 'healthy', 'potent', 'potent', 'sturdy', 'sturdy']);
+    expect(messages).toEqual([]);
+    expect(targetStatsKept).toBe(2);
+  });
+});
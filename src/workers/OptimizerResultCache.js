@@ -0,0 +1,99 @@
+// @flow
+
+/**
+ * The best mod sets found for one player's characters, as stored in the `optimizerResults` object store. Each entry is
+ * keyed by modSetResultKey, so a result can be reused whenever a character is optimized with the same plan, stats,
+ * settings and available mods as before - even in a different position, or in a later session.
+ *
+ * Entries are read from the database all at once before the optimizer runs, so that they can be looked up while it's
+ * running, and only the entries that were added or used are written back afterwards.
+ */
+export default class OptimizerResultCache {
+  allyCode;
+  entries;
+  changedKeys;
+
+  /**
+   * @param allyCode {string}
+   * @param entries {Array<Object>} Everything in the optimizerResults store for this player
+   */
+  constructor(allyCode, entries = []) {
+    this.allyCode = allyCode;
+    this.entries = new Map(entries.map(entry => [entry.hash, entry]));
+    this.changedKeys = new Set();
+  }
+
+  /**
+   * @param hash {string}
+   * @returns {{modSet: Array<string>, messages: Array<string>}|null}
+   */
+  get(hash) {
+    const entry = this.entries.get(hash);
+    if (!entry) {
+      return null;
+    }
+
+    entry.lastUsed = Date.now();
+    this.changedKeys.add(hash);
+    return {
+      modSet: entry.modSet,
+      messages: entry.messages
+    };
+  }
+
+  /**
+   * @param hash {string}
+   * @param result {{modSet: Array<string>, messages: Array<string>}}
+   */
+  set(hash, result) {
+    this.entries.set(hash, {
+      key: `${this.allyCode}:${hash}`,
+      allyCode: this.allyCode,
+      hash: hash,
+      modSet: result.modSet,
+      messages: result.messages,
+      lastUsed: Date.now()
+    });
+    this.changedKeys.add(hash);
+  }
+
+  /**
+   * Write every new or used entry to the database, and delete the least recently used entries if there are more than
+   * maxEntries
+   *
+   * @param db {IDBDatabase}
+   * @param onsuccess {function()}
+   * @param onerror {function(error)}
+   */
+  save(db, onsuccess, onerror) {
+    const saveResultsRequest = db.transaction(['optimizerResults'], 'readwrite');
+    const store = saveResultsRequest.objectStore('optimizerResults');
+
+    saveResultsRequest.onerror = function(event) {
+      onerror(event.target.error);
+    };
+
+    saveResultsRequest.oncomplete = function() {
+      onsuccess();
+    };
+
+    const expiredEntries = Array.from(this.entries.values())
+      .sort((left, right) => right.lastUsed - left.lastUsed)
+      .slice(OptimizerResultCache.maxEntries);
+
+    expiredEntries.forEach(entry => {
+      store.delete(entry.key);
+      this.entries.delete(entry.hash);
+    });
+
+    this.changedKeys.forEach(hash => {
+      if (this.entries.has(hash)) {
+        store.put(this.entries.get(hash));
+      }
+    });
+    this.changedKeys.clear();
+  }
+}
+
+// The most results to keep for a single player. The least recently used results are dropped first.
+OptimizerResultCache.maxEntries = 1000;
@@ -0,0 +1,164 @@
+import OptimizerResultCache from './OptimizerResultCache';
+import getDatabase from '../state/storage/Database';
+import fakeIndexedDB, {FakeKeyRange} from '../state/storage/fixtures/fakeIndexedDB';
+import {deserializeTarget, modSetResultKey} from '../utils/optimizer';
+import Mod from "../domain/Mod";
+import Stat from "../domain/Stat";
+import ModSet from "../domain/ModSet";
+import OptimizationPlan from "../domain/OptimizationPlan";
+import setBonuses from "../constants/setbonuses";
+
+const baseStats = {
+  health: 30000,
+  protection: 40000,
+  speed: 100,
+  potency: 50,
+  tenacity: 40,
+  physDmg: 3000,
+  specDmg: 2000,
+  physCritChance: 25,
+  specCritChance: 15,
+  critDmg: 150,
+  armor: 400,
+  resistance: 300,
+  accuracy: 0,
+  critAvoid: 0
+};
+
+function makeModSet(prefix, speed) {
+  const primary = new Stat('Offense %', '5.88%');
+  return ModSet.slots.map(slot =>
+    new Mod(`${prefix}-${slot}`, slot, setBonuses.health, 15, 5, primary, [new Stat('Speed', `+${speed}`)])
+  );
+}
+
+function makeCharacter(baseID, target, equippedStats = baseStats) {
+  return {
+    baseID: baseID,
+    playerValues: {gearLevel: 12, baseStats: baseStats, equippedStats: equippedStats},
+    optimizerSettings: {target: deserializeTarget(target), minimumModDots: 1, sliceMods: false, isLocked: false}
+  };
+}
+
+function makeEntry(allyCode, hash, lastUsed) {
+  return {
+    key: `${allyCode}:${hash}`,
+    allyCode: allyCode,
+    hash: hash,
+    modSet: [`${hash}-square`],
+    messages: [],
+    lastUsed: lastUsed
+  };
+}
+
+// Read everything in the optimizerResults store for a player, the same way that the optimizer worker does
+const readEntries = (db, allyCode) => new Promise(resolve => {
+  const request = db.transaction(['optimizerResults']).objectStore('optimizerResults')
+    .index('allyCode')
+    .getAll(allyCode);
+  request.onsuccess = event => resolve(event.target.result);
+});
+
+const saveCache = (db, cache) => new Promise((resolve, reject) => cache.save(db, resolve, reject));
+
+describe('modSetResultKey', () => {
+  const speedPlan = new OptimizationPlan('speed', 0, 0, 100);
+
+  it('is the same for the same inputs, even if they are different objects', () => {
+    expect(modSetResultKey(makeModSet('a', 5), makeCharacter('A', speedPlan)))
+      .toBe(modSetResultKey(makeModSet('a', 5), makeCharacter('A', new OptimizationPlan('speed', 0, 0, 100))));
+  });
+
+  it('changes when the mods, the plan, or the character\'s stats change', () => {
+    const key = modSetResultKey(makeModSet('a', 5), makeCharacter('A', speedPlan));
+
+    expect(modSetResultKey(makeModSet('a', 6), makeCharacter('A', speedPlan))).not.toBe(key);
+    expect(modSetResultKey(makeModSet('a', 5), makeCharacter('A', new OptimizationPlan('speed', 0, 0, 50))))
+      .not.toBe(key);
+    expect(modSetResultKey(
+      makeModSet('a', 5),
+      makeCharacter('A', speedPlan, Object.assign({}, baseStats, {speed: 101}))
+    )).not.toBe(key);
+    expect(modSetResultKey(makeModSet('a', 5), makeCharacter('B', speedPlan))).not.toBe(key);
+  });
+});
+
+describe('OptimizerResultCache', () => {
+  const originalIndexedDB = global.indexedDB;
+  const originalKeyRange = global.IDBKeyRange;
+  let database;
+
+  beforeAll(async () => {
+    global.indexedDB = fakeIndexedDB();
+    global.IDBKeyRange = FakeKeyRange;
+    database = await new Promise((resolve, reject) => getDatabase(resolve, reject));
+  });
+  afterAll(() => {
+    global.indexedDB = originalIndexedDB;
+    global.IDBKeyRange = originalKeyRange;
+  });
+  beforeEach(() => new Promise(resolve => database.clear(resolve)));
+
+  it('misses for a key that it doesn\'t have, and hits for one that has been set', () => {
+    const cache = new OptimizerResultCache('123456789');
+
+    expect(cache.get('hash')).toBeNull();
+    cache.set('hash', {modSet: ['mod-1'], messages: ['A message']});
+    expect(cache.get('hash')).toEqual({modSet: ['mod-1'], messages: ['A message']});
+    expect(cache.get('other hash')).toBeNull();
+  });
+
+  it('hits for results saved in an earlier run, but only for the same player', async () => {
+    const cache = new OptimizerResultCache('123456789');
+    cache.set('hash', {modSet: ['mod-1'], messages: []});
+    await saveCache(database.database, cache);
+
+    const laterCache = new OptimizerResultCache('123456789', await readEntries(database.database, '123456789'));
+    const otherCache = new OptimizerResultCache('987654321', await readEntries(database.database, '987654321'));
+
+    expect(laterCache.get('hash')).toEqual({modSet: ['mod-1'], messages: []});
+    expect(otherCache.get('hash')).toBeNull();
+  });
+
+  it('keeps only the most recently used entries for each player', async () => {
+    const entries = [];
+    for (let i = 0; i <= OptimizerResultCache.maxEntries; i++) {
+      entries.push(makeEntry('123456789', `hash-${i}`, i));
+    }
+    const cache = new OptimizerResultCache('123456789', entries);
+    const otherCache = new OptimizerResultCache('987654321');
+    otherCache.set('hash-0', {modSet: [], messages: []});
+    await saveCache(database.database, otherCache);
+
+    // Write everything to the database, as if it had been saved over many runs
+    entries.forEach(entry => cache.changedKeys.add(entry.hash));
+    // The oldest entry has just been used, so the next oldest is the least recently used
+    cache.get('hash-0');
+    await saveCache(database.database, cache);
+
+    const savedHashes = (await readEntries(database.database, '123456789')).map(entry => entry.hash);
+    expect(savedHashes).toHaveLength(OptimizerResultCache.maxEntries);
+    expect(savedHashes).toContain('hash-0');
+    expect(savedHashes).not.toContain('hash-1');
+    expect(cache.get('hash-1')).toBeNull();
+    expect((await readEntries(database.database, '987654321')).map(entry => entry.hash)).toEqual(['hash-0']);
+  });
+
+  it('is cleared for a player when their profile is deleted, and for everyone when the app is reset', async () => {
+    const cache = new OptimizerResultCache('123456789');
+    cache.set('hash', {modSet: [], messages: []});
+    const otherCache = new OptimizerResultCache('987654321');
+    otherCache.set('hash', {modSet: [], messages: []});
+    await saveCache(database.database, cache);
+    await saveCache(database.database, otherCache);
+
+    await new Promise(resolve => database.deleteProfile('123456789', resolve));
+    // The results are deleted in their own transaction after the profile is, without waiting for it to finish
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(await readEntries(database.database, '123456789')).toEqual([]);
+    expect(await readEntries(database.database, '987654321')).toHaveLength(1);
+
+    await new Promise(resolve => database.clear(resolve));
+    expect(await readEntries(database.database, '987654321')).toEqual([]);
+  });
+});
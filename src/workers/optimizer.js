@@ -0,0 +1,211 @@
+// @flow
+/* eslint-disable no-restricted-globals */
+// `self` is the global scope of the Web Worker, not the confusing window.self
+
+import {
+  deserializeProfile,
+  optimizeAssignmentsGlobally,
+  optimizeModsInParallel,
+  optimizeProfile,
+  setProgressListener
+} from "../utils/optimizer";
+import OptimizerHelper from "./OptimizerHelper";
+import OptimizerPool from "./OptimizerPool";
+import OptimizerResultCache from "./OptimizerResultCache";
+import {databaseName, databaseVersion} from "../state/storage/Database";
+import {upgradeDatabase} from "../state/storage/migrations";
+
+/**
+ * A thin wrapper around the optimizer that runs it inside of a Web Worker. The worker is sent the ally code of the
+ * profile to optimize, reads everything that it needs from the database, and posts the result back.
+ *
+ * If the browser has more than one processor, the worker starts a pool of copies of itself as helpers (see
+ * OptimizerPool), and splits the search for each character's mods between them.
+ *
+ * This file is bundled into public/workers/optimizer.js by scripts/buildWorker.js.
+ */
+
+/*********************************************************************************************************************
+ * Messaging                                                                                                         *
+ ********************************************************************************************************************/
+self.onmessage = function(message) {
+  switch (message.data.type) {
+    case 'Optimize':
+      optimize(message.data.allyCode);
+      break;
+    case 'Init':
+      initHelper(message.data.profile);
+      break;
+    case 'FindBestModSet':
+      findBestModSet(message.data.characterID, message.data.target, message.data.modIDs, message.data.partition);
+      break;
+    default:
+      throw new Error(`Unknown optimizer message: ${message.data.type}`);
+  }
+};
+
+function optimizationSuccessMessage(result) {
+  postMessage({
+    type: 'OptimizationSuccess',
+    result: {
+      assignedSets: result.assignedSets,
+      messages: result.messages,
+      globalOptimization: result.globalOptimization || null
+    }
+  });
+}
+
+function progressMessage(character, step, progress) {
+  postMessage({
+    type: 'Progress',
+    character: character,
+    step: step,
+    progress: progress
+  });
+}
+
+setProgressListener(progressMessage);
+
+/*********************************************************************************************************************
+ * End of messaging section                                                                                          *
+ ********************************************************************************************************************/
+
+/*********************************************************************************************************************
+ * Optimization                                                                                                      *
+ ********************************************************************************************************************/
+/**
+ * Read the profile, last run, and cached results for an ally code from the database, optimize it, save any new
+ * results to the cache, and post the result
+ *
+ * @param allyCode {string}
+ */
+function optimize(allyCode) {
+  const openDbRequest = indexedDB.open(databaseName, databaseVersion);
+  openDbRequest.onerror = function(event) {
+    throw event.target.error;
+  };
+
+  // The app normally upgrades the database before the worker is started, but either one can be the first to open it
+  openDbRequest.onupgradeneeded = function(event) {
+    upgradeDatabase(event.target.result, event.target.transaction, event.oldVersion);
+  };
+
+  openDbRequest.onsuccess = function(event) {
+    const db = event.target.result;
+    let profile, lastRun, resultCache;
+
+    // Get the data needed to optimize from the profile, last runs, and previous results
+    const getDataTransaction = db.transaction(['profiles', 'lastRuns', 'optimizerResults']);
+
+    getDataTransaction.onerror = function(event) {
+      throw event.target.error;
+    };
+
+    getDataTransaction.oncomplete = function() {
+      if (!profile) {
+        throw new Error('Unable to read your profile for optimization. Please clear your cache and try again.');
+      }
+
+      const finish = result => resultCache.save(
+        db,
+        () => {
+          optimizationSuccessMessage(result);
+          self.close();
+        },
+        () => {
+          // The cache is only there to save time, so the result is still good without it. Errors are reported to the
+          // page by throwing them, which would throw away the result as well, so this one is dropped on purpose.
+          optimizationSuccessMessage(result);
+          self.close();
+        }
+      );
+
+      const poolSize = OptimizerPool.availableConcurrency();
+      if (1 === poolSize) {
+        finish(optimizeProfile(profile, lastRun, resultCache));
+        return;
+      }
+
+      // The pool has to be given the profile before it's deserialized for this worker
+      const pool = new OptimizerPool(poolSize, profile, progressMessage);
+      const run = deserializeProfile(profile, lastRun);
+      const allAvailableMods = run.availableMods.slice();
+
+      optimizeModsInParallel(
+        run.availableMods,
+        run.characters,
+        run.order,
+        run.changeThreshold,
+        run.lockUnselectedCharacters,
+        run.previousRun,
+        (mods, character) => pool.findBestModSet(mods, character),
+        resultCache
+      ).then(greedyResult => {
+        pool.terminate();
+        finish(run.optimizeGlobally ?
+          optimizeAssignmentsGlobally(greedyResult, allAvailableMods, run.characters, run.order, run.changeThreshold) :
+          greedyResult
+        );
+      }).catch(error => {
+        pool.terminate();
+        // Throw outside of the promise so that the error is reported to the page
+        setTimeout(() => {
+          throw error;
+        });
+      });
+    };
+
+    const profileRequest = getDataTransaction.objectStore('profiles').get(allyCode);
+    profileRequest.onsuccess = function(event) {
+      profile = event.target.result;
+    };
+
+    const lastRunRequest = getDataTransaction.objectStore('lastRuns').get(allyCode);
+    lastRunRequest.onsuccess = function(event) {
+      lastRun = event.target.result ? event.target.result : {};
+    };
+
+    const resultsRequest = getDataTransaction.objectStore('optimizerResults').index('allyCode').getAll(allyCode);
+    resultsRequest.onsuccess = function(event) {
+      resultCache = new OptimizerResultCache(allyCode, event.target.result);
+    };
+  };
+}
+
+/*********************************************************************************************************************
+ * End of optimization section                                                                                       *
+ ********************************************************************************************************************/
+
+/*********************************************************************************************************************
+ * Helper workers                                                                                                    *
+ ********************************************************************************************************************/
+let helper = null;
+
+/**
+ * Set up this worker as a helper in an OptimizerPool
+ *
+ * @param profile {Object} A serialized PlayerProfile
+ */
+function initHelper(profile) {
+  helper = new OptimizerHelper(profile);
+}
+
+/**
+ * Find the best mod set for one character in this helper's partition of the candidate mod sets, and post it back to
+ * the pool
+ *
+ * @param characterID {string}
+ * @param target {Object} The deserialized target to optimize the character for
+ * @param modIDs {Array<string>} The mods that are still available for this character
+ * @param partition {{index: Number, count: Number}}
+ */
+function findBestModSet(characterID, target, modIDs, partition) {
+  postMessage(Object.assign({}, helper.findBestModSet(characterID, target, modIDs, partition), {type: 'BestModSet'}));
+}
+
+/*********************************************************************************************************************
+ * End of helper workers section                                                                                     *
+ ********************************************************************************************************************/
+
+// Also expose the optimizer itself, so that the bundled worker can be run outside of a browser (see scripts/optimize.js)
+export {optimizeProfile};